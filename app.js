@@ -0,0 +1,103 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const rateLimit = require('express-rate-limit');
+const { buildOpenApiDocument } = require('./openapi');
+const { createLogger } = require('./config/logger');
+const createRequestContext = require('./middleware/requestContext');
+
+const systemClock = { now: () => new Date() };
+
+// Builds the Express app around its dependencies without listening, so the
+// server (index.js) and the tests can each supply their own:
+//   config        validated settings from config/ (loadConfig)
+//   store         data store from repositories/ (createStore)
+//   mailer        anything with a nodemailer-style sendMail()
+//   mediaStorage  upload()/destroy() for images and videos (config/cloudinary.js)
+//   identityProvider  single sign-on client (config/oidc.js), or null when off
+//   clock         now() for timestamps the routes set
+//   logger        structured logger from config/logger.js (createLogger)
+function createApp({
+  config,
+  store,
+  mailer,
+  mediaStorage,
+  identityProvider = null,
+  clock = systemClock,
+  logger = createLogger({ level: config.logLevel }),
+  logRequests = true,
+  rateLimit: rateLimitOptions = {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  }
+}) {
+  const deps = { config, store, mailer, mediaStorage, identityProvider, clock };
+  const app = express();
+
+  // Request ID and request-scoped logger (req.id, req.log) before anything can fail
+  app.use(createRequestContext(logger, { logRequests }));
+
+  // Security middleware
+  app.use(helmet());
+  app.use(cors({
+    origin: config.cors.origins,
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
+  }));
+
+  // Rate limiting
+  if (rateLimitOptions) {
+    app.use('/api/', rateLimit(rateLimitOptions));
+  }
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Compression
+  app.use(compression());
+
+  // Static files
+  app.use('/uploads', express.static('uploads'));
+
+  // API Routes
+  const mounts = [
+    { path: '/api/auth', router: require('./routes/auth')(deps) },
+    { path: '/api/auth/2fa', router: require('./routes/twoFactor')(deps) },
+    { path: '/api/events', router: require('./routes/events')(deps) },
+    { path: '/api/event-series', router: require('./routes/eventSeries')(deps) },
+    { path: '/api/members', router: require('./routes/members')(deps) },
+    { path: '/api/blog', router: require('./routes/blog')(deps) },
+    { path: '/api/gallery', router: require('./routes/gallery')(deps) },
+    { path: '/api/team', router: require('./routes/team')(deps) },
+    { path: '/api/contact', router: require('./routes/contact')(deps) },
+    { path: '/api/access-codes', router: require('./routes/accessCodes')(deps) },
+    { path: '/api/api-keys', router: require('./routes/apiKeys')(deps) },
+    { path: '/api', router: require('./routes/docs')() },
+    { path: '/', router: require('./routes/system')() }
+  ];
+  mounts.forEach(({ path, router }) => app.use(path, router));
+
+  // Generated once every route is registered; served by routes/docs.js
+  app.locals.openApiDocument = buildOpenApiDocument(mounts);
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    req.log.error('Unhandled error', { err, method: req.method, url: req.originalUrl });
+    res.status(500).json({ 
+      error: 'Something went wrong!',
+      message: config.env === 'development' ? err.message : 'Internal server error',
+      requestId: req.id
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
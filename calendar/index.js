@@ -0,0 +1,177 @@
+// iCalendar (RFC 5545) documents for club events. An event's startTime and
+// endTime are Toronto wall-clock times on its date, so they are written with
+// TZID=America/Toronto and a matching VTIMEZONE, and calendar apps convert
+// them to each viewer's zone (daylight saving included).
+const TIME_ZONE = 'America/Toronto';
+const PRODUCT_ID = '-//Seneca Science Club//Events//EN';
+// How often subscribed calendar apps should check for changes
+const REFRESH_INTERVAL = 'PT6H';
+
+// Toronto's daylight saving rules, in force since 2007
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+// 20250901T120000Z
+const formatUtc = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// A wall-clock time given as a UTC-based Date, e.g. 20251001T180000
+const formatLocal = date => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+  + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+
+const formatDay = date => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+// Toronto's calendar day and minutes after midnight at an instant
+function torontoClock(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: TIME_ZONE, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    day: new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day))),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// The event's day in Toronto. A date at exactly midnight UTC was usually sent
+// without a time ("2025-10-01"), so its UTC day is the one meant, unless it
+// is the start time itself (8 PM in Toronto is midnight UTC in summer).
+function localDay(value, startMinutes) {
+  const date = new Date(value);
+  const toronto = torontoClock(date);
+  if (date.getTime() % (24 * 60 * 60 * 1000) === 0 && toronto.minutes !== startMinutes) {
+    return date;
+  }
+  return toronto.day;
+}
+
+// Minutes after midnight for "18:00", "6:00 PM" or "6pm"; null if unreadable
+function parseTime(value) {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?\s*m\.?)?\s*$/i.exec(value || '');
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+// DTSTART and DTEND lines. An end at or before the start runs past midnight;
+// events whose times can't be read become all-day events.
+function eventTimes(event) {
+  const start = parseTime(event.startTime);
+  let end = parseTime(event.endTime);
+  const day = localDay(event.date, start);
+
+  if (start === null) {
+    const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+    return [`DTSTART;VALUE=DATE:${formatDay(day)}`, `DTEND;VALUE=DATE:${formatDay(nextDay)}`];
+  }
+  if (end === null) end = start + 60;
+  if (end <= start) end += 24 * 60;
+
+  const at = minutes => formatLocal(new Date(day.getTime() + minutes * 60 * 1000));
+  return [`DTSTART;TZID=${TIME_ZONE}:${at(start)}`, `DTEND;TZID=${TIME_ZONE}:${at(end)}`];
+}
+
+// One VEVENT. `status` overrides the event's own (CONFIRMED, TENTATIVE or
+// CANCELLED), e.g. TENTATIVE for a place on the waitlist.
+function eventLines(event, { now, host, url, status }) {
+  const cancelled = event.status === 'CANCELLED';
+  return [
+    'BEGIN:VEVENT',
+    `UID:event-${event.id}@${host}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    ...eventTimes(event),
+    // Some apps ignore STATUS on subscribed calendars, so say it in the title too
+    `SUMMARY:${escapeText(cancelled ? `Cancelled: ${event.title}` : event.title)}`,
+    `DESCRIPTION:${escapeText(url ? `${event.description}\n\n${url}` : event.description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `CATEGORIES:${escapeText(event.category)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : status || 'CONFIRMED'}`,
+    ...(url ? [`URL:${url}`] : []),
+    ...(event.updatedAt ? [`LAST-MODIFIED:${formatUtc(event.updatedAt)}`] : []),
+    'END:VEVENT'
+  ];
+}
+
+// A whole calendar. `entries` are events, or { event, status } pairs.
+// `urlFor` gives each event's page, `host` makes the UIDs globally unique.
+function buildCalendar({ name, entries, now, host, urlFor }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...VTIMEZONE,
+    ...entries.flatMap(entry => {
+      const { event, status } = entry.event ? entry : { event: entry };
+      return eventLines(event, { now, host, url: urlFor && urlFor(event), status });
+    }),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildCalendar, parseTime, TIME_ZONE };
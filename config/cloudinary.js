@@ -0,0 +1,38 @@
+// Media storage backed by Cloudinary. Routes only see upload() and destroy(),
+// so tests can swap in a fake without touching the network. Settings are the
+// `cloudinary` section of the app config.
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary public id from a delivery URL (last path segment, no extension)
+function publicIdFromUrl(url) {
+  return url.split('/').pop().split('.')[0];
+}
+
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret }) {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret
+  });
+
+  return {
+    // Resolves with the public URL of the uploaded file
+    upload(buffer, { folder, resourceType = 'image', transformation } = {}) {
+      return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          { folder, resource_type: resourceType, transformation },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve({ url: result.secure_url });
+          }
+        ).end(buffer);
+      });
+    },
+
+    destroy(url, { resourceType = 'image' } = {}) {
+      return cloudinary.uploader.destroy(publicIdFromUrl(url), { resource_type: resourceType });
+    }
+  };
+}
+
+module.exports = { createCloudinaryStorage };
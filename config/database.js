@@ -1,25 +1,23 @@
-// File storage configuration - no database needed
-console.log('✅ File storage system initialized');
+// Data store configuration - DATA_STORE (see config/index.js) picks the backend:
+//   json   (default) everything lives in DATA_FILE, no database server needed
+//   prisma uses the Prisma client with DATABASE_URL (SQLite per prisma/schema.prisma)
+const { createStore } = require('../repositories');
+const { loadConfig } = require('.');
 
-// Test file system access
-async function testConnection() {
+const { dataStore } = loadConfig();
+const { driver } = dataStore;
+
+const store = createStore(dataStore);
+
+// Make sure the configured backend can be reached before serving requests
+async function testConnection(logger) {
   try {
-    const fs = require('fs').promises;
-    const path = require('path');
-    const testDir = path.join(__dirname, '../data');
-    
-    // Ensure data directory exists
-    try {
-      await fs.access(testDir);
-    } catch {
-      await fs.mkdir(testDir, { recursive: true });
-    }
-    
-    console.log('✅ File storage system ready');
+    await store.connect();
+    logger.info('Data store ready', { driver });
   } catch (error) {
-    console.error('❌ File storage system failed:', error);
+    logger.error('Data store connection failed', { driver, err: error });
     process.exit(1);
   }
 }
 
-module.exports = { testConnection };
+module.exports = { store, testConnection };
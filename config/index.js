@@ -0,0 +1,253 @@
+// Application settings, read once from the environment and validated.
+//
+// Every variable is declared in SCHEMA with its type and its default per
+// NODE_ENV; a variable with no default for the current environment is
+// required. loadConfig() collects every problem before throwing, so a bad
+// deployment reports all of them at startup instead of failing on the first
+// request that needs a setting. Nothing else should read process.env.
+const path = require('path');
+const { LEVELS } = require('./logger');
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// The published example values; fine locally, never in production
+const EXAMPLE_JWT_SECRETS = ['your-super-secret-jwt-key-here', 'your-super-secret-jwt-key', 'your-secret'];
+
+const LOCAL_ORIGINS = ['http://localhost:4200', 'http://localhost:3000'];
+
+const SCHEMA = {
+  NODE_ENV: { type: 'enum', values: ENVIRONMENTS, default: 'development' },
+  PORT: { type: 'port', default: 3001 },
+  LOG_LEVEL: { type: 'enum', values: Object.keys(LEVELS), default: { development: 'debug', test: 'silent', production: 'info' } },
+
+  JWT_SECRET: { type: 'string', default: { development: 'development-only-jwt-secret', test: 'test-secret' } },
+  // Access tokens are short-lived; sessions renew them with refresh tokens
+  JWT_EXPIRES_IN: { type: 'duration', default: '15m' },
+  SESSION_TTL_DAYS: { type: 'count', default: 30 },
+  // Days between a member asking for erasure and their data being erased
+  ERASURE_GRACE_DAYS: { type: 'count', default: 7 },
+
+  DATA_STORE: { type: 'enum', values: ['json', 'prisma'], default: 'json' },
+  DATA_FILE: { type: 'string', default: path.join(__dirname, '../data/store.json') },
+  DATABASE_URL: { type: 'string', optional: true },
+
+  EMAIL_HOST: { type: 'string', optional: true, alias: 'SMTP_HOST' },
+  EMAIL_PORT: { type: 'port', default: 587, alias: 'SMTP_PORT' },
+  EMAIL_USER: { type: 'string', optional: true, alias: 'SMTP_USER' },
+  EMAIL_PASS: { type: 'string', optional: true, alias: 'SMTP_PASS' },
+  EMAIL_FROM: { type: 'string', optional: true },
+  CONTACT_EMAIL: { type: 'email', optional: true },
+
+  CLOUDINARY_CLOUD_NAME: { type: 'string', optional: true },
+  CLOUDINARY_API_KEY: { type: 'string', optional: true },
+  CLOUDINARY_API_SECRET: { type: 'string', optional: true },
+
+  FRONTEND_URL: { type: 'url', default: { development: 'http://localhost:4200', test: 'http://localhost:4200' } },
+  // Public address of this API, for links other apps fetch (calendar feeds);
+  // defaults to the host each request came in on
+  PUBLIC_URL: { type: 'url', optional: true },
+  CORS_ORIGINS: { type: 'origins', optional: true },
+
+  // Single sign-on through an OpenID Connect provider; off unless OIDC_ISSUER is set
+  OIDC_ISSUER: { type: 'url', optional: true },
+  OIDC_CLIENT_ID: { type: 'string', optional: true },
+  OIDC_CLIENT_SECRET: { type: 'string', optional: true },
+  OIDC_REDIRECT_URI: { type: 'url', optional: true },
+  OIDC_ALLOWED_DOMAINS: { type: 'domains', optional: true }
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Raw string -> typed value, or an Error describing why it isn't valid
+function parse(name, spec, raw) {
+  switch (spec.type) {
+    case 'enum':
+      return spec.values.includes(raw) ? raw : new Error(`${name} must be one of ${spec.values.join(', ')} (got "${raw}")`);
+    case 'port': {
+      const port = Number(raw);
+      return Number.isInteger(port) && port > 0 && port < 65536 ? port : new Error(`${name} must be a port number (got "${raw}")`);
+    }
+    case 'duration':
+      // jsonwebtoken takes seconds or a span such as "7d" or "12h"
+      if (/^\d+$/.test(raw)) return Number(raw);
+      return /^\d+\s*(ms|s|m|h|d|w|y)$/.test(raw) ? raw : new Error(`${name} must be seconds or a span like "7d" (got "${raw}")`);
+    case 'count': {
+      const count = Number(raw);
+      return Number.isInteger(count) && count > 0 ? count : new Error(`${name} must be a positive whole number (got "${raw}")`);
+    }
+    case 'url':
+      return isUrl(raw) ? raw.replace(/\/+$/, '') : new Error(`${name} must be an absolute URL (got "${raw}")`);
+    case 'email':
+      return /^[^\s@]+@[^\s@]+$/.test(raw) ? raw : new Error(`${name} must be an email address (got "${raw}")`);
+    case 'origins': {
+      const origins = raw.split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = origins.filter(origin => !isUrl(origin));
+      return invalid.length === 0
+        ? origins.map(origin => new URL(origin).origin)
+        : new Error(`${name} must be a comma-separated list of URLs (got "${invalid.join('", "')}")`);
+    }
+    case 'domains': {
+      const domains = raw.split(',').map(item => item.trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+      const invalid = domains.filter(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain));
+      return invalid.length === 0
+        ? domains
+        : new Error(`${name} must be a comma-separated list of domains (got "${invalid.join('", "')}")`);
+    }
+    default:
+      return raw;
+  }
+}
+
+// Reads SCHEMA out of env; returns the typed values and what went wrong
+function readEnvironment(env) {
+  const problems = [];
+  const warnings = [];
+  const values = {};
+
+  const nodeEnv = env.NODE_ENV || SCHEMA.NODE_ENV.default;
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    let raw = env[name];
+
+    // SMTP_* were the names the code used before .env.example settled on EMAIL_*
+    if (spec.alias && env[spec.alias] !== undefined && env[spec.alias] !== '') {
+      if (raw === undefined || raw === '') {
+        raw = env[spec.alias];
+        warnings.push(`${spec.alias} is deprecated; rename it to ${name}`);
+      } else if (raw !== env[spec.alias]) {
+        problems.push(`${name} and ${spec.alias} are both set and disagree; keep only ${name}`);
+      }
+    }
+
+    if (raw === undefined || raw === '') {
+      const fallback = spec.default !== null && typeof spec.default === 'object' ? spec.default[nodeEnv] : spec.default;
+      if (fallback === undefined && !spec.optional) {
+        problems.push(`${name} is required when NODE_ENV=${nodeEnv}`);
+      }
+      values[name] = fallback;
+      continue;
+    }
+
+    const value = parse(name, spec, raw);
+    if (value instanceof Error) {
+      problems.push(value.message);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { values, problems, warnings };
+}
+
+// Settings that are valid one by one but not together
+function checkConsistency(values, problems, warnings) {
+  const production = values.NODE_ENV === 'production';
+
+  if (production && EXAMPLE_JWT_SECRETS.includes(values.JWT_SECRET)) {
+    problems.push('JWT_SECRET is still the example value from the docs');
+  }
+  if (values.DATA_STORE === 'prisma' && !values.DATABASE_URL) {
+    problems.push('DATABASE_URL is required when DATA_STORE=prisma');
+  }
+
+  // A local SMTP stand-in (MailHog, Mailpit, ...) needs a host but no login
+  if ((values.EMAIL_USER && !values.EMAIL_PASS) || (!values.EMAIL_USER && values.EMAIL_PASS)) {
+    problems.push('EMAIL_USER and EMAIL_PASS must be set together');
+  }
+  if (!values.EMAIL_HOST && (values.EMAIL_USER || values.EMAIL_PASS)) {
+    problems.push('Incomplete email settings: EMAIL_HOST missing');
+  }
+  if (!values.EMAIL_HOST && production) {
+    warnings.push('No EMAIL_HOST; emails (contact form, password resets) will not be sent');
+  }
+
+  const cloudinary = ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'];
+  const missing = cloudinary.filter(name => !values[name]);
+  if (missing.length > 0 && missing.length < cloudinary.length) {
+    problems.push(`Incomplete Cloudinary settings: ${missing.join(', ')} missing`);
+  } else if (missing.length === cloudinary.length && production) {
+    warnings.push('No Cloudinary settings; uploads will fail');
+  }
+
+  const oidc = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI'];
+  const missingOidc = oidc.filter(name => !values[name]);
+  if (missingOidc.length > 0 && missingOidc.length < oidc.length) {
+    problems.push(`Incomplete OIDC settings: ${missingOidc.join(', ')} missing`);
+  }
+}
+
+// Builds the settings object the app is given (see app.js)
+function loadConfig(env = process.env) {
+  const { values, problems, warnings } = readEnvironment(env);
+  // Replaced by access codes issued through /api/access-codes
+  if (env.MENTOR_ACCESS_CODE) {
+    warnings.push('MENTOR_ACCESS_CODE is no longer used; issue mentor access codes through /api/access-codes');
+  }
+  checkConsistency(values, problems, warnings);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const nodeEnv = values.NODE_ENV;
+  const frontendOrigin = values.FRONTEND_URL && new URL(values.FRONTEND_URL).origin;
+  const corsOrigins = values.CORS_ORIGINS
+    || (nodeEnv === 'production' ? [frontendOrigin] : [...new Set([frontendOrigin, ...LOCAL_ORIGINS])]);
+
+  return Object.freeze({
+    env: nodeEnv,
+    isProduction: nodeEnv === 'production',
+    port: values.PORT,
+    logLevel: values.LOG_LEVEL,
+    jwt: Object.freeze({ secret: values.JWT_SECRET, expiresIn: values.JWT_EXPIRES_IN }),
+    // A session ends after this many days without a refresh
+    sessions: Object.freeze({ ttlDays: values.SESSION_TTL_DAYS }),
+    privacy: Object.freeze({ erasureGraceDays: values.ERASURE_GRACE_DAYS }),
+    dataStore: Object.freeze({ driver: values.DATA_STORE, file: values.DATA_FILE, databaseUrl: values.DATABASE_URL }),
+    email: Object.freeze({
+      host: values.EMAIL_HOST,
+      port: values.EMAIL_PORT,
+      user: values.EMAIL_USER,
+      pass: values.EMAIL_PASS,
+      // Sender of every message
+      from: values.EMAIL_FROM || values.EMAIL_USER,
+      // Where contact form notifications go
+      contactAddress: values.CONTACT_EMAIL || values.EMAIL_USER
+    }),
+    cloudinary: Object.freeze({
+      cloudName: values.CLOUDINARY_CLOUD_NAME,
+      apiKey: values.CLOUDINARY_API_KEY,
+      apiSecret: values.CLOUDINARY_API_SECRET
+    }),
+    frontendUrl: values.FRONTEND_URL,
+    publicUrl: values.PUBLIC_URL && values.PUBLIC_URL.replace(/\/$/, ''),
+    oidc: Object.freeze({
+      enabled: Boolean(values.OIDC_ISSUER),
+      issuer: values.OIDC_ISSUER,
+      clientId: values.OIDC_CLIENT_ID,
+      // Optional: public clients rely on PKCE alone
+      clientSecret: values.OIDC_CLIENT_SECRET,
+      redirectUri: values.OIDC_REDIRECT_URI,
+      // Empty: any verified email may sign in
+      allowedDomains: Object.freeze(values.OIDC_ALLOWED_DOMAINS || [])
+    }),
+    cors: Object.freeze({ origins: Object.freeze(corsOrigins) }),
+    warnings: Object.freeze(warnings)
+  });
+}
+
+module.exports = { loadConfig, ConfigError };
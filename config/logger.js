@@ -0,0 +1,79 @@
+// Structured logging: one JSON object per line, so the hosting platform's
+// log search can filter on any field (requestId, level, userId, ...).
+//
+//   logger.info('Event created', { eventId })
+//   logger.error('Error fetching events', { err: error })
+//   logger.child({ requestId }).warn(...)   // every entry carries requestId
+//
+// Values under sensitive keys (passwords, tokens, access codes, ...) are
+// replaced before anything is written, however deeply they are nested.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SENSITIVE_KEY = /pass(word)?$|token|secret|accesscode|authorization|cookie|apikey/i;
+const REDACTED = '[REDACTED]';
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+// Copy of value with sensitive fields masked and errors made serializable
+function redact(value, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+    key,
+    SENSITIVE_KEY.test(key) && child !== undefined && child !== null ? REDACTED : redact(child, seen)
+  ]));
+}
+
+// Paths that carry a secret themselves: personal calendar feeds are polled
+// at a token URL because calendar apps can't send headers
+const SECRET_PATHS = [/^(\/api\/events\/calendar\/)[^/]+(\.ics)$/];
+
+// "/api/auth/verify?token=abc" -> "/api/auth/verify?token=[REDACTED]"
+// "/api/events/calendar/eyJ....ics" -> "/api/events/calendar/[REDACTED].ics"
+function redactUrl(url) {
+  const [rawPath, query] = url.split('?');
+  const path = SECRET_PATHS.reduce((result, pattern) => result.replace(pattern, `$1${REDACTED}$2`), rawPath);
+  if (!query) return path;
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SENSITIVE_KEY.test(key)) params.set(key, REDACTED);
+  }
+  return `${path}?${params.toString().replace(/%5BREDACTED%5D/g, REDACTED)}`;
+}
+
+// level: minimum level written; stream: anything with write(string)
+function createLogger({ level = 'info', stream = process.stdout, bindings = {} } = {}) {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const write = (entryLevel, msg, fields = {}) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+    const entry = redact({ ...bindings, ...fields });
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg, ...entry })}\n`);
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: extra => createLogger({ level, stream, bindings: { ...bindings, ...extra } })
+  };
+}
+
+module.exports = { createLogger, redact, redactUrl, LEVELS };
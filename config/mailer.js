@@ -0,0 +1,23 @@
+// Outgoing email over SMTP. Anything with a nodemailer-style sendMail()
+// can stand in for it (tests use a fake that records messages). Settings
+// are the `email` section of the app config.
+//
+// For local development point EMAIL_HOST/EMAIL_PORT at an SMTP stand-in
+// such as Mailpit (localhost:1025) and read the messages in its web UI; no
+// login is needed. Without EMAIL_HOST messages are built but not delivered.
+const nodemailer = require('nodemailer');
+
+function createMailer({ host, port, user, pass }) {
+  if (!host) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure: false,
+    ...(user && { auth: { user, pass } })
+  });
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,106 @@
+// OpenID Connect client for single sign-on (authorization code flow with
+// PKCE). Routes only see authorizationUrl() and exchangeCode(), and the
+// provider is found through its discovery document, so the tests and local
+// development can point it at scripts/mock-idp.js. Settings are the `oidc`
+// section of the app config.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SCOPES = 'openid email profile';
+
+// S256 code challenge for a PKCE code verifier
+const codeChallengeFor = codeVerifier => crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+function createOidcClient({ issuer, clientId, clientSecret, redirectUri }, { fetch = globalThis.fetch } = {}) {
+  let discovery = null;
+
+  async function getJson(url, options) {
+    const response = await fetch(url, { ...options, headers: { Accept: 'application/json', ...options?.headers } });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(`${url} answered ${response.status}${body?.error ? ` (${body.error})` : ''}`);
+    }
+    return body;
+  }
+
+  // The provider's endpoints; fetched once, retried after a failure
+  function metadata() {
+    if (!discovery) {
+      discovery = getJson(`${issuer}/.well-known/openid-configuration`)
+        .then((document) => {
+          if (String(document.issuer).replace(/\/+$/, '') !== issuer) {
+            throw new Error(`Discovery document is for issuer ${document.issuer}, not ${issuer}`);
+          }
+          return document;
+        })
+        .catch((error) => {
+          discovery = null;
+          throw error;
+        });
+    }
+    return discovery;
+  }
+
+  async function signingKey(keyId) {
+    const { keys = [] } = await getJson((await metadata()).jwks_uri);
+    const jwk = keys.find(key => (keyId ? key.kid === keyId : key.use !== 'enc'));
+    if (!jwk) {
+      throw new Error(`No signing key matches kid "${keyId || '(none)'}"`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  return {
+    // Where to send the browser to sign in
+    async authorizationUrl({ state, nonce, codeVerifier, loginHint }) {
+      const url = new URL((await metadata()).authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: SCOPES,
+        state,
+        nonce,
+        code_challenge: codeChallengeFor(codeVerifier),
+        code_challenge_method: 'S256',
+        ...(loginHint && { login_hint: loginHint })
+      });
+      return url.toString();
+    },
+
+    // Trades the code from the callback for an ID token; resolves with its
+    // verified claims (sub, email, email_verified, given_name, ...)
+    async exchangeCode({ code, codeVerifier, nonce }) {
+      const document = await metadata();
+      const tokens = await getJson(document.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          code_verifier: codeVerifier,
+          ...(clientSecret && { client_secret: clientSecret })
+        })
+      });
+
+      const decoded = tokens.id_token && jwt.decode(tokens.id_token, { complete: true });
+      if (!decoded) {
+        throw new Error('Token response has no valid id_token');
+      }
+
+      const claims = jwt.verify(tokens.id_token, await signingKey(decoded.header.kid), {
+        algorithms: ['RS256'],
+        issuer: document.issuer,
+        audience: clientId
+      });
+      if (claims.nonce !== nonce) {
+        throw new Error('id_token nonce does not match the login');
+      }
+      return claims;
+    }
+  };
+}
+
+module.exports = { createOidcClient, codeChallengeFor };
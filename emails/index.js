@@ -0,0 +1,196 @@
+// Email templates. Each returns { subject, text, html } ready to spread into
+// mailer.sendMail(); values are escaped before they go into the HTML part.
+const CLUB_NAME = 'Seneca Science Club';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Shared frame so every message looks the same
+function layout(content) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #222;">
+      ${content}
+      <p style="color: #777; font-size: 12px; margin-top: 32px;">${CLUB_NAME}</p>
+    </div>
+  `;
+}
+
+function button(url, label) {
+  return `<p><a href="${escapeHtml(url)}" style="background: #d4202a; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+}
+
+function passwordResetEmail({ firstName, resetUrl, expiresInMinutes }) {
+  return {
+    subject: `Reset your ${CLUB_NAME} password`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'Someone asked to reset the password for your account. Use this link to choose a new one:',
+      resetUrl,
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password won't change.`
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>Someone asked to reset the password for your account. Use the button below to choose a new one.</p>
+      ${button(resetUrl, 'Reset password')}
+      <p>Or paste this link into your browser:<br>${escapeHtml(resetUrl)}</p>
+      <p>The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password won't change.</p>
+    `)
+  };
+}
+
+function verificationEmail({ firstName, verifyUrl, expiresInHours }) {
+  return {
+    subject: `Confirm your email for ${CLUB_NAME}`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `Welcome to ${CLUB_NAME}! Confirm that this is your email address to finish setting up your account:`,
+      verifyUrl,
+      '',
+      `The link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.`
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>Welcome to ${CLUB_NAME}! Confirm that this is your email address to finish setting up your account.</p>
+      ${button(verifyUrl, 'Verify email')}
+      <p>Or paste this link into your browser:<br>${escapeHtml(verifyUrl)}</p>
+      <p>The link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.</p>
+    `)
+  };
+}
+
+function accountClaimEmail({ firstName, claimUrl, expiresInDays, eventTitle, capacityLimited = false }) {
+  let intro = 'You have a guest account with us from registering for an event.';
+  if (eventTitle && capacityLimited) {
+    intro = `${eventTitle} has limited places, so we need to confirm your email before you can register. We saved your details under a guest account; once it is claimed, register again.`;
+  } else if (eventTitle) {
+    intro = `Thanks for registering for ${eventTitle}! We saved your registration under a guest account.`;
+  }
+  return {
+    subject: `Claim your ${CLUB_NAME} account`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `${intro} Choose a password to claim it, so you can sign in and see your registrations:`,
+      claimUrl,
+      '',
+      `The link expires in ${expiresInDays} days. If you don't want an account, you can ignore this email.`
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>${escapeHtml(intro)} Choose a password to claim it, so you can sign in and see your registrations.</p>
+      ${button(claimUrl, 'Claim my account')}
+      <p>Or paste this link into your browser:<br>${escapeHtml(claimUrl)}</p>
+      <p>The link expires in ${expiresInDays} days. If you don't want an account, you can ignore this email.</p>
+    `)
+  };
+}
+
+function erasureScheduledEmail({ firstName, erasureDate, profileUrl }) {
+  return {
+    subject: `Your ${CLUB_NAME} account will be erased`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `We received a request to erase your account and everything we hold about you. This will happen on ${erasureDate}.`,
+      '',
+      `Changed your mind, or didn't ask for this? Sign in and cancel the erasure from your profile before then:`,
+      profileUrl
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>We received a request to erase your account and everything we hold about you. This will happen on <strong>${escapeHtml(erasureDate)}</strong>.</p>
+      <p>Changed your mind, or didn't ask for this? Sign in and cancel the erasure from your profile before then.</p>
+      ${button(profileUrl, 'Go to my profile')}
+    `)
+  };
+}
+
+// Sent to guests on registering, since they can't sign in to cancel
+function registrationEmail({ firstName, eventTitle, eventDate, waitlistPosition, ticketUrl, cancelUrl }) {
+  const status = waitlistPosition
+    ? `${eventTitle} on ${eventDate} is full, so you're number ${waitlistPosition} on the waitlist. We'll email you if a spot opens up.`
+    : `You're registered for ${eventTitle} on ${eventDate}.`;
+  return {
+    subject: waitlistPosition ? `You're on the waitlist for ${eventTitle}` : `You're registered for ${eventTitle}`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      status,
+      '',
+      ...(ticketUrl ? ['Show the QR code on your ticket at the door:', ticketUrl, ''] : []),
+      "Can't make it? Cancel here so someone else can have your spot:",
+      cancelUrl
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>${escapeHtml(status)}</p>
+      ${ticketUrl ? `<p>Show the QR code on your ticket at the door.</p>${button(ticketUrl, 'View my ticket')}` : ''}
+      <p>Can't make it? Cancel so someone else can have your spot.</p>
+      ${button(cancelUrl, 'Cancel my registration')}
+    `)
+  };
+}
+
+// A spot opened up for someone on an event's waitlist. With a confirmUrl the
+// spot is only offered and passes on unless confirmed by `confirmBy`.
+function waitlistPromotionEmail({ firstName, eventTitle, eventDate, confirmUrl, confirmBy, ticketUrl }) {
+  const outcome = confirmUrl
+    ? `Confirm by ${confirmBy} to keep it, or it goes to the next person on the waitlist:`
+    : "You're registered. Show the QR code on your ticket at the door:";
+  return {
+    subject: `A spot opened up for ${eventTitle}`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `Good news: a spot opened up for ${eventTitle} on ${eventDate} and it's yours.`,
+      '',
+      outcome,
+      confirmUrl || ticketUrl
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>Good news: a spot opened up for <strong>${escapeHtml(eventTitle)}</strong> on ${escapeHtml(eventDate)} and it's yours.</p>
+      <p>${escapeHtml(outcome.replace(/:$/, '.'))}</p>
+      ${confirmUrl ? button(confirmUrl, 'Confirm my spot') : button(ticketUrl, 'View my ticket')}
+    `)
+  };
+}
+
+// An event series was called off; `eventDates` are the occurrences the
+// registrant had a place (or a place in line) for
+function seriesCancelledEmail({ firstName, seriesTitle, eventDates }) {
+  return {
+    subject: `${seriesTitle} has been cancelled`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `Sorry, ${seriesTitle} has been cancelled. Your registration for these dates is cancelled too:`,
+      ...eventDates.map(date => `- ${date}`),
+      '',
+      "There's nothing else you need to do."
+    ].join('\n'),
+    html: layout(`
+      <p>Hi ${escapeHtml(firstName)},</p>
+      <p>Sorry, <strong>${escapeHtml(seriesTitle)}</strong> has been cancelled. Your registration for these dates is cancelled too:</p>
+      <ul>${eventDates.map(date => `<li>${escapeHtml(date)}</li>`).join('')}</ul>
+      <p>There's nothing else you need to do.</p>
+    `)
+  };
+}
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail,
+  accountClaimEmail,
+  erasureScheduledEmail,
+  registrationEmail,
+  waitlistPromotionEmail,
+  seriesCancelledEmail,
+  escapeHtml
+};
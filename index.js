@@ -1,88 +1,72 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { loadConfig, ConfigError } = require('./config');
+const { createLogger } = require('./config/logger');
+const { createMailer } = require('./config/mailer');
+const { createCloudinaryStorage } = require('./config/cloudinary');
+const { createOidcClient } = require('./config/oidc');
+const createWaitlist = require('./services/waitlist');
+const { createApp } = require('./app');
 
-const app = express();
-const PORT = process.env.PORT || 3001;
+// Refuse to start on a bad environment rather than fail on first use
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const logger = createLogger({ level: config.logLevel });
+config.warnings.forEach(warning => logger.warn(warning));
 
-// Security middleware
-app.use(helmet());
-app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://seneca-science-club-frontend-dkp1.vercel.app'] 
-    : ['http://localhost:4200', 'http://localhost:3000'],
-  credentials: true
-}));
+const { store, testConnection } = require('./config/database');
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use('/api/', limiter);
+const mailer = createMailer(config.email);
+const clock = { now: () => new Date() };
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+const app = createApp({
+  config,
+  store,
+  logger,
+  mailer,
+  clock,
+  mediaStorage: createCloudinaryStorage(config.cloudinary),
+  identityProvider: config.oidc.enabled ? createOidcClient(config.oidc) : null
+});
 
-// Logging and compression
-app.use(morgan('combined'));
-app.use(compression());
+// How often to look for accounts whose erasure grace period is over
+const ERASURE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+async function eraseDueAccounts() {
+  try {
+    const erased = await store.users.eraseDue(new Date());
+    if (erased.length > 0) logger.info('Erased accounts after their grace period', { count: erased.length });
+  } catch (error) {
+    logger.error('Error erasing accounts', { err: error });
+  }
+}
 
-// API Routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/events', require('./routes/events'));
-app.use('/api/members', require('./routes/members'));
-app.use('/api/blog', require('./routes/blog'));
-app.use('/api/gallery', require('./routes/gallery'));
-app.use('/api/team', require('./routes/team'));
-app.use('/api/contact', require('./routes/contact'));
+// How often to pass on lapsed waitlist offers and fill freed spots
+const WAITLIST_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const waitlist = createWaitlist({ store, mailer, clock, config });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Seneca Science Club API is running' });
-});
-
-// Root route
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'Welcome to Seneca Science Club API',
-    version: '1.0.0',
-    endpoints: {
-      health: '/api/health',
-      auth: '/api/auth',
-      events: '/api/events',
-      members: '/api/members',
-      blog: '/api/blog',
-      gallery: '/api/gallery',
-      team: '/api/team',
-      contact: '/api/contact'
+async function sweepWaitlists() {
+  try {
+    const { expired, promoted } = await waitlist.sweep({ log: logger });
+    if (expired.length > 0 || promoted.length > 0) {
+      logger.info('Swept event waitlists', { expired: expired.length, promoted: promoted.length });
     }
-  });
-});
+  } catch (error) {
+    logger.error('Error sweeping waitlists', { err: error });
+  }
+}
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+testConnection(logger).then(() => {
+  app.listen(config.port, () => {
+    logger.info('Seneca Science Club server running', { port: config.port, env: config.env });
   });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-app.listen(PORT, () => {
-  console.log(`🚀 Seneca Science Club server running on port ${PORT}`);
-  console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
+  eraseDueAccounts();
+  setInterval(eraseDueAccounts, ERASURE_CHECK_INTERVAL_MS).unref();
+  sweepWaitlists();
+  setInterval(sweepWaitlists, WAITLIST_SWEEP_INTERVAL_MS).unref();
 });
@@ -1,75 +1,131 @@
 const jwt = require('jsonwebtoken');
-const { prisma } = require('../config/database');
-
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Access denied. No token provided.' });
-    }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        role: true,
-        isActive: true
-      }
-    });
+const AUTH_USER_FIELDS = ['id', 'email', 'firstName', 'lastName', 'role', 'isActive', 'isVerified', 'twoFactorEnabled'];
+
+// Short-lived access token for one session (see repositories/sessions.js)
+function signToken(user, session, config) {
+  return jwt.sign(
+    { userId: user.id, sessionId: session.id },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+}
+
+// The session named by a token payload, if it is still open. Logging out,
+// revoking or a password reset closes it before the access token expires.
+async function findOpenSession(store, decoded) {
+  if (!decoded.sessionId) return null;
+  const session = await store.sessions.findById(decoded.sessionId);
+  return session && session.userId === decoded.userId && !session.revokedAt ? session : null;
+}
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'Invalid token or user inactive.' });
+// Scopes an API key needs for the matched route, from the middleware on it
+// (requirePermission and allowApiKeys in middleware/permissions.js)
+function routeScopes(req) {
+  const handlers = req.route ? req.route.stack.map(layer => layer.handle) : [];
+  return [...new Set(handlers.map(handler => handler.apiKeyScope).filter(Boolean))];
+}
+
+// Builds the auth middleware for a store, the app config (for the JWT
+// secret) and a clock. `createAuth(store, config, clock)` rejects requests
+// without a valid token; `createAuth(store, config, clock).optional` lets
+// them through without req.user. Besides session JWTs, `auth` accepts API
+// keys (`Authorization: Bearer ssc_...`): the request then runs as the key's
+// creator, with req.apiKey set, on routes whose scopes the key holds.
+function createAuth(store, config, clock = { now: () => new Date() }) {
+  async function authenticateApiKey(key, req, res, next) {
+    const now = clock.now();
+    const apiKey = await store.apiKeys.findByKey(key);
+    const owner = apiKey && store.apiKeys.statusOf(apiKey, now) === 'ACTIVE'
+      && await store.users.findById(apiKey.createdById);
+
+    if (!owner || !owner.isActive) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked API key.' });
     }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token.' });
+    const scopes = routeScopes(req);
+    if (scopes.length === 0) {
+      return res.status(403).json({ error: 'API keys cannot be used for this endpoint.' });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired.' });
+    const missing = scopes.filter(scope => !apiKey.scopes.includes(scope));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: `API key is missing the ${missing.join(', ')} scope.` });
     }
-    
-    console.error('Auth middleware error:', error);
-    res.status(500).json({ error: 'Internal server error.' });
+
+    await store.apiKeys.recordUse(apiKey, { now, ip: req.ip });
+    req.user = store.users.toPublic(owner, AUTH_USER_FIELDS);
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    next();
   }
-};
-
-// Optional auth - doesn't fail if no token
-const optionalAuth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          role: true,
-          isActive: true
-        }
-      });
 
-      if (user && user.isActive) {
-        req.user = user;
+  const auth = async (req, res, next) => {
+    try {
+      const token = req.header('Authorization')?.replace('Bearer ', '');
+
+      if (!token) {
+        return res.status(401).json({ error: 'Access denied. No token provided.' });
+      }
+      if (store.apiKeys.isApiKey(token)) {
+        return await authenticateApiKey(token, req, res, next);
+      }
+
+      const decoded = jwt.verify(token, config.jwt.secret);
+      const user = await store.users.findById(decoded.userId);
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({ error: 'Invalid token or user inactive.' });
+      }
+      const session = await findOpenSession(store, decoded);
+      if (!session) {
+        return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+      }
+
+      req.user = store.users.toPublic(user, AUTH_USER_FIELDS);
+      req.sessionId = session.id;
+      next();
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({ error: 'Invalid token.' });
       }
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired.' });
+      }
+
+      req.log.error('Auth middleware error', { err: error });
+      res.status(500).json({ error: 'Internal server error.', requestId: req.id });
     }
-    
-    next();
-  } catch (error) {
-    // Continue without authentication
-    next();
-  }
-};
+  };
+
+  // Optional auth - doesn't fail if no token. Sessions only: API keys are ignored.
+  const optionalAuth = async (req, res, next) => {
+    try {
+      const token = req.header('Authorization')?.replace('Bearer ', '');
+
+      if (token) {
+        const decoded = jwt.verify(token, config.jwt.secret);
+        const user = await store.users.findById(decoded.userId);
+
+        if (user && user.isActive && await findOpenSession(store, decoded)) {
+          req.user = store.users.toPublic(user, AUTH_USER_FIELDS);
+          req.sessionId = decoded.sessionId;
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Continue without authentication
+      next();
+    }
+  };
+
+  // Read by the OpenAPI generator (openapi/index.js)
+  auth.openapi = { security: [{ bearerAuth: [] }] };
+  optionalAuth.openapi = { security: [{}, { bearerAuth: [] }] };
+
+  auth.optional = optionalAuth;
+  return auth;
+}
 
-module.exports = auth;
+module.exports = createAuth;
+module.exports.signToken = signToken;
+module.exports.findOpenSession = findOpenSession;
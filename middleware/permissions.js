@@ -0,0 +1,107 @@
+// Who may do what. Routes ask for a permission, never for a role, so
+// granting a role more (or less) is a change to this table only.
+const PERMISSIONS = {
+  'events:manage': ['ADMIN'],
+  'events:viewRegistrations': ['ADMIN', 'MODERATOR'],
+  'events:checkIn': ['ADMIN', 'MODERATOR'],
+  'members:view': ['ADMIN', 'MODERATOR'],
+  'members:manage': ['ADMIN'],
+  'blog:edit': ['ADMIN', 'MODERATOR'],
+  'blog:publish': ['ADMIN', 'MODERATOR'],
+  'blog:delete': ['ADMIN', 'MODERATOR'],
+  'gallery:manage': ['ADMIN', 'MODERATOR'],
+  'team:manage': ['ADMIN'],
+  'contact:manage': ['ADMIN', 'MODERATOR'],
+  'accessCodes:manage': ['ADMIN'],
+  'apiKeys:manage': ['ADMIN']
+};
+
+// What an API key's scopes let it do. A key acts for the admin who created
+// it and reaches only routes that name a scope: through the permission they
+// require, or through allowApiKeys() on routes without one. Permissions not
+// listed here (managing members, codes and keys) are never open to keys.
+const API_KEY_SCOPES = {
+  'events:write': ['events:manage'],
+  'registrations:read': ['events:viewRegistrations'],
+  'checkins:write': ['events:checkIn'],
+  'members:read': ['members:view'],
+  'blog:write': ['blog:edit', 'blog:publish', 'blog:delete'],
+  'gallery:write': ['gallery:manage'],
+  'team:write': ['team:manage'],
+  'contact:write': ['contact:manage']
+};
+
+const scopeFor = permission => Object.keys(API_KEY_SCOPES).find(scope => API_KEY_SCOPES[scope].includes(permission));
+
+function rolesFor(permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles;
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user) && rolesFor(permission).includes(user.role);
+}
+
+// Use after the auth middleware, which sets req.user
+function requirePermission(permission) {
+  const roles = rolesFor(permission);
+
+  const checkPermission = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    }
+    // Admin powers need a second factor; enrolling only needs a login
+    if (req.user.role === 'ADMIN' && !req.user.twoFactorEnabled) {
+      return res.status(403).json({ error: 'Admin accounts must set up two-factor authentication first.' });
+    }
+    next();
+  };
+
+  // Read by the OpenAPI generator (openapi/index.js) and, for API keys, the auth middleware
+  const scope = scopeFor(permission);
+  checkPermission.openapi = { roles, 'x-permission': permission, ...(scope && { 'x-api-key-scope': scope }) };
+  checkPermission.apiKeyScope = scope;
+  return checkPermission;
+}
+
+// Opens a route without a permission check (e.g. creating a blog post) to
+// API keys holding `scope`; does nothing for signed-in users
+function allowApiKeys(scope) {
+  if (!API_KEY_SCOPES[scope]) {
+    throw new Error(`Unknown API key scope: ${scope}`);
+  }
+
+  const allow = (req, res, next) => next();
+  allow.openapi = { 'x-api-key-scope': scope };
+  allow.apiKeyScope = scope;
+  return allow;
+}
+
+// Use after the auth middleware; keeps unverified accounts out of actions
+// that need proof the email address belongs to the caller
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+  if (!req.user.isVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first.' });
+  }
+  next();
+}
+
+requireVerifiedEmail.openapi = { 'x-requires-verified-email': true };
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  requirePermission,
+  requireVerifiedEmail,
+  allowApiKeys
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { redactUrl } = require('../config/logger');
+
+// IDs a proxy or client may hand us; anything else gets a fresh one
+const INCOMING_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request a correlation ID (req.id, echoed in X-Request-Id) and
+// a logger bound to it (req.log). With logRequests, one entry is written per
+// finished request.
+function createRequestContext(logger, { logRequests = true } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    if (logRequests) {
+      const started = process.hrtime.bigint();
+      res.on('finish', () => {
+        req.log.info('Request completed', {
+          method: req.method,
+          url: redactUrl(req.originalUrl),
+          status: res.statusCode,
+          durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+          userId: req.user?.id,
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = createRequestContext;
@@ -0,0 +1,357 @@
+// Builds the OpenAPI 3 document from the routers the app actually mounts.
+//
+// Paths, methods, path parameters and request bodies come from the routes
+// themselves: express-validator chains are read back into JSON schemas, and
+// middleware can describe itself through an `openapi` property (the auth
+// middleware adds its security requirement that way, requirePermission the
+// permission and the roles holding it). Summaries, query parameters,
+// response bodies and the odd custom-validated field, which the code can't
+// express, live in ./operations.js keyed by "METHOD /path".
+const { version } = require('../package.json');
+const operations = require('./operations');
+const { schemas, responses } = require('./schemas');
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  429: 'TooManyRequests',
+  500: 'ServerError'
+};
+
+// "/api/events" + "/:id/register" -> "/api/events/{id}/register"
+function toOpenApiPath(mountPath, routePath) {
+  const joined = `${mountPath}/${routePath}`.replace(/\/+/g, '/');
+  const path = joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Every route of the mounted routers, in registration order
+function listRoutes(mounts) {
+  return mounts.flatMap(({ path: mountPath, router }) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .map(method => ({
+        method,
+        path: toOpenApiPath(mountPath, layer.route.path),
+        handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+      }))));
+}
+
+// Try a custom validator (isArray, isString, ...) against sample values
+function accepts(validation, value) {
+  try {
+    return validation.validator(value, { req: {}, location: 'body', path: '' }) !== false;
+  } catch (error) {
+    return false;
+  }
+}
+
+function customSchema(validation) {
+  if (accepts(validation, ['value']) && !accepts(validation, 'value')) {
+    return accepts(validation, []) ? { type: 'array' } : { type: 'array', minItems: 1 };
+  }
+  if (accepts(validation, 'value') && !accepts(validation, 1) && !accepts(validation, ['value'])) {
+    return { type: 'string' };
+  }
+  if (accepts(validation, {}) && !accepts(validation, []) && !accepts(validation, 'value')) {
+    return { type: 'object' };
+  }
+  return {};
+}
+
+function standardSchema({ validator, options, negated }) {
+  const [first] = options;
+  switch (validator.name) {
+    case 'isEmail':
+      return { type: 'string', format: 'email' };
+    case 'isInt':
+    case 'isFloat':
+      return {
+        type: validator.name === 'isInt' ? 'integer' : 'number',
+        ...(first?.min !== undefined && { minimum: first.min }),
+        ...(first?.max !== undefined && { maximum: first.max })
+      };
+    case 'isLength':
+      return {
+        type: 'string',
+        ...(first?.min !== undefined && { minLength: first.min }),
+        ...(first?.max !== undefined && { maxLength: first.max })
+      };
+    case 'isIn':
+      return { enum: first };
+    case 'isISO8601':
+      return { type: 'string', format: 'date-time' };
+    case 'isURL':
+      return { type: 'string', format: 'uri' };
+    case 'isBoolean':
+      return { type: 'boolean' };
+    case 'isEmpty':
+      return negated ? { notEmpty: true } : {};
+    default:
+      return {};
+  }
+}
+
+// JSON schema for one validation chain
+function chainSchema(context) {
+  const schema = {};
+  const messages = [];
+  let notEmpty = false;
+
+  for (const item of context.stack) {
+    if (typeof item.validator !== 'function') continue;
+
+    const { notEmpty: isNotEmpty, ...described } = item.constructor.name === 'CustomValidation'
+      ? customSchema(item)
+      : standardSchema(item);
+    notEmpty = notEmpty || Boolean(isNotEmpty);
+    Object.assign(schema, described);
+
+    if (typeof item.message === 'string' && !messages.includes(item.message)) {
+      messages.push(item.message);
+    }
+  }
+
+  if (notEmpty && !schema.type) {
+    schema.type = 'string';
+  }
+  if (notEmpty && schema.type === 'string' && schema.minLength === undefined) {
+    schema.minLength = 1;
+  }
+  if (messages.length > 0) {
+    schema.description = messages.join('. ');
+  }
+  return schema;
+}
+
+// Place "memberOrders.*.id" style fields into an object schema
+function addField(root, field, schema, required) {
+  const parts = field.split('.');
+  let node = root;
+
+  parts.forEach((part, index) => {
+    if (part === '*') return;
+
+    node.type = node.type || 'object';
+    node.properties = node.properties || {};
+    const child = node.properties[part] = node.properties[part] || {};
+
+    if (required && !(node.required || []).includes(part)) {
+      node.required = [...(node.required || []), part];
+    }
+
+    if (index === parts.length - 1) {
+      Object.assign(child, schema);
+    } else if (parts[index + 1] === '*') {
+      child.type = 'array';
+      child.items = child.items || {};
+      node = child.items;
+    } else {
+      node = child;
+    }
+  });
+}
+
+function describeValidators(handlers) {
+  const body = {};
+  const parameters = [];
+
+  for (const handler of handlers) {
+    if (!handler.builder) continue;
+
+    const context = handler.builder.build();
+    const schema = chainSchema(context);
+    const required = context.optional === false;
+
+    for (const location of context.locations) {
+      for (const field of context.fields) {
+        if (location === 'body') {
+          addField(body, field, schema, required);
+        } else if (location === 'query' || location === 'params') {
+          parameters.push({
+            name: field,
+            in: location === 'params' ? 'path' : 'query',
+            required: location === 'params' || required,
+            schema
+          });
+        }
+      }
+    }
+  }
+
+  return { body: body.properties ? body : null, parameters };
+}
+
+// Anything middleware declares about itself (security, roles, ...)
+function describeMiddleware(handlers) {
+  return handlers
+    .filter(handler => handler.openapi)
+    .reduce((acc, handler) => ({ ...acc, ...handler.openapi }), {});
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function requestBody(body, upload) {
+  if (upload) {
+    const schema = {
+      type: 'object',
+      ...body,
+      properties: {
+        ...(body?.properties || {}),
+        [upload.field]: { type: 'string', format: 'binary', description: upload.description }
+      },
+      required: [...(body?.required || []), ...(upload.required ? [upload.field] : [])]
+    };
+    if (schema.required.length === 0) delete schema.required;
+    return { required: true, content: { 'multipart/form-data': { schema } } };
+  }
+  return { required: true, content: jsonContent(body) };
+}
+
+function buildResponses(operation, { hasValidation, secured, forbidden, path }) {
+  const result = {};
+
+  for (const [status, response] of Object.entries(operation.responses)) {
+    result[status] = {
+      description: response.description,
+      ...(response.schema && { content: jsonContent(response.schema) }),
+      // Non-JSON bodies give their media types directly
+      ...(response.content && { content: response.content })
+    };
+  }
+
+  const errors = { ...operation.errors };
+  const codes = new Set(Object.keys(errors).map(Number));
+  if (hasValidation) codes.add(400);
+  if (secured) codes.add(401);
+  if (forbidden) codes.add(403);
+  if (path.includes('{id}')) codes.add(404);
+  codes.add(500);
+
+  for (const code of [...codes].sort()) {
+    const custom = errors[code];
+    if (!custom) {
+      result[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+    } else {
+      const { description, schema } = typeof custom === 'string' ? { description: custom } : custom;
+      result[code] = {
+        description,
+        content: jsonContent(schema || responses[ERROR_RESPONSES[code]].content['application/json'].schema)
+      };
+    }
+  }
+
+  return result;
+}
+
+// Optional auth lists an empty requirement next to bearerAuth
+function requiresToken(security) {
+  return Boolean(security) && !security.some(requirement => Object.keys(requirement).length === 0);
+}
+
+// "List events by category" -> "listEventsByCategory"
+function toOperationId(summary) {
+  return summary
+    .replace(/[^a-zA-Z0-9 ]/g, '')
+    .split(' ')
+    .filter(Boolean)
+    .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+function buildOperation(route, operation) {
+  const validators = describeValidators(route.handlers);
+  // Custom validators can accept more than probing finds (e.g. a name or an object)
+  for (const [field, schema] of Object.entries(operation.fields || {})) {
+    validators.body.properties[field] = schema;
+  }
+  const middleware = describeMiddleware(route.handlers);
+  const {
+    roles,
+    'x-permission': permission,
+    'x-requires-verified-email': verifiedEmail,
+    'x-api-key-scope': apiKeyScope
+  } = middleware;
+  const pathParameters = [...route.path.matchAll(/\{(\w+)\}/g)]
+    .map(([, name]) => name)
+    .filter(name => !validators.parameters.some(parameter => parameter.name === name))
+    .map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  const queryParameters = Object.entries(operation.query || {})
+    .map(([name, schema]) => ({ name, in: 'query', required: false, schema }));
+  const parameters = [...pathParameters, ...validators.parameters, ...queryParameters];
+
+  const description = [
+    operation.description,
+    roles && `Requires permission \`${permission}\` (role: ${roles.join(' or ')}).`,
+    verifiedEmail && 'Requires a verified email address.',
+    apiKeyScope && `Also accepts API keys with the \`${apiKeyScope}\` scope.`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(description && { description }),
+    operationId: toOperationId(operation.summary),
+    ...(middleware.security && { security: middleware.security }),
+    ...(roles && { 'x-permission': permission, 'x-roles': roles }),
+    ...(apiKeyScope && { 'x-api-key-scope': apiKeyScope }),
+    ...(parameters.length > 0 && { parameters }),
+    ...((validators.body || operation.upload) && { requestBody: requestBody(validators.body, operation.upload) }),
+    responses: buildResponses(operation, {
+      hasValidation: Boolean(validators.body || validators.parameters.length > 0),
+      secured: requiresToken(middleware.security),
+      forbidden: Boolean(roles || verifiedEmail),
+      path: route.path
+    })
+  };
+}
+
+// mounts: [{ path, router }] in the order the app mounts them
+function buildOpenApiDocument(mounts) {
+  const paths = {};
+
+  for (const route of listRoutes(mounts)) {
+    const key = `${route.method.toUpperCase()} ${route.path}`;
+    const operation = operations[key] || {
+      tag: 'Undocumented',
+      summary: 'Undocumented route',
+      responses: { 200: { description: 'Not documented in openapi/operations.js' } }
+    };
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route, operation);
+  }
+
+  const tags = [...new Set(Object.values(paths).flatMap(item => Object.values(item).flatMap(op => op.tags)))];
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Seneca Science Club API',
+      version,
+      description: 'Generated from the routes and request validators. Errors always carry an `error` message, except validation failures which list every problem under `errors`.'
+    },
+    servers: [{ url: '/' }],
+    tags: tags.map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'A session access token, or an API key (`ssc_...`) on operations that list an `x-api-key-scope` the key holds.'
+        }
+      },
+      schemas,
+      responses
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument, listRoutes };
@@ -0,0 +1,875 @@
+// What the OpenAPI generator can't read from the routes: summaries, query
+// parameters, response bodies, extra error cases and schemas for fields with
+// custom validators (`fields`, replacing what was inferred). Keyed by
+// "METHOD /path" exactly as the generator lists routes; the drift test fails
+// when a route has no entry here or an entry no longer matches a route.
+const { CATEGORIES: EVENT_CATEGORIES, STATUSES: EVENT_STATUSES } = require('../repositories/events');
+const { CATEGORIES: GALLERY_CATEGORIES } = require('../repositories/galleryItems');
+const { SECURITY_EVENT_TYPES } = require('../repositories/securityEvents');
+const { STATUSES: ACCESS_CODE_STATUSES } = require('../repositories/accessCodes');
+const { STATUSES: API_KEY_STATUSES } = require('../repositories/apiKeys');
+const { API_KEY_SCOPES } = require('../middleware/permissions');
+const { ref } = require('./schemas');
+
+const ROLES = ['ADMIN', 'MODERATOR', 'MEMBER'];
+
+const listOf = name => ({ type: 'array', items: ref(name) });
+
+// Query parameters and response envelope shared by every paginated list
+const pageQuery = defaultLimit => ({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, default: defaultLimit }
+});
+const paginated = (key, name) => ({
+  type: 'object',
+  required: [key, 'pagination'],
+  properties: {
+    [key]: listOf(name),
+    pagination: ref('Pagination')
+  }
+});
+
+const ok = (description, schema) => ({ 200: { description, schema } });
+const created = (description, schema) => ({ 201: { description, schema } });
+const message = description => ok(description, ref('Message'));
+const calendar = description => ({
+  200: { description, content: { 'text/calendar': { schema: { type: 'string' } } } }
+});
+
+module.exports = {
+  // Auth
+  'POST /api/auth/register': {
+    tag: 'Auth',
+    summary: 'Register a member account',
+    description: 'The account starts unverified and a verification link (`FRONTEND_URL/verify-email?token=...`, valid 24 hours) is emailed to the address. When the email belongs to a guest account (made by an event registration), nothing is created: a claim link is emailed instead and the answer is 202.',
+    responses: {
+      ...created('Account created and signed in', ref('AuthResult')),
+      202: {
+        description: 'The email has a guest account; a claim link was emailed',
+        schema: {
+          type: 'object',
+          properties: { message: { type: 'string' }, claimRequired: { type: 'boolean', enum: [true] } }
+        }
+      }
+    },
+    errors: { 400: 'Validation failed, or the email or Seneca ID is already registered' }
+  },
+  'POST /api/auth/login': {
+    tag: 'Auth',
+    summary: 'Sign in',
+    description: 'Failed attempts are counted per email and per client IP. After a few failures each attempt has to wait longer (`Retry-After`), and at the limit the email or IP is locked for 15 minutes. Accounts with two-factor authentication get a `challengeToken` instead of a session, to finish signing in at POST /api/auth/login/2fa within 5 minutes.',
+    responses: ok('Signed in, or asked for a two-factor code', { oneOf: [ref('AuthResult'), ref('TwoFactorChallenge')] }),
+    errors: {
+      401: 'Wrong email or password, or the account is deactivated',
+      429: 'Too many recent failed attempts for this email or IP; `retryAfter` gives the seconds to wait'
+    }
+  },
+  'POST /api/auth/login/2fa': {
+    tag: 'Auth',
+    summary: 'Finish signing in with a two-factor code',
+    description: 'Takes the `challengeToken` from POST /api/auth/login plus either `code` from the authenticator app or one unused `recoveryCode`. Each recovery code works once. Wrong codes count as failed logins.',
+    responses: ok('Signed in', ref('AuthResult')),
+    errors: {
+      400: 'Validation failed, or neither a code nor a recovery code was sent',
+      401: 'The challenge expired or is invalid, or the code is wrong',
+      429: 'Too many recent failed attempts for this account or IP'
+    }
+  },
+  'GET /api/auth/oidc/login': {
+    tag: 'Auth',
+    summary: 'Sign in with single sign-on',
+    description: 'Opened in the browser. Redirects to the OpenID Connect provider (authorization code flow with PKCE) and sets a short-lived cookie tying the callback to this browser. `loginHint` is passed on as `login_hint`.',
+    responses: { 302: { description: 'Redirect to the provider' } },
+    errors: { 404: 'Single sign-on is not configured' }
+  },
+  'GET /api/auth/oidc/callback': {
+    tag: 'Auth',
+    summary: 'Single sign-on callback',
+    description: 'Where the provider returns the browser. Signs in the account linked to the provider identity, else the account with the same (provider-verified) email, which gets linked, else a new account. Then redirects to `FRONTEND_URL/auth/callback` with the outcome in the URL fragment: `token` and `refreshToken`; `challengeToken` when the account has two-factor authentication (finish at POST /api/auth/login/2fa); or `error`, one of `access_denied`, `invalid_state`, `sso_failed`, `email_not_verified`, `domain_not_allowed`, `account_conflict`, `account_deactivated`, `server_error`.',
+    query: {
+      code: { type: 'string' },
+      state: { type: 'string' },
+      error: { type: 'string', description: 'Set by the provider when sign-in was refused' }
+    },
+    responses: { 302: { description: 'Redirect to the frontend' } },
+    errors: { 404: 'Single sign-on is not configured' }
+  },
+  'GET /api/auth/me': {
+    tag: 'Auth',
+    summary: 'Get the signed-in user',
+    description: 'Reads the Bearer token itself rather than through the auth middleware.',
+    responses: ok('The current user', ref('User')),
+    errors: { 401: 'Missing, invalid or expired token, or the account is deactivated' }
+  },
+  'POST /api/auth/refresh': {
+    tag: 'Auth',
+    summary: 'Refresh a token',
+    description: 'Trades a refresh token for a new access token and a new refresh token. Each refresh token works once: presenting one that was already used ends its session.',
+    responses: ok('New tokens', ref('TokenPair')),
+    errors: { 401: 'The refresh token is unknown, used, expired or revoked, or the account is deactivated' }
+  },
+  'POST /api/auth/forgot-password': {
+    tag: 'Auth',
+    summary: 'Request a password reset',
+    description: 'Emails a reset link (`FRONTEND_URL/reset-password?token=...`) that works once and expires after an hour; requesting another link voids the previous one. Guest accounts get a claim link instead. Always answers the same way so it does not reveal which emails have accounts.',
+    responses: message('Reset requested')
+  },
+  'POST /api/auth/reset-password': {
+    tag: 'Auth',
+    summary: 'Reset a password',
+    description: 'Uses up the emailed token and signs the account out everywhere by revoking all of its sessions.',
+    responses: message('Password changed'),
+    errors: { 400: 'Validation failed, or the reset token is invalid or expired' }
+  },
+  'POST /api/auth/claim': {
+    tag: 'Auth',
+    summary: 'Claim a guest account',
+    description: 'Takes the token from the emailed claim link (`FRONTEND_URL/claim-account?token=...`, valid 7 days), sets the password, marks the email verified and signs in. The account keeps its event registrations.',
+    responses: ok('Account claimed and signed in', ref('AuthResult')),
+    errors: {
+      400: 'Validation failed, or the link is invalid or expired',
+      401: 'Account is deactivated'
+    }
+  },
+  'POST /api/auth/verify-email': {
+    tag: 'Auth',
+    summary: 'Verify an email address',
+    description: 'Takes the token from the emailed verification link.',
+    responses: ok('Email verified', {
+      type: 'object',
+      properties: { message: { type: 'string' }, user: ref('User') }
+    }),
+    errors: { 400: 'Validation failed, or the link is invalid or expired' }
+  },
+  'POST /api/auth/resend-verification': {
+    tag: 'Auth',
+    summary: 'Resend the verification email',
+    description: 'Sends a new link and voids the previous one. At most one email per minute.',
+    responses: message('Verification email sent'),
+    errors: {
+      400: 'The email is already verified',
+      429: 'A verification email was sent less than a minute ago'
+    }
+  },
+  'POST /api/auth/verify-code': {
+    tag: 'Auth',
+    summary: 'Check a mentor access code',
+    description: 'Valid while the code is not revoked, expired or used up. Checking does not count as a use.',
+    responses: ok('Whether the code is valid', {
+      type: 'object',
+      properties: { valid: { type: 'boolean' } }
+    })
+  },
+  'POST /api/auth/logout': {
+    tag: 'Auth',
+    summary: 'Sign out',
+    description: 'Ends the session of the Bearer token, or of `refreshToken` when the access token has already expired. Always succeeds.',
+    responses: message('Signed out')
+  },
+  'GET /api/auth/sessions': {
+    tag: 'Auth',
+    summary: 'List my sessions',
+    description: 'Sessions that can still be refreshed, most recently used first. `current` marks the session of the Bearer token.',
+    responses: ok('Open sessions', {
+      type: 'object',
+      properties: { sessions: { type: 'array', items: ref('Session') } }
+    })
+  },
+  'DELETE /api/auth/sessions': {
+    tag: 'Auth',
+    summary: 'Revoke all my sessions',
+    description: 'Signs out every device, including this one.',
+    responses: ok('Sessions revoked', ref('RevokedCount'))
+  },
+  'DELETE /api/auth/sessions/{id}': {
+    tag: 'Auth',
+    summary: 'Revoke one of my sessions',
+    responses: message('Session revoked')
+  },
+  'GET /api/auth/2fa': {
+    tag: 'Auth',
+    summary: 'Get my two-factor status',
+    description: '`required` is true for admins, who cannot use admin permissions until two-factor authentication is on.',
+    responses: ok('Two-factor status', ref('TwoFactorStatus'))
+  },
+  'POST /api/auth/2fa/setup': {
+    tag: 'Auth',
+    summary: 'Start two-factor setup',
+    description: 'Creates a new TOTP secret for an authenticator app, as text, as an `otpauth://` URL and as a QR code. Two-factor authentication stays off until POST /api/auth/2fa/enable gets a code; calling this again replaces the secret.',
+    responses: ok('Provisioning data', ref('TwoFactorSetup')),
+    errors: { 400: 'Two-factor authentication is already enabled' }
+  },
+  'POST /api/auth/2fa/enable': {
+    tag: 'Auth',
+    summary: 'Turn on two-factor authentication',
+    description: 'Confirms setup with a code from the app. The response holds ten one-time recovery codes, which are not shown again.',
+    responses: ok('Enabled', ref('RecoveryCodes')),
+    errors: { 400: 'Validation failed, setup was not started, already enabled, or the code is wrong' }
+  },
+  'POST /api/auth/2fa/recovery-codes': {
+    tag: 'Auth',
+    summary: 'Replace my recovery codes',
+    description: 'Needs a current code from the app. The previous recovery codes stop working.',
+    responses: ok('New recovery codes', ref('RecoveryCodes')),
+    errors: { 400: 'Validation failed, two-factor authentication is off, or the code is wrong' }
+  },
+  'POST /api/auth/2fa/disable': {
+    tag: 'Auth',
+    summary: 'Turn off two-factor authentication',
+    description: 'Needs the password and a current code from the app.',
+    responses: message('Disabled'),
+    errors: {
+      400: 'Validation failed, two-factor authentication is off, or the password or code is wrong',
+      403: 'Admin accounts must keep two-factor authentication on'
+    }
+  },
+
+  // Events
+  'GET /api/events': {
+    tag: 'Events',
+    summary: 'List events',
+    query: {
+      status: { type: 'string', enum: EVENT_STATUSES },
+      category: { type: 'string', enum: EVENT_CATEGORIES },
+      ...pageQuery(20)
+    },
+    responses: ok('Events by date, with their registrations', paginated('events', 'Event'))
+  },
+  'POST /api/events': {
+    tag: 'Events',
+    summary: 'Create an event',
+    description: 'Only the event details and `status` are read from the body; `currentCapacity` starts at 0 and other fields, such as `seriesId`, are ignored.',
+    responses: created('The new event', ref('Event'))
+  },
+  'GET /api/events/attendance': {
+    tag: 'Events',
+    summary: 'Attendance of past events',
+    description: 'Registered vs. checked-in numbers and no-show rates for events that have started, most recent first.',
+    query: pageQuery(20),
+    responses: ok('A page of attendance figures', paginated('events', 'Attendance'))
+  },
+  'GET /api/events/calendar.ics': {
+    tag: 'Events',
+    summary: 'Subscribe to the events calendar',
+    description: 'Every club event as an iCalendar feed for Google Calendar, Outlook or Apple Calendar. Times are Toronto local time (`TZID=America/Toronto`); cancelled events stay in the feed with `STATUS:CANCELLED`.',
+    query: {
+      category: { type: 'string', enum: EVENT_CATEGORIES },
+      status: { type: 'string', enum: EVENT_STATUSES }
+    },
+    responses: calendar('The calendar')
+  },
+  'GET /api/events/calendar/{token}.ics': {
+    tag: 'Events',
+    summary: 'Personal calendar feed',
+    description: 'The events a member registered for, from the secret link at GET /api/members/profile/calendar. Confirmed spots are CONFIRMED; waitlist places and unconfirmed offers are TENTATIVE.',
+    responses: calendar('The calendar'),
+    errors: { 404: 'The link was reset, or its account is no longer active' }
+  },
+  'GET /api/events/tickets/qr': {
+    tag: 'Events',
+    summary: 'Render a ticket as a QR code',
+    description: 'Draws the ticket token as a QR code for the ticket page (`FRONTEND_URL/events/ticket?token=...`) to show. Anyone holding the token can render it; the token is checked, the registration is not.',
+    query: {
+      token: { type: 'string', description: 'Ticket token' },
+      format: { type: 'string', enum: ['png', 'svg'], default: 'png' }
+    },
+    responses: {
+      200: {
+        description: 'The QR code',
+        content: {
+          'image/png': { schema: { type: 'string', format: 'binary' } },
+          'image/svg+xml': { schema: { type: 'string' } }
+        }
+      }
+    },
+    errors: { 400: 'Validation failed, or the token is not a genuine ticket' }
+  },
+  'GET /api/events/{id}': {
+    tag: 'Events',
+    summary: 'Get an event',
+    responses: ok('The event with registrations and gallery items', ref('EventDetail'))
+  },
+  'PUT /api/events/{id}': {
+    tag: 'Events',
+    summary: 'Update an event',
+    description: 'Only the event details and `status` can be changed; other fields, such as `currentCapacity` and `seriesId`, are ignored. Raising `maxCapacity` promotes people from the waitlist into the new spots straight away. For an occurrence of a series, `scope=following` applies the edit to it and every later occurrence (a new `date` moves each of them by the same amount) and saves the shared details on the series; the default, `occurrence`, changes this one only.',
+    responses: ok('The updated event', ref('Event')),
+    errors: { 400: 'Validation failed, or scope=following for an event that is not part of a series' }
+  },
+  'DELETE /api/events/{id}': {
+    tag: 'Events',
+    summary: 'Delete an event',
+    responses: message('Event deleted')
+  },
+  'POST /api/events/{id}/register': {
+    tag: 'Events',
+    summary: 'Register for an event',
+    description: 'Anyone can register. Emails that are not registered yet get a guest account and an emailed link to claim it (POST /api/auth/claim). Guests are also emailed a link to cancel. Events with a capacity limit need a verified email: unverified accounts are refused, and guests are refused and sent the claim link, after which they can register again. When the event is full, or others are already waiting, the registration is WAITLISTED and `waitlistPosition` says where it is in line. Someone whose registration was cancelled can register again. Cancelled events, and events that have started, take no registrations.',
+    responses: created('Registered, or placed on the waitlist', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        registration: ref('EventRegistration'),
+        ticket: { type: 'string', description: 'Ticket token for a CONFIRMED spot' },
+        waitlistPosition: { type: 'integer', description: 'Only when waitlisted; 1 is next in line' }
+      }
+    }),
+    errors: {
+      400: 'Validation failed, the event is cancelled or has started, or this person is already registered or waitlisted',
+      403: 'The event has a capacity limit and the account is a guest or has not verified its email'
+    }
+  },
+  'DELETE /api/events/{id}/register': {
+    tag: 'Events',
+    summary: 'Cancel your registration',
+    description: 'Cancels the registration, or place on the waitlist, of the signed-in member. A freed spot goes to the first on the waitlist.',
+    responses: ok('Registration cancelled', {
+      type: 'object',
+      properties: { message: { type: 'string' }, registration: ref('EventRegistration') }
+    }),
+    errors: {
+      400: 'The event has already started',
+      404: 'No active registration for this event'
+    }
+  },
+  'POST /api/events/registrations/cancel': {
+    tag: 'Events',
+    summary: 'Cancel a registration with an emailed link',
+    description: 'Guests are emailed a link (`FRONTEND_URL/events/cancel-registration?token=...`) when they register. The token works until the registration is cancelled or the event starts.',
+    responses: ok('Registration cancelled', {
+      type: 'object',
+      properties: { message: { type: 'string' }, registration: ref('EventRegistration') }
+    }),
+    errors: { 400: 'Validation failed, the link is invalid or already used, or the event has already started' }
+  },
+  'PATCH /api/events/{id}/registrations/{registrationId}/cancel': {
+    tag: 'Events',
+    summary: 'Cancel a registration',
+    description: 'Works at any time, including after the event. A freed spot goes to the first on the waitlist while the event is still to come.',
+    responses: ok('Registration cancelled', {
+      type: 'object',
+      properties: { message: { type: 'string' }, registration: ref('EventRegistration') }
+    }),
+    errors: {
+      400: 'The registration is already cancelled',
+      404: 'Registration not found for this event'
+    }
+  },
+  'POST /api/events/waitlist/confirm': {
+    tag: 'Events',
+    summary: 'Confirm a spot offered from the waitlist',
+    description: 'For events with `waitlistConfirmationHours`, people promoted from the waitlist are PENDING and emailed a link (`FRONTEND_URL/events/confirm-spot?token=...`). Confirming before `confirmBy` makes the registration CONFIRMED; after that the offer is cancelled and the spot goes to the next in line.',
+    responses: ok('Spot confirmed', {
+      type: 'object',
+      properties: { message: { type: 'string' }, registration: ref('EventRegistration'), ticket: { type: 'string' } }
+    }),
+    errors: { 400: 'Validation failed, or the offer is invalid or has expired' }
+  },
+  'GET /api/events/{id}/waitlist': {
+    tag: 'Events',
+    summary: 'Get the waitlist for an event',
+    responses: ok('Waitlisted registrations, first in line first', listOf('WaitlistEntry'))
+  },
+  'PUT /api/events/{id}/waitlist': {
+    tag: 'Events',
+    summary: 'Reorder the waitlist for an event',
+    responses: ok('The waitlist in its new order', listOf('WaitlistEntry')),
+    errors: { 400: 'Validation failed, or the ids are not exactly the waitlisted registrations' }
+  },
+  'GET /api/events/{id}/calendar.ics': {
+    tag: 'Events',
+    summary: 'Download an event as .ics',
+    responses: calendar('The event as an iCalendar file')
+  },
+  'GET /api/events/{id}/ticket': {
+    tag: 'Events',
+    summary: 'Get your ticket',
+    description: 'The signed ticket token for the CONFIRMED registration of the signed-in member. Guests get theirs in the registration response and email.',
+    responses: ok('The ticket', ref('Ticket')),
+    errors: { 404: 'No confirmed registration for this event' }
+  },
+  'POST /api/events/{id}/check-in': {
+    tag: 'Events',
+    summary: 'Check a ticket in',
+    description: 'Scanned at the door. Records the check-in time and who scanned it; a ticket checks in only once.',
+    responses: ok('Checked in', {
+      type: 'object',
+      properties: { message: { type: 'string' }, registration: ref('EventRegistration') }
+    }),
+    errors: {
+      400: 'Validation failed, the ticket is not genuine or is for another event, or the registration is not CONFIRMED',
+      409: {
+        description: 'The ticket was already checked in',
+        schema: { type: 'object', properties: { error: { type: 'string' }, checkedInAt: { type: 'string', format: 'date-time' } } }
+      }
+    }
+  },
+  'GET /api/events/{id}/attendance': {
+    tag: 'Events',
+    summary: 'Attendance of an event',
+    responses: ok('Registered vs. checked-in numbers', ref('Attendance'))
+  },
+  'GET /api/events/{id}/registrations': {
+    tag: 'Events',
+    summary: 'List registrations for an event',
+    responses: ok('Registrations with attendee details', listOf('EventRegistration'))
+  },
+
+  // Event series
+  'GET /api/event-series': {
+    tag: 'Event Series',
+    summary: 'List event series',
+    responses: ok('Series, by first date', listOf('EventSeries'))
+  },
+  'GET /api/event-series/{id}': {
+    tag: 'Event Series',
+    summary: 'Get an event series',
+    responses: ok('The series with its occurrences, by date', ref('EventSeriesDetail'))
+  },
+  'POST /api/event-series': {
+    tag: 'Event Series',
+    summary: 'Create an event series',
+    description: 'Creates the series and an event for each occurrence of its rule: every `interval` weeks or months from `startDate`, until `until` (inclusive) or for `count` occurrences, skipping `exceptionDates`. Monthly series skip months without the start day (e.g. the 31st). Give either `until` or `count`; a series has at most 100 occurrences. Registrations are per occurrence.',
+    responses: created('The series with its occurrences', ref('EventSeriesDetail')),
+    errors: { 400: 'Validation failed, the rule has no end or too many occurrences, or every date is an exception' }
+  },
+  'PATCH /api/event-series/{id}/cancel': {
+    tag: 'Event Series',
+    summary: 'Cancel an event series',
+    description: 'Marks the series cancelled and sets every occurrence that has not started to CANCELLED, along with its registrations and waitlist. Each registrant gets one email listing the cancelled dates. Past occurrences are kept as they are.',
+    responses: ok('Series cancelled', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        series: ref('EventSeries'),
+        cancelledOccurrences: { type: 'integer' },
+        cancelledRegistrations: { type: 'integer' }
+      }
+    }),
+    errors: { 400: 'The series is already cancelled' }
+  },
+
+  // Members
+  'GET /api/members': {
+    tag: 'Members',
+    summary: 'List members',
+    query: {
+      search: { type: 'string', description: 'Matches name, email or Seneca ID' },
+      role: { type: 'string', enum: ROLES },
+      isActive: { type: 'boolean' },
+      isVerified: { type: 'boolean' },
+      ...pageQuery(20)
+    },
+    responses: ok('Members, newest first', paginated('members', 'Member'))
+  },
+  'GET /api/members/profile': {
+    tag: 'Members',
+    summary: 'Get my profile',
+    responses: ok('The signed-in member with registrations and published posts', ref('MemberProfile'))
+  },
+  'PUT /api/members/profile': {
+    tag: 'Members',
+    summary: 'Update my profile',
+    responses: ok('The updated profile', ref('User'))
+  },
+  'GET /api/members/profile/export': {
+    tag: 'Members',
+    summary: 'Export my personal data',
+    description: 'Everything the club holds about the signed-in member, as a JSON download: profile, registrations, blog posts (drafts included), testimonials, contact messages sent from the account email, sessions, security events and API keys. Secrets such as password and key hashes are left out.',
+    responses: ok('The export', ref('PersonalDataExport'))
+  },
+  'GET /api/members/profile/calendar': {
+    tag: 'Members',
+    summary: 'Get my calendar feed link',
+    description: 'A private link to a feed of the events you registered for (GET /api/events/calendar/{token}.ics). Anyone with the link can read the feed, so treat it like a password.',
+    responses: ok('The feed link', ref('CalendarFeed'))
+  },
+  'POST /api/members/profile/calendar/reset': {
+    tag: 'Members',
+    summary: 'Replace my calendar feed link',
+    description: 'Issues a new link; calendars subscribed with the old one stop updating.',
+    responses: ok('The new feed link', {
+      allOf: [ref('CalendarFeed'), { type: 'object', properties: { message: { type: 'string' } } }]
+    })
+  },
+  'POST /api/members/profile/erasure': {
+    tag: 'Members',
+    summary: 'Request erasure of my account',
+    description: 'Schedules the erasure after `ERASURE_GRACE_DAYS` (7 by default) and emails the member. Until then the account works as usual and the request can be cancelled. Erasure deletes posts, testimonials, contact messages, sessions and keys, drops registrations for events still to come and leaves an anonymous, inactive record so past event counts stay correct. `password` is required unless the account signs in through single sign-on.',
+    responses: {
+      202: {
+        description: 'Erasure scheduled',
+        schema: {
+          type: 'object',
+          properties: { message: { type: 'string' }, erasureScheduledFor: { type: 'string', format: 'date-time' } }
+        }
+      }
+    },
+    errors: {
+      400: 'Validation failed, or the password is incorrect',
+      403: 'Admin accounts cannot be erased',
+      409: 'Erasure already requested'
+    }
+  },
+  'DELETE /api/members/profile/erasure': {
+    tag: 'Members',
+    summary: 'Cancel the erasure of my account',
+    responses: message('Erasure cancelled'),
+    errors: { 400: 'No erasure is pending' }
+  },
+  'GET /api/members/erasures': {
+    tag: 'Members',
+    summary: 'List pending erasures',
+    description: 'Members who asked for erasure and are still in the grace period, soonest first.',
+    responses: ok('Pending erasures', listOf('PendingErasure'))
+  },
+  'GET /api/members/{id}': {
+    tag: 'Members',
+    summary: 'Get a member',
+    responses: ok('The member with registrations and all posts', ref('MemberProfile'))
+  },
+  'PUT /api/members/{id}': {
+    tag: 'Members',
+    summary: 'Update a member',
+    responses: ok('The updated member', ref('User'))
+  },
+  'PATCH /api/members/change-password': {
+    tag: 'Members',
+    summary: 'Change my password',
+    responses: message('Password changed'),
+    errors: { 400: 'Validation failed, or the current password is wrong' }
+  },
+  'PATCH /api/members/deactivate': {
+    tag: 'Members',
+    summary: 'Deactivate my account',
+    responses: message('Account deactivated')
+  },
+  'PATCH /api/members/{id}/reactivate': {
+    tag: 'Members',
+    summary: 'Reactivate a member',
+    responses: ok('Account reactivated', {
+      type: 'object',
+      properties: { message: { type: 'string' }, member: ref('User') }
+    })
+  },
+  'GET /api/members/security-events': {
+    tag: 'Members',
+    summary: 'List security events',
+    description: 'Login lockouts and unlocks, two-factor changes and erasures, newest first.',
+    query: {
+      type: { type: 'string', enum: SECURITY_EVENT_TYPES },
+      userId: { type: 'string' },
+      ...pageQuery(50)
+    },
+    responses: ok('A page of events', paginated('events', 'SecurityEvent'))
+  },
+  'PATCH /api/members/{id}/unlock': {
+    tag: 'Members',
+    summary: 'Unlock a member account',
+    description: 'Clears the failed login attempts that locked the account and records an `ACCOUNT_UNLOCKED` event.',
+    responses: message('Account unlocked')
+  },
+  'DELETE /api/members/{id}/two-factor': {
+    tag: 'Members',
+    summary: 'Reset two-factor authentication for a member',
+    description: 'Turns two-factor authentication off so the member can set it up again, for example after losing their phone, and records a `TWO_FACTOR_RESET` event. Admins cannot reset their own.',
+    responses: message('Two-factor authentication reset'),
+    errors: { 400: 'The member is the caller, or has no two-factor setup' }
+  },
+  'DELETE /api/members/{id}/sessions': {
+    tag: 'Members',
+    summary: 'Sign a member out everywhere',
+    description: 'Revokes every session of the member; their access tokens stop working immediately.',
+    responses: ok('Sessions revoked', ref('RevokedCount'))
+  },
+  'GET /api/members/stats/overview': {
+    tag: 'Members',
+    summary: 'Get member statistics',
+    responses: ok('Member counts', ref('MemberStats'))
+  },
+
+  // Blog
+  'GET /api/blog': {
+    tag: 'Blog',
+    summary: 'List published posts',
+    query: {
+      tag: { type: 'string' },
+      ...pageQuery(10)
+    },
+    responses: ok('Published posts, newest first', paginated('posts', 'BlogPost'))
+  },
+  'POST /api/blog': {
+    tag: 'Blog',
+    summary: 'Publish a post',
+    responses: created('The new post, authored by the caller', ref('BlogPost'))
+  },
+  'GET /api/blog/{id}': {
+    tag: 'Blog',
+    summary: 'Get a published post',
+    responses: ok('The post; its version is sent as the ETag header', ref('BlogPost'))
+  },
+  'PUT /api/blog/{id}': {
+    tag: 'Blog',
+    summary: 'Edit a post',
+    description: 'Send the version you edited as `version` or an If-Match header; a stale version is rejected instead of overwriting newer changes.',
+    responses: ok('The updated post', ref('BlogPost')),
+    errors: { 409: { description: 'The post changed since that version', schema: ref('VersionConflict') } }
+  },
+  'DELETE /api/blog/{id}': {
+    tag: 'Blog',
+    summary: 'Delete a post',
+    responses: message('Post deleted')
+  },
+  'POST /api/blog/simple': {
+    tag: 'Blog',
+    summary: 'Publish a post with a mentor access code',
+    fields: {
+      author: {
+        oneOf: [
+          { type: 'string', example: 'Jane Goodall' },
+          {
+            type: 'object',
+            required: ['firstName'],
+            properties: { firstName: { type: 'string' }, lastName: { type: 'string' } }
+          }
+        ],
+        description: 'Author name, or { firstName, lastName }'
+      }
+    },
+    description: 'Uses up one use of the access code and records it on the post (`accessCodeId`). The post is credited to a placeholder author account kept per code and name, which cannot sign in; it is never matched to a member with the same name.',
+    responses: created('The new post', ref('BlogPost')),
+    errors: { 401: 'Unknown, revoked, expired or used-up access code' }
+  },
+  'PATCH /api/blog/{id}/publish': {
+    tag: 'Blog',
+    summary: 'Publish or unpublish a post',
+    responses: ok('The updated post', ref('BlogPost'))
+  },
+  'GET /api/blog/tags/all': {
+    tag: 'Blog',
+    summary: 'List tags',
+    responses: ok('Tags used by published posts', { type: 'array', items: { type: 'string' } })
+  },
+
+  // Gallery
+  'GET /api/gallery': {
+    tag: 'Gallery',
+    summary: 'List gallery items',
+    query: {
+      category: { type: 'string', enum: GALLERY_CATEGORIES },
+      eventId: { type: 'string' },
+      ...pageQuery(20)
+    },
+    responses: ok('Gallery items, newest first', paginated('items', 'GalleryItem'))
+  },
+  'POST /api/gallery': {
+    tag: 'Gallery',
+    summary: 'Upload a gallery item',
+    upload: { field: 'media', description: 'Image or video, up to 10MB', required: true },
+    responses: created('The new gallery item', ref('GalleryItem')),
+    errors: { 400: 'Validation failed, or no media file was sent' }
+  },
+  'GET /api/gallery/{id}': {
+    tag: 'Gallery',
+    summary: 'Get a gallery item',
+    responses: ok('The gallery item with its event', ref('GalleryItem'))
+  },
+  'PUT /api/gallery/{id}': {
+    tag: 'Gallery',
+    summary: 'Update a gallery item',
+    responses: ok('The updated gallery item', ref('GalleryItem'))
+  },
+  'DELETE /api/gallery/{id}': {
+    tag: 'Gallery',
+    summary: 'Delete a gallery item',
+    responses: message('Gallery item and its media deleted')
+  },
+  'GET /api/gallery/categories/all': {
+    tag: 'Gallery',
+    summary: 'List gallery categories',
+    responses: ok('Categories', { type: 'array', items: { type: 'string', enum: GALLERY_CATEGORIES } })
+  },
+  'GET /api/gallery/stats/overview': {
+    tag: 'Gallery',
+    summary: 'Get gallery statistics',
+    responses: ok('Item counts', ref('GalleryStats'))
+  },
+
+  // Team
+  'GET /api/team': {
+    tag: 'Team',
+    summary: 'List team members',
+    responses: ok('Active team members in display order', listOf('TeamMember'))
+  },
+  'POST /api/team': {
+    tag: 'Team',
+    summary: 'Add a team member',
+    upload: { field: 'image', description: 'Profile photo, up to 5MB', required: true },
+    responses: created('The new team member', ref('TeamMember')),
+    errors: { 400: 'Validation failed, or no image was sent' }
+  },
+  'GET /api/team/{id}': {
+    tag: 'Team',
+    summary: 'Get a team member',
+    responses: ok('The team member', ref('TeamMember'))
+  },
+  'PUT /api/team/{id}': {
+    tag: 'Team',
+    summary: 'Update a team member',
+    upload: { field: 'image', description: 'New profile photo, up to 5MB' },
+    responses: ok('The updated team member', ref('TeamMember'))
+  },
+  'DELETE /api/team/{id}': {
+    tag: 'Team',
+    summary: 'Remove a team member',
+    responses: message('Team member and photo deleted')
+  },
+  'PATCH /api/team/{id}/toggle-status': {
+    tag: 'Team',
+    summary: 'Show or hide a team member',
+    responses: ok('The updated team member', ref('TeamMember'))
+  },
+  'PATCH /api/team/reorder': {
+    tag: 'Team',
+    summary: 'Reorder team members',
+    description: 'All orders are applied together; nothing changes if any id is unknown.',
+    responses: message('Order updated'),
+    errors: { 404: 'One of the team members does not exist' }
+  },
+  'GET /api/team/stats/overview': {
+    tag: 'Team',
+    summary: 'Get team statistics',
+    responses: ok('Team member counts', ref('TeamStats'))
+  },
+
+  // Contact
+  'POST /api/contact': {
+    tag: 'Contact',
+    summary: 'Send a contact message',
+    description: 'The message is stored even when the notification email fails.',
+    responses: created('Message received', {
+      type: 'object',
+      properties: { message: { type: 'string' }, id: { type: 'string' } }
+    })
+  },
+  'GET /api/contact': {
+    tag: 'Contact',
+    summary: 'List contact messages',
+    responses: ok('Messages, newest first', listOf('ContactMessage'))
+  },
+  'PATCH /api/contact/{id}/read': {
+    tag: 'Contact',
+    summary: 'Mark a message as read',
+    responses: ok('The updated message', ref('ContactMessage'))
+  },
+  'DELETE /api/contact/{id}': {
+    tag: 'Contact',
+    summary: 'Delete a message',
+    responses: message('Message deleted')
+  },
+  'GET /api/contact/faq': {
+    tag: 'Contact',
+    summary: 'Get the FAQ',
+    responses: ok('Questions and answers', listOf('FaqEntry'))
+  },
+
+  // Access codes
+  'GET /api/access-codes': {
+    tag: 'Access Codes',
+    summary: 'List access codes',
+    query: { status: { type: 'string', enum: ACCESS_CODE_STATUSES } },
+    responses: ok('Codes, newest first', listOf('AccessCode'))
+  },
+  'POST /api/access-codes': {
+    tag: 'Access Codes',
+    summary: 'Issue an access code',
+    description: 'The response is the only time the code itself is shown; only a hash is stored.',
+    responses: created('The new code', {
+      allOf: [ref('AccessCode'), {
+        type: 'object',
+        properties: { code: { type: 'string', example: 'K7QM-3XWP-R9TD' } }
+      }]
+    })
+  },
+  'GET /api/access-codes/{id}': {
+    tag: 'Access Codes',
+    summary: 'Get an access code',
+    responses: ok('The code', ref('AccessCode'))
+  },
+  'GET /api/access-codes/{id}/posts': {
+    tag: 'Access Codes',
+    summary: 'List posts made with an access code',
+    responses: ok('Posts, newest first, drafts included', listOf('BlogPost'))
+  },
+  'PATCH /api/access-codes/{id}/revoke': {
+    tag: 'Access Codes',
+    summary: 'Revoke an access code',
+    description: 'The code stops working at once; posts made with it are kept.',
+    responses: ok('Code revoked', {
+      type: 'object',
+      properties: { message: { type: 'string' }, accessCode: ref('AccessCode') }
+    })
+  },
+
+  // API keys
+  'GET /api/api-keys': {
+    tag: 'API Keys',
+    summary: 'List API keys',
+    query: { status: { type: 'string', enum: API_KEY_STATUSES } },
+    responses: ok('Keys, newest first', listOf('ApiKey'))
+  },
+  'POST /api/api-keys': {
+    tag: 'API Keys',
+    summary: 'Create an API key',
+    description: 'The key acts for the admin creating it, on the endpoints its scopes open (see `x-api-key-scope` on each operation). The response is the only time the key itself is shown; only a hash is stored.',
+    fields: {
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(API_KEY_SCOPES) } },
+      expiresAt: { type: 'string', format: 'date-time', description: 'In the future, at most a year away' }
+    },
+    responses: created('The new key', {
+      allOf: [ref('ApiKey'), {
+        type: 'object',
+        properties: { key: { type: 'string', example: 'ssc_8nq0Yc2v...' } }
+      }]
+    })
+  },
+  'GET /api/api-keys/{id}': {
+    tag: 'API Keys',
+    summary: 'Get an API key',
+    responses: ok('The key', ref('ApiKey'))
+  },
+  'PATCH /api/api-keys/{id}/revoke': {
+    tag: 'API Keys',
+    summary: 'Revoke an API key',
+    description: 'The key stops working on its next request.',
+    responses: ok('Key revoked', {
+      type: 'object',
+      properties: { message: { type: 'string' }, apiKey: ref('ApiKey') }
+    })
+  },
+
+  // System
+  'GET /api/openapi.json': {
+    tag: 'System',
+    summary: 'Get this OpenAPI document',
+    responses: ok('OpenAPI 3 document', { type: 'object' })
+  },
+  'GET /api/docs': {
+    tag: 'System',
+    summary: 'Browse the API docs',
+    responses: { 200: { description: 'Swagger UI page' } }
+  },
+  'GET /api/health': {
+    tag: 'System',
+    summary: 'Health check',
+    responses: ok('The API is up', {
+      type: 'object',
+      properties: { status: { type: 'string' }, message: { type: 'string' } }
+    })
+  },
+  'GET /': {
+    tag: 'System',
+    summary: 'API index',
+    responses: ok('Welcome message and top-level endpoints', { type: 'object' })
+  }
+};
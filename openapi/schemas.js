@@ -0,0 +1,507 @@
+// Response shapes for the OpenAPI document, mirrored from prisma/schema.prisma
+// and what the routes send back (ids are strings, dates are ISO strings).
+const { CATEGORIES: EVENT_CATEGORIES, STATUSES: EVENT_STATUSES } = require('../repositories/events');
+const { STATUSES: REGISTRATION_STATUSES } = require('../repositories/eventRegistrations');
+const { FREQUENCIES: SERIES_FREQUENCIES } = require('../repositories/eventSeries');
+const { CATEGORIES: GALLERY_CATEGORIES } = require('../repositories/galleryItems');
+const { SECURITY_EVENT_TYPES } = require('../repositories/securityEvents');
+const { STATUSES: ACCESS_CODE_STATUSES } = require('../repositories/accessCodes');
+const { STATUSES: API_KEY_STATUSES } = require('../repositories/apiKeys');
+
+const ROLES = ['ADMIN', 'MODERATOR', 'MEMBER'];
+
+const id = { type: 'string' };
+const string = { type: 'string' };
+const nullableString = { type: 'string', nullable: true };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: string,
+      requestId: { type: 'string', description: 'Sent with server errors; matches the X-Request-Id header and the server logs' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['errors'],
+    description: 'One entry per failed field, as reported by express-validator',
+    properties: {
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', example: 'field' },
+            value: {},
+            msg: { type: 'string', example: 'Valid email is required' },
+            path: { type: 'string', example: 'email' },
+            location: { type: 'string', enum: ['body', 'query', 'params', 'headers', 'cookies'] }
+          }
+        }
+      }
+    }
+  },
+  VersionConflict: {
+    type: 'object',
+    required: ['error', 'currentVersion'],
+    properties: {
+      error: string,
+      currentVersion: integer
+    }
+  },
+  Pagination: {
+    type: 'object',
+    description: 'Envelope field on every paginated list; `total` is the number of pages',
+    required: ['current', 'total', 'hasNext', 'hasPrev'],
+    properties: {
+      current: integer,
+      total: integer,
+      hasNext: boolean,
+      hasPrev: boolean
+    }
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: string
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id,
+      email: { type: 'string', format: 'email' },
+      senecaId: string,
+      firstName: string,
+      lastName: string,
+      program: string,
+      year: integer,
+      role: { type: 'string', enum: ROLES },
+      isActive: boolean,
+      isVerified: { type: 'boolean', description: 'Whether the email address has been confirmed' },
+      isGuest: { type: 'boolean', description: 'Made by an event registration and not claimed yet' },
+      twoFactorEnabled: boolean,
+      createdAt: dateTime
+    }
+  },
+  AuthResult: {
+    type: 'object',
+    properties: {
+      message: string,
+      user: ref('User'),
+      token: { type: 'string', description: 'Short-lived JWT for the Authorization: Bearer header' },
+      refreshToken: { type: 'string', description: 'Single-use token for POST /api/auth/refresh' },
+      twoFactorSetupRequired: { type: 'boolean', description: 'Admin without two-factor authentication: admin permissions are refused until it is set up' }
+    }
+  },
+  TwoFactorChallenge: {
+    type: 'object',
+    properties: {
+      message: string,
+      twoFactorRequired: { type: 'boolean', enum: [true] },
+      challengeToken: { type: 'string', description: 'For POST /api/auth/login/2fa; expires after 5 minutes' }
+    }
+  },
+  TwoFactorStatus: {
+    type: 'object',
+    properties: {
+      enabled: boolean,
+      required: boolean,
+      recoveryCodesRemaining: integer
+    }
+  },
+  TwoFactorSetup: {
+    type: 'object',
+    properties: {
+      secret: { type: 'string', description: 'Base32 secret, for entering by hand' },
+      otpauthUrl: { type: 'string', example: 'otpauth://totp/Seneca%20Science%20Club%3Ajane%40example.com?secret=...' },
+      qrCode: { type: 'string', description: 'PNG data URL of the otpauth URL' }
+    }
+  },
+  RecoveryCodes: {
+    type: 'object',
+    properties: {
+      message: string,
+      recoveryCodes: { type: 'array', items: string, description: 'Each works once in place of an app code' }
+    }
+  },
+  TokenPair: {
+    type: 'object',
+    properties: {
+      message: string,
+      token: { type: 'string', description: 'Short-lived JWT for the Authorization: Bearer header' },
+      refreshToken: { type: 'string', description: 'Replaces the refresh token that was sent' }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      id,
+      userAgent: nullableString,
+      ip: nullableString,
+      createdAt: dateTime,
+      lastUsedAt: dateTime,
+      expiresAt: { ...dateTime, description: 'Pushed back on every refresh' },
+      current: { type: 'boolean', description: 'Whether this is the session making the request' }
+    }
+  },
+  AccessCode: {
+    type: 'object',
+    properties: {
+      id,
+      label: { type: 'string', description: 'Who the code was issued to' },
+      hint: { type: 'string', description: 'Last four characters of the code' },
+      expiresAt: { ...dateTime, nullable: true },
+      maxUses: { type: 'integer', nullable: true, description: 'Posts allowed; null for no limit' },
+      useCount: integer,
+      lastUsedAt: { ...dateTime, nullable: true },
+      revokedAt: { ...dateTime, nullable: true },
+      createdById: nullableString,
+      createdAt: dateTime,
+      status: { type: 'string', enum: ACCESS_CODE_STATUSES }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id,
+      name: { type: 'string', description: 'What the key is for' },
+      prefix: { type: 'string', description: 'First characters of the key', example: 'ssc_8nq0Yc' },
+      scopes: { type: 'array', items: { type: 'string' } },
+      expiresAt: dateTime,
+      lastUsedAt: { ...dateTime, nullable: true },
+      lastUsedIp: nullableString,
+      revokedAt: { ...dateTime, nullable: true },
+      createdById: { type: 'string', description: 'The admin the key acts for' },
+      createdAt: dateTime,
+      status: { type: 'string', enum: API_KEY_STATUSES }
+    }
+  },
+  SecurityEvent: {
+    type: 'object',
+    properties: {
+      id,
+      type: { type: 'string', enum: SECURITY_EVENT_TYPES },
+      userId: nullableString,
+      email: { ...nullableString, description: 'Email tried at login (may not belong to an account)' },
+      ip: nullableString,
+      actorId: { ...nullableString, description: 'Admin who caused the event' },
+      createdAt: dateTime
+    }
+  },
+  RevokedCount: {
+    type: 'object',
+    properties: {
+      message: string,
+      count: { type: 'integer', description: 'Sessions ended' }
+    }
+  },
+  Member: {
+    allOf: [ref('User'), {
+      type: 'object',
+      properties: {
+        emailVerifiedAt: { ...dateTime, nullable: true },
+        _count: {
+          type: 'object',
+          properties: {
+            eventRegistrations: integer,
+            blogPosts: integer,
+            testimonials: integer
+          }
+        }
+      }
+    }]
+  },
+  MemberProfile: {
+    allOf: [ref('User'), {
+      type: 'object',
+      properties: {
+        eventRegistrations: { type: 'array', items: ref('EventRegistration') },
+        blogPosts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id,
+              title: string,
+              excerpt: string,
+              isPublished: boolean,
+              publishedAt: { ...dateTime, nullable: true }
+            }
+          }
+        }
+      }
+    }]
+  },
+  PendingErasure: {
+    allOf: [ref('User'), {
+      type: 'object',
+      properties: {
+        erasureRequestedAt: dateTime,
+        erasureScheduledFor: { ...dateTime, description: 'When the account will be erased' }
+      }
+    }]
+  },
+  PersonalDataExport: {
+    type: 'object',
+    properties: {
+      exportedAt: dateTime,
+      profile: ref('User'),
+      eventRegistrations: { type: 'array', items: ref('EventRegistration') },
+      blogPosts: { type: 'array', items: ref('BlogPost'), description: 'Drafts included' },
+      testimonials: { type: 'array', items: { type: 'object' } },
+      contactMessages: { type: 'array', items: ref('ContactMessage'), description: 'Sent from the account email' },
+      sessions: { type: 'array', items: ref('Session') },
+      securityEvents: { type: 'array', items: ref('SecurityEvent') },
+      apiKeys: { type: 'array', items: ref('ApiKey') }
+    }
+  },
+  MemberStats: {
+    type: 'object',
+    properties: {
+      totalMembers: integer,
+      activeMembers: integer,
+      inactiveMembers: integer,
+      membersByRole: { type: 'object', additionalProperties: integer }
+    }
+  },
+  Event: {
+    type: 'object',
+    properties: {
+      id,
+      title: string,
+      description: string,
+      date: dateTime,
+      startTime: string,
+      endTime: string,
+      location: string,
+      maxCapacity: { type: 'integer', nullable: true },
+      currentCapacity: integer,
+      waitlistConfirmationHours: {
+        type: 'integer',
+        nullable: true,
+        description: 'Hours someone promoted from the waitlist has to confirm; null promotes straight to CONFIRMED'
+      },
+      imageUrl: nullableString,
+      category: { type: 'string', enum: EVENT_CATEGORIES },
+      status: { type: 'string', enum: EVENT_STATUSES },
+      isOngoing: boolean,
+      seriesId: { ...id, nullable: true, description: 'The series this event is an occurrence of' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      registrations: { type: 'array', items: ref('EventRegistration') }
+    }
+  },
+  EventSeries: {
+    type: 'object',
+    properties: {
+      id,
+      title: string,
+      description: string,
+      startTime: string,
+      endTime: string,
+      location: string,
+      maxCapacity: { type: 'integer', nullable: true },
+      waitlistConfirmationHours: { type: 'integer', nullable: true },
+      imageUrl: nullableString,
+      category: { type: 'string', enum: EVENT_CATEGORIES },
+      frequency: { type: 'string', enum: SERIES_FREQUENCIES },
+      interval: { type: 'integer', description: 'Every this many weeks or months' },
+      startDate: dateTime,
+      until: { ...dateTime, nullable: true, description: 'Last possible date, inclusive' },
+      count: { type: 'integer', nullable: true, description: 'Number of occurrences, exception dates included' },
+      exceptionDates: { type: 'array', items: { type: 'string', format: 'date' } },
+      cancelledAt: { ...dateTime, nullable: true },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  EventSeriesDetail: {
+    allOf: [ref('EventSeries'), {
+      type: 'object',
+      properties: {
+        events: { type: 'array', items: ref('Event') }
+      }
+    }]
+  },
+  EventDetail: {
+    allOf: [ref('Event'), {
+      type: 'object',
+      properties: {
+        galleryItems: { type: 'array', items: ref('GalleryItem') }
+      }
+    }]
+  },
+  EventRegistration: {
+    type: 'object',
+    properties: {
+      id,
+      userId: id,
+      eventId: id,
+      status: { type: 'string', enum: REGISTRATION_STATUSES },
+      waitlistPosition: { type: 'integer', nullable: true, description: 'Sort key on the waitlist while WAITLISTED' },
+      promotedAt: { ...dateTime, nullable: true },
+      confirmBy: { ...dateTime, nullable: true, description: 'Deadline to confirm a spot offered from the waitlist' },
+      cancelledAt: { ...dateTime, nullable: true },
+      checkedInAt: { ...dateTime, nullable: true },
+      checkedInById: { ...id, nullable: true },
+      createdAt: dateTime,
+      user: ref('User'),
+      event: ref('Event')
+    }
+  },
+  Ticket: {
+    type: 'object',
+    properties: {
+      registrationId: id,
+      eventId: id,
+      token: { type: 'string', description: 'Signed ticket token; render it with GET /api/events/tickets/qr' },
+      checkedInAt: { ...dateTime, nullable: true }
+    }
+  },
+  CalendarFeed: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri', description: 'The feed; keep it private' },
+      webcalUrl: { type: 'string', description: 'The same feed as a webcal:// link that opens a calendar app' }
+    }
+  },
+  Attendance: {
+    type: 'object',
+    properties: {
+      eventId: id,
+      title: string,
+      date: dateTime,
+      maxCapacity: { type: 'integer', nullable: true },
+      registered: { type: 'integer', description: 'CONFIRMED registrations' },
+      attended: { type: 'integer', description: 'Registrations checked in at the door' },
+      noShows: { type: 'integer', nullable: true, description: 'Null until the event starts' },
+      noShowRate: { type: 'number', nullable: true, description: 'noShows / registered, rounded to 3 places' }
+    }
+  },
+  WaitlistEntry: {
+    allOf: [ref('EventRegistration'), {
+      type: 'object',
+      properties: {
+        position: { type: 'integer', description: '1 is next in line' }
+      }
+    }]
+  },
+  BlogPost: {
+    type: 'object',
+    properties: {
+      id,
+      title: string,
+      content: string,
+      excerpt: string,
+      authorId: id,
+      imageUrl: nullableString,
+      tags: { type: 'array', items: string },
+      isPublished: boolean,
+      publishedAt: { ...dateTime, nullable: true },
+      version: { type: 'integer', description: 'Also sent as the ETag header; send it back to avoid overwriting newer edits' },
+      accessCodeId: { ...nullableString, description: 'Mentor access code the post was submitted with' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      author: {
+        type: 'object',
+        properties: {
+          id,
+          firstName: string,
+          lastName: string,
+          program: string
+        }
+      }
+    }
+  },
+  GalleryItem: {
+    type: 'object',
+    properties: {
+      id,
+      title: string,
+      description: nullableString,
+      imageUrl: nullableString,
+      videoUrl: nullableString,
+      category: { type: 'string', enum: GALLERY_CATEGORIES },
+      eventId: { ...id, nullable: true },
+      tags: { type: 'array', items: string },
+      createdAt: dateTime,
+      event: { ...ref('Event'), nullable: true }
+    }
+  },
+  GalleryStats: {
+    type: 'object',
+    properties: {
+      totalItems: integer,
+      itemsByCategory: { type: 'object', additionalProperties: integer }
+    }
+  },
+  TeamMember: {
+    type: 'object',
+    properties: {
+      id,
+      firstName: string,
+      lastName: string,
+      role: string,
+      bio: string,
+      imageUrl: string,
+      linkedinUrl: nullableString,
+      instagramUrl: nullableString,
+      order: integer,
+      isActive: boolean,
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  TeamStats: {
+    type: 'object',
+    properties: {
+      totalMembers: integer,
+      activeMembers: integer,
+      inactiveMembers: integer
+    }
+  },
+  ContactMessage: {
+    type: 'object',
+    properties: {
+      id,
+      name: string,
+      email: { type: 'string', format: 'email' },
+      subject: string,
+      message: string,
+      isRead: boolean,
+      createdAt: dateTime
+    }
+  },
+  FaqEntry: {
+    type: 'object',
+    properties: {
+      question: string,
+      answer: string
+    }
+  }
+};
+
+const errorResponse = (description, schema = ref('Error')) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const responses = {
+  BadRequest: errorResponse('Invalid request', { oneOf: [ref('ValidationError'), ref('Error')] }),
+  Unauthorized: errorResponse('Missing, invalid or expired token, or a session ended by a password reset'),
+  Forbidden: errorResponse('Signed in without the required role'),
+  NotFound: errorResponse('No record with this id'),
+  Conflict: errorResponse('The request conflicts with the current state of the record'),
+  TooManyRequests: errorResponse('Too many requests; try again later'),
+  ServerError: errorResponse('Unexpected server error')
+};
+
+module.exports = { schemas, responses, ref };
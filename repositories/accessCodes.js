@@ -0,0 +1,77 @@
+// Mentor access codes: let a mentor post to the blog without an account
+// (POST /api/blog/simple). Each code is issued by an admin to one person and
+// can expire, be limited to a number of posts or be revoked. The code is
+// shown once when issued; only a SHA-256 hash is stored, plus its last four
+// characters so admins can tell codes apart.
+const crypto = require('crypto');
+
+const STATUSES = ['ACTIVE', 'EXPIRED', 'USED_UP', 'REVOKED'];
+
+// No 0/O or 1/I, so codes survive being read out or copied by hand
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const normalize = code => String(code).trim().toUpperCase();
+const hashCode = code => crypto.createHash('sha256').update(normalize(code)).digest('hex');
+
+// "XXXX-XXXX-XXXX"
+function generateCode() {
+  const characters = Array.from(crypto.randomBytes(12), byte => ALPHABET[byte % ALPHABET.length]);
+  return [0, 4, 8].map(start => characters.slice(start, start + 4).join('')).join('-');
+}
+
+// Whether a code can be used at `now`
+function statusOf(record, now) {
+  if (record.revokedAt) return 'REVOKED';
+  if (record.expiresAt && new Date(record.expiresAt) <= now) return 'EXPIRED';
+  if (record.maxUses !== null && record.maxUses !== undefined && record.useCount >= record.maxUses) return 'USED_UP';
+  return 'ACTIVE';
+}
+
+module.exports = function createAccessCodeRepository(backend) {
+  const codes = backend.collection('accessCodes');
+
+  return {
+    ...codes,
+
+    // New code; returns { accessCode, code } where code is the only copy of the raw value
+    async issue({ label, expiresAt = null, maxUses = null, createdById = null, now }) {
+      const code = generateCode();
+      const accessCode = await codes.create({
+        label,
+        codeHash: hashCode(code),
+        hint: code.slice(-4),
+        expiresAt,
+        maxUses,
+        createdById,
+        createdAt: now
+      });
+      return { accessCode, code };
+    },
+
+    findByCode: code => codes.findOne({ codeHash: hashCode(code) }),
+
+    statusOf,
+
+    // Counts one use of a code; returns its record, or null if it can't be
+    // used. Run inside the transaction that creates the post. The checks and
+    // the count change are a single conditional update, so concurrent posts
+    // can't use a code past its limit.
+    async consume(code, now) {
+      const record = await codes.findOne({ codeHash: hashCode(code) });
+      if (!record || statusOf(record, now) !== 'ACTIVE') return null;
+
+      const usable = {
+        id: record.id,
+        revokedAt: null,
+        ...(record.expiresAt && { expiresAt: { gt: now } }),
+        ...(record.maxUses !== null && record.maxUses !== undefined && { useCount: { lt: record.maxUses } })
+      };
+      const updated = await codes.updateMany(usable, { useCount: { increment: 1 }, lastUsedAt: now });
+      return updated > 0 ? codes.findById(record.id) : null;
+    },
+
+    revoke: (id, now) => codes.update(id, { revokedAt: now })
+  };
+};
+
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,67 @@
+// API keys for club integrations (build scripts, bots). A key acts for the
+// admin who created it, limited to its scopes (see middleware/permissions.js).
+// The key is shown once when created; only a SHA-256 hash is stored, plus its
+// first characters so admins can tell keys apart. Scopes are stored
+// comma-separated, like blog tags.
+const crypto = require('crypto');
+const { withCodec, serializeTags, parseTags } = require('./utils');
+
+const STATUSES = ['ACTIVE', 'EXPIRED', 'REVOKED'];
+
+// Marks a bearer token as an API key rather than a JWT
+const KEY_PREFIX = 'ssc_';
+// Writes to lastUsedAt at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// Whether `now` is within the key's life
+function statusOf(record, now) {
+  if (record.revokedAt) return 'REVOKED';
+  if (new Date(record.expiresAt) <= now) return 'EXPIRED';
+  return 'ACTIVE';
+}
+
+module.exports = function createApiKeyRepository(backend) {
+  const keys = withCodec(backend.collection('apiKeys'), {
+    encode: data => (data.scopes === undefined ? data : { ...data, scopes: serializeTags(data.scopes) }),
+    decode: record => ({ ...record, scopes: parseTags(record.scopes) })
+  });
+
+  return {
+    ...keys,
+
+    // New key; returns { apiKey, key } where key is the only copy of the raw value
+    async issue({ name, scopes, expiresAt, createdById, now }) {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+      const apiKey = await keys.create({
+        name,
+        keyHash: hashKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        scopes,
+        expiresAt,
+        createdById,
+        createdAt: now
+      });
+      return { apiKey, key };
+    },
+
+    isApiKey: token => token.startsWith(KEY_PREFIX),
+
+    findByKey: key => keys.findOne({ keyHash: hashKey(key) }),
+
+    statusOf,
+
+    // Notes a use of the key (time and client address)
+    recordUse(apiKey, { now, ip }) {
+      if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt) < LAST_USED_RESOLUTION_MS && apiKey.lastUsedIp === ip) {
+        return apiKey;
+      }
+      return keys.update(apiKey.id, { lastUsedAt: now, lastUsedIp: ip });
+    },
+
+    revoke: (id, now) => keys.update(id, { revokedAt: now })
+  };
+};
+
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,356 @@
+// JSON file backend - keeps every collection in one file so the API runs
+// without a database server. Supports the subset of Prisma's query syntax
+// used by the repositories.
+const { v4: uuidv4 } = require('uuid');
+const schema = require('../schema');
+const { readJsonFile, writeJsonFile, createQueue } = require('../jsonFile');
+const { RecordNotFoundError, UniqueConstraintError, ForeignKeyError, CorruptDataError } = require('../errors');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function emptyData() {
+  return Object.keys(schema).reduce((acc, name) => {
+    acc[name] = [];
+    return acc;
+  }, {});
+}
+
+// Dates are stored as ISO strings, the same shape res.json() produces
+function toStored(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && ISO_DATE.test(value)) return Date.parse(value);
+  return value;
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+}
+
+function equals(a, b) {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  return compare(a, b) === 0;
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operand === undefined) return true;
+
+    switch (operator) {
+      case 'equals':
+        return equals(value, operand);
+      case 'not':
+        return !matchesCondition(value, operand);
+      case 'in':
+        return operand.some(candidate => equals(value, candidate));
+      case 'notIn':
+        return !operand.some(candidate => equals(value, candidate));
+      case 'lt':
+        return value != null && compare(value, operand) < 0;
+      case 'lte':
+        return value != null && compare(value, operand) <= 0;
+      case 'gt':
+        return value != null && compare(value, operand) > 0;
+      case 'gte':
+        return value != null && compare(value, operand) >= 0;
+      // SQLite LIKE is case-insensitive, so match that here
+      case 'contains':
+        return typeof value === 'string' && value.toLowerCase().includes(String(operand).toLowerCase());
+      case 'startsWith':
+        return typeof value === 'string' && value.toLowerCase().startsWith(String(operand).toLowerCase());
+      case 'endsWith':
+        return typeof value === 'string' && value.toLowerCase().endsWith(String(operand).toLowerCase());
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  });
+}
+
+function matches(record, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'OR') return condition.some(clause => matches(record, clause));
+    if (key === 'AND') return condition.every(clause => matches(record, clause));
+    if (key === 'NOT') return !matches(record, condition);
+    return matchesCondition(record[key], condition);
+  });
+}
+
+function sortRecords(records, orderBy) {
+  if (!orderBy) return records;
+
+  const clauses = (Array.isArray(orderBy) ? orderBy : [orderBy])
+    .flatMap(clause => Object.entries(clause));
+
+  return records.sort((a, b) => {
+    for (const [field, direction] of clauses) {
+      const result = compare(a[field], b[field]);
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function applyUpdate(record, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+      if ('set' in value) record[field] = toStored(value.set);
+      if ('increment' in value) record[field] = (record[field] || 0) + value.increment;
+      if ('decrement' in value) record[field] = (record[field] || 0) - value.decrement;
+      if ('multiply' in value) record[field] = (record[field] || 0) * value.multiply;
+      continue;
+    }
+
+    record[field] = toStored(value);
+  }
+  return record;
+}
+
+function checkUnique(data, name, record) {
+  for (const fields of schema[name].unique || []) {
+    // Like SQL, a missing value never clashes (e.g. unlinked oidcSubject)
+    if (fields.some(field => record[field] === null || record[field] === undefined)) continue;
+    const clash = data[name].find(other =>
+      other.id !== record.id && fields.every(field => equals(other[field], record[field]))
+    );
+    if (clash) {
+      throw new UniqueConstraintError(name, fields);
+    }
+  }
+}
+
+function checkReferences(data, name, record) {
+  for (const [field, reference] of Object.entries(schema[name].references || {})) {
+    const value = record[field];
+    if (value === null || value === undefined) continue;
+    if (!data[reference.collection].some(other => other.id === value)) {
+      throw new ForeignKeyError(name, field);
+    }
+  }
+}
+
+// Apply the onDelete rules from the schema to rows pointing at removed ids
+function removeRecords(data, name, ids) {
+  if (ids.length === 0) return;
+
+  data[name] = data[name].filter(record => !ids.includes(record.id));
+
+  for (const [other, definition] of Object.entries(schema)) {
+    for (const [field, reference] of Object.entries(definition.references || {})) {
+      if (reference.collection !== name) continue;
+
+      if (reference.onDelete === 'setNull') {
+        data[other].forEach(record => {
+          if (ids.includes(record[field])) record[field] = null;
+        });
+      } else {
+        const dependants = data[other]
+          .filter(record => ids.includes(record[field]))
+          .map(record => record.id);
+        removeRecords(data, other, dependants);
+      }
+    }
+  }
+}
+
+function createCollection(context, name) {
+  const definition = schema[name];
+  const copy = record => (record ? { ...record } : null);
+
+  const findOne = (where, { orderBy } = {}) => context.read(data => {
+    const records = sortRecords(data[name].filter(record => matches(record, where)), orderBy);
+    return copy(records[0]);
+  });
+
+  return {
+    findById: id => context.read(data => copy(data[name].find(record => record.id === id))),
+
+    findOne,
+
+    findMany: ({ where, orderBy, skip = 0, take } = {}) => context.read(data => {
+      const records = sortRecords(data[name].filter(record => matches(record, where)), orderBy);
+      const end = take === undefined ? undefined : skip + take;
+      return records.slice(skip, end).map(copy);
+    }),
+
+    count: where => context.read(data => data[name].filter(record => matches(record, where)).length),
+
+    countBy: (field, where) => context.read(data => data[name]
+      .filter(record => matches(record, where))
+      .reduce((acc, record) => {
+        acc[record[field]] = (acc[record[field]] || 0) + 1;
+        return acc;
+      }, {})),
+
+    create: input => context.write(data => {
+      const now = new Date().toISOString();
+      const record = applyUpdate({ id: uuidv4(), ...definition.defaults }, input);
+      if (!record.createdAt) record.createdAt = now;
+      if (definition.updatedAt && !record.updatedAt) record.updatedAt = now;
+
+      checkUnique(data, name, record);
+      checkReferences(data, name, record);
+      data[name].push(record);
+      return copy(record);
+    }),
+
+    update: (id, input) => context.write(data => {
+      const existing = data[name].find(record => record.id === id);
+      if (!existing) {
+        throw new RecordNotFoundError(name, id);
+      }
+
+      const record = applyUpdate({ ...existing }, input);
+      if (definition.updatedAt && !('updatedAt' in input)) {
+        record.updatedAt = new Date().toISOString();
+      }
+
+      checkUnique(data, name, record);
+      checkReferences(data, name, record);
+      Object.assign(existing, record);
+      return copy(existing);
+    }),
+
+    updateMany: (where, input) => context.write(data => {
+      const records = data[name].filter(record => matches(record, where));
+      const now = new Date().toISOString();
+      records.forEach(record => {
+        applyUpdate(record, input);
+        if (definition.updatedAt && !('updatedAt' in input)) record.updatedAt = now;
+        checkUnique(data, name, record);
+        checkReferences(data, name, record);
+      });
+      return records.length;
+    }),
+
+    delete: id => context.write(data => {
+      const existing = data[name].find(record => record.id === id);
+      if (!existing) {
+        throw new RecordNotFoundError(name, id);
+      }
+      removeRecords(data, name, [id]);
+      return copy(existing);
+    }),
+
+    deleteMany: where => context.write(data => {
+      const ids = data[name].filter(record => matches(record, where)).map(record => record.id);
+      removeRecords(data, name, ids);
+      return ids.length;
+    })
+  };
+}
+
+class JsonDatabase {
+  constructor(file) {
+    this.file = file;
+    this.data = null;
+    this.loading = null;
+    this.exclusive = createQueue();
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    if (!this.loading) {
+      this.loading = this.readFile().then(data => {
+        this.data = data;
+        return data;
+      }, error => {
+        // Let the next call retry once the file has been repaired
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async readFile() {
+    const data = await readJsonFile(this.file, emptyData);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new CorruptDataError(this.file, 'expected an object of collections');
+    }
+    for (const name of Object.keys(schema)) {
+      if (data[name] !== undefined && !Array.isArray(data[name])) {
+        throw new CorruptDataError(this.file, `collection "${name}" is not an array`);
+      }
+    }
+    return { ...emptyData(), ...data };
+  }
+
+  async read(fn) {
+    return fn(await this.load());
+  }
+
+  // Writes run one at a time on a copy that only replaces the live data once
+  // saved, so a failed write or transaction leaves nothing half-applied
+  write(mutate) {
+    return this.exclusive(async () => {
+      const draft = structuredClone(await this.load());
+      const result = await mutate(draft);
+      await writeJsonFile(this.file, draft);
+      this.data = draft;
+      return result;
+    });
+  }
+}
+
+function buildBackend(context, database, inTransaction) {
+  const collections = {};
+
+  return {
+    driver: 'json',
+
+    collection(name) {
+      if (!schema[name]) {
+        throw new Error(`Unknown collection: ${name}`);
+      }
+      if (!collections[name]) {
+        collections[name] = createCollection(context, name);
+      }
+      return collections[name];
+    },
+
+    transaction(fn) {
+      if (inTransaction) return fn(this);
+
+      return database.write(draft => {
+        const txContext = { read: async reader => reader(draft), write: async writer => writer(draft) };
+        return fn(buildBackend(txContext, database, true));
+      });
+    },
+
+    async connect() {
+      await database.load();
+    },
+
+    async disconnect() {
+      await database.exclusive.idle();
+    }
+  };
+}
+
+function createJsonBackend({ file }) {
+  const database = new JsonDatabase(file);
+  const context = {
+    read: reader => database.read(reader),
+    write: writer => database.write(writer)
+  };
+  return buildBackend(context, database, false);
+}
+
+module.exports = { createJsonBackend };
@@ -0,0 +1,100 @@
+// Prisma backend - maps the repository collection API onto the Prisma client
+// generated from prisma/schema.prisma
+const schema = require('../schema');
+const { RecordNotFoundError, UniqueConstraintError, ForeignKeyError } = require('../errors');
+
+// Translate Prisma's known request errors into the store's own errors
+async function translateErrors(name, id, operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new RecordNotFoundError(name, id);
+    }
+    if (error.code === 'P2002') {
+      throw new UniqueConstraintError(name, [].concat(error.meta?.target || []));
+    }
+    if (error.code === 'P2003') {
+      throw new ForeignKeyError(name, error.meta?.field_name || 'unknown');
+    }
+    throw error;
+  }
+}
+
+function createCollection(client, name) {
+  const delegate = client[schema[name].model];
+
+  return {
+    findById: id => delegate.findUnique({ where: { id } }),
+
+    findOne: (where, { orderBy } = {}) => delegate.findFirst({ where, orderBy }),
+
+    findMany: ({ where, orderBy, skip, take } = {}) => delegate.findMany({ where, orderBy, skip, take }),
+
+    count: where => delegate.count({ where }),
+
+    countBy: async (field, where) => {
+      const groups = await delegate.groupBy({ by: [field], where, _count: { _all: true } });
+      return groups.reduce((acc, group) => {
+        acc[group[field]] = group._count._all;
+        return acc;
+      }, {});
+    },
+
+    create: data => translateErrors(name, data.id, () => delegate.create({ data })),
+
+    update: (id, data) => translateErrors(name, id, () => delegate.update({ where: { id }, data })),
+
+    updateMany: async (where, data) => {
+      const result = await translateErrors(name, null, () => delegate.updateMany({ where, data }));
+      return result.count;
+    },
+
+    delete: id => translateErrors(name, id, () => delegate.delete({ where: { id } })),
+
+    deleteMany: async where => {
+      const result = await delegate.deleteMany({ where });
+      return result.count;
+    }
+  };
+}
+
+function buildBackend(client, root) {
+  const collections = {};
+
+  return {
+    driver: 'prisma',
+
+    collection(name) {
+      if (!schema[name]) {
+        throw new Error(`Unknown collection: ${name}`);
+      }
+      if (!collections[name]) {
+        collections[name] = createCollection(client, name);
+      }
+      return collections[name];
+    },
+
+    transaction(fn) {
+      if (client !== root) return fn(this);
+      return root.$transaction(tx => fn(buildBackend(tx, root)));
+    },
+
+    connect() {
+      return root.$connect();
+    },
+
+    disconnect() {
+      return root.$disconnect();
+    }
+  };
+}
+
+function createPrismaBackend({ databaseUrl }) {
+  // Required lazily so the JSON backend works without a generated client
+  const { PrismaClient } = require('@prisma/client');
+  const client = new PrismaClient(databaseUrl ? { datasources: { db: { url: databaseUrl } } } : undefined);
+  return buildBackend(client, client);
+}
+
+module.exports = { createPrismaBackend };
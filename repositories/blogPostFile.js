@@ -0,0 +1,81 @@
+// File-backed blog posts (data/blog-posts.json). Writes are serialized and
+// atomic, and every post carries a version number for optimistic locking.
+const { readJsonFile, writeJsonFile, createQueue } = require('./jsonFile');
+const { CorruptDataError, VersionConflictError } = require('./errors');
+
+// Fields a caller may never overwrite through update()
+const PROTECTED_FIELDS = ['id', 'version', 'createdAt'];
+
+// Posts written before versioning existed start at version 1
+const withVersion = post => ({ ...post, version: post.version || 1 });
+
+module.exports = function createBlogPostFile(file) {
+  const enqueue = createQueue();
+
+  async function findAll() {
+    const posts = await readJsonFile(file, () => []);
+    if (!Array.isArray(posts)) {
+      throw new CorruptDataError(file, 'expected an array of blog posts');
+    }
+    return posts.map(withVersion);
+  }
+
+  // Read, change and write back under the queue so concurrent changes never
+  // overwrite each other. Returning null from `change` skips the write.
+  function mutate(change) {
+    return enqueue(async () => {
+      const posts = await findAll();
+      const result = await change(posts);
+      if (result !== null) {
+        await writeJsonFile(file, posts);
+      }
+      return result;
+    });
+  }
+
+  return {
+    file,
+
+    findAll,
+
+    async findById(id) {
+      const posts = await findAll();
+      return posts.find(post => post.id === id) || null;
+    },
+
+    create: post => mutate(posts => {
+      const record = { ...post, version: 1 };
+      posts.push(record);
+      return record;
+    }),
+
+    // Resolves to null when the post doesn't exist. Passing `expectedVersion`
+    // rejects the change if someone else saved the post in the meantime.
+    update: (id, changes, { expectedVersion } = {}) => mutate(posts => {
+      const index = posts.findIndex(post => post.id === id);
+      if (index === -1) return null;
+
+      const current = posts[index];
+      if (expectedVersion !== undefined && expectedVersion !== current.version) {
+        throw new VersionConflictError('blogPosts', id, current.version);
+      }
+
+      const allowed = Object.fromEntries(
+        Object.entries(changes).filter(([field]) => !PROTECTED_FIELDS.includes(field))
+      );
+      posts[index] = {
+        ...current,
+        ...allowed,
+        version: current.version + 1,
+        updatedAt: new Date().toISOString()
+      };
+      return posts[index];
+    }),
+
+    delete: id => mutate(posts => {
+      const index = posts.findIndex(post => post.id === id);
+      if (index === -1) return null;
+      return posts.splice(index, 1)[0];
+    })
+  };
+};
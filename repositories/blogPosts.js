@@ -0,0 +1,55 @@
+// Blog post repository
+const { withCodec, serializeTags, parseTags, attachOne } = require('./utils');
+const { RecordNotFoundError, VersionConflictError } = require('./errors');
+
+// Author details returned with every post
+const AUTHOR_FIELDS = ['id', 'firstName', 'lastName', 'program'];
+
+module.exports = function createBlogPostRepository(backend) {
+  const posts = withCodec(backend.collection('blogPosts'), {
+    encode: data => (data.tags === undefined ? data : { ...data, tags: serializeTags(data.tags) }),
+    decode: record => ({ ...record, tags: parseTags(record.tags) })
+  });
+
+  return {
+    ...posts,
+
+    findByAuthor: (authorId, { publishedOnly = false } = {}) => posts.findMany({
+      where: publishedOnly ? { authorId, isPublished: true } : { authorId },
+      orderBy: { publishedAt: 'desc' }
+    }),
+
+    // Published posts, newest first, optionally carrying an exact tag
+    async findPublished({ tag } = {}) {
+      const published = await posts.findMany({
+        where: tag ? { isPublished: true, tags: { contains: tag } } : { isPublished: true },
+        orderBy: { publishedAt: 'desc' }
+      });
+      return tag ? published.filter(post => post.tags.includes(tag)) : published;
+    },
+
+    // Bumps the version on every change. Passing `expectedVersion` makes the
+    // update conditional, so a stale copy can't overwrite newer edits.
+    async updateVersioned(id, changes, { expectedVersion } = {}) {
+      const data = { ...changes, version: { increment: 1 } };
+      if (expectedVersion === undefined) {
+        return posts.update(id, data);
+      }
+
+      const updated = await posts.updateMany({ id, version: expectedVersion }, data);
+      if (updated === 0) {
+        const current = await posts.findById(id);
+        if (!current) throw new RecordNotFoundError('blogPosts', id);
+        throw new VersionConflictError('blogPosts', id, current.version);
+      }
+      return posts.findById(id);
+    },
+
+    withAuthors: (list, fields = AUTHOR_FIELDS) => attachOne(list, {
+      as: 'author',
+      foreignKey: 'authorId',
+      collection: backend.collection('users'),
+      fields
+    })
+  };
+};
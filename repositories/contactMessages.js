@@ -0,0 +1,10 @@
+// Contact message repository
+module.exports = function createContactMessageRepository(backend) {
+  const messages = backend.collection('contactMessages');
+
+  return {
+    ...messages,
+
+    markRead: id => messages.update(id, { isRead: true })
+  };
+};
@@ -0,0 +1,59 @@
+// Backend-independent errors thrown by the data store
+class StoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+class RecordNotFoundError extends StoreError {
+  constructor(collection, id) {
+    super(`No ${collection} record found with id ${id}`);
+    this.collection = collection;
+    this.id = id;
+  }
+}
+
+class UniqueConstraintError extends StoreError {
+  constructor(collection, fields) {
+    super(`Unique constraint failed on ${collection} (${fields.join(', ')})`);
+    this.collection = collection;
+    this.fields = fields;
+  }
+}
+
+class ForeignKeyError extends StoreError {
+  constructor(collection, field) {
+    super(`Foreign key constraint failed on ${collection}.${field}`);
+    this.collection = collection;
+    this.field = field;
+  }
+}
+
+// A data file exists but can't be parsed - never treat it as empty
+class CorruptDataError extends StoreError {
+  constructor(file, reason) {
+    super(`Data file ${file} is corrupt: ${reason}`);
+    this.file = file;
+    this.reason = reason;
+  }
+}
+
+// The record changed since the caller last read it
+class VersionConflictError extends StoreError {
+  constructor(collection, id, currentVersion) {
+    super(`${collection} record ${id} has been modified (current version ${currentVersion})`);
+    this.collection = collection;
+    this.id = id;
+    this.currentVersion = currentVersion;
+  }
+}
+
+module.exports = {
+  StoreError,
+  RecordNotFoundError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  CorruptDataError,
+  VersionConflictError
+};
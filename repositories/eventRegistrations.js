@@ -0,0 +1,188 @@
+// Event registration repository
+const { attachOne } = require('./utils');
+
+const STATUSES = ['PENDING', 'CONFIRMED', 'CANCELLED', 'WAITLISTED'];
+// Statuses that hold one of the event's spots (counted in currentCapacity).
+// PENDING is a spot offered from the waitlist and not yet confirmed.
+const SPOT_STATUSES = ['CONFIRMED', 'PENDING'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Take one of the event's spots if it has a free one. The check and the count
+// change are a single conditional update, so concurrent sign-ups can't overbook.
+async function takeSpot(tx, event) {
+  const hasRoom = event.maxCapacity ? { currentCapacity: { lt: event.maxCapacity } } : {};
+  const updated = await tx.collection('events').updateMany({ id: event.id, ...hasRoom }, { currentCapacity: { increment: 1 } });
+  return updated > 0;
+}
+
+// An event's waitlist in order: numbered entries by position, then any
+// without a number (e.g. from older data) by arrival
+async function waitingInOrder(collection, eventId) {
+  const where = { eventId, status: 'WAITLISTED' };
+  const numbered = await collection.findMany({ where: { ...where, waitlistPosition: { not: null } }, orderBy: { waitlistPosition: 'asc' } });
+  const unnumbered = await collection.findMany({ where: { ...where, waitlistPosition: null }, orderBy: { createdAt: 'asc' } });
+  return [...numbered, ...unnumbered];
+}
+
+// Put a registrant at the back of the event's waitlist. Entries still without
+// a number get one first, so the newcomer lines up behind them.
+async function appendToWaitlist(tx, { userId, eventId }) {
+  const collection = tx.collection('eventRegistrations');
+  let last = 0;
+  for (const entry of await waitingInOrder(collection, eventId)) {
+    if (entry.waitlistPosition === null) {
+      await collection.update(entry.id, { waitlistPosition: last + 1 });
+    }
+    last = entry.waitlistPosition === null ? last + 1 : entry.waitlistPosition;
+  }
+  return collection.create({ userId, eventId, status: 'WAITLISTED', waitlistPosition: last + 1 });
+}
+
+module.exports = function createEventRegistrationRepository(backend) {
+  const registrations = backend.collection('eventRegistrations');
+
+  return {
+    ...registrations,
+
+    findForUser: (userId, eventId) => registrations.findOne({ userId, eventId }),
+
+    // An event's waitlist, first in line first
+    waitlist: eventId => waitingInOrder(registrations, eventId),
+
+    // 1-based place in line of a waitlisted registration
+    async waitlistPosition(registration) {
+      const line = await waitingInOrder(registrations, registration.eventId);
+      return line.findIndex(entry => entry.id === registration.id) + 1;
+    },
+
+    // Events with anyone waiting
+    async waitlistedEventIds() {
+      const waiting = await registrations.findMany({ where: { status: 'WAITLISTED' } });
+      return [...new Set(waiting.map(registration => registration.eventId))];
+    },
+
+    // Register for an event: a CONFIRMED spot, or WAITLISTED once the event
+    // is full or anyone is already waiting. Replaces an earlier cancelled
+    // registration by the same person.
+    register: ({ userId, eventId }) => backend.transaction(async tx => {
+      const collection = tx.collection('eventRegistrations');
+      const event = await tx.collection('events').findById(eventId);
+
+      const cancelled = await collection.findOne({ userId, eventId, status: 'CANCELLED' });
+      if (cancelled) await collection.delete(cancelled.id);
+
+      const waiting = await collection.count({ eventId, status: 'WAITLISTED' });
+      if (waiting === 0 && await takeSpot(tx, event)) {
+        return collection.create({ userId, eventId, status: 'CONFIRMED' });
+      }
+      return appendToWaitlist(tx, { userId, eventId });
+    }),
+
+    // Cancel a registration, giving up its spot or its place in line. Returns
+    // null when it was already cancelled.
+    cancel: (id, now) => backend.transaction(async tx => {
+      const registration = await tx.collection('eventRegistrations').findById(id);
+      if (!registration || registration.status === 'CANCELLED') return null;
+
+      if (SPOT_STATUSES.includes(registration.status)) {
+        await tx.collection('events').update(registration.eventId, { currentCapacity: { decrement: 1 } });
+      }
+      return tx.collection('eventRegistrations').update(id, {
+        status: 'CANCELLED',
+        waitlistPosition: null,
+        confirmBy: null,
+        cancelledAt: now
+      });
+    }),
+
+    // Give the first in line a free spot, if the event has one. Events with a
+    // confirmation window only offer it (PENDING until confirmBy). Returns the
+    // promoted registration, or null when there is no spot or nobody waiting,
+    // or the event is cancelled or has started.
+    promoteNext: (eventId, now) => backend.transaction(async tx => {
+      const event = await tx.collection('events').findById(eventId);
+      if (!event || event.status !== 'UPCOMING' || new Date(event.date) <= now) return null;
+
+      const [next] = await waitingInOrder(tx.collection('eventRegistrations'), eventId);
+      if (!next || !await takeSpot(tx, event)) return null;
+
+      const hours = event.waitlistConfirmationHours;
+      return tx.collection('eventRegistrations').update(next.id, {
+        status: hours ? 'PENDING' : 'CONFIRMED',
+        waitlistPosition: null,
+        promotedAt: now,
+        confirmBy: hours ? new Date(now.getTime() + hours * HOUR_MS) : null
+      });
+    }),
+
+    // Accept an offered spot. Returns null once the offer has lapsed.
+    confirmOffer: (id, now) => backend.transaction(async tx => {
+      const registration = await tx.collection('eventRegistrations').findById(id);
+      if (!registration || registration.status !== 'PENDING' || new Date(registration.confirmBy) <= now) {
+        return null;
+      }
+      return tx.collection('eventRegistrations').update(id, { status: 'CONFIRMED', confirmBy: null });
+    }),
+
+    // Cancel offers not confirmed in time, freeing their spots. Returns them.
+    expireOffers: now => backend.transaction(async tx => {
+      const expired = await tx.collection('eventRegistrations').findMany({
+        where: { status: 'PENDING', confirmBy: { lte: now } }
+      });
+      for (const registration of expired) {
+        await tx.collection('eventRegistrations').update(registration.id, { status: 'CANCELLED', confirmBy: null, cancelledAt: now });
+        await tx.collection('events').update(registration.eventId, { currentCapacity: { decrement: 1 } });
+      }
+      return expired;
+    }),
+
+    // Record a confirmed registration's arrival. Only the first scan counts:
+    // `checkedIn` is false when it was already checked in or isn't confirmed.
+    checkIn: (id, { now, checkedInById }) => backend.transaction(async tx => {
+      const collection = tx.collection('eventRegistrations');
+      const updated = await collection.updateMany(
+        { id, status: 'CONFIRMED', checkedInAt: null },
+        { checkedInAt: now, checkedInById }
+      );
+      return { checkedIn: updated > 0, registration: await collection.findById(id) };
+    }),
+
+    // Registered (CONFIRMED) and checked-in counts per event id
+    async attendanceCounts(eventIds) {
+      const where = { eventId: { in: eventIds }, status: 'CONFIRMED' };
+      const [registered, attended] = await Promise.all([
+        registrations.countBy('eventId', where),
+        registrations.countBy('eventId', { ...where, checkedInAt: { not: null } })
+      ]);
+      return Object.fromEntries(eventIds.map(eventId => [eventId, {
+        registered: registered[eventId] || 0,
+        attended: attended[eventId] || 0
+      }]));
+    },
+
+    // Renumber the waitlist in the given order of registration ids
+    reorderWaitlist: (eventId, ids) => backend.transaction(async tx => {
+      for (const [index, id] of ids.entries()) {
+        await tx.collection('eventRegistrations').update(id, { waitlistPosition: index + 1 });
+      }
+      return waitingInOrder(tx.collection('eventRegistrations'), eventId);
+    }),
+
+    withUsers: (list, fields) => attachOne(list, {
+      as: 'user',
+      foreignKey: 'userId',
+      collection: backend.collection('users'),
+      fields
+    }),
+
+    withEvents: (list, fields) => attachOne(list, {
+      as: 'event',
+      foreignKey: 'eventId',
+      collection: backend.collection('events'),
+      fields
+    })
+  };
+};
+
+module.exports.STATUSES = STATUSES;
+module.exports.SPOT_STATUSES = SPOT_STATUSES;
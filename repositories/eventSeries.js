@@ -0,0 +1,168 @@
+// Recurring event series. A series holds the details every occurrence starts
+// with and a recurrence rule: weekly or monthly, every `interval` weeks or
+// months from `startDate`, until a date or for `count` occurrences, minus the
+// exception dates. Creating a series creates one Event per occurrence (linked
+// by seriesId), so registrations, waitlists and tickets stay per occurrence.
+// Exception dates are stored comma-separated, like blog tags.
+const { withCodec, serializeTags, parseTags, attachMany, pick } = require('./utils');
+const createEventRepository = require('./events');
+const { EDITABLE_FIELDS } = createEventRepository;
+
+const FREQUENCIES = ['WEEKLY', 'MONTHLY'];
+// Keeps a mistyped rule from filling the calendar
+const MAX_OCCURRENCES = 100;
+// Series fields copied onto each occurrence
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'startTime', 'endTime', 'location', 'category',
+  'maxCapacity', 'waitlistConfirmationHours', 'imageUrl'
+];
+// Occurrences still to happen that cancelling the series calls off
+const CANCELLABLE_STATUSES = ['UPCOMING', 'ONGOING'];
+
+const dayOf = date => new Date(date).toISOString().slice(0, 10);
+
+// The rule's nth step from the start, or null for a month without the start's
+// day (e.g. no 31st)
+function stepFrom(start, frequency, n) {
+  const date = new Date(start);
+  if (frequency === 'WEEKLY') {
+    date.setUTCDate(date.getUTCDate() + 7 * n);
+    return date;
+  }
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + n);
+  date.setUTCDate(start.getUTCDate());
+  return date.getUTCDate() === start.getUTCDate() ? date : null;
+}
+
+// Dates of the rule's occurrences, in order, or null if it has more than
+// `limit`. As in iCalendar, `count` includes the exception dates and `until`
+// is inclusive.
+function occurrenceDates({ startDate, frequency, interval = 1, until = null, count = null, exceptionDates = [] }, { limit = MAX_OCCURRENCES } = {}) {
+  const start = new Date(startDate);
+  const skipped = new Set(exceptionDates.map(dayOf));
+  const dates = [];
+  let generated = 0;
+
+  for (let step = 0; !count || generated < count; step += 1) {
+    const date = stepFrom(start, frequency, step * interval);
+    if (!date) continue;
+    if (until && dayOf(date) > dayOf(until)) break;
+
+    generated += 1;
+    if (generated > limit) return null;
+    if (!skipped.has(dayOf(date))) dates.push(date);
+  }
+  return dates;
+}
+
+function normalize(data) {
+  const result = { ...data };
+  for (const field of ['startDate', 'until']) {
+    if (typeof result[field] === 'string') result[field] = new Date(result[field]);
+  }
+  for (const field of ['interval', 'count', 'maxCapacity', 'waitlistConfirmationHours']) {
+    if (result[field] !== undefined && result[field] !== null) {
+      result[field] = parseInt(result[field]);
+    }
+  }
+  if (Array.isArray(result.exceptionDates)) result.exceptionDates = result.exceptionDates.map(dayOf);
+  return result;
+}
+
+const codec = {
+  encode: data => {
+    const normalized = normalize(data);
+    return normalized.exceptionDates === undefined
+      ? normalized
+      : { ...normalized, exceptionDates: serializeTags(normalized.exceptionDates) };
+  },
+  decode: record => ({ ...record, exceptionDates: parseTags(record.exceptionDates) })
+};
+
+module.exports = function createEventSeriesRepository(backend) {
+  const seriesIn = txBackend => withCodec(txBackend.collection('eventSeries'), codec);
+  const series = seriesIn(backend);
+
+  return {
+    ...series,
+
+    // New series with an Event for each of `dates`; returns { series, events }.
+    // Without dates (e.g. on restore) only the series is created.
+    create: (data, dates = []) => backend.transaction(async tx => {
+      const created = await seriesIn(tx).create(data);
+      const events = createEventRepository(tx);
+      const occurrences = [];
+      for (const date of dates) {
+        occurrences.push(await events.create({ ...pick(created, TEMPLATE_FIELDS), date, seriesId: created.id }));
+      }
+      return { series: created, events: occurrences };
+    }),
+
+    // Apply an edit to an occurrence and every later one in its series. A new
+    // date moves each of them by the same amount. Details the occurrences share
+    // are saved on the series too. Fields outside EDITABLE_FIELDS are ignored.
+    // Returns the ids of the events changed.
+    updateFollowing: (event, edit) => backend.transaction(async tx => {
+      const changes = pick(edit, EDITABLE_FIELDS);
+      const events = createEventRepository(tx);
+      const following = await events.findMany({
+        where: { seriesId: event.seriesId, date: { gte: new Date(event.date) } },
+        orderBy: { date: 'asc' }
+      });
+      const shift = changes.date ? new Date(changes.date) - new Date(event.date) : 0;
+
+      for (const occurrence of following) {
+        await events.update(occurrence.id, {
+          ...changes,
+          ...(changes.date && { date: new Date(new Date(occurrence.date).getTime() + shift) })
+        });
+      }
+
+      const template = pick(changes, TEMPLATE_FIELDS);
+      if (Object.keys(template).length > 0) await seriesIn(tx).update(event.seriesId, template);
+
+      return following.map(occurrence => occurrence.id);
+    }),
+
+    // Cancel the series and its occurrences that haven't started, along with
+    // their registrations and waitlists. Returns { series, cancelled,
+    // registrations } with the number of occurrences called off and the
+    // registrations cancelled, or null if the series was already cancelled.
+    cancel: (id, now) => backend.transaction(async tx => {
+      const record = await seriesIn(tx).findById(id);
+      if (record && record.cancelledAt) return null;
+
+      const cancelledSeries = await seriesIn(tx).update(id, { cancelledAt: now });
+      const occurrences = await tx.collection('events').findMany({
+        where: { seriesId: id, date: { gt: now }, status: { in: CANCELLABLE_STATUSES } }
+      });
+      const eventIds = occurrences.map(occurrence => occurrence.id);
+      const active = { eventId: { in: eventIds }, status: { not: 'CANCELLED' } };
+
+      const registrations = await tx.collection('eventRegistrations').findMany({ where: active });
+      await tx.collection('eventRegistrations').updateMany(active, {
+        status: 'CANCELLED',
+        waitlistPosition: null,
+        confirmBy: null,
+        cancelledAt: now
+      });
+      await tx.collection('events').updateMany({ id: { in: eventIds } }, { status: 'CANCELLED', currentCapacity: 0 });
+
+      return { series: cancelledSeries, cancelled: eventIds.length, registrations };
+    }),
+
+    withEvents(list) {
+      return attachMany(list, {
+        as: 'events',
+        foreignKey: 'seriesId',
+        collection: backend.collection('events'),
+        orderBy: { date: 'asc' }
+      });
+    }
+  };
+};
+
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
+module.exports.occurrenceDates = occurrenceDates;
@@ -0,0 +1,87 @@
+// Event repository
+const { attachMany, attachOne, pick } = require('./utils');
+const createGalleryItemRepository = require('./galleryItems');
+const { SPOT_STATUSES } = require('./eventRegistrations');
+
+const CATEGORIES = ['WORKSHOP', 'LECTURE', 'SOCIAL', 'COMPETITION', 'FIELD_TRIP', 'CONFERENCE', 'OTHER'];
+const STATUSES = ['UPCOMING', 'ONGOING', 'COMPLETED', 'CANCELLED'];
+// What admins may set when creating or changing an event; capacity counts
+// and the series link are kept by the repositories
+const EDITABLE_FIELDS = [
+  'title', 'description', 'date', 'startTime', 'endTime', 'location', 'category',
+  'maxCapacity', 'waitlistConfirmationHours', 'imageUrl', 'status'
+];
+
+function normalize(data) {
+  const result = { ...data };
+  if (typeof result.date === 'string') result.date = new Date(result.date);
+  for (const field of ['maxCapacity', 'waitlistConfirmationHours']) {
+    if (result[field] !== undefined && result[field] !== null) {
+      result[field] = parseInt(result[field]);
+    }
+  }
+  return result;
+}
+
+module.exports = function createEventRepository(backend) {
+  const events = backend.collection('events');
+
+  return {
+    ...events,
+
+    create: data => events.create(normalize(data)),
+
+    update: (id, data) => events.update(id, normalize(data)),
+
+    // Recount every event's currentCapacity from the registrations holding a
+    // spot. Returns the events whose count was off, with the old and new values.
+    reconcileCapacity: ({ dryRun = false } = {}) => backend.transaction(async tx => {
+      const counts = await tx.collection('eventRegistrations').countBy('eventId', { status: { in: SPOT_STATUSES } });
+      const corrections = [];
+      for (const event of await tx.collection('events').findMany({ orderBy: { date: 'asc' } })) {
+        const actual = counts[event.id] || 0;
+        if (event.currentCapacity === actual) continue;
+
+        corrections.push({ id: event.id, title: event.title, from: event.currentCapacity, to: actual });
+        if (!dryRun) await tx.collection('events').update(event.id, { currentCapacity: actual });
+      }
+      return corrections;
+    }),
+
+    // Attach each event's registrations, optionally with the registrant's details
+    withRegistrations(list, { fields, userFields } = {}) {
+      return attachMany(list, {
+        as: 'registrations',
+        foreignKey: 'eventId',
+        collection: backend.collection('eventRegistrations'),
+        orderBy: { createdAt: 'asc' },
+        map: async registrations => {
+          const hydrated = userFields
+            ? await attachOne(registrations, {
+              as: 'user',
+              foreignKey: 'userId',
+              collection: backend.collection('users'),
+              fields: userFields
+            })
+            : registrations;
+
+          if (!fields) return hydrated;
+          return hydrated.map(registration => pick(registration, userFields ? [...fields, 'user'] : fields));
+        }
+      });
+    },
+
+    withGalleryItems(list) {
+      return attachMany(list, {
+        as: 'galleryItems',
+        foreignKey: 'eventId',
+        collection: createGalleryItemRepository(backend),
+        orderBy: { createdAt: 'desc' }
+      });
+    }
+  };
+};
+
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.STATUSES = STATUSES;
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
@@ -0,0 +1,24 @@
+// Gallery item repository
+const { withCodec, serializeTags, parseTags, attachOne } = require('./utils');
+
+const CATEGORIES = ['EVENTS', 'WORKSHOPS', 'SOCIALS', 'COMPETITIONS', 'FIELD_TRIPS', 'OTHER'];
+
+module.exports = function createGalleryItemRepository(backend) {
+  const items = withCodec(backend.collection('galleryItems'), {
+    encode: data => (data.tags === undefined ? data : { ...data, tags: serializeTags(data.tags) }),
+    decode: record => ({ ...record, tags: parseTags(record.tags) })
+  });
+
+  return {
+    ...items,
+
+    withEvents: (list, fields) => attachOne(list, {
+      as: 'event',
+      foreignKey: 'eventId',
+      collection: backend.collection('events'),
+      fields
+    })
+  };
+};
+
+module.exports.CATEGORIES = CATEGORIES;
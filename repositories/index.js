@@ -0,0 +1,67 @@
+// Data store - one repository per model in prisma/schema.prisma, backed by
+// either a JSON file or the Prisma client
+const createUserRepository = require('./users');
+const createEventRepository = require('./events');
+const createEventRegistrationRepository = require('./eventRegistrations');
+const createEventSeriesRepository = require('./eventSeries');
+const createBlogPostRepository = require('./blogPosts');
+const createGalleryItemRepository = require('./galleryItems');
+const createTeamMemberRepository = require('./teamMembers');
+const createTestimonialRepository = require('./testimonials');
+const createContactMessageRepository = require('./contactMessages');
+const createUserTokenRepository = require('./userTokens');
+const createSessionRepository = require('./sessions');
+const createLoginThrottleRepository = require('./loginThrottles');
+const createSecurityEventRepository = require('./securityEvents');
+const createAccessCodeRepository = require('./accessCodes');
+const createTwoFactorRepository = require('./twoFactor');
+const createOidcLoginRepository = require('./oidcLogins');
+const createApiKeyRepository = require('./apiKeys');
+
+const DRIVERS = ['json', 'prisma'];
+
+function createRepositories(backend) {
+  return {
+    driver: backend.driver,
+    users: createUserRepository(backend),
+    events: createEventRepository(backend),
+    eventRegistrations: createEventRegistrationRepository(backend),
+    eventSeries: createEventSeriesRepository(backend),
+    blogPosts: createBlogPostRepository(backend),
+    galleryItems: createGalleryItemRepository(backend),
+    teamMembers: createTeamMemberRepository(backend),
+    testimonials: createTestimonialRepository(backend),
+    contactMessages: createContactMessageRepository(backend),
+    userTokens: createUserTokenRepository(backend),
+    sessions: createSessionRepository(backend),
+    loginThrottles: createLoginThrottleRepository(backend),
+    securityEvents: createSecurityEventRepository(backend),
+    accessCodes: createAccessCodeRepository(backend),
+    twoFactor: createTwoFactorRepository(backend),
+    oidcLogins: createOidcLoginRepository(backend),
+    apiKeys: createApiKeyRepository(backend),
+
+    // Run several repository calls atomically: fn receives a store bound to the transaction
+    transaction: fn => backend.transaction(txBackend => fn(createRepositories(txBackend))),
+
+    connect: () => backend.connect(),
+    disconnect: () => backend.disconnect()
+  };
+}
+
+function createBackend({ driver = 'json', file, databaseUrl }) {
+  switch (driver) {
+    case 'json':
+      return require('./backends/json').createJsonBackend({ file });
+    case 'prisma':
+      return require('./backends/prisma').createPrismaBackend({ databaseUrl });
+    default:
+      throw new Error(`Unknown data store driver "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+  }
+}
+
+function createStore(options) {
+  return createRepositories(createBackend(options));
+}
+
+module.exports = { createStore, DRIVERS };
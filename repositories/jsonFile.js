@@ -0,0 +1,62 @@
+// Crash-safe JSON file persistence shared by the file-backed stores
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { CorruptDataError } = require('./errors');
+
+// Read and parse a JSON file. A missing file yields `fallback()`, but a file
+// that exists and can't be parsed (e.g. truncated by a crash) is an error.
+async function readJsonFile(file, fallback) {
+  let contents;
+  try {
+    contents = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback();
+    throw error;
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new CorruptDataError(file, error.message);
+  }
+}
+
+// Write to a temp file in the same directory, flush it to disk and rename it
+// over the target, so readers only ever see the old or the new contents
+async function writeJsonFile(file, data) {
+  const dir = path.dirname(file);
+  await fs.mkdir(dir, { recursive: true });
+
+  const tempFile = path.join(dir, `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+// Returns a function that runs async tasks one at a time, in call order
+function createQueue() {
+  let tail = Promise.resolve();
+
+  const enqueue = task => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+  enqueue.idle = () => tail;
+
+  return enqueue;
+}
+
+module.exports = { readJsonFile, writeJsonFile, createQueue };
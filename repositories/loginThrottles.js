@@ -0,0 +1,39 @@
+// Failed-login counters, one record per key ("account:<email>" or
+// "ip:<address>"); the policy that reads them is services/loginThrottle.js
+const { UniqueConstraintError } = require('./errors');
+
+module.exports = function createLoginThrottleRepository(backend) {
+  const throttles = backend.collection('loginThrottles');
+
+  return {
+    ...throttles,
+
+    findByKey: key => throttles.findOne({ key }),
+
+    // Counts one failure for the key with conditional updates rather than a
+    // read and a write back, so parallel attempts all count. A count whose
+    // last failure is `resetAfterMs` old starts over; reaching `maxAttempts`
+    // locks the key until `lockedUntil` and starts the count over. Returns
+    // true only for the attempt that set the lock.
+    async recordFailure(key, { now, resetAfterMs, maxAttempts, lockedUntil }) {
+      try {
+        if (!await throttles.findOne({ key })) {
+          await throttles.create({ key, failures: 0, lastFailureAt: now });
+        }
+      } catch (error) {
+        // A parallel attempt created it first
+        if (!(error instanceof UniqueConstraintError)) throw error;
+      }
+
+      return backend.transaction(async tx => {
+        const records = tx.collection('loginThrottles');
+        await records.updateMany({ key, lastFailureAt: { lte: new Date(now.getTime() - resetAfterMs) } }, { failures: 0 });
+        await records.updateMany({ key }, { failures: { increment: 1 }, lastFailureAt: now });
+        const locked = await records.updateMany({ key, failures: { gte: maxAttempts } }, { failures: 0, lockedUntil });
+        return locked > 0;
+      });
+    },
+
+    clear: key => throttles.deleteMany({ key })
+  };
+};
@@ -0,0 +1,36 @@
+// Single sign-on attempts in progress: one per trip to the identity
+// provider. Holds the PKCE code verifier and the nonce, which never leave
+// the server, under the random `state` the provider sends back to the
+// callback. Each record is used once and expires after a few minutes.
+const crypto = require('crypto');
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+module.exports = function createOidcLoginRepository(backend) {
+  const logins = backend.collection('oidcLogins');
+
+  return {
+    ...logins,
+
+    // New attempt (clearing out expired ones); returns the record
+    async start({ now, expiresAt }) {
+      await logins.deleteMany({ expiresAt: { lt: now } });
+      return logins.create({
+        state: randomValue(),
+        codeVerifier: randomValue(),
+        nonce: randomValue(),
+        expiresAt,
+        createdAt: now
+      });
+    },
+
+    // Removes the attempt for a state and returns it, or null if unknown or expired
+    consume: (state, now) => backend.transaction(async (tx) => {
+      const collection = tx.collection('oidcLogins');
+      const record = await collection.findOne({ state });
+      if (!record) return null;
+      await collection.delete(record.id);
+      return new Date(record.expiresAt) > now ? record : null;
+    })
+  };
+};
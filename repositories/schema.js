@@ -0,0 +1,158 @@
+// Collection metadata mirrored from prisma/schema.prisma.
+// The Prisma backend only needs `model`; the JSON backend uses the rest to
+// apply the same defaults, unique constraints and relation rules as the database.
+const schema = {
+  users: {
+    model: 'user',
+    defaults: {
+      role: 'MEMBER',
+      isActive: true,
+      isVerified: true,
+      isGuest: false,
+      emailVerifiedAt: null,
+      twoFactorEnabled: false,
+      oidcSubject: null,
+      erasureRequestedAt: null,
+      erasureScheduledFor: null,
+      erasedAt: null,
+      calendarFeedVersion: 0
+    },
+    unique: [['email'], ['senecaId'], ['oidcSubject']],
+    updatedAt: true
+  },
+  events: {
+    model: 'event',
+    defaults: {
+      maxCapacity: null,
+      currentCapacity: 0,
+      waitlistConfirmationHours: null,
+      imageUrl: null,
+      status: 'UPCOMING',
+      isOngoing: false,
+      seriesId: null
+    },
+    references: {
+      seriesId: { collection: 'eventSeries', onDelete: 'setNull' }
+    },
+    updatedAt: true
+  },
+  eventSeries: {
+    model: 'eventSeries',
+    defaults: {
+      maxCapacity: null,
+      waitlistConfirmationHours: null,
+      imageUrl: null,
+      interval: 1,
+      until: null,
+      count: null,
+      exceptionDates: '',
+      cancelledAt: null
+    },
+    updatedAt: true
+  },
+  eventRegistrations: {
+    model: 'eventRegistration',
+    defaults: {
+      status: 'CONFIRMED',
+      waitlistPosition: null,
+      promotedAt: null,
+      confirmBy: null,
+      cancelledAt: null,
+      checkedInAt: null,
+      checkedInById: null
+    },
+    unique: [['userId', 'eventId']],
+    references: {
+      userId: { collection: 'users', onDelete: 'cascade' },
+      eventId: { collection: 'events', onDelete: 'cascade' },
+      checkedInById: { collection: 'users', onDelete: 'setNull' }
+    }
+  },
+  blogPosts: {
+    model: 'blogPost',
+    defaults: { imageUrl: null, isPublished: false, publishedAt: null, version: 1, accessCodeId: null },
+    references: {
+      authorId: { collection: 'users', onDelete: 'cascade' },
+      accessCodeId: { collection: 'accessCodes', onDelete: 'setNull' }
+    },
+    updatedAt: true
+  },
+  galleryItems: {
+    model: 'galleryItem',
+    defaults: { description: null, videoUrl: null, eventId: null },
+    references: {
+      eventId: { collection: 'events', onDelete: 'setNull' }
+    }
+  },
+  teamMembers: {
+    model: 'teamMember',
+    defaults: { linkedinUrl: null, instagramUrl: null, order: 0, isActive: true },
+    updatedAt: true
+  },
+  testimonials: {
+    model: 'testimonial',
+    defaults: { rating: 5, isApproved: false },
+    references: {
+      authorId: { collection: 'users', onDelete: 'cascade' }
+    }
+  },
+  contactMessages: {
+    model: 'contactMessage',
+    defaults: { isRead: false }
+  },
+  userTokens: {
+    model: 'userToken',
+    unique: [['tokenHash']],
+    references: {
+      userId: { collection: 'users', onDelete: 'cascade' }
+    }
+  },
+  sessions: {
+    model: 'session',
+    defaults: { userAgent: null, ip: null, revokedAt: null, revokedReason: null },
+    unique: [['refreshTokenHash']],
+    references: {
+      userId: { collection: 'users', onDelete: 'cascade' }
+    }
+  },
+  twoFactorCredentials: {
+    model: 'twoFactorCredential',
+    defaults: { confirmedAt: null, lastUsedStep: null, recoveryCodes: '' },
+    unique: [['userId']],
+    references: {
+      userId: { collection: 'users', onDelete: 'cascade' }
+    }
+  },
+  apiKeys: {
+    model: 'apiKey',
+    defaults: { lastUsedAt: null, lastUsedIp: null, revokedAt: null },
+    unique: [['keyHash']],
+    references: {
+      createdById: { collection: 'users', onDelete: 'cascade' }
+    }
+  },
+  oidcLogins: {
+    model: 'oidcLogin',
+    unique: [['state']]
+  },
+  loginThrottles: {
+    model: 'loginThrottle',
+    defaults: { failures: 0, lockedUntil: null },
+    unique: [['key']],
+    updatedAt: true
+  },
+  securityEvents: {
+    model: 'securityEvent',
+    defaults: { userId: null, email: null, ip: null, actorId: null }
+  },
+  accessCodes: {
+    model: 'accessCode',
+    defaults: { expiresAt: null, maxUses: null, useCount: 0, lastUsedAt: null, revokedAt: null, createdById: null },
+    unique: [['codeHash']],
+    references: {
+      createdById: { collection: 'users', onDelete: 'setNull' }
+    }
+  }
+};
+
+module.exports = schema;
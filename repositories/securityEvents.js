@@ -0,0 +1,34 @@
+// Audit trail of security-relevant events (lockouts, unlocks, 2FA changes, erasures, ...) for admins.
+// Records keep plain IDs rather than relations so they outlive the accounts.
+const SECURITY_EVENT_TYPES = [
+  'ACCOUNT_LOCKED',
+  'IP_LOCKED',
+  'ACCOUNT_UNLOCKED',
+  'TWO_FACTOR_ENABLED',
+  'TWO_FACTOR_DISABLED',
+  'TWO_FACTOR_RESET',
+  'ERASURE_REQUESTED',
+  'ERASURE_CANCELLED',
+  'ACCOUNT_ERASED'
+];
+
+module.exports = function createSecurityEventRepository(backend) {
+  const events = backend.collection('securityEvents');
+
+  return {
+    ...events,
+
+    // type plus any of userId, email, ip, actorId (the admin who acted)
+    record: (type, { now, ...fields }) => events.create({ type, ...fields, createdAt: now }),
+
+    // Build the filter used by the admin listing
+    searchFilter({ type, userId } = {}) {
+      const where = {};
+      if (type) where.type = type;
+      if (userId) where.userId = userId;
+      return where;
+    }
+  };
+};
+
+module.exports.SECURITY_EVENT_TYPES = SECURITY_EVENT_TYPES;
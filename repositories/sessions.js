@@ -0,0 +1,87 @@
+// Login sessions. A session is created at login and holds the hash of its
+// current refresh token; every refresh swaps in a new token (rotation). A
+// refresh token is "<sessionId>.<secret>", so presenting an older secret
+// for a session means the token was copied, and the session is revoked.
+const crypto = require('crypto');
+
+// Why a session ended
+const REVOKE_REASONS = ['LOGOUT', 'REVOKED', 'ADMIN', 'PASSWORD_RESET', 'DEACTIVATED', 'REUSE'];
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+function parseRefreshToken(refreshToken) {
+  const [id, secret, ...rest] = String(refreshToken).split('.');
+  return id && secret && rest.length === 0 ? { id, secret } : null;
+}
+
+module.exports = function createSessionRepository(backend) {
+  const sessions = backend.collection('sessions');
+
+  const revokeWith = (reason, now) => ({ revokedAt: now, revokedReason: reason });
+
+  return {
+    ...sessions,
+
+    // New session for the user; returns { session, refreshToken }
+    async start(userId, { now, expiresAt, userAgent = null, ip = null }) {
+      const secret = newSecret();
+      const session = await sessions.create({
+        userId,
+        refreshTokenHash: hashToken(secret),
+        userAgent,
+        ip,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt
+      });
+      return { session, refreshToken: `${session.id}.${secret}` };
+    },
+
+    // Trades a refresh token for a new one. Returns { session, refreshToken },
+    // or { error } with 'invalid', 'revoked', 'expired' or 'reused'.
+    rotate: (refreshToken, { now, expiresAt }) => backend.transaction(async (tx) => {
+      const parsed = parseRefreshToken(refreshToken);
+      const collection = tx.collection('sessions');
+      const session = parsed && await collection.findById(parsed.id);
+
+      if (!session) return { error: 'invalid' };
+      if (session.revokedAt) return { error: 'revoked', session };
+      if (hashToken(parsed.secret) !== session.refreshTokenHash) {
+        await collection.update(session.id, revokeWith('REUSE', now));
+        return { error: 'reused', session };
+      }
+      if (new Date(session.expiresAt) <= now) return { error: 'expired', session };
+
+      const secret = newSecret();
+      const rotated = await collection.update(session.id, {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: now,
+        expiresAt
+      });
+      return { session: rotated, refreshToken: `${session.id}.${secret}` };
+    }),
+
+    // The session a refresh token belongs to, if the token is its current one
+    async findByRefreshToken(refreshToken) {
+      const parsed = parseRefreshToken(refreshToken);
+      const session = parsed && await sessions.findById(parsed.id);
+      return session && session.refreshTokenHash === hashToken(parsed.secret) ? session : null;
+    },
+
+    // Sessions that can still be refreshed, most recently used first
+    activeFor: (userId, now) => sessions.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: now } },
+      orderBy: { lastUsedAt: 'desc' }
+    }),
+
+    isActive: (session, now) => Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now,
+
+    revoke: (id, reason, now) => sessions.update(id, revokeWith(reason, now)),
+
+    // Ends every open session of the user; returns how many were ended
+    revokeAllForUser: (userId, reason, now) => sessions.updateMany({ userId, revokedAt: null }, revokeWith(reason, now))
+  };
+};
+
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -0,0 +1,23 @@
+// Team member repository
+function normalize(data) {
+  const result = { ...data };
+  if (result.order !== undefined) result.order = parseInt(result.order);
+  return result;
+}
+
+module.exports = function createTeamMemberRepository(backend) {
+  const members = backend.collection('teamMembers');
+
+  return {
+    ...members,
+
+    create: data => members.create(normalize(data)),
+
+    update: (id, data) => members.update(id, normalize(data)),
+
+    findActive: () => members.findMany({
+      where: { isActive: true },
+      orderBy: { order: 'asc' }
+    })
+  };
+};
@@ -0,0 +1,22 @@
+// Testimonial repository
+const { attachOne } = require('./utils');
+
+module.exports = function createTestimonialRepository(backend) {
+  const testimonials = backend.collection('testimonials');
+
+  return {
+    ...testimonials,
+
+    findApproved: () => testimonials.findMany({
+      where: { isApproved: true },
+      orderBy: { createdAt: 'desc' }
+    }),
+
+    withAuthors: (list, fields) => attachOne(list, {
+      as: 'author',
+      foreignKey: 'authorId',
+      collection: backend.collection('users'),
+      fields
+    })
+  };
+};
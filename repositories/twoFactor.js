@@ -0,0 +1,143 @@
+// Two-factor credentials: TOTP (RFC 6238, as used by authenticator apps)
+// plus one-time recovery codes. A user has at most one credential. Setup
+// creates it unconfirmed; the first correct code confirms it and turns 2FA
+// on. Recovery codes are stored as SHA-256 hashes, comma-separated like
+// tags, and each one is removed when used.
+const crypto = require('crypto');
+
+const ISSUER = 'Seneca Science Club';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function base32Decode(text) {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(character => BASE32.indexOf(character).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+// HOTP (RFC 4226) value for a counter
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+const stepAt = time => Math.floor(time.getTime() / 1000 / STEP_SECONDS);
+
+// The code an authenticator app shows for a base32 secret at `time`
+const totpCode = (secret, time) => hotp(base32Decode(secret), stepAt(time));
+
+// Time step a code belongs to, or null if it matches none near `now`
+function matchStep(secret, code, now) {
+  const key = base32Decode(secret);
+  const given = Buffer.from(String(code).replace(/\s/g, ''));
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift += 1) {
+    const step = stepAt(now) + drift;
+    const expected = Buffer.from(hotp(key, step));
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return step;
+  }
+  return null;
+}
+
+const normalizeRecoveryCode = code => String(code).trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = code => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+const splitHashes = value => (value ? value.split(',') : []);
+
+// "xxxxx-xxxxx" in lowercase hex
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+module.exports = function createTwoFactorRepository(backend) {
+  const credentials = backend.collection('twoFactorCredentials');
+
+  // New recovery codes for a credential; returns them (the only time they're readable)
+  async function replaceRecoveryCodes(collection, credential) {
+    const codes = newRecoveryCodes();
+    await collection.update(credential.id, { recoveryCodes: codes.map(hashRecoveryCode).join(',') });
+    return codes;
+  }
+
+  return {
+    ...credentials,
+
+    findByUser: userId => credentials.findOne({ userId }),
+
+    // Starts (or restarts) enrollment with a fresh secret
+    async begin(userId) {
+      await credentials.deleteMany({ userId });
+      return credentials.create({ userId, secret: base32Encode(crypto.randomBytes(20)) });
+    },
+
+    // otpauth:// URI that authenticator apps read from the QR code
+    provisioningUri(credential, accountName) {
+      const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+      const params = new URLSearchParams({
+        secret: credential.secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+      });
+      return `otpauth://totp/${label}?${params}`;
+    },
+
+    // Checks a code and remembers its time step, so the same code can't be
+    // replayed; true when accepted
+    async verifyCode(credential, code, now) {
+      const step = matchStep(credential.secret, code, now);
+      if (step === null) return false;
+      if (credential.lastUsedStep !== null && credential.lastUsedStep !== undefined && step <= credential.lastUsedStep) {
+        return false;
+      }
+      await credentials.update(credential.id, { lastUsedStep: step });
+      return true;
+    },
+
+    // Confirms enrollment and turns 2FA on; returns the recovery codes
+    enable: (credential, now) => backend.transaction(async (tx) => {
+      const collection = tx.collection('twoFactorCredentials');
+      await collection.update(credential.id, { confirmedAt: now });
+      await tx.collection('users').update(credential.userId, { twoFactorEnabled: true });
+      return replaceRecoveryCodes(collection, credential);
+    }),
+
+    regenerateRecoveryCodes: credential => replaceRecoveryCodes(credentials, credential),
+
+    // Uses up a recovery code; true if it was one of the credential's
+    async useRecoveryCode(credential, code) {
+      const hashes = splitHashes(credential.recoveryCodes);
+      const hash = hashRecoveryCode(code);
+      if (!hashes.includes(hash)) return false;
+      await credentials.update(credential.id, { recoveryCodes: hashes.filter(item => item !== hash).join(',') });
+      return true;
+    },
+
+    remainingRecoveryCodes: credential => splitHashes(credential.recoveryCodes).length,
+
+    // Turns 2FA off for the user (their own choice or an admin reset)
+    remove: userId => backend.transaction(async (tx) => {
+      await tx.collection('twoFactorCredentials').deleteMany({ userId });
+      return tx.collection('users').update(userId, { twoFactorEnabled: false });
+    })
+  };
+};
+
+module.exports.totpCode = totpCode;
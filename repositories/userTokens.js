@@ -0,0 +1,39 @@
+// Single-use tokens emailed to users (password reset, email verification,
+// guest account claims).
+// Only a SHA-256 hash of each token is stored, so a leaked database or
+// backup can't be used to act on an account; the token itself exists only
+// in the emailed link.
+const crypto = require('crypto');
+
+const PURPOSES = ['PASSWORD_RESET', 'EMAIL_VERIFICATION', 'ACCOUNT_CLAIM'];
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = function createUserTokenRepository(backend) {
+  const tokens = backend.collection('userTokens');
+
+  return {
+    ...tokens,
+
+    // New token for the user and purpose, replacing any earlier ones; returns the raw token
+    async issue(userId, purpose, { createdAt, expiresAt }) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      await tokens.deleteMany({ userId, purpose });
+      await tokens.create({ userId, purpose, tokenHash: hashToken(token), createdAt, expiresAt });
+      return token;
+    },
+
+    // The stored record for a raw token of this purpose if it hasn't expired, otherwise null
+    async findValid(token, purpose, now) {
+      const record = await tokens.findOne({ tokenHash: hashToken(token), purpose });
+      return record && new Date(record.expiresAt) > now ? record : null;
+    },
+
+    // Most recent token of this purpose for the user, if any
+    latestFor: (userId, purpose) => tokens.findOne({ userId, purpose }, { orderBy: { createdAt: 'desc' } }),
+
+    revokeForUser: (userId, purpose) => tokens.deleteMany({ userId, purpose })
+  };
+};
+
+module.exports.PURPOSES = PURPOSES;
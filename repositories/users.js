@@ -0,0 +1,290 @@
+// User repository
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pick } = require('./utils');
+const { SPOT_STATUSES } = require('./eventRegistrations');
+
+// Fields that are safe to return to clients
+const PUBLIC_FIELDS = [
+  'id', 'email', 'senecaId', 'firstName', 'lastName', 'program',
+  'year', 'role', 'isActive', 'isVerified', 'createdAt', 'updatedAt'
+];
+
+// Stable placeholder identity for blog authors known only by name
+function authorSlug({ firstName, lastName }) {
+  return [firstName, lastName]
+    .filter(Boolean)
+    .join('.')
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '') || 'anonymous';
+}
+
+function normalize(data) {
+  const result = { ...data };
+  if (result.year !== undefined) result.year = parseInt(result.year);
+  return result;
+}
+
+// Records from before verification existed have no flag and count as verified
+const withVerification = user => (user && user.isVerified === undefined ? { ...user, isVerified: true } : user);
+
+// Guest accounts come from event registrations and have no usable password
+// until claimed. Older ones were created with a "temp-password-..." password.
+const isGuest = user => Boolean(user.isGuest) || String(user.password).startsWith('temp-password-');
+
+const unusablePassword = () => bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+// Carries out an erasure in one transaction. The account stays as an
+// anonymous, inactive record so past registrations, and every count built on
+// them, are unchanged; registrations for events still to come are dropped and
+// their spots freed. Posts, testimonials, contact messages, sessions, tokens,
+// 2FA and API keys are deleted; security events lose the email and IP.
+async function eraseUser(backend, id, now) {
+  // Hashed outside the transaction so it stays short
+  const password = await unusablePassword();
+
+  return backend.transaction(async (tx) => {
+    const collection = tx.collection('users');
+    const user = await collection.findById(id);
+    if (!user || user.erasedAt) return null;
+
+    const registrations = await tx.collection('eventRegistrations').findMany({ where: { userId: id } });
+    const upcoming = await tx.collection('events').findMany({
+      where: { id: { in: registrations.map(registration => registration.eventId) }, date: { gt: now } }
+    });
+    for (const event of upcoming) {
+      const registration = registrations.find(candidate => candidate.eventId === event.id);
+      await tx.collection('eventRegistrations').delete(registration.id);
+      if (SPOT_STATUSES.includes(registration.status)) {
+        await tx.collection('events').update(event.id, { currentCapacity: { decrement: 1 } });
+      }
+    }
+
+    await tx.collection('blogPosts').deleteMany({ authorId: id });
+    await tx.collection('testimonials').deleteMany({ authorId: id });
+    await tx.collection('contactMessages').deleteMany({ email: user.email });
+    for (const name of ['userTokens', 'sessions', 'twoFactorCredentials']) {
+      await tx.collection(name).deleteMany({ userId: id });
+    }
+    await tx.collection('apiKeys').deleteMany({ createdById: id });
+    await tx.collection('accessCodes').updateMany({ createdById: id }, { createdById: null });
+    await tx.collection('loginThrottles').deleteMany({ key: `account:${user.email.toLowerCase()}` });
+    await tx.collection('securityEvents').updateMany({ OR: [{ userId: id }, { email: user.email }] }, { email: null, ip: null });
+    await tx.collection('securityEvents').create({ type: 'ACCOUNT_ERASED', userId: id, createdAt: now });
+
+    return collection.update(id, {
+      email: `erased-${id}@erased.invalid`,
+      senecaId: `ERASED-${id}`,
+      firstName: 'Erased',
+      lastName: 'Member',
+      program: 'Erased',
+      year: 1,
+      password,
+      role: 'MEMBER',
+      isActive: false,
+      isVerified: false,
+      isGuest: false,
+      emailVerifiedAt: null,
+      twoFactorEnabled: false,
+      oidcSubject: null,
+      erasureScheduledFor: null,
+      erasedAt: now
+    });
+  });
+}
+
+module.exports = function createUserRepository(backend) {
+  const users = backend.collection('users');
+
+  // The account with `email`, or a new one for a name-only author with an
+  // unusable random password
+  async function findOrCreatePlaceholder(author, email) {
+    const existing = await users.findOne({ email });
+    if (existing) return existing;
+
+    return users.create({
+      email,
+      senecaId: `BLOG-${crypto.createHash('sha1').update(email).digest('hex').slice(0, 10)}`,
+      firstName: author.firstName,
+      lastName: author.lastName || '',
+      program: author.program || 'Science Club',
+      year: 1,
+      password: await unusablePassword()
+    });
+  }
+
+  return {
+    ...users,
+
+    create: data => users.create(normalize(data)),
+
+    // A password change, however it happens, also voids outstanding reset links
+    update: (id, data) => (data.password === undefined
+      ? users.update(id, normalize(data))
+      : backend.transaction(async (tx) => {
+        await tx.collection('userTokens').deleteMany({ userId: id, purpose: 'PASSWORD_RESET' });
+        return tx.collection('users').update(id, normalize(data));
+      })),
+
+    findByEmail: email => users.findOne({ email }),
+
+    // Account for someone who registered for an event without signing up
+    createGuest: async ({ email, senecaId, firstName, lastName, program, year }) => users.create(normalize({
+      email,
+      senecaId,
+      firstName,
+      lastName,
+      program,
+      year,
+      password: await unusablePassword(),
+      isGuest: true,
+      isVerified: false
+    })),
+
+    isGuest,
+
+    // A guest sets a password through the emailed claim link, which also
+    // proves the email address; its registrations stay with the account
+    claim: (id, { password, now }) => backend.transaction(async (tx) => {
+      await tx.collection('userTokens').deleteMany({ userId: id, purpose: { in: ['ACCOUNT_CLAIM', 'EMAIL_VERIFICATION', 'PASSWORD_RESET'] } });
+      return tx.collection('users').update(id, { password, isGuest: false, isVerified: true, emailVerifiedAt: now });
+    }),
+
+    findByEmailOrSenecaId: (email, senecaId) => users.findOne({
+      OR: [{ email }, { senecaId }]
+    }),
+
+    // Build the filter used by the admin member search
+    searchFilter({ search, role, isActive, isVerified } = {}) {
+      const where = {};
+      if (search) {
+        where.OR = [
+          { firstName: { contains: search } },
+          { lastName: { contains: search } },
+          { email: { contains: search } },
+          { senecaId: { contains: search } }
+        ];
+      }
+      if (role) where.role = role;
+      if (isActive !== undefined) where.isActive = isActive;
+      // Older records without the flag count as verified
+      if (isVerified !== undefined) where.isVerified = isVerified ? { not: false } : false;
+      return where;
+    },
+
+    // Number of registrations, blog posts and testimonials per user
+    async relationCounts(userIds) {
+      const where = { userId: { in: userIds } };
+      const [eventRegistrations, blogPosts, testimonials] = await Promise.all([
+        backend.collection('eventRegistrations').countBy('userId', where),
+        backend.collection('blogPosts').countBy('authorId', { authorId: { in: userIds } }),
+        backend.collection('testimonials').countBy('authorId', { authorId: { in: userIds } })
+      ]);
+
+      return userIds.reduce((acc, id) => {
+        acc[id] = {
+          eventRegistrations: eventRegistrations[id] || 0,
+          blogPosts: blogPosts[id] || 0,
+          testimonials: testimonials[id] || 0
+        };
+        return acc;
+      }, {});
+    },
+
+    // Resolve a name-only blog author ({ firstName, lastName, program, email? })
+    // to a user: by email, then by name, then by a placeholder account created
+    // on first use. Placeholder accounts get an unusable random password.
+    async findOrCreateAuthor(author) {
+      if (author.email) {
+        const byEmail = await users.findOne({ email: author.email });
+        if (byEmail) return byEmail;
+      }
+
+      const lastName = author.lastName || '';
+      const byName = await users.findOne({ firstName: author.firstName, lastName }, { orderBy: { createdAt: 'asc' } });
+      if (byName) return byName;
+
+      return findOrCreatePlaceholder(author, author.email || `${authorSlug(author)}@blog-authors.invalid`);
+    },
+
+    // The author of a post made with an access code: always a placeholder
+    // account kept per code and name, never a member's account, so a code
+    // holder can't post as someone else
+    findOrCreateCodeAuthor: (author, accessCodeId) =>
+      findOrCreatePlaceholder(author, `${authorSlug(author)}.${accessCodeId}@blog-authors.invalid`),
+
+    // Resolve a single sign-on identity ({ subject, email, firstName,
+    // lastName }, email already verified by the provider) to a user: the one
+    // linked to the subject, else the one with the email, which gets linked,
+    // else a new verified account with an unusable password. Returns
+    // { user, outcome: 'existing' | 'linked' | 'created' }, or { conflict: true }
+    // when the email's account is linked to a different subject.
+    findOrCreateForSso: ({ subject, email, firstName, lastName }, now) => backend.transaction(async (tx) => {
+      const collection = tx.collection('users');
+
+      const linked = await collection.findOne({ oidcSubject: subject });
+      if (linked) return { user: linked, outcome: 'existing' };
+
+      const byEmail = await collection.findOne({ email });
+      if (byEmail) {
+        if (byEmail.oidcSubject) return { conflict: true };
+        const verification = byEmail.isVerified === false ? { isVerified: true, emailVerifiedAt: now } : {};
+        // A guest's account is claimed by signing in as its owner
+        const claim = isGuest(byEmail) ? { isGuest: false, password: await unusablePassword() } : {};
+        if (byEmail.isVerified === false) {
+          await tx.collection('userTokens').deleteMany({ userId: byEmail.id, purpose: 'EMAIL_VERIFICATION' });
+        }
+        return { user: await collection.update(byEmail.id, { oidcSubject: subject, ...verification, ...claim }), outcome: 'linked' };
+      }
+
+      // Placeholder Seneca ID, program and year, as for blog authors; members
+      // correct program and year from their profile
+      const user = await collection.create({
+        email,
+        senecaId: `SSO-${crypto.createHash('sha1').update(subject).digest('hex').slice(0, 10)}`,
+        firstName,
+        lastName,
+        program: 'Science Club',
+        year: 1,
+        password: await unusablePassword(),
+        isVerified: true,
+        emailVerifiedAt: now,
+        oidcSubject: subject
+      });
+      return { user, outcome: 'created' };
+    }),
+
+    // Accounts waiting out the erasure grace period, soonest first
+    pendingErasures: () => users.findMany({
+      where: { erasureScheduledFor: { not: null }, erasedAt: null },
+      orderBy: { erasureScheduledFor: 'asc' }
+    }),
+
+    erase: (id, now) => eraseUser(backend, id, now),
+
+    // Erases every account whose grace period is over; returns their ids
+    async eraseDue(now) {
+      const due = await users.findMany({ where: { erasureScheduledFor: { lte: now }, erasedAt: null } });
+      const erased = [];
+      for (const user of due) {
+        if (await eraseUser(backend, user.id, now)) erased.push(user.id);
+      }
+      return erased;
+    },
+
+    toPublic: (user, fields = PUBLIC_FIELDS) => pick({ ...withVerification(user), isGuest: isGuest(user) }, fields),
+
+    isVerified: user => withVerification(user).isVerified,
+
+    // Admin override (or the emailed link): verified accounts drop their pending links
+    setVerified: (id, isVerified, now) => backend.transaction(async (tx) => {
+      if (isVerified) {
+        await tx.collection('userTokens').deleteMany({ userId: id, purpose: 'EMAIL_VERIFICATION' });
+      }
+      return tx.collection('users').update(id, { isVerified, emailVerifiedAt: isVerified ? now : null });
+    })
+  };
+};
+
+module.exports.PUBLIC_FIELDS = PUBLIC_FIELDS;
@@ -0,0 +1,77 @@
+// Helpers shared by the entity repositories
+
+// Copy only the listed fields, like a Prisma `select`
+function pick(record, fields) {
+  if (!record) return record;
+  return fields.reduce((acc, field) => {
+    if (field in record) acc[field] = record[field];
+    return acc;
+  }, {});
+}
+
+// Tags are stored as a comma-separated string (SQLite has no array columns)
+function serializeTags(tags) {
+  if (tags === undefined) return undefined;
+  if (tags === null) return '';
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim()).filter(tag => tag.length > 0).join(',');
+}
+
+function parseTags(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  return value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+}
+
+// Wrap a collection so records are encoded on the way in and decoded on the way out
+function withCodec(collection, { encode, decode }) {
+  const decodeOne = record => (record ? decode(record) : record);
+
+  return {
+    ...collection,
+    findById: async id => decodeOne(await collection.findById(id)),
+    findOne: async (where, options) => decodeOne(await collection.findOne(where, options)),
+    findMany: async options => (await collection.findMany(options)).map(decode),
+    create: async data => decode(await collection.create(encode(data))),
+    update: async (id, data) => decode(await collection.update(id, encode(data))),
+    updateMany: (where, data) => collection.updateMany(where, encode(data)),
+    delete: async id => decodeOne(await collection.delete(id))
+  };
+}
+
+// Attach the record each item points at through `foreignKey`
+async function attachOne(items, { as, foreignKey, collection, fields }) {
+  const ids = [...new Set(items.map(item => item[foreignKey]).filter(Boolean))];
+  const related = ids.length > 0
+    ? await collection.findMany({ where: { id: { in: ids } } })
+    : [];
+  const byId = new Map(related.map(record => [record.id, record]));
+
+  return items.map(item => {
+    const match = byId.get(item[foreignKey]);
+    return { ...item, [as]: match ? (fields ? pick(match, fields) : match) : null };
+  });
+}
+
+// Attach the records that point back at each item through `foreignKey`
+async function attachMany(items, { as, foreignKey, collection, where = {}, orderBy, map = record => record }) {
+  const ids = items.map(item => item.id);
+  const related = ids.length > 0
+    ? await collection.findMany({ where: { ...where, [foreignKey]: { in: ids } }, orderBy })
+    : [];
+  const mapped = await map(related);
+
+  return items.map(item => ({
+    ...item,
+    [as]: mapped.filter((record, index) => related[index][foreignKey] === item.id)
+  }));
+}
+
+module.exports = {
+  pick,
+  serializeTags,
+  parseTags,
+  withCodec,
+  attachOne,
+  attachMany
+};
@@ -0,0 +1,117 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { RecordNotFoundError } = require('../repositories/errors');
+const { pick } = require('../repositories/utils');
+const createAuth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+// What admins see of a code; the hash never leaves the store
+const CODE_FIELDS = ['id', 'label', 'hint', 'expiresAt', 'maxUses', 'useCount', 'lastUsedAt', 'revokedAt', 'createdById', 'createdAt'];
+
+module.exports = function createAccessCodesRouter({ store, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+
+  const describe = (accessCode, now = clock.now()) => ({
+    ...pick(accessCode, CODE_FIELDS),
+    status: store.accessCodes.statusOf(accessCode, now)
+  });
+
+  // List access codes, newest first (Admin only)
+  router.get('/', auth, requirePermission('accessCodes:manage'), async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      const codes = (await store.accessCodes.findMany({ orderBy: { createdAt: 'desc' } })).map(code => describe(code));
+
+      res.json(status ? codes.filter(code => code.status === status) : codes);
+    } catch (error) {
+      req.log.error('Error fetching access codes', { err: error });
+      res.status(500).json({ error: 'Failed to fetch access codes', requestId: req.id });
+    }
+  });
+
+  // Issue a new access code (Admin only). The code is only ever shown here.
+  router.post('/', auth, requirePermission('accessCodes:manage'), [
+    body('label').trim().isLength({ min: 2, max: 100 }).withMessage('Label must be 2-100 characters'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a valid date')
+      .custom(value => new Date(value) > clock.now()).withMessage('Expiry must be in the future'),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Use limit must be a positive integer')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { label, expiresAt, maxUses } = req.body;
+
+      const { accessCode, code } = await store.accessCodes.issue({
+        label,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        maxUses: maxUses ? parseInt(maxUses) : null,
+        createdById: req.user.id,
+        now: clock.now()
+      });
+
+      res.status(201).json({ ...describe(accessCode), code });
+    } catch (error) {
+      req.log.error('Error creating access code', { err: error });
+      res.status(500).json({ error: 'Failed to create access code', requestId: req.id });
+    }
+  });
+
+  // Get one access code (Admin only)
+  router.get('/:id', auth, requirePermission('accessCodes:manage'), async (req, res) => {
+    try {
+      const accessCode = await store.accessCodes.findById(req.params.id);
+
+      if (!accessCode) {
+        return res.status(404).json({ error: 'Access code not found' });
+      }
+
+      res.json(describe(accessCode));
+    } catch (error) {
+      req.log.error('Error fetching access code', { err: error });
+      res.status(500).json({ error: 'Failed to fetch access code', requestId: req.id });
+    }
+  });
+
+  // Blog posts submitted with an access code, newest first (Admin only)
+  router.get('/:id/posts', auth, requirePermission('accessCodes:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!await store.accessCodes.findById(id)) {
+        return res.status(404).json({ error: 'Access code not found' });
+      }
+
+      const posts = await store.blogPosts.findMany({
+        where: { accessCodeId: id },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      res.json(await store.blogPosts.withAuthors(posts));
+    } catch (error) {
+      req.log.error('Error fetching access code posts', { err: error });
+      res.status(500).json({ error: 'Failed to fetch access code posts', requestId: req.id });
+    }
+  });
+
+  // Revoke an access code (Admin only); posts made with it are kept
+  router.patch('/:id/revoke', auth, requirePermission('accessCodes:manage'), async (req, res) => {
+    try {
+      const accessCode = await store.accessCodes.revoke(req.params.id, clock.now());
+
+      res.json({ message: 'Access code revoked', accessCode: describe(accessCode) });
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Access code not found' });
+      }
+      req.log.error('Error revoking access code', { err: error });
+      res.status(500).json({ error: 'Failed to revoke access code', requestId: req.id });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,100 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { RecordNotFoundError } = require('../repositories/errors');
+const { pick } = require('../repositories/utils');
+const createAuth = require('../middleware/auth');
+const { requirePermission, API_KEY_SCOPES } = require('../middleware/permissions');
+
+// What admins see of a key; the hash never leaves the store
+const KEY_FIELDS = ['id', 'name', 'prefix', 'scopes', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'revokedAt', 'createdById', 'createdAt'];
+// Longest life a key can be given
+const MAX_LIFETIME_MS = 366 * 24 * 60 * 60 * 1000;
+
+module.exports = function createApiKeysRouter({ store, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+
+  const describe = (apiKey, now = clock.now()) => ({
+    ...pick(apiKey, KEY_FIELDS),
+    status: store.apiKeys.statusOf(apiKey, now)
+  });
+
+  // List API keys, newest first (Admin only)
+  router.get('/', auth, requirePermission('apiKeys:manage'), async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      const keys = (await store.apiKeys.findMany({ orderBy: { createdAt: 'desc' } })).map(apiKey => describe(apiKey));
+
+      res.json(status ? keys.filter(apiKey => apiKey.status === status) : keys);
+    } catch (error) {
+      req.log.error('Error fetching API keys', { err: error });
+      res.status(500).json({ error: 'Failed to fetch API keys', requestId: req.id });
+    }
+  });
+
+  // Create an API key (Admin only). The key is only ever shown here.
+  router.post('/', auth, requirePermission('apiKeys:manage'), [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Unknown scope'),
+    body('expiresAt').isISO8601().withMessage('Expiry must be a valid date').bail()
+      .custom(value => new Date(value) > clock.now()).withMessage('Expiry must be in the future')
+      .custom(value => new Date(value) - clock.now() <= MAX_LIFETIME_MS).withMessage('Expiry must be within a year')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, scopes, expiresAt } = req.body;
+
+      const { apiKey, key } = await store.apiKeys.issue({
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(expiresAt),
+        createdById: req.user.id,
+        now: clock.now()
+      });
+
+      res.status(201).json({ ...describe(apiKey), key });
+    } catch (error) {
+      req.log.error('Error creating API key', { err: error });
+      res.status(500).json({ error: 'Failed to create API key', requestId: req.id });
+    }
+  });
+
+  // Get one API key (Admin only)
+  router.get('/:id', auth, requirePermission('apiKeys:manage'), async (req, res) => {
+    try {
+      const apiKey = await store.apiKeys.findById(req.params.id);
+
+      if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      res.json(describe(apiKey));
+    } catch (error) {
+      req.log.error('Error fetching API key', { err: error });
+      res.status(500).json({ error: 'Failed to fetch API key', requestId: req.id });
+    }
+  });
+
+  // Revoke an API key (Admin only); it stops working on the next request
+  router.patch('/:id/revoke', auth, requirePermission('apiKeys:manage'), async (req, res) => {
+    try {
+      const apiKey = await store.apiKeys.revoke(req.params.id, clock.now());
+
+      res.json({ message: 'API key revoked', apiKey: describe(apiKey) });
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+      req.log.error('Error revoking API key', { err: error });
+      res.status(500).json({ error: 'Failed to revoke API key', requestId: req.id });
+    }
+  });
+
+  return router;
+};
@@ -1,48 +1,151 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { prisma } = require('../config/database');
+const { body, query, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const createAuth = require('../middleware/auth');
+const createLoginThrottle = require('../services/loginThrottle');
+const createAccountClaims = require('../services/accountClaims');
+const { signToken, findOpenSession } = require('../middleware/auth');
+const { pick } = require('../repositories/utils');
+const { passwordResetEmail, verificationEmail } = require('../emails');
+
+// How long emailed links stay usable
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+// Minimum gap between verification emails to one account
+const RESEND_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Time allowed between the password and the 2FA code at login
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// Time allowed for a round trip to the single sign-on provider
+const OIDC_LOGIN_TTL_MINUTES = 10;
+// Ties the provider's callback to the browser that started the login
+const OIDC_STATE_COOKIE = 'ssc_oidc_state';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+const PROFILE_FIELDS = ['id', 'firstName', 'lastName', 'email', 'senecaId', 'program', 'year', 'role', 'isActive', 'isVerified', 'twoFactorEnabled'];
+const SESSION_FIELDS = ['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt', 'expiresAt'];
+
+// Value of one request cookie (the app has no cookie parser)
+function readCookie(req, name) {
+  const pair = (req.get('Cookie') || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// First and last name from ID token claims, falling back to the email
+function namesFromClaims(claims) {
+  const [first, ...rest] = (claims.name || '').trim().split(/\s+/);
+  return {
+    firstName: claims.given_name || first || claims.email.split('@')[0],
+    lastName: claims.family_name || rest.join(' ')
+  };
+}
+
+module.exports = function createAuthRouter({ store, mailer, clock, config, identityProvider }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+  const loginThrottle = createLoginThrottle({ store, clock });
+  const accountClaims = createAccountClaims({ store, mailer, clock, config });
+
+  const sessionExpiry = now => new Date(now.getTime() + config.sessions.ttlDays * DAY_MS);
+
+  // Signs the user in on this device: a new session and its two tokens
+  async function startSession(user, req) {
+    const now = clock.now();
+    const { session, refreshToken } = await store.sessions.start(user.id, {
+      now,
+      expiresAt: sessionExpiry(now),
+      userAgent: req.get('User-Agent') || null,
+      ip: req.ip
+    });
+    return { token: signToken(user, session, config), refreshToken };
+  }
 
-const router = express.Router();
-
-// User registration
-router.post('/register', [
-  body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
-  body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
-  body('email').isEmail().withMessage('Valid email is required'),
-  body('senecaId').trim().isLength({ min: 3, max: 20 }).withMessage('Seneca ID must be 3-20 characters'),
-  body('program').trim().isLength({ min: 2, max: 100 }).withMessage('Program must be 2-100 characters'),
-  body('year').isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+  // Proof the password step passed, traded for a session at /login/2fa.
+  // It names no session, so the auth middleware won't accept it.
+  const signChallenge = user => jwt.sign(
+    { userId: user.id, purpose: 'two-factor' },
+    config.jwt.secret,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+
+  function verifyChallenge(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret);
+      return decoded.purpose === 'two-factor' ? decoded : null;
+    } catch (error) {
+      return null;
     }
+  }
 
-    const { firstName, lastName, email, senecaId, program, year, password } = req.body;
+  const tooManyAttempts = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.', retryAfter });
+  };
+
+  // Emails a fresh verification link, voiding earlier ones
+  async function sendVerificationEmail(user) {
+    const now = clock.now();
+    const token = await store.userTokens.issue(user.id, 'EMAIL_VERIFICATION', {
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+    });
+    const verifyUrl = `${config.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
 
-    // Check if user already exists
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        OR: [{ email }, { senecaId }]
-      }
+    await mailer.sendMail({
+      from: config.email.from,
+      to: user.email,
+      ...verificationEmail({ firstName: user.firstName, verifyUrl, expiresInHours: VERIFICATION_TOKEN_TTL_HOURS })
     });
+  }
 
-    if (existingUser) {
-      return res.status(400).json({ 
-        error: 'User already exists with this email or Seneca ID' 
-      });
-    }
+  // User registration
+  router.post('/register', [
+    body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
+    body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('senecaId').trim().isLength({ min: 3, max: 20 }).withMessage('Seneca ID must be 3-20 characters'),
+    body('program').trim().isLength({ min: 2, max: 100 }).withMessage('Program must be 2-100 characters'),
+    body('year').isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+      const { firstName, lastName, email, senecaId, program, year, password } = req.body;
+
+      // The email belongs to a guest (an event registration): its owner
+      // claims that account through the emailed link instead
+      const guest = await store.users.findByEmail(email);
+      if (guest && store.users.isGuest(guest)) {
+        try {
+          await accountClaims.sendLink(guest);
+        } catch (emailError) {
+          req.log.error('Failed to send account claim email', { err: emailError, userId: guest.id });
+        }
+        return res.status(202).json({
+          message: 'You already have a guest account from registering for an event. Check your email for a link to claim it.',
+          claimRequired: true
+        });
+      }
+
+      // Check if user already exists
+      const existingUser = await store.users.findByEmailOrSenecaId(email, senecaId);
+
+      if (existingUser) {
+        return res.status(400).json({ 
+          error: 'User already exists with this email or Seneca ID' 
+        });
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 12);
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
+      // Create user (unverified until the emailed link is used)
+      const created = await store.users.create({
         firstName,
         lastName,
         email,
@@ -50,301 +153,609 @@ router.post('/register', [
         program,
         year,
         password: hashedPassword,
-        role: 'MEMBER'
-      },
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true
+        role: 'MEMBER',
+        isVerified: false
+      });
+      const user = store.users.toPublic(created, PROFILE_FIELDS);
+
+      try {
+        await sendVerificationEmail(created);
+      } catch (emailError) {
+        // The account still works; the member can ask for another link
+        req.log.error('Failed to send verification email', { err: emailError, userId: created.id });
       }
-    });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      user,
-      token
-    });
-  } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({ error: 'Failed to register user' });
-  }
-});
-
-// User login
-router.post('/login', [
-  body('email').isEmail().withMessage('Valid email is required'),
-  body('password').notEmpty().withMessage('Password is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      res.status(201).json({
+        message: 'User registered successfully. Check your email to verify your account.',
+        user,
+        ...await startSession(created, req)
+      });
+    } catch (error) {
+      req.log.error('Error registering user', { err: error });
+      res.status(500).json({ error: 'Failed to register user', requestId: req.id });
     }
+  });
+
+  // User login
+  router.post('/login', [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { email, password } = req.body;
-
-    // Find user by email
-    const user = await prisma.user.findUnique({
-      where: { email },
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true,
-        password: true
+      const { email, password } = req.body;
+
+      // Too many recent failures for this account or address
+      const retryAfter = await loginThrottle.retryAfter(email, req.ip);
+      if (retryAfter > 0) {
+        return tooManyAttempts(res, retryAfter);
       }
-    });
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+      // Find user by email
+      const user = await store.users.findByEmail(email);
 
-    if (!user.isActive) {
-      return res.status(401).json({ error: 'Account is deactivated' });
-    }
+      if (!user) {
+        await loginThrottle.recordFailure(email, req.ip, { log: req.log });
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+      if (!user.isActive) {
+        return res.status(401).json({ error: 'Account is deactivated' });
+      }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+      // Verify password
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        await loginThrottle.recordFailure(email, req.ip, { userId: user.id, log: req.log });
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+      // Second step: no session until /login/2fa gets a code
+      if (user.twoFactorEnabled) {
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          twoFactorRequired: true,
+          challengeToken: signChallenge(user)
+        });
+      }
 
-    res.json({
-      message: 'Login successful',
-      user: userWithoutPassword,
-      token
-    });
-  } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({ error: 'Failed to log in' });
-  }
-});
-
-// Get current user profile
-router.get('/me', async (req, res) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+      await loginThrottle.recordSuccess(email);
+
+      // Remove password from response
+      const userWithoutPassword = store.users.toPublic(user, PROFILE_FIELDS);
+
+      res.json({
+        message: 'Login successful',
+        user: userWithoutPassword,
+        // Admins get no admin access until they set 2FA up
+        twoFactorSetupRequired: user.role === 'ADMIN',
+        ...await startSession(user, req)
+      });
+    } catch (error) {
+      req.log.error('Error logging in', { err: error });
+      res.status(500).json({ error: 'Failed to log in', requestId: req.id });
     }
+  });
+
+  // Second login step for accounts with 2FA: the challenge token from
+  // /login plus a code from the app or one of the recovery codes. Wrong
+  // codes count as failed logins.
+  router.post('/login/2fa', [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    body('recoveryCode').optional().isString().withMessage('Recovery code must be a string')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true,
-        createdAt: true
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!code && !recoveryCode) {
+        return res.status(400).json({ error: 'A code or a recovery code is required' });
       }
-    });
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'User not found or inactive' });
-    }
+      const challenge = verifyChallenge(challengeToken);
+      const user = challenge && await store.users.findById(challenge.userId);
+      // Also covers 2FA being reset between the two steps
+      const credential = user && user.isActive && await store.twoFactor.findByUser(user.id);
+      if (!credential || !credential.confirmedAt) {
+        return res.status(401).json({ error: 'Login attempt has expired. Please log in again.' });
+      }
+
+      const retryAfter = await loginThrottle.retryAfter(user.email, req.ip);
+      if (retryAfter > 0) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
+      const isValidCode = code
+        ? await store.twoFactor.verifyCode(credential, code, clock.now())
+        : await store.twoFactor.useRecoveryCode(credential, recoveryCode);
+      if (!isValidCode) {
+        await loginThrottle.recordFailure(user.email, req.ip, { userId: user.id, log: req.log });
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+
+      await loginThrottle.recordSuccess(user.email);
+      if (!code) {
+        req.log.info('Recovery code used to log in', { userId: user.id });
+      }
 
-    res.json(user);
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+      res.json({
+        message: 'Login successful',
+        user: store.users.toPublic(user, PROFILE_FIELDS),
+        ...await startSession(user, req)
+      });
+    } catch (error) {
+      req.log.error('Error completing two-factor login', { err: error });
+      res.status(500).json({ error: 'Failed to complete two-factor login', requestId: req.id });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+  });
+
+  // Single sign-on: send the browser to the identity provider
+  router.get('/oidc/login', [
+    query('loginHint').optional().isEmail().withMessage('Login hint must be an email')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      if (!identityProvider) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+      }
+
+      const now = clock.now();
+      const login = await store.oidcLogins.start({
+        now,
+        expiresAt: new Date(now.getTime() + OIDC_LOGIN_TTL_MINUTES * 60 * 1000)
+      });
+      const authorizationUrl = await identityProvider.authorizationUrl({
+        state: login.state,
+        nonce: login.nonce,
+        codeVerifier: login.codeVerifier,
+        loginHint: req.query.loginHint
+      });
+
+      res.cookie(OIDC_STATE_COOKIE, login.state, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.isProduction,
+        path: OIDC_COOKIE_PATH,
+        maxAge: OIDC_LOGIN_TTL_MINUTES * 60 * 1000
+      });
+      res.redirect(authorizationUrl);
+    } catch (error) {
+      req.log.error('Error starting single sign-on', { err: error });
+      res.status(500).json({ error: 'Failed to start single sign-on', requestId: req.id });
     }
-    
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({ error: 'Failed to fetch user profile' });
-  }
-});
-
-// Refresh token
-router.post('/refresh', async (req, res) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+  });
+
+  // The provider sends the browser back here. The outcome goes to the
+  // frontend's /auth/callback in the URL fragment, which stays out of server
+  // logs: our usual tokens, a challengeToken for /login/2fa, or an error code.
+  router.get('/oidc/callback', async (req, res) => {
+    const finish = (params) => {
+      res.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_COOKIE_PATH });
+      res.redirect(`${config.frontendUrl}/auth/callback#${new URLSearchParams(params)}`);
+    };
+
+    try {
+      if (!identityProvider) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+      }
+
+      const { code, state, error: providerError } = req.query;
+      if (providerError) {
+        return finish({ error: 'access_denied' });
+      }
+
+      const login = code && state && state === readCookie(req, OIDC_STATE_COOKIE)
+        && await store.oidcLogins.consume(state, clock.now());
+      if (!login) {
+        return finish({ error: 'invalid_state' });
+      }
+
+      let claims;
+      try {
+        claims = await identityProvider.exchangeCode({ code, codeVerifier: login.codeVerifier, nonce: login.nonce });
+      } catch (exchangeError) {
+        req.log.warn('Single sign-on code exchange failed', { err: exchangeError });
+        return finish({ error: 'sso_failed' });
+      }
+
+      // Accounts are matched by email, so only a verified one will do
+      if (!claims.sub || !claims.email || claims.email_verified !== true) {
+        return finish({ error: 'email_not_verified' });
+      }
+      const domain = claims.email.split('@').pop().toLowerCase();
+      if (config.oidc.allowedDomains.length > 0 && !config.oidc.allowedDomains.includes(domain)) {
+        req.log.info('Single sign-on refused for email domain', { domain });
+        return finish({ error: 'domain_not_allowed' });
+      }
+
+      const result = await store.users.findOrCreateForSso({
+        subject: claims.sub,
+        email: claims.email,
+        ...namesFromClaims(claims)
+      }, clock.now());
+      if (result.conflict) {
+        req.log.warn('Single sign-on email belongs to an account linked elsewhere', { email: claims.email });
+        return finish({ error: 'account_conflict' });
+      }
+
+      const { user, outcome } = result;
+      if (outcome === 'created') req.log.info('Account created through single sign-on', { userId: user.id });
+      if (outcome === 'linked') req.log.info('Account linked to single sign-on', { userId: user.id });
+
+      if (!user.isActive) {
+        return finish({ error: 'account_deactivated' });
+      }
+      // Same second step as a password login
+      if (user.twoFactorEnabled) {
+        return finish({ challengeToken: signChallenge(user) });
+      }
+
+      finish({
+        ...await startSession(user, req),
+        ...(user.role === 'ADMIN' && { twoFactorSetupRequired: 'true' })
+      });
+    } catch (error) {
+      req.log.error('Error completing single sign-on', { err: error });
+      finish({ error: 'server_error' });
     }
+  });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, isActive: true }
-    });
+  // Get current user profile
+  router.get('/me', async (req, res) => {
+    try {
+      const token = req.header('Authorization')?.replace('Bearer ', '');
+
+      if (!token) {
+        return res.status(401).json({ error: 'No token provided' });
+      }
+
+      const decoded = jwt.verify(token, config.jwt.secret);
+      const user = await store.users.findById(decoded.userId);
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({ error: 'User not found or inactive' });
+      }
+      if (!await findOpenSession(store, decoded)) {
+        return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+      }
+
+      res.json(store.users.toPublic(user, [...PROFILE_FIELDS, 'createdAt']));
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired' });
+      }
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'User not found or inactive' });
+      req.log.error('Error fetching user profile', { err: error });
+      res.status(500).json({ error: 'Failed to fetch user profile', requestId: req.id });
     }
+  });
+
+  // Trade a refresh token for a new access token and refresh token. Each
+  // refresh token works once; reusing an old one ends its session.
+  router.post('/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Generate new token
-    const newToken = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+      const now = clock.now();
+      const result = await store.sessions.rotate(req.body.refreshToken, { now, expiresAt: sessionExpiry(now) });
 
-    res.json({
-      message: 'Token refreshed successfully',
-      token: newToken
-    });
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+      if (result.error === 'reused') {
+        req.log.warn('Refresh token reused; session revoked', { sessionId: result.session.id, userId: result.session.userId });
+      }
+      if (result.error) {
+        return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+      }
+
+      const user = await store.users.findById(result.session.userId);
+      if (!user || !user.isActive) {
+        await store.sessions.revoke(result.session.id, 'DEACTIVATED', now);
+        return res.status(401).json({ error: 'User not found or inactive' });
+      }
+
+      res.json({
+        message: 'Token refreshed successfully',
+        token: signToken(user, result.session, config),
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      req.log.error('Error refreshing token', { err: error });
+      res.status(500).json({ error: 'Failed to refresh token', requestId: req.id });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+  });
+
+  // Forgot password (send reset email)
+  router.post('/forgot-password', [
+    body('email').isEmail().withMessage('Valid email is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email } = req.body;
+
+      const user = await store.users.findByEmail(email);
+
+      if (!user || !user.isActive) {
+        // Don't reveal if user exists or not
+        return res.json({ message: 'If an account exists with this email, a reset link has been sent' });
+      }
+
+      // Guests have no password to reset; they get a claim link instead
+      if (store.users.isGuest(user)) {
+        try {
+          await accountClaims.sendLink(user);
+        } catch (emailError) {
+          req.log.error('Failed to send account claim email', { err: emailError, userId: user.id });
+        }
+        return res.json({ message: 'If an account exists with this email, a reset link has been sent' });
+      }
+
+      // Only a hash is stored; the token itself goes out in the email
+      const now = clock.now();
+      const resetToken = await store.userTokens.issue(user.id, 'PASSWORD_RESET', {
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      });
+      const resetUrl = `${config.frontendUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+
+      try {
+        await mailer.sendMail({
+          from: config.email.from,
+          to: user.email,
+          ...passwordResetEmail({ firstName: user.firstName, resetUrl, expiresInMinutes: RESET_TOKEN_TTL_MINUTES })
+        });
+      } catch (emailError) {
+        // Same answer either way, so the response doesn't reveal the account
+        req.log.error('Failed to send password reset email', { err: emailError, userId: user.id });
+      }
+
+      res.json({ 
+        message: 'If an account exists with this email, a reset link has been sent' 
+      });
+    } catch (error) {
+      req.log.error('Error processing forgot password', { err: error });
+      res.status(500).json({ error: 'Failed to process forgot password request', requestId: req.id });
     }
-    
-    console.error('Error refreshing token:', error);
-    res.status(500).json({ error: 'Failed to refresh token' });
-  }
-});
-
-// Forgot password (send reset email)
-router.post('/forgot-password', [
-  body('email').isEmail().withMessage('Valid email is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+  });
+
+  // Reset password
+  router.post('/reset-password', [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, newPassword } = req.body;
+
+      // Hash new password
+      const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+      // Check and use up the token, change the password and end every
+      // existing session in one step, so a token can't be used twice
+      const reset = await store.transaction(async (tx) => {
+        const record = await tx.userTokens.findValid(token, 'PASSWORD_RESET', clock.now());
+        if (!record) return null;
+
+        // Changing the password also removes the user's reset tokens
+        await tx.users.update(record.userId, { password: hashedPassword });
+        await tx.sessions.revokeAllForUser(record.userId, 'PASSWORD_RESET', clock.now());
+        return record;
+      });
+
+      if (!reset) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      req.log.info('Password reset', { userId: reset.userId });
+      res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+      req.log.error('Error resetting password', { err: error });
+      res.status(500).json({ error: 'Failed to reset password', requestId: req.id });
     }
+  });
+
+  // Claim a guest account with the emailed link: set a password and sign in
+  router.post('/claim', [
+    body('token').notEmpty().withMessage('Claim token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { email } = req.body;
+      const password = await bcrypt.hash(req.body.password, 12);
 
-    const user = await prisma.user.findUnique({
-      where: { email },
-      select: { id: true, firstName: true, isActive: true }
-    });
+      // Check and use up the token in the same step as the claim
+      const user = await store.transaction(async (tx) => {
+        const record = await tx.userTokens.findValid(req.body.token, 'ACCOUNT_CLAIM', clock.now());
+        return record && tx.users.claim(record.userId, { password, now: clock.now() });
+      });
+
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired claim link' });
+      }
+      if (!user.isActive) {
+        return res.status(401).json({ error: 'Account is deactivated' });
+      }
 
-    if (!user || !user.isActive) {
-      // Don't reveal if user exists or not
-      return res.json({ message: 'If an account exists with this email, a reset link has been sent' });
+      req.log.info('Guest account claimed', { userId: user.id });
+      res.json({
+        message: 'Account claimed successfully',
+        user: store.users.toPublic(user, PROFILE_FIELDS),
+        ...await startSession(user, req)
+      });
+    } catch (error) {
+      req.log.error('Error claiming account', { err: error });
+      res.status(500).json({ error: 'Failed to claim account', requestId: req.id });
     }
+  });
+
+  // Confirm an email address with the emailed link
+  router.post('/verify-email', [
+    body('token').notEmpty().withMessage('Verification token is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Generate reset token (expires in 1 hour)
-    const resetToken = jwt.sign(
-      { userId: user.id, type: 'password-reset' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+      const user = await store.transaction(async (tx) => {
+        const record = await tx.userTokens.findValid(req.body.token, 'EMAIL_VERIFICATION', clock.now());
+        // Marking the account verified also removes its verification tokens
+        return record && tx.users.setVerified(record.userId, true, clock.now());
+      });
 
-    // In a real application, you would send an email with the reset link
-    // For now, we'll just return the token (in production, this should be emailed)
-    console.log(`Password reset token for ${email}: ${resetToken}`);
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired verification link' });
+      }
 
-    res.json({ 
-      message: 'If an account exists with this email, a reset link has been sent' 
-    });
-  } catch (error) {
-    console.error('Error processing forgot password:', error);
-    res.status(500).json({ error: 'Failed to process forgot password request' });
-  }
-});
-
-// Reset password
-router.post('/reset-password', [
-  body('token').notEmpty().withMessage('Reset token is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      res.json({
+        message: 'Email verified successfully',
+        user: store.users.toPublic(user, PROFILE_FIELDS)
+      });
+    } catch (error) {
+      req.log.error('Error verifying email', { err: error });
+      res.status(500).json({ error: 'Failed to verify email', requestId: req.id });
     }
+  });
 
-    const { token, newPassword } = req.body;
+  // Send another verification email to the signed-in member
+  router.post('/resend-verification', auth, async (req, res) => {
+    try {
+      if (req.user.isVerified) {
+        return res.status(400).json({ error: 'Email is already verified' });
+      }
+
+      const latest = await store.userTokens.latestFor(req.user.id, 'EMAIL_VERIFICATION');
+      if (latest && clock.now() - new Date(latest.createdAt) < RESEND_INTERVAL_MS) {
+        return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+      }
 
-    // Verify reset token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'password-reset') {
-      return res.status(400).json({ error: 'Invalid token type' });
+      await sendVerificationEmail(req.user);
+
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      req.log.error('Error resending verification email', { err: error });
+      res.status(500).json({ error: 'Failed to resend verification email', requestId: req.id });
     }
+  });
+
+  // Verify access code for blog posting
+  router.post('/verify-code', [
+    body('accessCode').notEmpty().withMessage('Access code is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 12);
+      // Checking doesn't use the code up; posting does
+      const record = await store.accessCodes.findByCode(req.body.accessCode);
+      const isValid = Boolean(record) && store.accessCodes.statusOf(record, clock.now()) === 'ACTIVE';
 
-    // Update user password
-    await prisma.user.update({
-      where: { id: decoded.userId },
-      data: { password: hashedPassword }
-    });
+      res.json({ valid: isValid });
+    } catch (error) {
+      req.log.error('Error verifying access code', { err: error });
+      res.status(500).json({ error: 'Failed to verify access code', requestId: req.id });
+    }
+  });
+
+  // Logout: ends the session of the access token, or of a refresh token
+  // in the body (for clients whose access token has already expired)
+  router.post('/logout', auth.optional, [
+    body('refreshToken').optional().isString().withMessage('Refresh token must be a string')
+  ], async (req, res) => {
+    try {
+      const session = req.sessionId
+        ? await store.sessions.findById(req.sessionId)
+        : req.body.refreshToken && await store.sessions.findByRefreshToken(req.body.refreshToken);
+
+      if (session && !session.revokedAt) {
+        await store.sessions.revoke(session.id, 'LOGOUT', clock.now());
+      }
 
-    res.json({ message: 'Password reset successfully' });
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(400).json({ error: 'Invalid or expired reset token' });
+      res.json({ message: 'Logout successful' });
+    } catch (error) {
+      req.log.error('Error logging out', { err: error });
+      res.status(500).json({ error: 'Failed to log out', requestId: req.id });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(400).json({ error: 'Reset token has expired' });
+  });
+
+  // List the caller's signed-in devices
+  router.get('/sessions', auth, async (req, res) => {
+    try {
+      const sessions = await store.sessions.activeFor(req.user.id, clock.now());
+
+      res.json({
+        sessions: sessions.map(session => ({
+          ...pick(session, SESSION_FIELDS),
+          current: session.id === req.sessionId
+        }))
+      });
+    } catch (error) {
+      req.log.error('Error fetching sessions', { err: error });
+      res.status(500).json({ error: 'Failed to fetch sessions', requestId: req.id });
     }
-    
-    console.error('Error resetting password:', error);
-    res.status(500).json({ error: 'Failed to reset password' });
-  }
-});
-
-// Verify access code for blog posting
-router.post('/verify-code', [
-  body('accessCode').notEmpty().withMessage('Access code is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+  });
+
+  // Sign out everywhere, including this device
+  router.delete('/sessions', auth, async (req, res) => {
+    try {
+      const count = await store.sessions.revokeAllForUser(req.user.id, 'REVOKED', clock.now());
+
+      res.json({ message: 'All sessions revoked', count });
+    } catch (error) {
+      req.log.error('Error revoking sessions', { err: error });
+      res.status(500).json({ error: 'Failed to revoke sessions', requestId: req.id });
     }
+  });
 
-    const { accessCode } = req.body;
-    const validCode = process.env.MENTOR_ACCESS_CODE || 'SSC2024MENTOR';
-    
-    const isValid = accessCode === validCode;
-    
-    res.json({ valid: isValid });
-  } catch (error) {
-    console.error('Error verifying access code:', error);
-    res.status(500).json({ error: 'Failed to verify access code' });
-  }
-});
+  // Sign out one device
+  router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+      const session = await store.sessions.findById(req.params.id);
 
-// Logout (client-side token removal)
-router.post('/logout', (req, res) => {
-  res.json({ message: 'Logout successful' });
-});
+      if (!session || session.userId !== req.user.id || !store.sessions.isActive(session, clock.now())) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      await store.sessions.revoke(session.id, 'REVOKED', clock.now());
+
+      res.json({ message: 'Session revoked' });
+    } catch (error) {
+      req.log.error('Error revoking session', { err: error });
+      res.status(500).json({ error: 'Failed to revoke session', requestId: req.id });
+    }
+  });
 
-module.exports = router;
+  return router;
+};
@@ -1,311 +1,291 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const fs = require('fs').promises;
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-
-const router = express.Router();
-
-// File storage paths
-const BLOG_DATA_FILE = path.join(__dirname, '../data/blog-posts.json');
-const DATA_DIR = path.join(__dirname, '../data');
-
-// Ensure data directory exists
-async function ensureDataDir() {
-  try {
-    await fs.access(DATA_DIR);
-  } catch {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-  }
-}
+const createAuth = require('../middleware/auth');
+const { requirePermission, requireVerifiedEmail, allowApiKeys } = require('../middleware/permissions');
+const { CorruptDataError, VersionConflictError, RecordNotFoundError } = require('../repositories/errors');
 
-// Read blog posts from file
-async function readBlogPosts() {
-  try {
-    await ensureDataDir();
-    const data = await fs.readFile(BLOG_DATA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // If file doesn't exist, return empty array
-    return [];
-  }
+// Fields an edit may change
+const EDITABLE_FIELDS = ['title', 'content', 'excerpt', 'tags', 'imageUrl'];
+
+// A corrupt data file is reported rather than served as an empty blog
+function sendCorruptData(req, res, error) {
+  req.log.error('Blog data file is corrupt', { err: error });
+  return res.status(500).json({ error: 'Blog data is unreadable. Please contact an administrator.', requestId: req.id });
 }
 
-// Write blog posts to file
-async function writeBlogPosts(posts) {
-  await ensureDataDir();
-  await fs.writeFile(BLOG_DATA_FILE, JSON.stringify(posts, null, 2));
+// Version the client last saw, from the body or an If-Match header
+function expectedVersion(req) {
+  if (req.body.version !== undefined) return parseInt(req.body.version);
+  const ifMatch = req.header('If-Match');
+  if (ifMatch) return parseInt(ifMatch.replace(/"/g, ''));
+  return undefined;
 }
 
-// Get all published blog posts
-router.get('/', async (req, res) => {
-  try {
-    const { page = 1, limit = 10, tag } = req.query;
-    
-    let posts = await readBlogPosts();
-    
-    // Filter published posts
-    posts = posts.filter(post => post.isPublished);
-    
-    // Filter by tag if provided
-    if (tag) {
-      posts = posts.filter(post => 
-        post.tags && (
-          (Array.isArray(post.tags) && post.tags.includes(tag)) ||
-          (typeof post.tags === 'string' && post.tags.includes(tag))
-        )
-      );
-    }
-    
-    // Sort by publishedAt desc
-    posts.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-    
-    // Pagination
-    const total = posts.length;
-    const startIndex = (parseInt(page) - 1) * parseInt(limit);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedPosts = posts.slice(startIndex, endIndex);
-
-    res.json({
-      posts: paginatedPosts,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / parseInt(limit)),
-        hasNext: parseInt(page) * parseInt(limit) < total,
-        hasPrev: parseInt(page) > 1
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching blog posts:', error);
-    res.status(500).json({ error: 'Failed to fetch blog posts' });
-  }
-});
-
-// Get single blog post by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const posts = await readBlogPosts();
-    const post = posts.find(p => p.id === id);
-
-    if (!post || !post.isPublished) {
-      return res.status(404).json({ error: 'Blog post not found' });
-    }
+module.exports = function createBlogRouter({ store, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
 
-    res.json(post);
-  } catch (error) {
-    console.error('Error fetching blog post:', error);
-    res.status(500).json({ error: 'Failed to fetch blog post' });
+  // Attach author details to posts
+  async function withAuthor(post) {
+    const [result] = await store.blogPosts.withAuthors([post]);
+    return result;
   }
-});
-
-// Create new blog post (Authenticated users)
-router.post('/', [
-  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
-  body('content').trim().isLength({ min: 100 }).withMessage('Content must be at least 100 characters'),
-  body('excerpt').trim().isLength({ min: 20, max: 300 }).withMessage('Excerpt must be 20-300 characters'),
-  body('tags').isArray({ min: 1 }).withMessage('At least one tag is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
 
-    const { title, content, excerpt, tags, imageUrl } = req.body;
-    
-    const posts = await readBlogPosts();
-    const newPost = {
-      id: uuidv4(),
-      title,
-      content,
-      excerpt,
-      tags,
-      imageUrl,
-      author: {
-        firstName: 'Admin',
-        lastName: 'User',
-        program: 'Science Club'
-      },
-      isPublished: true,
-      publishedAt: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    posts.push(newPost);
-    await writeBlogPosts(posts);
-
-    res.status(201).json(newPost);
-  } catch (error) {
-    console.error('Error creating blog post:', error);
-    res.status(500).json({ error: 'Failed to create blog post' });
-  }
-});
-
-// Create new blog post with access code (Simplified for frontend)
-router.post('/simple', [
-  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
-  body('content').trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
-  body('excerpt').trim().isLength({ min: 10, max: 300 }).withMessage('Excerpt must be 10-300 characters'),
-  body('tags').optional(),
-  body('author').custom((value) => {
-    if (typeof value === 'string' && value.trim().length > 0) return true;
-    if (typeof value === 'object' && value.firstName && value.firstName.trim().length > 0) return true;
-    throw new Error('Author is required');
-  }),
-  body('accessCode').notEmpty().withMessage('Access code is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+  // Get all published blog posts
+  router.get('/', async (req, res) => {
+    try {
+      const { page = 1, limit = 10, tag } = req.query;
+
+      // Published posts (newest first), filtered by tag if provided
+      const posts = await store.blogPosts.findPublished({ tag });
+
+      // Pagination
+      const total = posts.length;
+      const startIndex = (parseInt(page) - 1) * parseInt(limit);
+      const endIndex = startIndex + parseInt(limit);
+      const paginatedPosts = await store.blogPosts.withAuthors(posts.slice(startIndex, endIndex));
+
+      res.json({
+        posts: paginatedPosts,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: parseInt(page) * parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1
+        }
+      });
+    } catch (error) {
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error fetching blog posts', { err: error });
+      res.status(500).json({ error: 'Failed to fetch blog posts', requestId: req.id });
     }
+  });
+
+  // Get single blog post by ID
+  router.get('/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const post = await store.blogPosts.findById(id);
+
+      if (!post || !post.isPublished) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
 
-    const { title, content, excerpt, tags, imageUrl, author, accessCode } = req.body;
-    
-    // Verify access code
-    const validCode = process.env.MENTOR_ACCESS_CODE || 'SSC2024MENTOR';
-    if (accessCode !== validCode) {
-      return res.status(401).json({ error: 'Invalid access code' });
+      res.set('ETag', `"${post.version}"`);
+      res.json(await withAuthor(post));
+    } catch (error) {
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error fetching blog post', { err: error });
+      res.status(500).json({ error: 'Failed to fetch blog post', requestId: req.id });
     }
+  });
+
+  // Create new blog post (Authenticated users with a verified email, or API keys with blog:write)
+  router.post('/', auth, allowApiKeys('blog:write'), requireVerifiedEmail, [
+    body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
+    body('content').trim().isLength({ min: 100 }).withMessage('Content must be at least 100 characters'),
+    body('excerpt').trim().isLength({ min: 20, max: 300 }).withMessage('Excerpt must be 20-300 characters'),
+    body('tags').isArray({ min: 1 }).withMessage('At least one tag is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Parse author name
-    const authorParts = author.firstName && author.lastName 
-      ? author 
-      : { firstName: author.split(' ')[0] || 'Anonymous', lastName: author.split(' ').slice(1).join(' ') || '' };
-
-    const posts = await readBlogPosts();
-    const newPost = {
-      id: uuidv4(),
-      title,
-      content,
-      excerpt,
-      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(t => t.trim()) : []),
-      imageUrl,
-      author: {
-        firstName: authorParts.firstName,
-        lastName: authorParts.lastName,
-        program: 'Science Club'
-      },
-      isPublished: true,
-      publishedAt: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    posts.push(newPost);
-    await writeBlogPosts(posts);
-
-    res.status(201).json(newPost);
-  } catch (error) {
-    console.error('Error creating blog post:', error);
-    res.status(500).json({ error: 'Failed to create blog post' });
-  }
-});
-
-// Update blog post
-router.put('/:id', [
-  body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
-  body('content').optional().trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
-  body('excerpt').optional().trim().isLength({ min: 10, max: 300 }).withMessage('Excerpt must be 10-300 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      const { title, content, excerpt, tags, imageUrl } = req.body;
+
+      const newPost = await store.blogPosts.create({
+        title,
+        content,
+        excerpt,
+        tags,
+        imageUrl,
+        authorId: req.user.id,
+        isPublished: true,
+        publishedAt: clock.now()
+      });
+
+      res.status(201).json(await withAuthor(newPost));
+    } catch (error) {
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error creating blog post', { err: error });
+      res.status(500).json({ error: 'Failed to create blog post', requestId: req.id });
     }
+  });
+
+  // Create new blog post with access code (Simplified for frontend)
+  router.post('/simple', [
+    body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
+    body('content').trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
+    body('excerpt').trim().isLength({ min: 10, max: 300 }).withMessage('Excerpt must be 10-300 characters'),
+    body('tags').optional(),
+    body('author').custom((value) => {
+      if (typeof value === 'string' && value.trim().length > 0) return true;
+      if (typeof value === 'object' && value.firstName && value.firstName.trim().length > 0) return true;
+      throw new Error('Author is required');
+    }),
+    body('accessCode').notEmpty().withMessage('Access code is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { id } = req.params;
-    const posts = await readBlogPosts();
-    const postIndex = posts.findIndex(p => p.id === id);
+      const { title, content, excerpt, tags, imageUrl, author, accessCode } = req.body;
+
+      // Parse author name
+      const authorParts = author.firstName && author.lastName 
+        ? author 
+        : { firstName: author.split(' ')[0] || 'Anonymous', lastName: author.split(' ').slice(1).join(' ') || '' };
+
+      // Use up one use of the code and record it on the post, together
+      const newPost = await store.transaction(async (tx) => {
+        const code = await tx.accessCodes.consume(accessCode, clock.now());
+        if (!code) return null;
+
+        const authorUser = await tx.users.findOrCreateCodeAuthor({
+          firstName: authorParts.firstName,
+          lastName: authorParts.lastName,
+          program: 'Science Club'
+        }, code.id);
+
+        return tx.blogPosts.create({
+          title,
+          content,
+          excerpt,
+          tags: tags || [],
+          imageUrl,
+          authorId: authorUser.id,
+          accessCodeId: code.id,
+          isPublished: true,
+          publishedAt: clock.now()
+        });
+      });
+
+      if (!newPost) {
+        return res.status(401).json({ error: 'Invalid access code' });
+      }
 
-    if (postIndex === -1) {
-      return res.status(404).json({ error: 'Blog post not found' });
+      res.status(201).json(await withAuthor(newPost));
+    } catch (error) {
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error creating blog post', { err: error });
+      res.status(500).json({ error: 'Failed to create blog post', requestId: req.id });
     }
+  });
+
+  // Update blog post
+  router.put('/:id', auth, requirePermission('blog:edit'), [
+    body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
+    body('content').optional().trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
+    body('excerpt').optional().trim().isLength({ min: 10, max: 300 }).withMessage('Excerpt must be 10-300 characters'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Update the post
-    posts[postIndex] = {
-      ...posts[postIndex],
-      ...req.body,
-      updatedAt: new Date().toISOString()
-    };
-
-    await writeBlogPosts(posts);
-    res.json(posts[postIndex]);
-  } catch (error) {
-    console.error('Error updating blog post:', error);
-    res.status(500).json({ error: 'Failed to update blog post' });
-  }
-});
+      const { id } = req.params;
+      const changes = EDITABLE_FIELDS.reduce((acc, field) => {
+        if (req.body[field] !== undefined) acc[field] = req.body[field];
+        return acc;
+      }, {});
 
-// Delete blog post
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const posts = await readBlogPosts();
-    const postIndex = posts.findIndex(p => p.id === id);
+      const post = await store.blogPosts.updateVersioned(id, changes, { expectedVersion: expectedVersion(req) });
 
-    if (postIndex === -1) {
-      return res.status(404).json({ error: 'Blog post not found' });
+      res.set('ETag', `"${post.version}"`);
+      res.json(await withAuthor(post));
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      if (error instanceof VersionConflictError) {
+        return res.status(409).json({
+          error: 'Blog post was changed by someone else. Reload it and try again.',
+          currentVersion: error.currentVersion
+        });
+      }
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error updating blog post', { err: error });
+      res.status(500).json({ error: 'Failed to update blog post', requestId: req.id });
+    }
+  });
+
+  // Delete blog post
+  router.delete('/:id', auth, requirePermission('blog:delete'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      await store.blogPosts.delete(id);
+
+      res.json({ message: 'Blog post deleted successfully' });
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error deleting blog post', { err: error });
+      res.status(500).json({ error: 'Failed to delete blog post', requestId: req.id });
     }
+  });
+
+  // Publish/Unpublish blog post
+  router.patch('/:id/publish', auth, requirePermission('blog:publish'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { isPublished } = req.body;
+
+      const post = await store.blogPosts.updateVersioned(id, {
+        isPublished: Boolean(isPublished),
+        publishedAt: isPublished ? clock.now() : null
+      });
+
+      res.json(await withAuthor(post));
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error updating blog post status', { err: error });
+      res.status(500).json({ error: 'Failed to update blog post status', requestId: req.id });
+    }
+  });
 
-    posts.splice(postIndex, 1);
-    await writeBlogPosts(posts);
+  // Get blog post tags
+  router.get('/tags/all', async (req, res) => {
+    try {
+      const publishedPosts = await store.blogPosts.findPublished();
 
-    res.json({ message: 'Blog post deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting blog post:', error);
-    res.status(500).json({ error: 'Failed to delete blog post' });
-  }
-});
-
-// Publish/Unpublish blog post
-router.patch('/:id/publish', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { isPublished } = req.body;
-    
-    const posts = await readBlogPosts();
-    const postIndex = posts.findIndex(p => p.id === id);
-
-    if (postIndex === -1) {
-      return res.status(404).json({ error: 'Blog post not found' });
-    }
+      const allTags = publishedPosts.flatMap(post => post.tags);
+      const uniqueTags = [...new Set(allTags)].filter(tag => tag && tag.length > 0);
 
-    posts[postIndex] = {
-      ...posts[postIndex],
-      isPublished,
-      publishedAt: isPublished ? new Date().toISOString() : null,
-      updatedAt: new Date().toISOString()
-    };
-
-    await writeBlogPosts(posts);
-    res.json(posts[postIndex]);
-  } catch (error) {
-    console.error('Error updating blog post status:', error);
-    res.status(500).json({ error: 'Failed to update blog post status' });
-  }
-});
-
-// Get blog post tags
-router.get('/tags/all', async (req, res) => {
-  try {
-    const posts = await readBlogPosts();
-    const publishedPosts = posts.filter(post => post.isPublished);
-
-    const allTags = publishedPosts.flatMap(post => 
-      Array.isArray(post.tags) ? post.tags : 
-      (typeof post.tags === 'string' ? post.tags.split(',').map(t => t.trim()) : [])
-    );
-    const uniqueTags = [...new Set(allTags)].filter(tag => tag && tag.length > 0);
-
-    res.json(uniqueTags);
-  } catch (error) {
-    console.error('Error fetching blog tags:', error);
-    res.status(500).json({ error: 'Failed to fetch blog tags' });
-  }
-});
+      res.json(uniqueTags);
+    } catch (error) {
+      if (error instanceof CorruptDataError) {
+        return sendCorruptData(req, res, error);
+      }
+      req.log.error('Error fetching blog tags', { err: error });
+      res.status(500).json({ error: 'Failed to fetch blog tags', requestId: req.id });
+    }
+  });
 
-module.exports = router;
+  return router;
+};
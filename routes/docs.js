@@ -0,0 +1,21 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+
+// Serves the document the app generated at startup (see openapi/)
+module.exports = function createDocsRouter() {
+  const router = express.Router();
+
+  // OpenAPI document
+  router.get('/openapi.json', (req, res) => {
+    res.json(req.app.locals.openApiDocument);
+  });
+
+  // Browsable API docs
+  router.use('/docs', swaggerUi.serve);
+  router.get('/docs', swaggerUi.setup(null, {
+    customSiteTitle: 'Seneca Science Club API',
+    swaggerOptions: { url: '/api/openapi.json' }
+  }));
+
+  return router;
+};
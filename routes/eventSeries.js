@@ -0,0 +1,164 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { RecordNotFoundError } = require('../repositories/errors');
+const { CATEGORIES } = require('../repositories/events');
+const { FREQUENCIES, MAX_OCCURRENCES, occurrenceDates } = require('../repositories/eventSeries');
+const createAuth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { seriesCancelledEmail } = require('../emails');
+
+const SERIES_FIELDS = [
+  'title', 'description', 'startTime', 'endTime', 'location', 'category', 'maxCapacity',
+  'waitlistConfirmationHours', 'imageUrl', 'frequency', 'interval', 'startDate', 'until', 'count', 'exceptionDates'
+];
+
+const formatEventDate = date => new Date(date).toLocaleDateString('en-CA', { dateStyle: 'long', timeZone: 'America/Toronto' });
+
+module.exports = function createEventSeriesRouter({ store, mailer, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+
+  // One email per registrant, listing every cancelled date they had a place for
+  async function notifyCancelled(series, registrations, log) {
+    const events = await store.events.findMany({ where: { id: { in: registrations.map(registration => registration.eventId) } } });
+    const dateOf = Object.fromEntries(events.map(event => [event.id, event.date]));
+
+    const byUser = new Map();
+    for (const registration of registrations) {
+      byUser.set(registration.userId, [...(byUser.get(registration.userId) || []), dateOf[registration.eventId]]);
+    }
+
+    for (const [userId, dates] of byUser) {
+      const user = await store.users.findById(userId);
+      if (!user || user.erasedAt) continue;
+
+      try {
+        await mailer.sendMail({
+          from: config.email.from,
+          to: user.email,
+          ...seriesCancelledEmail({
+            firstName: user.firstName,
+            seriesTitle: series.title,
+            eventDates: dates.sort((a, b) => new Date(a) - new Date(b)).map(formatEventDate)
+          })
+        });
+      } catch (error) {
+        // The cancellation stands; admins can see it in the registrations list
+        log.error('Failed to send series cancellation email', { err: error, userId });
+      }
+    }
+  }
+
+  // List event series, by first date
+  router.get('/', async (req, res) => {
+    try {
+      const series = await store.eventSeries.findMany({ orderBy: { startDate: 'asc' } });
+
+      res.json(series);
+    } catch (error) {
+      req.log.error('Error fetching event series', { err: error });
+      res.status(500).json({ error: 'Failed to fetch event series', requestId: req.id });
+    }
+  });
+
+  // Get a series with its occurrences
+  router.get('/:id', async (req, res) => {
+    try {
+      const found = await store.eventSeries.findById(req.params.id);
+
+      if (!found) {
+        return res.status(404).json({ error: 'Event series not found' });
+      }
+
+      const [series] = await store.eventSeries.withEvents([found]);
+
+      res.json(series);
+    } catch (error) {
+      req.log.error('Error fetching event series', { err: error });
+      res.status(500).json({ error: 'Failed to fetch event series', requestId: req.id });
+    }
+  });
+
+  // Create a series and its occurrences (Admin only)
+  router.post('/', auth, requirePermission('events:manage'), [
+    body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+    body('startTime').notEmpty().withMessage('Start time is required'),
+    body('endTime').notEmpty().withMessage('End time is required'),
+    body('location').trim().notEmpty().withMessage('Location is required'),
+    body('category').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('maxCapacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max capacity must be a positive integer'),
+    body('waitlistConfirmationHours').optional({ nullable: true }).isInt({ min: 1, max: 168 })
+      .withMessage('Waitlist confirmation window must be 1-168 hours'),
+    body('frequency').isIn(FREQUENCIES).withMessage('Frequency must be WEEKLY or MONTHLY'),
+    body('interval').optional().isInt({ min: 1, max: 52 }).withMessage('Interval must be 1-52'),
+    body('startDate').isISO8601().withMessage('Invalid start date'),
+    body('until').optional({ nullable: true }).isISO8601().withMessage('Invalid end date')
+      .custom((value, { req }) => new Date(value) >= new Date(req.body.startDate)).withMessage('End date must not be before the start date'),
+    body('count').optional({ nullable: true }).isInt({ min: 1, max: MAX_OCCURRENCES })
+      .withMessage(`Count must be 1-${MAX_OCCURRENCES}`),
+    body('exceptionDates').optional().isArray().withMessage('Exception dates must be a list'),
+    body('exceptionDates.*').isISO8601().withMessage('Invalid exception date')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (Boolean(req.body.until) === Boolean(req.body.count)) {
+        return res.status(400).json({ error: 'Give either an end date (until) or a count' });
+      }
+
+      const data = { interval: 1, exceptionDates: [] };
+      for (const field of SERIES_FIELDS) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+
+      const dates = occurrenceDates({ ...data, interval: parseInt(data.interval) });
+      if (!dates) {
+        return res.status(400).json({ error: `A series can have at most ${MAX_OCCURRENCES} occurrences` });
+      }
+      if (dates.length === 0) {
+        return res.status(400).json({ error: 'Every date of this series is an exception' });
+      }
+
+      const { series, events } = await store.eventSeries.create(data, dates);
+
+      res.status(201).json({ ...series, events });
+    } catch (error) {
+      req.log.error('Error creating event series', { err: error });
+      res.status(500).json({ error: 'Failed to create event series', requestId: req.id });
+    }
+  });
+
+  // Cancel a series (Admin only). Occurrences that haven't started are
+  // cancelled with their registrations, and registrants are emailed; past
+  // ones and their attendance are kept.
+  router.patch('/:id/cancel', auth, requirePermission('events:manage'), async (req, res) => {
+    try {
+      const result = await store.eventSeries.cancel(req.params.id, clock.now());
+
+      if (!result) {
+        return res.status(400).json({ error: 'Event series is already cancelled' });
+      }
+
+      await notifyCancelled(result.series, result.registrations, req.log);
+
+      res.json({
+        message: 'Event series cancelled',
+        series: result.series,
+        cancelledOccurrences: result.cancelled,
+        cancelledRegistrations: result.registrations.length
+      });
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Event series not found' });
+      }
+      req.log.error('Error cancelling event series', { err: error });
+      res.status(500).json({ error: 'Failed to cancel event series', requestId: req.id });
+    }
+  });
+
+  return router;
+};
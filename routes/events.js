@@ -1,287 +1,754 @@
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { prisma } = require('../config/database');
-const auth = require('../middleware/auth');
-
-const router = express.Router();
-
-// Get all events with optional filtering
-router.get('/', async (req, res) => {
-  try {
-    const { status, category, limit = 20, page = 1 } = req.query;
-    
-    const where = {};
-    if (status) where.status = status;
-    if (category) where.category = category;
-    
-    const events = await prisma.event.findMany({
-      where,
-      include: {
-        registrations: {
-          select: {
-            id: true,
-            status: true,
-            user: {
-              select: {
-                firstName: true,
-                lastName: true,
-                program: true
-              }
-            }
-          }
-        }
-      },
-      orderBy: { date: 'asc' },
-      take: parseInt(limit),
-      skip: (parseInt(page) - 1) * parseInt(limit)
-    });
+const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
+const { RecordNotFoundError } = require('../repositories/errors');
+const { CATEGORIES, STATUSES, EDITABLE_FIELDS } = require('../repositories/events');
+const { pick } = require('../repositories/utils');
+const createAuth = require('../middleware/auth');
+const createAccountClaims = require('../services/accountClaims');
+const createWaitlist = require('../services/waitlist');
+const createTickets = require('../services/tickets');
+const createCalendarFeeds = require('../services/calendarFeeds');
+const { requirePermission } = require('../middleware/permissions');
+const { registrationEmail } = require('../emails');
+const { buildCalendar } = require('../calendar');
+
+// What PUT /:id changes for an occurrence of a series
+const EDIT_SCOPES = ['occurrence', 'following'];
+
+const formatEventDate = date => new Date(date).toLocaleDateString('en-CA', { dateStyle: 'long', timeZone: 'America/Toronto' });
+
+module.exports = function createEventsRouter({ store, mailer, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+  const accountClaims = createAccountClaims({ store, mailer, clock, config });
+  const waitlist = createWaitlist({ store, mailer, clock, config });
+  const tickets = createTickets({ config });
+  const calendarFeeds = createCalendarFeeds({ config });
+
+  // Waitlist entry as admins see it
+  const WAITLIST_USER_FIELDS = ['firstName', 'lastName', 'email', 'program', 'year'];
+  const describeWaitlist = async entries => (await store.eventRegistrations.withUsers(entries, WAITLIST_USER_FIELDS))
+    .map((registration, index) => ({ ...registration, position: index + 1 }));
+
+  // Cancellation links for guests. The registration's state decides whether
+  // the link still works, so the token itself does not expire.
+  const signCancellation = registration => jwt.sign(
+    { registrationId: registration.id, purpose: 'registration-cancel' },
+    config.jwt.secret
+  );
+
+  function verifyCancellation(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret);
+      return decoded.purpose === 'registration-cancel' ? decoded.registrationId : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-    const total = await prisma.event.count({ where });
+  // Cancel and hand any freed spot to the waitlist. Null if already cancelled.
+  async function cancelRegistration(registration, req) {
+    const cancelled = await store.eventRegistrations.cancel(registration.id, clock.now());
+    if (cancelled) await waitlist.fill(registration.eventId, { log: req.log });
+    return cancelled;
+  }
 
-    res.json({
-      events,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / parseInt(limit)),
-        hasNext: parseInt(page) * parseInt(limit) < total,
-        hasPrev: parseInt(page) > 1
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching events:', error);
-    res.status(500).json({ error: 'Failed to fetch events' });
+  const hasStarted = event => new Date(event.date) <= clock.now();
+
+  // Send an iCalendar document of the events (or { event, status } pairs)
+  function sendCalendar(res, name, entries) {
+    res.type('text/calendar; charset=utf-8').send(buildCalendar({
+      name,
+      entries,
+      now: clock.now(),
+      host: new URL(config.frontendUrl).host,
+      urlFor: event => `${config.frontendUrl}/events/${event.id}`
+    }));
   }
-});
-
-// Get single event by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const event = await prisma.event.findUnique({
-      where: { id },
-      include: {
-        registrations: {
-          include: {
-            user: {
-              select: {
-                firstName: true,
-                lastName: true,
-                program: true,
-                year: true
-              }
-            }
-          }
-        },
-        galleryItems: true
-      }
+
+  // Attendance for planning. No-shows only count once the event has started.
+  async function attendanceOf(events) {
+    const counts = await store.eventRegistrations.attendanceCounts(events.map(event => event.id));
+    return events.map(event => {
+      const { registered, attended } = counts[event.id];
+      const noShows = hasStarted(event) ? registered - attended : null;
+      return {
+        eventId: event.id,
+        title: event.title,
+        date: event.date,
+        maxCapacity: event.maxCapacity,
+        registered,
+        attended,
+        noShows,
+        noShowRate: noShows !== null && registered > 0 ? Math.round((noShows / registered) * 1000) / 1000 : null
+      };
     });
+  }
 
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+  // Get all events with optional filtering
+  router.get('/', async (req, res) => {
+    try {
+      const { status, category, limit = 20, page = 1 } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+      if (category) where.category = category;
+
+      const events = await store.events.withRegistrations(
+        await store.events.findMany({
+          where,
+          orderBy: { date: 'asc' },
+          take: parseInt(limit),
+          skip: (parseInt(page) - 1) * parseInt(limit)
+        }),
+        { fields: ['id', 'status'], userFields: ['firstName', 'lastName', 'program'] }
+      );
+
+      const total = await store.events.count(where);
+
+      res.json({
+        events,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: parseInt(page) * parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1
+        }
+      });
+    } catch (error) {
+      req.log.error('Error fetching events', { err: error });
+      res.status(500).json({ error: 'Failed to fetch events', requestId: req.id });
     }
+  });
+
+  // Subscribable calendar of club events, optionally filtered like the list
+  router.get('/calendar.ics', [
+    query('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    res.json(event);
-  } catch (error) {
-    console.error('Error fetching event:', error);
-    res.status(500).json({ error: 'Failed to fetch event' });
-  }
-});
-
-// Create new event (Admin only)
-router.post('/', auth, [
-  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
-  body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
-  body('date').isISO8601().withMessage('Invalid date format'),
-  body('startTime').notEmpty().withMessage('Start time is required'),
-  body('endTime').notEmpty().withMessage('End time is required'),
-  body('location').trim().notEmpty().withMessage('Location is required'),
-  body('category').isIn(['WORKSHOP', 'LECTURE', 'SOCIAL', 'COMPETITION', 'FIELD_TRIP', 'CONFERENCE', 'OTHER']).withMessage('Invalid category'),
-  body('maxCapacity').optional().isInt({ min: 1 }).withMessage('Max capacity must be a positive integer')
-], async (req, res) => {
-  try {
-    // Check if user is admin
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+      const { status, category } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+      if (category) where.category = category;
+
+      const events = await store.events.findMany({ where, orderBy: { date: 'asc' } });
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      sendCalendar(res, 'Seneca Science Club Events', events);
+    } catch (error) {
+      req.log.error('Error building events calendar', { err: error });
+      res.status(500).json({ error: 'Failed to build events calendar', requestId: req.id });
     }
+  });
 
-    const event = await prisma.event.create({
-      data: req.body
-    });
+  // A member's private feed of the events they registered for. Places on a
+  // waitlist and unconfirmed offers show as tentative.
+  router.get('/calendar/:token.ics', async (req, res) => {
+    try {
+      const feed = calendarFeeds.verify(req.params.token);
+      const user = feed && await store.users.findById(feed.userId);
 
-    res.status(201).json(event);
-  } catch (error) {
-    console.error('Error creating event:', error);
-    res.status(500).json({ error: 'Failed to create event' });
-  }
-});
-
-// Update event (Admin only)
-router.put('/:id', auth, [
-  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
-  body('description').optional().trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
-  body('date').optional().isISO8601().withMessage('Invalid date format'),
-  body('category').optional().isIn(['WORKSHOP', 'LECTURE', 'SOCIAL', 'COMPETITION', 'FIELD_TRIP', 'CONFERENCE', 'OTHER']).withMessage('Invalid category')
-], async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+      if (!user || !user.isActive || user.erasedAt || (user.calendarFeedVersion || 0) !== feed.version) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const registrations = await store.eventRegistrations.withEvents(
+        await store.eventRegistrations.findMany({
+          where: { userId: user.id, status: { in: ['CONFIRMED', 'PENDING', 'WAITLISTED'] } }
+        })
+      );
+      const entries = registrations
+        .filter(registration => registration.event)
+        .sort((a, b) => new Date(a.event.date) - new Date(b.event.date))
+        .map(registration => ({
+          event: registration.event,
+          status: registration.status === 'CONFIRMED' ? 'CONFIRMED' : 'TENTATIVE'
+        }));
+
+      res.set('Cache-Control', 'private, no-store');
+      sendCalendar(res, 'My Seneca Science Club Events', entries);
+    } catch (error) {
+      req.log.error('Error building personal calendar', { err: error });
+      res.status(500).json({ error: 'Failed to build personal calendar', requestId: req.id });
     }
+  });
+
+  // Attendance of past events, most recent first (Admin or moderator)
+  router.get('/attendance', auth, requirePermission('events:viewRegistrations'), async (req, res) => {
+    try {
+      const { limit = 20, page = 1 } = req.query;
+
+      const where = { date: { lte: clock.now() } };
+      const events = await store.events.findMany({
+        where,
+        orderBy: { date: 'desc' },
+        take: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit)
+      });
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      const total = await store.events.count(where);
+
+      res.json({
+        events: await attendanceOf(events),
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: parseInt(page) * parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1
+        }
+      });
+    } catch (error) {
+      req.log.error('Error fetching attendance', { err: error });
+      res.status(500).json({ error: 'Failed to fetch attendance', requestId: req.id });
     }
+  });
+
+  // A ticket as a QR code image, for the ticket page and emails
+  router.get('/tickets/qr', [
+    query('token').notEmpty().withMessage('Token is required'),
+    query('format').optional().isIn(['png', 'svg']).withMessage('Format must be png or svg')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { id } = req.params;
-    const event = await prisma.event.update({
-      where: { id },
-      data: req.body
-    });
+      const { token, format = 'png' } = req.query;
+      if (!tickets.verify(token)) {
+        return res.status(400).json({ error: 'Invalid ticket' });
+      }
 
-    res.json(event);
-  } catch (error) {
-    console.error('Error updating event:', error);
-    res.status(500).json({ error: 'Failed to update event' });
-  }
-});
+      const image = await tickets.render(token, format);
 
-// Delete event (Admin only)
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+      res.set('Cache-Control', 'private, no-store');
+      res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+    } catch (error) {
+      req.log.error('Error rendering ticket', { err: error });
+      res.status(500).json({ error: 'Failed to render ticket', requestId: req.id });
     }
+  });
 
-    const { id } = req.params;
-    await prisma.event.delete({ where: { id } });
+  // Get single event by ID
+  router.get('/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    res.json({ message: 'Event deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting event:', error);
-    res.status(500).json({ error: 'Failed to delete event' });
-  }
-});
-
-// Register for event
-router.post('/:id/register', [
-  body('name').trim().notEmpty().withMessage('Name is required'),
-  body('email').isEmail().withMessage('Valid email is required'),
-  body('senecaId').trim().notEmpty().withMessage('Seneca ID is required'),
-  body('program').trim().notEmpty().withMessage('Program is required'),
-  body('year').isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      const found = await store.events.findById(id);
+
+      if (!found) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const [withRegistrations] = await store.events.withRegistrations([found], {
+        userFields: ['firstName', 'lastName', 'program', 'year']
+      });
+      const [event] = await store.events.withGalleryItems([withRegistrations]);
+
+      res.json(event);
+    } catch (error) {
+      req.log.error('Error fetching event', { err: error });
+      res.status(500).json({ error: 'Failed to fetch event', requestId: req.id });
     }
+  });
+
+  // Create new event (Admin only)
+  router.post('/', auth, requirePermission('events:manage'), [
+    body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+    body('date').isISO8601().withMessage('Invalid date format'),
+    body('startTime').notEmpty().withMessage('Start time is required'),
+    body('endTime').notEmpty().withMessage('End time is required'),
+    body('location').trim().notEmpty().withMessage('Location is required'),
+    body('category').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('maxCapacity').optional().isInt({ min: 1 }).withMessage('Max capacity must be a positive integer'),
+    body('waitlistConfirmationHours').optional({ nullable: true }).isInt({ min: 1, max: 168 })
+      .withMessage('Waitlist confirmation window must be 1-168 hours')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { id } = req.params;
-    const { name, email, senecaId, program, year } = req.body;
+      // Spots are only taken through registrations
+      const event = await store.events.create({ ...pick(req.body, EDITABLE_FIELDS), currentCapacity: 0 });
 
-    // Check if event exists and has capacity
-    const event = await prisma.event.findUnique({ where: { id } });
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+      res.status(201).json(event);
+    } catch (error) {
+      req.log.error('Error creating event', { err: error });
+      res.status(500).json({ error: 'Failed to create event', requestId: req.id });
     }
+  });
+
+  // Update event (Admin only). For an occurrence of a series,
+  // ?scope=following applies the edit to it and every later occurrence.
+  router.put('/:id', auth, requirePermission('events:manage'), [
+    query('scope').optional().isIn(EDIT_SCOPES).withMessage('Scope must be occurrence or following'),
+    body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').optional().trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+    body('date').optional().isISO8601().withMessage('Invalid date format'),
+    body('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+    body('maxCapacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max capacity must be a positive integer'),
+    body('waitlistConfirmationHours').optional({ nullable: true }).isInt({ min: 1, max: 168 })
+      .withMessage('Waitlist confirmation window must be 1-168 hours')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (event.maxCapacity && event.currentCapacity >= event.maxCapacity) {
-      return res.status(400).json({ error: 'Event is at full capacity' });
+      const { id } = req.params;
+      let updatedIds = [id];
+
+      if (req.query.scope === 'following') {
+        const occurrence = await store.events.findById(id);
+        if (!occurrence) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!occurrence.seriesId) {
+          return res.status(400).json({ error: 'Event is not part of a series' });
+        }
+        updatedIds = await store.eventSeries.updateFollowing(occurrence, req.body);
+      } else {
+        await store.events.update(id, pick(req.body, EDITABLE_FIELDS));
+      }
+
+      // A raised capacity lets people in from the waitlist
+      for (const updatedId of updatedIds) {
+        await waitlist.fill(updatedId, { log: req.log });
+      }
+      const event = await store.events.findById(id);
+
+      res.json(event);
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      req.log.error('Error updating event', { err: error });
+      res.status(500).json({ error: 'Failed to update event', requestId: req.id });
+    }
+  });
+
+  // Delete event (Admin only)
+  router.delete('/:id', auth, requirePermission('events:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      await store.events.delete(id);
+
+      res.json({ message: 'Event deleted successfully' });
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      req.log.error('Error deleting event', { err: error });
+      res.status(500).json({ error: 'Failed to delete event', requestId: req.id });
     }
+  });
+
+  // Register for event
+  router.post('/:id/register', [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('senecaId').trim().notEmpty().withMessage('Seneca ID is required'),
+    body('program').trim().notEmpty().withMessage('Program is required'),
+    body('year').isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Check if user already registered
-    const existingUser = await prisma.user.findFirst({
-      where: { OR: [{ email }, { senecaId }] }
-    });
+      const { id } = req.params;
+      const { name, email, senecaId, program, year } = req.body;
 
-    let userId;
-    if (existingUser) {
-      userId = existingUser.id;
-      
-      // Check if already registered for this event
-      const existingRegistration = await prisma.eventRegistration.findFirst({
-        where: { userId, eventId: id }
-      });
-      
-      if (existingRegistration) {
-        return res.status(400).json({ error: 'Already registered for this event' });
-      }
-    } else {
-      // Create new user
-      const newUser = await prisma.user.create({
-        data: {
+      // Check if event exists
+      const event = await store.events.findById(id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      if (event.status === 'CANCELLED') {
+        return res.status(400).json({ error: 'This event has been cancelled' });
+      }
+      if (event.status !== 'UPCOMING' || hasStarted(event)) {
+        return res.status(400).json({ error: 'Registration has closed: this event has already started' });
+      }
+
+      // Check if user already registered
+      const existingUser = await store.users.findByEmailOrSenecaId(email, senecaId);
+
+      let registrant = existingUser;
+      let guest = null;
+      if (existingUser) {
+
+        // Capped spots need an account whose email has been confirmed.
+        // Guests sign up again the way they first did.
+        if (event.maxCapacity && !store.users.isGuest(existingUser) && !store.users.isVerified(existingUser)) {
+          return res.status(403).json({ error: 'Verify your email address before registering for events with limited capacity' });
+        }
+
+        // Check if already registered for this event
+        const existingRegistration = await store.eventRegistrations.findForUser(existingUser.id, id);
+
+        if (existingRegistration && existingRegistration.status !== 'CANCELLED') {
+          return res.status(400).json({
+            error: existingRegistration.status === 'WAITLISTED' ? 'Already on the waitlist for this event' : 'Already registered for this event'
+          });
+        }
+      } else {
+        // A guest account, claimed later through the emailed link
+        guest = await store.users.createGuest({
           email,
           senecaId,
           firstName: name.split(' ')[0],
           lastName: name.split(' ').slice(1).join(' ') || '',
           program,
-          year,
-          password: 'temp-password-' + Math.random().toString(36).substr(2, 9)
+          year
+        });
+        registrant = guest;
+      }
+
+      // Capped spots need a confirmed email from guests too: they confirm it
+      // by claiming the account through the emailed link, then register again
+      if (event.maxCapacity && store.users.isGuest(registrant)) {
+        try {
+          await accountClaims.sendLink(registrant, { eventTitle: event.title, capacityLimited: true });
+        } catch (emailError) {
+          req.log.error('Failed to send account claim email', { err: emailError, userId: registrant.id });
+        }
+        return res.status(403).json({
+          error: 'Events with limited capacity need a confirmed email. Claim your account with the link we emailed you, then register again.'
+        });
+      }
+
+      // A spot, or a place on the waitlist when the event is full
+      const registration = await store.eventRegistrations.register({ userId: registrant.id, eventId: id });
+      const waitlistPosition = registration.status === 'WAITLISTED'
+        ? await store.eventRegistrations.waitlistPosition(registration)
+        : null;
+      const ticket = waitlistPosition ? null : tickets.sign(registration);
+
+      // Guests can't sign in to cancel, so they get a link for it
+      if (store.users.isGuest(registrant)) {
+        try {
+          await mailer.sendMail({
+            from: config.email.from,
+            to: registrant.email,
+            ...registrationEmail({
+              firstName: registrant.firstName,
+              eventTitle: event.title,
+              eventDate: formatEventDate(event.date),
+              waitlistPosition,
+              ticketUrl: ticket && tickets.url(ticket),
+              cancelUrl: `${config.frontendUrl}/events/cancel-registration?token=${encodeURIComponent(signCancellation(registration))}`
+            })
+          });
+        } catch (emailError) {
+          req.log.error('Failed to send registration email', { err: emailError, registrationId: registration.id });
+        }
+      }
+
+      if (guest) {
+        try {
+          await accountClaims.sendLink(guest, { eventTitle: event.title });
+        } catch (emailError) {
+          // The registration stands; signing up with the email sends another link
+          req.log.error('Failed to send account claim email', { err: emailError, userId: guest.id });
         }
+      }
+
+      if (waitlistPosition) {
+        return res.status(201).json({
+          message: `Event is at full capacity. You are number ${waitlistPosition} on the waitlist.`,
+          registration,
+          waitlistPosition
+        });
+      }
+
+      res.status(201).json({
+        message: 'Successfully registered for event',
+        registration,
+        ticket
       });
-      userId = newUser.id;
+    } catch (error) {
+      req.log.error('Error registering for event', { err: error });
+      res.status(500).json({ error: 'Failed to register for event', requestId: req.id });
     }
+  });
+
+  // Cancel your own registration or place on the waitlist
+  router.delete('/:id/register', auth, async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    // Create registration
-    const registration = await prisma.eventRegistration.create({
-      data: {
-        userId,
-        eventId: id
+      const event = await store.events.findById(id);
+      const registration = event && await store.eventRegistrations.findForUser(req.user.id, id);
+      if (!registration || registration.status === 'CANCELLED') {
+        return res.status(404).json({ error: 'Registration not found' });
       }
-    });
 
-    // Update event capacity
-    await prisma.event.update({
-      where: { id },
-      data: { currentCapacity: { increment: 1 } }
-    });
+      if (hasStarted(event)) {
+        return res.status(400).json({ error: 'Registrations can only be cancelled before the event' });
+      }
 
-    res.status(201).json({
-      message: 'Successfully registered for event',
-      registration
-    });
-  } catch (error) {
-    console.error('Error registering for event:', error);
-    res.status(500).json({ error: 'Failed to register for event' });
-  }
-});
+      const cancelled = await cancelRegistration(registration, req);
+      if (!cancelled) {
+        return res.status(404).json({ error: 'Registration not found' });
+      }
 
-// Get event registrations (Admin only)
-router.get('/:id/registrations', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+      res.json({ message: 'Registration cancelled', registration: cancelled });
+    } catch (error) {
+      req.log.error('Error cancelling registration', { err: error });
+      res.status(500).json({ error: 'Failed to cancel registration', requestId: req.id });
     }
+  });
+
+  // Cancel a registration through the link emailed to guests
+  router.post('/registrations/cancel', [
+    body('token').notEmpty().withMessage('Token is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { id } = req.params;
-    const registrations = await prisma.eventRegistration.findMany({
-      where: { eventId: id },
-      include: {
-        user: {
-          select: {
-            firstName: true,
-            lastName: true,
-            email: true,
-            program: true,
-            year: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'asc' }
-    });
+      const registrationId = verifyCancellation(req.body.token);
+      const registration = registrationId && await store.eventRegistrations.findById(registrationId);
+      if (!registration || registration.status === 'CANCELLED') {
+        return res.status(400).json({ error: 'Invalid cancellation link, or the registration is already cancelled' });
+      }
 
-    res.json(registrations);
-  } catch (error) {
-    console.error('Error fetching registrations:', error);
-    res.status(500).json({ error: 'Failed to fetch registrations' });
-  }
-});
+      const event = await store.events.findById(registration.eventId);
+      if (hasStarted(event)) {
+        return res.status(400).json({ error: 'Registrations can only be cancelled before the event' });
+      }
+
+      const cancelled = await cancelRegistration(registration, req);
+      if (!cancelled) {
+        return res.status(400).json({ error: 'Invalid cancellation link, or the registration is already cancelled' });
+      }
+
+      res.json({ message: 'Registration cancelled', registration: cancelled });
+    } catch (error) {
+      req.log.error('Error cancelling registration', { err: error });
+      res.status(500).json({ error: 'Failed to cancel registration', requestId: req.id });
+    }
+  });
+
+  // Cancel anyone's registration (Admin only)
+  router.patch('/:id/registrations/:registrationId/cancel', auth, requirePermission('events:manage'), async (req, res) => {
+    try {
+      const { id, registrationId } = req.params;
+
+      const registration = await store.eventRegistrations.findById(registrationId);
+      if (!registration || registration.eventId !== id) {
+        return res.status(404).json({ error: 'Registration not found' });
+      }
+
+      const cancelled = await cancelRegistration(registration, req);
+      if (!cancelled) {
+        return res.status(400).json({ error: 'Registration is already cancelled' });
+      }
+
+      res.json({ message: 'Registration cancelled', registration: cancelled });
+    } catch (error) {
+      req.log.error('Error cancelling registration', { err: error });
+      res.status(500).json({ error: 'Failed to cancel registration', requestId: req.id });
+    }
+  });
+
+  // Accept a spot offered from the waitlist, through the emailed link
+  router.post('/waitlist/confirm', [
+    body('token').notEmpty().withMessage('Token is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const registrationId = waitlist.verifyOffer(req.body.token);
+      const registration = registrationId && await store.eventRegistrations.confirmOffer(registrationId, clock.now());
+
+      if (!registration) {
+        return res.status(400).json({ error: 'This offer is invalid or has expired' });
+      }
+
+      res.json({ message: 'Your spot is confirmed', registration, ticket: tickets.sign(registration) });
+    } catch (error) {
+      req.log.error('Error confirming waitlist offer', { err: error });
+      res.status(500).json({ error: 'Failed to confirm waitlist offer', requestId: req.id });
+    }
+  });
+
+  // Get an event's waitlist in order (Admin or moderator)
+  router.get('/:id/waitlist', auth, requirePermission('events:viewRegistrations'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      res.json(await describeWaitlist(await store.eventRegistrations.waitlist(id)));
+    } catch (error) {
+      req.log.error('Error fetching waitlist', { err: error });
+      res.status(500).json({ error: 'Failed to fetch waitlist', requestId: req.id });
+    }
+  });
+
+  // Reorder an event's waitlist (Admin only). Takes every waitlisted
+  // registration id, first in line first.
+  router.put('/:id/waitlist', auth, requirePermission('events:manage'), [
+    body('registrationIds').isArray().withMessage('Registration ids must be an array'),
+    body('registrationIds.*').isString().withMessage('Registration ids must be strings')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { registrationIds } = req.body;
+
+      const current = (await store.eventRegistrations.waitlist(id)).map(registration => registration.id);
+      const sameEntries = registrationIds.length === current.length
+        && new Set(registrationIds).size === current.length
+        && registrationIds.every(registrationId => current.includes(registrationId));
+      if (!sameEntries) {
+        return res.status(400).json({ error: 'Registration ids must list everyone on the waitlist exactly once' });
+      }
+
+      const reordered = await store.eventRegistrations.reorderWaitlist(id, registrationIds);
+
+      res.json(await describeWaitlist(reordered));
+    } catch (error) {
+      req.log.error('Error reordering waitlist', { err: error });
+      res.status(500).json({ error: 'Failed to reorder waitlist', requestId: req.id });
+    }
+  });
+
+  // One event as an .ics download
+  router.get('/:id/calendar.ics', async (req, res) => {
+    try {
+      const event = await store.events.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+      res.attachment(`${slug}.ics`);
+      sendCalendar(res, event.title, [event]);
+    } catch (error) {
+      req.log.error('Error building event calendar', { err: error });
+      res.status(500).json({ error: 'Failed to build event calendar', requestId: req.id });
+    }
+  });
+
+  // Your ticket for an event you have a confirmed spot at
+  router.get('/:id/ticket', auth, async (req, res) => {
+    try {
+      const registration = await store.eventRegistrations.findForUser(req.user.id, req.params.id);
+      if (!registration || registration.status !== 'CONFIRMED') {
+        return res.status(404).json({ error: 'No confirmed registration for this event' });
+      }
+
+      res.json({
+        registrationId: registration.id,
+        eventId: registration.eventId,
+        token: tickets.sign(registration),
+        checkedInAt: registration.checkedInAt
+      });
+    } catch (error) {
+      req.log.error('Error fetching ticket', { err: error });
+      res.status(500).json({ error: 'Failed to fetch ticket', requestId: req.id });
+    }
+  });
+
+  // Check a ticket in at the door (Admin or moderator). Each ticket works once.
+  router.post('/:id/check-in', auth, requirePermission('events:checkIn'), [
+    body('token').notEmpty().withMessage('Token is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const ticket = tickets.verify(req.body.token);
+      const registration = ticket && await store.eventRegistrations.findById(ticket.registrationId);
+
+      if (!registration) {
+        return res.status(400).json({ error: 'Invalid ticket' });
+      }
+      if (registration.eventId !== id) {
+        return res.status(400).json({ error: 'This ticket is for another event' });
+      }
+      if (registration.status !== 'CONFIRMED') {
+        return res.status(400).json({ error: 'This registration is not confirmed', status: registration.status });
+      }
+
+      const { checkedIn, registration: updated } = await store.eventRegistrations.checkIn(registration.id, {
+        now: clock.now(),
+        checkedInById: req.user.id
+      });
+      if (!checkedIn) {
+        return res.status(409).json({ error: 'This ticket has already been checked in', checkedInAt: updated.checkedInAt });
+      }
+
+      const [withUser] = await store.eventRegistrations.withUsers([updated], ['firstName', 'lastName', 'program', 'year']);
+
+      res.json({ message: 'Checked in', registration: withUser });
+    } catch (error) {
+      req.log.error('Error checking in ticket', { err: error });
+      res.status(500).json({ error: 'Failed to check in ticket', requestId: req.id });
+    }
+  });
+
+  // Registered vs. attended for one event (Admin or moderator)
+  router.get('/:id/attendance', auth, requirePermission('events:viewRegistrations'), async (req, res) => {
+    try {
+      const event = await store.events.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const [attendance] = await attendanceOf([event]);
+
+      res.json(attendance);
+    } catch (error) {
+      req.log.error('Error fetching attendance', { err: error });
+      res.status(500).json({ error: 'Failed to fetch attendance', requestId: req.id });
+    }
+  });
+
+  // Get event registrations (Admin or moderator)
+  router.get('/:id/registrations', auth, requirePermission('events:viewRegistrations'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const registrations = await store.eventRegistrations.withUsers(
+        await store.eventRegistrations.findMany({
+          where: { eventId: id },
+          orderBy: { createdAt: 'asc' }
+        }),
+        ['firstName', 'lastName', 'email', 'program', 'year']
+      );
+
+      res.json(registrations);
+    } catch (error) {
+      req.log.error('Error fetching registrations', { err: error });
+      res.status(500).json({ error: 'Failed to fetch registrations', requestId: req.id });
+    }
+  });
 
-module.exports = router;
+  return router;
+};
@@ -1,19 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { prisma } = require('../config/database');
-const auth = require('../middleware/auth');
-const cloudinary = require('cloudinary').v2;
+const { RecordNotFoundError } = require('../repositories/errors');
+const { CATEGORIES } = require('../repositories/galleryItems');
+const createAuth = require('../middleware/auth');
+const { requirePermission, allowApiKeys } = require('../middleware/permissions');
 const multer = require('multer');
 
-const router = express.Router();
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -29,247 +21,202 @@ const upload = multer({
   }
 });
 
-// Get all gallery items with filtering
-router.get('/', async (req, res) => {
-  try {
-    const { category, eventId, page = 1, limit = 20 } = req.query;
-    
-    const where = {};
-    if (category) where.category = category;
-    if (eventId) where.eventId = eventId;
-    
-    const items = await prisma.galleryItem.findMany({
-      where,
-      include: {
-        event: {
-          select: {
-            title: true,
-            date: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'desc' },
-      take: parseInt(limit),
-      skip: (parseInt(page) - 1) * parseInt(limit)
-    });
-
-    const total = await prisma.galleryItem.count({ where });
-
-    res.json({
-      items,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / parseInt(limit)),
-        hasNext: parseInt(page) * parseInt(limit) < total,
-        hasPrev: parseInt(page) > 1
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching gallery items:', error);
-    res.status(500).json({ error: 'Failed to fetch gallery items' });
-  }
-});
+module.exports = function createGalleryRouter({ store, mediaStorage, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
 
-// Get single gallery item
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const item = await prisma.galleryItem.findUnique({
-      where: { id },
-      include: {
-        event: {
-          select: {
-            title: true,
-            date: true,
-            description: true
-          }
+  // Get all gallery items with filtering
+  router.get('/', async (req, res) => {
+    try {
+      const { category, eventId, page = 1, limit = 20 } = req.query;
+
+      const where = {};
+      if (category) where.category = category;
+      if (eventId) where.eventId = eventId;
+
+      const items = await store.galleryItems.withEvents(
+        await store.galleryItems.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          take: parseInt(limit),
+          skip: (parseInt(page) - 1) * parseInt(limit)
+        }),
+        ['title', 'date']
+      );
+
+      const total = await store.galleryItems.count(where);
+
+      res.json({
+        items,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: parseInt(page) * parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1
         }
-      }
-    });
-
-    if (!item) {
-      return res.status(404).json({ error: 'Gallery item not found' });
+      });
+    } catch (error) {
+      req.log.error('Error fetching gallery items', { err: error });
+      res.status(500).json({ error: 'Failed to fetch gallery items', requestId: req.id });
     }
+  });
 
-    res.json(item);
-  } catch (error) {
-    console.error('Error fetching gallery item:', error);
-    res.status(500).json({ error: 'Failed to fetch gallery item' });
-  }
-});
+  // Get single gallery item
+  router.get('/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
 
-// Upload new gallery item
-router.post('/', auth, upload.single('media'), [
-  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
-  body('category').isIn(['EVENTS', 'WORKSHOPS', 'SOCIALS', 'COMPETITIONS', 'FIELD_TRIPS', 'OTHER']).withMessage('Invalid category'),
-  body('tags').optional().isArray().withMessage('Tags must be an array')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+      const found = await store.galleryItems.findById(id);
 
-    if (!req.file) {
-      return res.status(400).json({ error: 'Media file is required' });
+      if (!found) {
+        return res.status(404).json({ error: 'Gallery item not found' });
+      }
+
+      const [item] = await store.galleryItems.withEvents([found], ['title', 'date', 'description']);
+
+      res.json(item);
+    } catch (error) {
+      req.log.error('Error fetching gallery item', { err: error });
+      res.status(500).json({ error: 'Failed to fetch gallery item', requestId: req.id });
     }
+  });
+
+  // Upload new gallery item (any member, or API keys with gallery:write)
+  router.post('/', auth, allowApiKeys('gallery:write'), upload.single('media'), [
+    body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+    body('category').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('tags').optional().isArray().withMessage('Tags must be an array')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const { title, description, category, tags = [], eventId } = req.body;
-
-    // Upload to Cloudinary
-    let uploadResult;
-    if (req.file.mimetype.startsWith('image/')) {
-      uploadResult = await cloudinary.uploader.upload_stream(
-        { folder: 'seneca-science-club/gallery' },
-        (error, result) => {
-          if (error) {
-            console.error('Cloudinary upload error:', error);
-            return res.status(500).json({ error: 'Failed to upload media' });
-          }
-        }
-      ).end(req.file.buffer);
-    } else if (req.file.mimetype.startsWith('video/')) {
-      uploadResult = await cloudinary.uploader.upload_stream(
-        { 
+      if (!req.file) {
+        return res.status(400).json({ error: 'Media file is required' });
+      }
+
+      const { title, description, category, tags = [], eventId } = req.body;
+
+      // Upload to media storage
+      const isVideo = req.file.mimetype.startsWith('video/');
+      let uploaded;
+      try {
+        uploaded = await mediaStorage.upload(req.file.buffer, {
           folder: 'seneca-science-club/gallery',
-          resource_type: 'video'
-        },
-        (error, result) => {
-          if (error) {
-            console.error('Cloudinary upload error:', error);
-            return res.status(500).json({ error: 'Failed to upload media' });
-          }
-        }
-      ).end(req.file.buffer);
-    }
+          resourceType: isVideo ? 'video' : 'image'
+        });
+      } catch (uploadError) {
+        req.log.error('Media upload error', { err: uploadError });
+        return res.status(500).json({ error: 'Failed to upload media', requestId: req.id });
+      }
 
-    // Create gallery item
-    const galleryItem = await prisma.galleryItem.create({
-      data: {
+      // Create gallery item
+      const galleryItem = await store.galleryItems.create({
         title,
         description,
         category,
         tags,
         eventId: eventId || null,
-        imageUrl: req.file.mimetype.startsWith('image/') ? uploadResult.secure_url : null,
-        videoUrl: req.file.mimetype.startsWith('video/') ? uploadResult.secure_url : null
+        imageUrl: isVideo ? null : uploaded.url,
+        videoUrl: isVideo ? uploaded.url : null
+      });
+
+      res.status(201).json(galleryItem);
+    } catch (error) {
+      req.log.error('Error creating gallery item', { err: error });
+      res.status(500).json({ error: 'Failed to create gallery item', requestId: req.id });
+    }
+  });
+
+  // Update gallery item (Admin or moderator)
+  router.put('/:id', auth, requirePermission('gallery:manage'), [
+    body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+    body('category').optional().isIn(CATEGORIES).withMessage('Invalid category')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
-    });
 
-    res.status(201).json(galleryItem);
-  } catch (error) {
-    console.error('Error creating gallery item:', error);
-    res.status(500).json({ error: 'Failed to create gallery item' });
-  }
-});
+      const { id } = req.params;
 
-// Update gallery item (Admin or uploader)
-router.put('/:id', auth, [
-  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
-  body('category').optional().isIn(['EVENTS', 'WORKSHOPS', 'SOCIALS', 'COMPETITIONS', 'FIELD_TRIPS', 'OTHER']).withMessage('Invalid category')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+      const item = await store.galleryItems.update(id, req.body);
 
-    const { id } = req.params;
-    
-    // Check if user can edit this item
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+      res.json(item);
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Gallery item not found' });
+      }
+      req.log.error('Error updating gallery item', { err: error });
+      res.status(500).json({ error: 'Failed to update gallery item', requestId: req.id });
     }
+  });
 
-    const item = await prisma.galleryItem.update({
-      where: { id },
-      data: req.body
-    });
+  // Delete gallery item (Admin or moderator)
+  router.delete('/:id', auth, requirePermission('gallery:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    res.json(item);
-  } catch (error) {
-    console.error('Error updating gallery item:', error);
-    res.status(500).json({ error: 'Failed to update gallery item' });
-  }
-});
+      const item = await store.galleryItems.findById(id);
 
-// Delete gallery item (Admin only)
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+      if (!item) {
+        return res.status(404).json({ error: 'Gallery item not found' });
+      }
+
+      // Delete from media storage if possible
+      try {
+        if (item.imageUrl) {
+          await mediaStorage.destroy(item.imageUrl);
+        }
+        if (item.videoUrl) {
+          await mediaStorage.destroy(item.videoUrl, { resourceType: 'video' });
+        }
+      } catch (storageError) {
+        req.log.warn('Failed to delete from media storage', { err: storageError });
+        // Continue with database deletion even if media storage fails
+      }
 
-    const { id } = req.params;
-    
-    const item = await prisma.galleryItem.findUnique({
-      where: { id }
-    });
+      await store.galleryItems.delete(id);
 
-    if (!item) {
-      return res.status(404).json({ error: 'Gallery item not found' });
+      res.json({ message: 'Gallery item deleted successfully' });
+    } catch (error) {
+      req.log.error('Error deleting gallery item', { err: error });
+      res.status(500).json({ error: 'Failed to delete gallery item', requestId: req.id });
     }
+  });
 
-    // Delete from Cloudinary if possible
+  // Get gallery categories
+  router.get('/categories/all', async (req, res) => {
     try {
-      if (item.imageUrl) {
-        const publicId = item.imageUrl.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(publicId);
-      }
-      if (item.videoUrl) {
-        const publicId = item.videoUrl.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(publicId, { resource_type: 'video' });
-      }
-    } catch (cloudinaryError) {
-      console.error('Failed to delete from Cloudinary:', cloudinaryError);
-      // Continue with database deletion even if Cloudinary fails
+      res.json(CATEGORIES);
+    } catch (error) {
+      req.log.error('Error fetching gallery categories', { err: error });
+      res.status(500).json({ error: 'Failed to fetch gallery categories', requestId: req.id });
     }
+  });
 
-    await prisma.galleryItem.delete({ where: { id } });
-
-    res.json({ message: 'Gallery item deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting gallery item:', error);
-    res.status(500).json({ error: 'Failed to delete gallery item' });
-  }
-});
-
-// Get gallery categories
-router.get('/categories/all', async (req, res) => {
-  try {
-    const categories = ['EVENTS', 'WORKSHOPS', 'SOCIALS', 'COMPETITIONS', 'FIELD_TRIPS', 'OTHER'];
-    res.json(categories);
-  } catch (error) {
-    console.error('Error fetching gallery categories:', error);
-    res.status(500).json({ error: 'Failed to fetch gallery categories' });
-  }
-});
-
-// Get gallery statistics
-router.get('/stats/overview', async (req, res) => {
-  try {
-    const totalItems = await prisma.galleryItem.count();
-    const itemsByCategory = await prisma.galleryItem.groupBy({
-      by: ['category'],
-      _count: true
-    });
-
-    const stats = {
-      totalItems,
-      itemsByCategory: itemsByCategory.reduce((acc, item) => {
-        acc[item.category] = item._count;
-        return acc;
-      }, {})
-    };
-
-    res.json(stats);
-  } catch (error) {
-    console.error('Error fetching gallery stats:', error);
-    res.status(500).json({ error: 'Failed to fetch gallery statistics' });
-  }
-});
+  // Get gallery statistics
+  router.get('/stats/overview', async (req, res) => {
+    try {
+      const totalItems = await store.galleryItems.count();
+      const itemsByCategory = await store.galleryItems.countBy('category');
+
+      const stats = {
+        totalItems,
+        itemsByCategory
+      };
+
+      res.json(stats);
+    } catch (error) {
+      req.log.error('Error fetching gallery stats', { err: error });
+      res.status(500).json({ error: 'Failed to fetch gallery statistics', requestId: req.id });
+    }
+  });
 
-module.exports = router;
+  return router;
+};
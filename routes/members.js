@@ -1,367 +1,540 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { prisma } = require('../config/database');
-const auth = require('../middleware/auth');
+const { RecordNotFoundError } = require('../repositories/errors');
+const { pick } = require('../repositories/utils');
+const createAuth = require('../middleware/auth');
+const createLoginThrottle = require('../services/loginThrottle');
+const createCalendarFeeds = require('../services/calendarFeeds');
+const { requirePermission } = require('../middleware/permissions');
+const { erasureScheduledEmail } = require('../emails');
 const bcrypt = require('bcryptjs');
 
-const router = express.Router();
+const MEMBER_FIELDS = ['id', 'firstName', 'lastName', 'email', 'senecaId', 'program', 'year', 'role', 'isActive', 'isVerified', 'isGuest', 'emailVerifiedAt'];
+// What members may change on their own profile; the rest (role, verification,
+// 2FA, password, ...) only changes through its own flow
+const PROFILE_FIELDS = ['firstName', 'lastName', 'program', 'year'];
+// What admins may change on a member; isVerified is handled separately
+const MANAGED_FIELDS = [...PROFILE_FIELDS, 'role', 'isActive'];
+const EVENT_SUMMARY_FIELDS = ['id', 'title', 'date', 'status'];
+// What a personal data export holds beyond the member fields
+const EXPORT_PROFILE_FIELDS = ['emailVerifiedAt', 'twoFactorEnabled', 'oidcSubject', 'erasureRequestedAt', 'erasureScheduledFor', 'createdAt', 'updatedAt'];
+const EXPORT_SESSION_FIELDS = ['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt', 'revokedReason'];
+const EXPORT_API_KEY_FIELDS = ['id', 'name', 'prefix', 'scopes', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'revokedAt', 'createdAt'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = function createMembersRouter({ store, mailer, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+  const loginThrottle = createLoginThrottle({ store, clock });
+  const calendarFeeds = createCalendarFeeds({ config });
+
+  // A member's registrations (with event summaries) and blog posts
+  async function memberActivity(userId, { publishedOnly, postFields, registrationOrder }) {
+    const registrations = await store.eventRegistrations.withEvents(
+      await store.eventRegistrations.findMany({
+        where: { userId },
+        orderBy: registrationOrder
+      }),
+      EVENT_SUMMARY_FIELDS
+    );
+    const posts = await store.blogPosts.findByAuthor(userId, { publishedOnly });
+
+    return {
+      eventRegistrations: registrations,
+      blogPosts: posts.map(post => pick(post, postFields))
+    };
+  }
 
-// Get all members (Admin only)
-router.get('/', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+  // Get all members (Admin or moderator)
+  router.get('/', auth, requirePermission('members:view'), async (req, res) => {
+    try {
+      const { page = 1, limit = 20, search, role, isActive, isVerified } = req.query;
+
+      const where = store.users.searchFilter({
+        search,
+        role,
+        isActive: isActive !== undefined ? isActive === 'true' : undefined,
+        isVerified: isVerified !== undefined ? isVerified === 'true' : undefined
+      });
+
+      const users = await store.users.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit)
+      });
+      const counts = await store.users.relationCounts(users.map(user => user.id));
+      const members = users.map(user => ({
+        ...store.users.toPublic(user, [...MEMBER_FIELDS, 'createdAt']),
+        _count: counts[user.id]
+      }));
+
+      const total = await store.users.count(where);
+
+      res.json({
+        members,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: parseInt(page) * parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1
+        }
+      });
+    } catch (error) {
+      req.log.error('Error fetching members', { err: error });
+      res.status(500).json({ error: 'Failed to fetch members', requestId: req.id });
+    }
+  });
+
+  // Lockouts and other security events, newest first (Admin only)
+  router.get('/security-events', auth, requirePermission('members:manage'), async (req, res) => {
+    try {
+      const { page = 1, limit = 50, type, userId } = req.query;
+
+      const where = store.securityEvents.searchFilter({ type, userId });
+      const events = await store.securityEvents.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const total = await store.securityEvents.count(where);
+
+      res.json({
+        events,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: parseInt(page) * parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1
+        }
+      });
+    } catch (error) {
+      req.log.error('Error fetching security events', { err: error });
+      res.status(500).json({ error: 'Failed to fetch security events', requestId: req.id });
     }
+  });
+
+  // Accounts waiting out the erasure grace period, soonest first (Admin only)
+  router.get('/erasures', auth, requirePermission('members:manage'), async (req, res) => {
+    try {
+      const pending = await store.users.pendingErasures();
 
-    const { page = 1, limit = 20, search, role, isActive } = req.query;
-    
-    const where = {};
-    if (search) {
-      where.OR = [
-        { firstName: { contains: search, mode: 'insensitive' } },
-        { lastName: { contains: search, mode: 'insensitive' } },
-        { email: { contains: search, mode: 'insensitive' } },
-        { senecaId: { contains: search, mode: 'insensitive' } }
-      ];
+      res.json(pending.map(user => store.users.toPublic(user, [...MEMBER_FIELDS, 'erasureRequestedAt', 'erasureScheduledFor'])));
+    } catch (error) {
+      req.log.error('Error fetching pending erasures', { err: error });
+      res.status(500).json({ error: 'Failed to fetch pending erasures', requestId: req.id });
     }
-    if (role) where.role = role;
-    if (isActive !== undefined) where.isActive = isActive === 'true';
-
-    const members = await prisma.user.findMany({
-      where,
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-        _count: {
-          select: {
-            eventRegistrations: true,
-            blogPosts: true,
-            testimonials: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'desc' },
-      take: parseInt(limit),
-      skip: (parseInt(page) - 1) * parseInt(limit)
-    });
-
-    const total = await prisma.user.count({ where });
-
-    res.json({
-      members,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / parseInt(limit)),
-        hasNext: parseInt(page) * parseInt(limit) < total,
-        hasPrev: parseInt(page) > 1
+  });
+
+  // Get member profile (own profile or admin)
+  router.get('/profile', auth, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.user.id);
+      const member = {
+        ...store.users.toPublic(user, [...MEMBER_FIELDS, 'erasureScheduledFor', 'createdAt']),
+        ...await memberActivity(user.id, {
+          publishedOnly: true,
+          postFields: ['id', 'title', 'excerpt', 'publishedAt'],
+          registrationOrder: { createdAt: 'desc' }
+        })
+      };
+
+      res.json(member);
+    } catch (error) {
+      req.log.error('Error fetching member profile', { err: error });
+      res.status(500).json({ error: 'Failed to fetch member profile', requestId: req.id });
+    }
+  });
+
+  // Download everything the club holds about the caller, as JSON
+  router.get('/profile/export', auth, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.user.id);
+      const [registrations, blogPosts, testimonials, contactMessages, sessions, securityEvents, apiKeys] = await Promise.all([
+        store.eventRegistrations.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } })
+          .then(list => store.eventRegistrations.withEvents(list, ['id', 'title', 'date', 'location', 'status'])),
+        store.blogPosts.findByAuthor(user.id),
+        store.testimonials.findMany({ where: { authorId: user.id }, orderBy: { createdAt: 'asc' } }),
+        store.contactMessages.findMany({ where: { email: user.email }, orderBy: { createdAt: 'asc' } }),
+        store.sessions.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } }),
+        store.securityEvents.findMany({
+          where: { OR: [{ userId: user.id }, { email: user.email }] },
+          orderBy: { createdAt: 'asc' }
+        }),
+        store.apiKeys.findMany({ where: { createdById: user.id }, orderBy: { createdAt: 'asc' } })
+      ]);
+
+      const exportedAt = clock.now();
+      res.attachment(`ssc-personal-data-${exportedAt.toISOString().slice(0, 10)}.json`);
+      res.json({
+        exportedAt,
+        profile: store.users.toPublic(user, [...MEMBER_FIELDS, ...EXPORT_PROFILE_FIELDS]),
+        eventRegistrations: registrations,
+        blogPosts,
+        testimonials,
+        contactMessages,
+        sessions: sessions.map(session => pick(session, EXPORT_SESSION_FIELDS)),
+        securityEvents: securityEvents.map(event => pick(event, ['id', 'type', 'email', 'ip', 'createdAt'])),
+        apiKeys: apiKeys.map(apiKey => pick(apiKey, EXPORT_API_KEY_FIELDS))
+      });
+    } catch (error) {
+      req.log.error('Error exporting personal data', { err: error });
+      res.status(500).json({ error: 'Failed to export personal data', requestId: req.id });
+    }
+  });
+
+  // Ask for the caller's account and data to be erased once the grace period
+  // is over. Needs the password, unless the account signs in through SSO.
+  router.post('/profile/erasure', auth, [
+    body('password').optional().isString().withMessage('Password must be a string')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
-    });
-  } catch (error) {
-    console.error('Error fetching members:', error);
-    res.status(500).json({ error: 'Failed to fetch members' });
-  }
-});
-
-// Get member profile (own profile or admin)
-router.get('/profile', auth, async (req, res) => {
-  try {
-    const member = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-        eventRegistrations: {
-          include: {
-            event: {
-              select: {
-                id: true,
-                title: true,
-                date: true,
-                status: true
-              }
-            }
-          },
-          orderBy: { createdAt: 'desc' }
-        },
-        blogPosts: {
-          where: { isPublished: true },
-          select: {
-            id: true,
-            title: true,
-            excerpt: true,
-            publishedAt: true
-          },
-          orderBy: { publishedAt: 'desc' }
-        }
+
+      if (req.user.role === 'ADMIN') {
+        return res.status(403).json({ error: 'Admin accounts cannot be erased; hand the role to someone else first' });
       }
-    });
 
-    res.json(member);
-  } catch (error) {
-    console.error('Error fetching member profile:', error);
-    res.status(500).json({ error: 'Failed to fetch member profile' });
-  }
-});
+      const user = await store.users.findById(req.user.id);
+      if (user.erasureScheduledFor) {
+        return res.status(409).json({ error: 'Erasure already requested', erasureScheduledFor: user.erasureScheduledFor });
+      }
+      if (!user.oidcSubject && !(req.body.password && await bcrypt.compare(req.body.password, user.password))) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
 
-// Get specific member (Admin only)
-router.get('/:id', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+      const now = clock.now();
+      const erasureScheduledFor = new Date(now.getTime() + config.privacy.erasureGraceDays * DAY_MS);
+      await store.users.update(user.id, { erasureRequestedAt: now, erasureScheduledFor });
+      await store.securityEvents.record('ERASURE_REQUESTED', { now, userId: user.id, email: user.email, ip: req.ip });
+
+      try {
+        await mailer.sendMail({
+          from: config.email.from,
+          to: user.email,
+          ...erasureScheduledEmail({
+            firstName: user.firstName,
+            erasureDate: erasureScheduledFor.toLocaleDateString('en-CA', { dateStyle: 'long', timeZone: 'America/Toronto' }),
+            profileUrl: `${config.frontendUrl}/profile`
+          })
+        });
+      } catch (emailError) {
+        req.log.error('Failed to send erasure email', { err: emailError, userId: user.id });
+      }
 
-    const { id } = req.params;
-    
-    const member = await prisma.user.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-        eventRegistrations: {
-          include: {
-            event: {
-              select: {
-                id: true,
-                title: true,
-                date: true,
-                status: true
-              }
-            }
-          }
-        },
-        blogPosts: {
-          select: {
-            id: true,
-            title: true,
-            isPublished: true,
-            publishedAt: true
-          }
-        }
+      res.status(202).json({ message: 'Account erasure scheduled', erasureScheduledFor });
+    } catch (error) {
+      req.log.error('Error requesting erasure', { err: error });
+      res.status(500).json({ error: 'Failed to request erasure', requestId: req.id });
+    }
+  });
+
+  // Call off a pending erasure
+  router.delete('/profile/erasure', auth, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.user.id);
+      if (!user.erasureScheduledFor) {
+        return res.status(400).json({ error: 'No erasure is pending' });
       }
-    });
 
-    if (!member) {
-      return res.status(404).json({ error: 'Member not found' });
+      await store.users.update(user.id, { erasureRequestedAt: null, erasureScheduledFor: null });
+      await store.securityEvents.record('ERASURE_CANCELLED', { now: clock.now(), userId: user.id, email: user.email, ip: req.ip });
+
+      res.json({ message: 'Account erasure cancelled' });
+    } catch (error) {
+      req.log.error('Error cancelling erasure', { err: error });
+      res.status(500).json({ error: 'Failed to cancel erasure', requestId: req.id });
     }
+  });
 
-    res.json(member);
-  } catch (error) {
-    console.error('Error fetching member:', error);
-    res.status(500).json({ error: 'Failed to fetch member' });
-  }
-});
-
-// Update member profile
-router.put('/profile', auth, [
-  body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
-  body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
-  body('program').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Program must be 2-100 characters'),
-  body('year').optional().isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+  // Link to your personal calendar feed of the events you registered for
+  router.get('/profile/calendar', auth, async (req, res) => {
+    try {
+      const user = await store.users.findById(req.user.id);
+
+      res.json(calendarFeeds.links(user, req));
+    } catch (error) {
+      req.log.error('Error fetching calendar feed link', { err: error });
+      res.status(500).json({ error: 'Failed to fetch calendar feed link', requestId: req.id });
+    }
+  });
+
+  // Replace your calendar feed link, e.g. after sharing it by mistake
+  router.post('/profile/calendar/reset', auth, async (req, res) => {
+    try {
+      const user = await store.users.update(req.user.id, { calendarFeedVersion: { increment: 1 } });
+
+      res.json({ message: 'Calendar feed link replaced; the old one no longer works', ...calendarFeeds.links(user, req) });
+    } catch (error) {
+      req.log.error('Error resetting calendar feed link', { err: error });
+      res.status(500).json({ error: 'Failed to reset calendar feed link', requestId: req.id });
     }
+  });
+
+  // Get specific member (Admin or moderator)
+  router.get('/:id', auth, requirePermission('members:view'), async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const member = await prisma.user.update({
-      where: { id: req.user.id },
-      data: req.body,
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true
+      const user = await store.users.findById(id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'Member not found' });
       }
-    });
 
-    res.json(member);
-  } catch (error) {
-    console.error('Error updating member profile:', error);
-    res.status(500).json({ error: 'Failed to update member profile' });
-  }
-});
-
-// Update member (Admin only)
-router.put('/:id', auth, [
-  body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
-  body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
-  body('program').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Program must be 2-100 characters'),
-  body('year').optional().isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4'),
-  body('role').optional().isIn(['ADMIN', 'MODERATOR', 'MEMBER']).withMessage('Invalid role'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
-], async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+      const member = {
+        ...store.users.toPublic(user, [...MEMBER_FIELDS, 'createdAt']),
+        ...await memberActivity(user.id, {
+          publishedOnly: false,
+          postFields: ['id', 'title', 'isPublished', 'publishedAt']
+        })
+      };
+
+      res.json(member);
+    } catch (error) {
+      req.log.error('Error fetching member', { err: error });
+      res.status(500).json({ error: 'Failed to fetch member', requestId: req.id });
     }
+  });
+
+  // Update member profile
+  router.put('/profile', auth, [
+    body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
+    body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
+    body('program').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Program must be 2-100 characters'),
+    body('year').optional().isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const member = store.users.toPublic(
+        await store.users.update(req.user.id, pick(req.body, PROFILE_FIELDS)),
+        MEMBER_FIELDS
+      );
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      res.json(member);
+    } catch (error) {
+      req.log.error('Error updating member profile', { err: error });
+      res.status(500).json({ error: 'Failed to update member profile', requestId: req.id });
     }
+  });
+
+  // Update member (Admin only)
+  router.put('/:id', auth, requirePermission('members:manage'), [
+    body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
+    body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
+    body('program').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Program must be 2-100 characters'),
+    body('year').optional().isInt({ min: 1, max: 4 }).withMessage('Year must be 1-4'),
+    body('role').optional().isIn(['ADMIN', 'MODERATOR', 'MEMBER']).withMessage('Invalid role'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('isVerified').optional().isBoolean().withMessage('isVerified must be a boolean')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { isVerified } = req.body;
+      const changes = pick(req.body, MANAGED_FIELDS);
 
-    const { id } = req.params;
-    
-    const member = await prisma.user.update({
-      where: { id },
-      data: req.body,
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        email: true,
-        senecaId: true,
-        program: true,
-        year: true,
-        role: true,
-        isActive: true,
-        createdAt: true
+      let user = await store.users.update(id, changes);
+
+      // A deactivated member is signed out everywhere
+      if (changes.isActive === false || changes.isActive === 'false') {
+        await store.sessions.revokeAllForUser(id, 'DEACTIVATED', clock.now());
       }
-    });
 
-    res.json(member);
-  } catch (error) {
-    console.error('Error updating member:', error);
-    res.status(500).json({ error: 'Failed to update member' });
-  }
-});
-
-// Change password
-router.patch('/change-password', auth, [
-  body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      // Manual override of email verification
+      if (isVerified !== undefined) {
+        user = await store.users.setVerified(id, isVerified === true || isVerified === 'true', clock.now());
+      }
+
+      const member = store.users.toPublic(user, [...MEMBER_FIELDS, 'createdAt']);
+
+      res.json(member);
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      req.log.error('Error updating member', { err: error });
+      res.status(500).json({ error: 'Failed to update member', requestId: req.id });
     }
+  });
+
+  // Change password
+  router.patch('/change-password', auth, [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { currentPassword, newPassword } = req.body;
 
-    const { currentPassword, newPassword } = req.body;
+      // Get current user with password
+      const user = await store.users.findById(req.user.id);
 
-    // Get current user with password
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: { password: true }
-    });
+      // Verify current password
+      const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!isValidPassword) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+
+      // Hash new password
+      const hashedPassword = await bcrypt.hash(newPassword, 12);
 
-    // Verify current password
-    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-    if (!isValidPassword) {
-      return res.status(400).json({ error: 'Current password is incorrect' });
+      // Update password
+      await store.users.update(req.user.id, { password: hashedPassword });
+
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      req.log.error('Error changing password', { err: error });
+      res.status(500).json({ error: 'Failed to change password', requestId: req.id });
+    }
+  });
+
+  // Deactivate account
+  router.patch('/deactivate', auth, async (req, res) => {
+    try {
+      await store.transaction(async (tx) => {
+        await tx.users.update(req.user.id, { isActive: false });
+        await tx.sessions.revokeAllForUser(req.user.id, 'DEACTIVATED', clock.now());
+      });
+
+      res.json({ message: 'Account deactivated successfully' });
+    } catch (error) {
+      req.log.error('Error deactivating account', { err: error });
+      res.status(500).json({ error: 'Failed to deactivate account', requestId: req.id });
     }
+  });
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 12);
+  // Reactivate account (Admin only)
+  router.patch('/:id/reactivate', auth, requirePermission('members:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    // Update password
-    await prisma.user.update({
-      where: { id: req.user.id },
-      data: { password: hashedPassword }
-    });
+      const member = store.users.toPublic(await store.users.update(id, { isActive: true }));
 
-    res.json({ message: 'Password changed successfully' });
-  } catch (error) {
-    console.error('Error changing password:', error);
-    res.status(500).json({ error: 'Failed to change password' });
-  }
-});
-
-// Deactivate account
-router.patch('/deactivate', auth, async (req, res) => {
-  try {
-    await prisma.user.update({
-      where: { id: req.user.id },
-      data: { isActive: false }
-    });
-
-    res.json({ message: 'Account deactivated successfully' });
-  } catch (error) {
-    console.error('Error deactivating account:', error);
-    res.status(500).json({ error: 'Failed to deactivate account' });
-  }
-});
+      res.json({ message: 'Account reactivated successfully', member });
+    } catch (error) {
+      if (error instanceof RecordNotFoundError) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      req.log.error('Error reactivating account', { err: error });
+      res.status(500).json({ error: 'Failed to reactivate account', requestId: req.id });
+    }
+  });
 
-// Reactivate account (Admin only)
-router.patch('/:id/reactivate', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+  // Lift a login lockout early (Admin only)
+  router.patch('/:id/unlock', auth, requirePermission('members:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const user = await store.users.findById(id);
+      if (!user) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      await loginThrottle.unlock(user.email);
+      await store.securityEvents.record('ACCOUNT_UNLOCKED', {
+        now: clock.now(),
+        userId: user.id,
+        email: user.email,
+        actorId: req.user.id
+      });
+
+      res.json({ message: 'Account unlocked' });
+    } catch (error) {
+      req.log.error('Error unlocking account', { err: error });
+      res.status(500).json({ error: 'Failed to unlock account', requestId: req.id });
     }
+  });
 
-    const { id } = req.params;
-    
-    const member = await prisma.user.update({
-      where: { id },
-      data: { isActive: true }
-    });
-
-    res.json({ message: 'Account reactivated successfully', member });
-  } catch (error) {
-    console.error('Error reactivating account:', error);
-    res.status(500).json({ error: 'Failed to reactivate account' });
-  }
-});
+  // Turn off a member's 2FA, e.g. after a lost phone, so they can set it up
+  // again (Admin only). Admins can't reset their own.
+  router.delete('/:id/two-factor', auth, requirePermission('members:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const user = await store.users.findById(id);
+      if (!user) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      if (id === req.user.id) {
+        return res.status(400).json({ error: 'Another admin has to reset your two-factor authentication' });
+      }
+      if (!user.twoFactorEnabled && !await store.twoFactor.findByUser(id)) {
+        return res.status(400).json({ error: 'Two-factor authentication is not set up for this member' });
+      }
 
-// Get member statistics
-router.get('/stats/overview', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin access required' });
+      await store.twoFactor.remove(id);
+      await store.securityEvents.record('TWO_FACTOR_RESET', {
+        now: clock.now(),
+        userId: user.id,
+        email: user.email,
+        actorId: req.user.id
+      });
+      req.log.info('Two-factor authentication reset by admin', { memberId: id });
+
+      res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+      req.log.error('Error resetting two-factor authentication', { err: error });
+      res.status(500).json({ error: 'Failed to reset two-factor authentication', requestId: req.id });
     }
+  });
 
-    const totalMembers = await prisma.user.count();
-    const activeMembers = await prisma.user.count({ where: { isActive: true } });
-    const membersByRole = await prisma.user.groupBy({
-      by: ['role'],
-      _count: true
-    });
-
-    const stats = {
-      totalMembers,
-      activeMembers,
-      inactiveMembers: totalMembers - activeMembers,
-      membersByRole: membersByRole.reduce((acc, item) => {
-        acc[item.role] = item._count;
-        return acc;
-      }, {})
-    };
+  // Force-logout: end every session of a member (Admin only)
+  router.delete('/:id/sessions', auth, requirePermission('members:manage'), async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    res.json(stats);
-  } catch (error) {
-    console.error('Error fetching member stats:', error);
-    res.status(500).json({ error: 'Failed to fetch member statistics' });
-  }
-});
+      if (!await store.users.findById(id)) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      const count = await store.sessions.revokeAllForUser(id, 'ADMIN', clock.now());
+      req.log.info('Member signed out by admin', { memberId: id, sessions: count });
+
+      res.json({ message: 'Member signed out of all sessions', count });
+    } catch (error) {
+      req.log.error('Error ending member sessions', { err: error });
+      res.status(500).json({ error: 'Failed to end member sessions', requestId: req.id });
+    }
+  });
+
+  // Get member statistics
+  router.get('/stats/overview', auth, requirePermission('members:view'), async (req, res) => {
+    try {
+      const totalMembers = await store.users.count();
+      const activeMembers = await store.users.count({ isActive: true });
+      const membersByRole = await store.users.countBy('role');
+
+      const stats = {
+        totalMembers,
+        activeMembers,
+        inactiveMembers: totalMembers - activeMembers,
+        membersByRole
+      };
+
+      res.json(stats);
+    } catch (error) {
+      req.log.error('Error fetching member stats', { err: error });
+      res.status(500).json({ error: 'Failed to fetch member statistics', requestId: req.id });
+    }
+  });
 
-module.exports = router;
+  return router;
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+
+module.exports = function createSystemRouter() {
+  const router = express.Router();
+
+  // Health check
+  router.get('/api/health', (req, res) => {
+    res.json({ status: 'OK', message: 'Seneca Science Club API is running' });
+  });
+
+  // Root route
+  router.get('/', (req, res) => {
+    res.json({ 
+      message: 'Welcome to Seneca Science Club API',
+      version: '1.0.0',
+      endpoints: {
+        health: '/api/health',
+        docs: '/api/docs',
+        auth: '/api/auth',
+        events: '/api/events',
+        members: '/api/members',
+        blog: '/api/blog',
+        gallery: '/api/gallery',
+        team: '/api/team',
+        contact: '/api/contact'
+      }
+    });
+  });
+
+  return router;
+};
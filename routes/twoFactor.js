@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const createAuth = require('../middleware/auth');
+
+const codeRule = field => body(field).trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits');
+
+// The caller's own two-factor setup. Admins can't use their permissions
+// until it is on (see middleware/permissions.js) and can't turn it off.
+module.exports = function createTwoFactorRouter({ store, clock, config }) {
+  const router = express.Router();
+  const auth = createAuth(store, config, clock);
+
+  // Whether 2FA is on, and whether the account has to have it
+  router.get('/', auth, async (req, res) => {
+    try {
+      const credential = await store.twoFactor.findByUser(req.user.id);
+      const enabled = Boolean(credential && credential.confirmedAt);
+
+      res.json({
+        enabled,
+        required: req.user.role === 'ADMIN',
+        recoveryCodesRemaining: enabled ? store.twoFactor.remainingRecoveryCodes(credential) : 0
+      });
+    } catch (error) {
+      req.log.error('Error fetching two-factor status', { err: error });
+      res.status(500).json({ error: 'Failed to fetch two-factor status', requestId: req.id });
+    }
+  });
+
+  // Start enrollment: a new secret to add to an authenticator app, as text
+  // and as a QR code. Nothing changes until /enable gets a valid code.
+  router.post('/setup', auth, async (req, res) => {
+    try {
+      if (req.user.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      const credential = await store.twoFactor.begin(req.user.id);
+      const otpauthUrl = store.twoFactor.provisioningUri(credential, req.user.email);
+
+      res.json({
+        secret: credential.secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      });
+    } catch (error) {
+      req.log.error('Error starting two-factor setup', { err: error });
+      res.status(500).json({ error: 'Failed to start two-factor setup', requestId: req.id });
+    }
+  });
+
+  // Finish enrollment with a code from the app. The recovery codes are
+  // only ever shown in this response.
+  router.post('/enable', auth, [codeRule('code')], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const credential = await store.twoFactor.findByUser(req.user.id);
+      if (!credential) {
+        return res.status(400).json({ error: 'Start two-factor setup first' });
+      }
+      if (credential.confirmedAt) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+      }
+      if (!await store.twoFactor.verifyCode(credential, req.body.code, clock.now())) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = await store.twoFactor.enable(credential, clock.now());
+      await store.securityEvents.record('TWO_FACTOR_ENABLED', {
+        now: clock.now(),
+        userId: req.user.id,
+        email: req.user.email
+      });
+
+      res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+      req.log.error('Error enabling two-factor authentication', { err: error });
+      res.status(500).json({ error: 'Failed to enable two-factor authentication', requestId: req.id });
+    }
+  });
+
+  // Replace the recovery codes; the old ones stop working
+  router.post('/recovery-codes', auth, [codeRule('code')], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const credential = await store.twoFactor.findByUser(req.user.id);
+      if (!credential || !credential.confirmedAt) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (!await store.twoFactor.verifyCode(credential, req.body.code, clock.now())) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = await store.twoFactor.regenerateRecoveryCodes(credential);
+
+      res.json({ message: 'Recovery codes replaced', recoveryCodes });
+    } catch (error) {
+      req.log.error('Error replacing recovery codes', { err: error });
+      res.status(500).json({ error: 'Failed to replace recovery codes', requestId: req.id });
+    }
+  });
+
+  // Turn 2FA off (not for admins). Needs the password and a current code.
+  router.post('/disable', auth, [
+    body('password').notEmpty().withMessage('Password is required'),
+    codeRule('code')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.user.role === 'ADMIN') {
+        return res.status(403).json({ error: 'Admin accounts must keep two-factor authentication on' });
+      }
+
+      const credential = await store.twoFactor.findByUser(req.user.id);
+      if (!credential || !credential.confirmedAt) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      const user = await store.users.findById(req.user.id);
+      if (!await bcrypt.compare(req.body.password, user.password)) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
+      if (!await store.twoFactor.verifyCode(credential, req.body.code, clock.now())) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+
+      await store.twoFactor.remove(req.user.id);
+      await store.securityEvents.record('TWO_FACTOR_DISABLED', {
+        now: clock.now(),
+        userId: req.user.id,
+        email: req.user.email
+      });
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      req.log.error('Error disabling two-factor authentication', { err: error });
+      res.status(500).json({ error: 'Failed to disable two-factor authentication', requestId: req.id });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// Back up and restore all club data as one versioned archive.
+//
+// Usage:
+//   npm run db:backup -- <file> [--include-passwords]
+//   npm run db:restore -- <file> [--dry-run]
+//
+// Archives are JSON, gzipped when the file name ends in .gz. Password hashes
+// are left out unless --include-passwords is given; users restored without
+// one get an unusable password and have to reset it. Two-factor secrets are
+// never included, so restored accounts (admins too) set 2FA up again, and
+// neither are sign-in state (sessions, email tokens, single sign-on logins,
+// login throttles): everyone signs in again after a restore.
+//
+// Restore only writes into an empty store, checks every reference in the
+// archive first and runs in a single transaction.
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const schema = require('../repositories/schema');
+const createBlogPostFile = require('../repositories/blogPostFile');
+const { migrateBlogPosts } = require('./migrate-blog-posts');
+
+const FORMAT = 'seneca-science-club-backup';
+const FORMAT_VERSION = 4;
+const LEGACY_BLOG_FILE = path.join(__dirname, '../data/blog-posts.json');
+
+// Parents before children so every reference already exists on restore
+const COLLECTIONS = [
+  'users',
+  'apiKeys',
+  'securityEvents',
+  'accessCodes',
+  'eventSeries',
+  'events',
+  'eventRegistrations',
+  'blogPosts',
+  'galleryItems',
+  'teamMembers',
+  'testimonials',
+  'contactMessages'
+];
+
+// Collections added after version 1; older archives restore them empty
+const ADDED_IN_VERSION = { accessCodes: 2, eventSeries: 3, apiKeys: 4, securityEvents: 4 };
+
+// Secrets and sign-in state that are never backed up. Every other collection
+// in the schema must be in COLLECTIONS, or backups refuse to run.
+const LEFT_OUT = ['userTokens', 'sessions', 'twoFactorCredentials', 'oidcLogins', 'loginThrottles'];
+
+async function createBackup(store, { includePasswords = false, legacyBlogFile = LEGACY_BLOG_FILE } = {}) {
+  const unknown = Object.keys(schema).filter(name => !COLLECTIONS.includes(name) && !LEFT_OUT.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`The backup doesn't know how to handle these collections: ${unknown.join(', ')}`);
+  }
+
+  const collections = {};
+  for (const name of COLLECTIONS) {
+    const records = await store[name].findMany({ orderBy: { createdAt: 'asc' } });
+    collections[name] = name === 'users'
+      ? records.map(({ password, twoFactorEnabled, ...user }) => (includePasswords ? { ...user, password } : user))
+      : records;
+  }
+
+  // Posts still only in the file-based blog (not yet migrated)
+  const storedIds = new Set(collections.blogPosts.map(post => post.id));
+  const filePosts = legacyBlogFile ? await createBlogPostFile(legacyBlogFile).findAll() : [];
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    source: store.driver,
+    includesPasswords: includePasswords,
+    collections,
+    legacyBlogPosts: filePosts.filter(post => !storedIds.has(post.id))
+  };
+}
+
+// Every problem that would stop the archive from restoring cleanly
+function checkArchive(archive) {
+  const problems = [];
+
+  if (!archive || archive.format !== FORMAT) {
+    return ['Not a Seneca Science Club backup archive'];
+  }
+  if (archive.version > FORMAT_VERSION) {
+    return [`Archive version ${archive.version} is newer than this tool supports (${FORMAT_VERSION})`];
+  }
+
+  // Fill in collections the archive's version predates
+  for (const [name, version] of Object.entries(ADDED_IN_VERSION)) {
+    if (archive.version < version && archive.collections && !archive.collections[name]) {
+      archive.collections[name] = [];
+    }
+  }
+
+  const ids = {};
+  for (const name of COLLECTIONS) {
+    const records = archive.collections?.[name];
+    if (!Array.isArray(records)) {
+      problems.push(`Collection "${name}" is missing`);
+      ids[name] = new Set();
+      continue;
+    }
+
+    ids[name] = new Set();
+    for (const record of records) {
+      if (!record.id) problems.push(`A ${name} record has no id`);
+      else if (ids[name].has(record.id)) problems.push(`Duplicate ${name} id ${record.id}`);
+      ids[name].add(record.id);
+    }
+  }
+
+  for (const name of COLLECTIONS) {
+    const references = Object.entries(schema[name].references || {});
+    for (const record of archive.collections?.[name] || []) {
+      for (const [field, reference] of references) {
+        const value = record[field];
+        if (value !== null && value !== undefined && !ids[reference.collection].has(value)) {
+          problems.push(`${name} ${record.id}: ${field} points at missing ${reference.collection} ${value}`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+async function restoreBackup(store, archive, { dryRun = false } = {}) {
+  const problems = checkArchive(archive);
+  if (problems.length > 0) {
+    const error = new Error(`Archive failed validation with ${problems.length} problem(s)`);
+    error.problems = problems;
+    throw error;
+  }
+
+  for (const name of COLLECTIONS) {
+    if (await store[name].count() > 0) {
+      throw new Error(`Restore needs an empty store, but it already contains ${name}`);
+    }
+  }
+
+  const summary = {
+    created: Object.fromEntries(COLLECTIONS.map(name => [name, archive.collections[name].length])),
+    usersWithoutPassword: archive.collections.users.filter(user => !user.password).length,
+    legacyBlogPosts: null
+  };
+  if (dryRun) return summary;
+
+  const placeholderPassword = summary.usersWithoutPassword > 0
+    ? await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12)
+    : null;
+
+  await store.transaction(async (tx) => {
+    for (const name of COLLECTIONS) {
+      for (const record of archive.collections[name]) {
+        const data = name === 'users' && !record.password
+          ? { ...record, password: placeholderPassword }
+          : record;
+        await tx[name].create(data);
+      }
+    }
+  });
+
+  if (archive.legacyBlogPosts?.length > 0) {
+    summary.legacyBlogPosts = await migrateBlogPosts(store, archive.legacyBlogPosts);
+  }
+
+  return summary;
+}
+
+async function writeArchive(file, archive) {
+  const json = JSON.stringify(archive, null, 2);
+  await fs.writeFile(file, file.endsWith('.gz') ? zlib.gzipSync(json) : json);
+}
+
+async function readArchive(file) {
+  const contents = await fs.readFile(file);
+  return JSON.parse(file.endsWith('.gz') ? zlib.gunzipSync(contents).toString('utf8') : contents.toString('utf8'));
+}
+
+async function main() {
+  const { store } = require('../config/database');
+  const [command, file] = process.argv.slice(2);
+  const flags = process.argv.slice(4);
+
+  try {
+    if (!['export', 'restore'].includes(command) || !file) {
+      console.error('Usage: node scripts/backup.js export|restore <file> [--include-passwords] [--dry-run]');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (command === 'export') {
+      const archive = await createBackup(store, { includePasswords: flags.includes('--include-passwords') });
+      await writeArchive(file, archive);
+
+      console.log(`📦 Backed up the ${store.driver} store to ${file}`);
+      COLLECTIONS.forEach(name => console.log(`   ${name}: ${archive.collections[name].length}`));
+      console.log(`   file-based blog posts: ${archive.legacyBlogPosts.length}`);
+      if (!archive.includesPasswords) {
+        console.log('🔒 Password hashes were left out (use --include-passwords to keep them)');
+      }
+      return;
+    }
+
+    const dryRun = flags.includes('--dry-run');
+    const summary = await restoreBackup(store, await readArchive(file), { dryRun });
+
+    console.log(dryRun ? `🔍 Dry run: ${file} is valid and would restore:` : `✅ Restored ${file} into the ${store.driver} store:`);
+    COLLECTIONS.forEach(name => console.log(`   ${name}: +${summary.created[name]}`));
+    if (summary.legacyBlogPosts) {
+      console.log(`   file-based blog posts: +${summary.legacyBlogPosts.imported} (${summary.legacyBlogPosts.authorsCreated} author accounts created)`);
+      summary.legacyBlogPosts.failed.forEach(({ id, error }) => console.error(`   ❌ blog post ${id}: ${error}`));
+    }
+    if (summary.usersWithoutPassword > 0) {
+      console.log(`🔑 ${summary.usersWithoutPassword} users have no password hash in the archive and must reset their password`);
+    }
+  } catch (error) {
+    console.error(`❌ ${command === 'export' ? 'Backup' : 'Restore'} failed:`, error.message);
+    (error.problems || []).forEach(problem => console.error(`   ${problem}`));
+    process.exitCode = 1;
+  } finally {
+    await store.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createBackup, restoreBackup, checkArchive, writeArchive, readArchive, FORMAT_VERSION, COLLECTIONS, LEFT_OUT };
@@ -0,0 +1,262 @@
+// Deterministic sample data for every model in prisma/schema.prisma.
+// The same seed and reference date always produce the same records.
+const { CATEGORIES: EVENT_CATEGORIES, STATUSES: EVENT_STATUSES } = require('../repositories/events');
+const { CATEGORIES: GALLERY_CATEGORIES } = require('../repositories/galleryItems');
+const { SPOT_STATUSES } = require('../repositories/eventRegistrations');
+
+// Known logins for local development
+const PASSWORDS = {
+  ADMIN: 'Admin123!',
+  MODERATOR: 'Moderator123!',
+  MEMBER: 'Member123!'
+};
+
+const FIRST_NAMES = ['Aisha', 'Ben', 'Chloe', 'Daniel', 'Emma', 'Farhan', 'Grace', 'Hiro', 'Isabel', 'Jamal', 'Kiran', 'Leila', 'Marco', 'Nadia', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Samir', 'Tara'];
+const LAST_NAMES = ['Ahmed', 'Brown', 'Chen', 'Diaz', 'Evans', 'Fernandes', 'Gupta', 'Huang', 'Ivanova', 'Johnson', 'Khan', 'Lopez', 'Martin', 'Nguyen', 'Okafor', 'Patel', 'Singh', 'Tremblay', 'Wong', 'Zhang'];
+const PROGRAMS = ['Biotechnology', 'Chemical Laboratory Technician', 'Environmental Technology', 'Computer Programming', 'Health Sciences', 'Pharmaceutical Regulatory Affairs', 'Liberal Arts'];
+const LOCATIONS = ['Newnham Campus, Room A2034', 'Newnham Campus, Lab B1010', 'Seneca@York, Room S2141', 'King Campus, Science Building', 'Markham Campus, Room 1022', 'Ontario Science Centre'];
+const TAGS = ['biology', 'chemistry', 'physics', 'astronomy', 'environment', 'research', 'careers', 'lab-safety', 'community', 'workshops'];
+
+const EVENT_TITLES = {
+  WORKSHOP: 'Hands-on DNA Extraction Workshop',
+  LECTURE: 'Guest Lecture: The Chemistry of Climate',
+  SOCIAL: 'Science Trivia Night',
+  COMPETITION: 'Annual Science Fair Competition',
+  FIELD_TRIP: 'Field Trip to the Royal Ontario Museum',
+  CONFERENCE: 'Student Research Conference',
+  OTHER: 'Club Open House'
+};
+
+const TEAM_ROLES = ['President', 'Vice President', 'Events Coordinator', 'Treasurer', 'Social Media Lead'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Small, fast, seedable PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const random = {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    sample(list, count) {
+      const copy = [...list];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy.slice(0, count);
+    },
+    // uuid-shaped ids so records look like the ones the API creates
+    uuid() {
+      const hex = Array.from({ length: 32 }, () => Math.floor(next() * 16).toString(16)).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+    }
+  };
+  return random;
+}
+
+function paragraph(random, topic) {
+  const sentences = [
+    `This session dives into ${topic} with plenty of time for questions.`,
+    'Members from every program are welcome, no prior experience needed.',
+    'We will provide all materials and safety equipment.',
+    'Bring a friend and meet other science enthusiasts at Seneca.',
+    'Light refreshments will be served afterwards.',
+    'Our mentors will share tips from their own lab and research experience.'
+  ];
+  return random.sample(sentences, 4).join(' ');
+}
+
+function generateFixtures({ seed = 1, now = new Date() } = {}) {
+  const random = createRandom(seed);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const daysFromToday = days => new Date(today.getTime() + days * DAY);
+  const names = random.sample(FIRST_NAMES.flatMap(first => LAST_NAMES.map(last => [first, last])), 16);
+
+  // Users: one admin, one moderator, active members and one inactive member
+  const users = names.map(([firstName, lastName], index) => {
+    const role = index === 0 ? 'ADMIN' : index === 1 ? 'MODERATOR' : 'MEMBER';
+    const login = role === 'MEMBER' ? `member${index - 1}` : role.toLowerCase();
+    return {
+      id: random.uuid(),
+      email: `${login}@ssc.local`,
+      senecaId: String(100000000 + random.int(0, 899999999)),
+      firstName,
+      lastName,
+      program: random.pick(PROGRAMS),
+      year: random.int(1, 4),
+      password: PASSWORDS[role],
+      role,
+      isActive: index !== names.length - 1,
+      createdAt: daysFromToday(-random.int(60, 365))
+    };
+  });
+  const members = users.filter(user => user.role === 'MEMBER' && user.isActive);
+
+  // Events: every category and every status, plus a full and a waitlisted event
+  const event = (category, status, overrides = {}) => {
+    const offset = {
+      COMPLETED: -random.int(7, 60),
+      ONGOING: 0,
+      UPCOMING: random.int(3, 45),
+      CANCELLED: random.int(5, 30)
+    }[status];
+    const startHour = random.int(10, 17);
+    return {
+      id: random.uuid(),
+      title: EVENT_TITLES[category],
+      description: paragraph(random, category.toLowerCase().replace('_', ' ')),
+      date: daysFromToday(offset),
+      startTime: `${startHour}:00`,
+      endTime: `${startHour + 2}:00`,
+      location: random.pick(LOCATIONS),
+      maxCapacity: random.next() < 0.7 ? random.int(20, 60) : null,
+      currentCapacity: 0,
+      imageUrl: null,
+      category,
+      status,
+      isOngoing: status === 'ONGOING',
+      createdAt: daysFromToday(offset - random.int(14, 30)),
+      ...overrides
+    };
+  };
+
+  const events = EVENT_CATEGORIES.map((category, index) =>
+    event(category, EVENT_STATUSES[index % EVENT_STATUSES.length])
+  );
+  const fullEvent = event('WORKSHOP', 'UPCOMING', { title: 'Microscopy Masterclass (Full)', maxCapacity: 5 });
+  const waitlistedEvent = event('FIELD_TRIP', 'UPCOMING', { title: 'Observatory Night (Waitlist Open)', maxCapacity: 4 });
+  events.push(fullEvent, waitlistedEvent);
+
+  // Registrations: confirmed seats and open offers count towards
+  // currentCapacity; the waitlist is numbered from 1 in order of arrival
+  const OFFER_HOURS = 48;
+  const eventRegistrations = [];
+  const register = (target, user, status = 'CONFIRMED') => {
+    const waiting = eventRegistrations.filter(registration => registration.eventId === target.id && registration.status === 'WAITLISTED');
+    eventRegistrations.push({
+      id: random.uuid(),
+      userId: user.id,
+      eventId: target.id,
+      status,
+      waitlistPosition: status === 'WAITLISTED' ? waiting.length + 1 : null,
+      promotedAt: status === 'PENDING' ? today : null,
+      confirmBy: status === 'PENDING' ? new Date(today.getTime() + OFFER_HOURS * 60 * 60 * 1000) : null,
+      createdAt: new Date(target.createdAt.getTime() + eventRegistrations.length * 60 * 60 * 1000)
+    });
+    if (SPOT_STATUSES.includes(status)) target.currentCapacity += 1;
+  };
+
+  const waitlistSeats = random.sample(members, waitlistedEvent.maxCapacity);
+  const waitlistQueue = members.filter(member => !waitlistSeats.includes(member)).slice(0, 3);
+  random.sample(members, fullEvent.maxCapacity).forEach(member => register(fullEvent, member));
+  waitlistSeats.forEach(member => register(waitlistedEvent, member));
+  waitlistQueue.forEach(member => register(waitlistedEvent, member, 'WAITLISTED'));
+
+  // Every other upcoming event has a spot offered from its waitlist
+  events.slice(0, EVENT_CATEGORIES.length).forEach((target, index) => {
+    const offering = target.status === 'UPCOMING' && index % 2 === 0;
+    if (offering) target.waitlistConfirmationHours = OFFER_HOURS;
+
+    const attendees = random.sample(members, random.int(2, 6));
+    attendees.forEach((member, position) => {
+      const status = target.status === 'CANCELLED'
+        ? 'CANCELLED'
+        : position === 0 && offering ? 'PENDING' : 'CONFIRMED';
+      register(target, member, status);
+    });
+  });
+
+  // Blog posts with tags, including one unpublished draft
+  const authors = [users[0], users[1], ...random.sample(members, 3)];
+  const blogPosts = Array.from({ length: 6 }, (_, index) => {
+    const tags = random.sample(TAGS, random.int(2, 4));
+    const published = index !== 5;
+    const createdAt = daysFromToday(-random.int(1, 90));
+    return {
+      id: random.uuid(),
+      title: `${tags[0][0].toUpperCase()}${tags[0].slice(1)} notes: what we learned this term (${index + 1})`,
+      content: `${paragraph(random, tags.join(' and '))} ${paragraph(random, tags[0])}`,
+      excerpt: `A look at ${tags.join(', ')} from our recent club activities.`,
+      authorId: random.pick(authors).id,
+      imageUrl: null,
+      tags,
+      isPublished: published,
+      publishedAt: published ? createdAt : null,
+      createdAt
+    };
+  });
+
+  // Gallery items in every category, linked to completed events where possible
+  const pastEvents = events.filter(item => item.status === 'COMPLETED');
+  const galleryItems = GALLERY_CATEGORIES.map((category, index) => ({
+    id: random.uuid(),
+    title: `${category.charAt(0)}${category.slice(1).toLowerCase().replace('_', ' ')} highlights`,
+    description: random.next() < 0.5 ? 'Photos from one of our favourite club moments.' : null,
+    imageUrl: `https://res.cloudinary.com/demo/image/upload/sample-${index + 1}.jpg`,
+    videoUrl: null,
+    category,
+    eventId: pastEvents.length > 0 && random.next() < 0.6 ? random.pick(pastEvents).id : null,
+    tags: random.sample(TAGS, 2),
+    createdAt: daysFromToday(-random.int(1, 60))
+  }));
+
+  const teamMembers = TEAM_ROLES.map((role, index) => {
+    const [firstName, lastName] = [random.pick(FIRST_NAMES), random.pick(LAST_NAMES)];
+    return {
+      id: random.uuid(),
+      firstName,
+      lastName,
+      role,
+      bio: `${firstName} studies ${random.pick(PROGRAMS)} and loves organizing events for the club.`,
+      imageUrl: `https://res.cloudinary.com/demo/image/upload/team-${index + 1}.jpg`,
+      linkedinUrl: `https://www.linkedin.com/in/${firstName.toLowerCase()}-${lastName.toLowerCase()}`,
+      instagramUrl: null,
+      order: index,
+      isActive: index !== TEAM_ROLES.length - 1
+    };
+  });
+
+  const testimonials = random.sample(members, 4).map((author, index) => ({
+    id: random.uuid(),
+    content: 'Joining the science club was the best decision of my first year. The workshops are amazing!',
+    authorId: author.id,
+    rating: random.int(4, 5),
+    isApproved: index < 3,
+    createdAt: daysFromToday(-random.int(1, 120))
+  }));
+
+  const contactMessages = Array.from({ length: 4 }, (_, index) => {
+    const [firstName, lastName] = [random.pick(FIRST_NAMES), random.pick(LAST_NAMES)];
+    return {
+      id: random.uuid(),
+      name: `${firstName} ${lastName}`,
+      email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com`,
+      subject: random.pick(['Joining the club', 'Event sponsorship', 'Volunteering at the science fair', 'Question about workshops']),
+      message: 'Hi! I would love to learn more about this. Could someone from the team get back to me?',
+      isRead: index % 2 === 0,
+      createdAt: daysFromToday(-random.int(1, 30))
+    };
+  });
+
+  return {
+    users,
+    events,
+    eventRegistrations,
+    blogPosts,
+    galleryItems,
+    teamMembers,
+    testimonials,
+    contactMessages
+  };
+}
+
+module.exports = { generateFixtures, createRandom, PASSWORDS };
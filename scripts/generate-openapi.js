@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Regenerate openapi/openapi.json from the routes and validators.
+//
+// Usage: npm run docs:openapi
+//
+// The file is committed so API changes show up in review; the test suite
+// fails when it no longer matches what the app serves.
+const fs = require('fs');
+const path = require('path');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+
+const OUTPUT = path.join(__dirname, '../openapi/openapi.json');
+
+function main() {
+  const app = createApp({ config: loadConfig({ NODE_ENV: 'test' }), logRequests: false, rateLimit: false });
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(app.locals.openApiDocument, null, 2)}\n`);
+  console.log(`📘 Wrote ${path.relative(process.cwd(), OUTPUT)} (${Object.keys(app.locals.openApiDocument.paths).length} paths)`);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Import the file-based blog (data/blog-posts.json) into the BlogPost
+// collection of the configured data store, linking each post to a User.
+//
+// Usage: npm run db:migrate-blog [-- --file path/to/blog-posts.json]
+//
+// Original ids, timestamps and versions are kept. Posts whose id is already
+// in the store are skipped, so the command is safe to re-run.
+require('dotenv').config();
+const path = require('path');
+const createBlogPostFile = require('../repositories/blogPostFile');
+
+const DEFAULT_FILE = path.join(__dirname, '../data/blog-posts.json');
+
+const toDate = value => (value ? new Date(value) : null);
+
+// Legacy posts embed the author as { firstName, lastName, program }
+function legacyAuthor(post) {
+  const author = post.author || {};
+  if (typeof author === 'string') {
+    return {
+      firstName: author.split(' ')[0] || 'Anonymous',
+      lastName: author.split(' ').slice(1).join(' ')
+    };
+  }
+  return {
+    firstName: author.firstName || 'Anonymous',
+    lastName: author.lastName || '',
+    program: author.program,
+    email: author.email
+  };
+}
+
+async function migrateBlogPosts(store, posts) {
+  const summary = { imported: 0, skipped: 0, failed: [], authorsCreated: 0 };
+  const usersBefore = await store.users.count();
+
+  for (const post of posts) {
+    try {
+      const imported = await store.transaction(async (tx) => {
+        if (await tx.blogPosts.findById(post.id)) return false;
+
+        const author = await tx.users.findOrCreateAuthor(legacyAuthor(post));
+        await tx.blogPosts.create({
+          id: post.id,
+          title: post.title,
+          content: post.content,
+          excerpt: post.excerpt,
+          tags: post.tags || [],
+          imageUrl: post.imageUrl || null,
+          authorId: author.id,
+          isPublished: Boolean(post.isPublished),
+          publishedAt: toDate(post.publishedAt),
+          version: post.version || 1,
+          createdAt: toDate(post.createdAt) || new Date(),
+          updatedAt: toDate(post.updatedAt) || toDate(post.createdAt) || new Date()
+        });
+        return true;
+      });
+
+      if (imported) summary.imported += 1;
+      else summary.skipped += 1;
+    } catch (error) {
+      summary.failed.push({ id: post.id, title: post.title, error: error.message });
+    }
+  }
+
+  summary.authorsCreated = (await store.users.count()) - usersBefore;
+  return summary;
+}
+
+async function main() {
+  const { store } = require('../config/database');
+  const fileFlag = process.argv.indexOf('--file');
+  const file = fileFlag !== -1 ? path.resolve(process.argv[fileFlag + 1]) : DEFAULT_FILE;
+
+  try {
+    const posts = await createBlogPostFile(file).findAll();
+    console.log(`📄 Found ${posts.length} blog posts in ${file}`);
+
+    const summary = await migrateBlogPosts(store, posts);
+    console.log(`✅ Imported ${summary.imported}, skipped ${summary.skipped} already migrated`);
+    console.log(`👤 Created ${summary.authorsCreated} author accounts`);
+
+    if (summary.failed.length > 0) {
+      console.error(`❌ ${summary.failed.length} posts failed:`);
+      summary.failed.forEach(({ id, title, error }) => console.error(`   ${id} (${title}): ${error}`));
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Blog migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await store.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrateBlogPosts };
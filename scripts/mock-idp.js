@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// A stand-in OpenID Connect provider for trying single sign-on locally and
+// for the tests. It signs everyone in straight away, without a login page,
+// as the current user (see signInAs) or as the email given in login_hint,
+// and checks PKCE the way a real provider does.
+//
+// Usage: npm run mock:idp [-- --port 4010]
+//
+// then start the API with
+//   OIDC_ISSUER=http://127.0.0.1:4010
+//   OIDC_CLIENT_ID=ssc-backend
+//   OIDC_REDIRECT_URI=http://localhost:3001/api/auth/oidc/callback
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { codeChallengeFor } = require('../config/oidc');
+
+const DEFAULT_CLIENT_ID = 'ssc-backend';
+const DEFAULT_USER = {
+  sub: 'mock-user-1',
+  email: 'member@mock-idp.test',
+  email_verified: true,
+  given_name: 'Mock',
+  family_name: 'Member'
+};
+
+function createMockIdentityProvider({ clientId = DEFAULT_CLIENT_ID, user = DEFAULT_USER } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = crypto.randomBytes(4).toString('hex');
+  // Issued codes: code -> what the token endpoint needs to check and sign
+  const grants = new Map();
+  let issuer = null;
+  let currentUser = user;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestedClient, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, code_challenge_method: method } = req.query;
+    if (requestedClient !== clientId || !redirectUri || !codeChallenge || method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const claims = req.query.login_hint ? { ...currentUser, email: req.query.login_hint } : currentUser;
+    const code = crypto.randomBytes(16).toString('hex');
+    grants.set(code, { redirectUri, nonce, codeChallenge, claims });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: requestedClient, code_verifier: codeVerifier } = req.body;
+    const grant = grants.get(code);
+    grants.delete(code);
+
+    if (!grant || grantType !== 'authorization_code' || requestedClient !== clientId || redirectUri !== grant.redirectUri
+      || !codeVerifier || codeChallengeFor(codeVerifier) !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const { sub, ...claims } = grant.claims;
+    const idToken = jwt.sign({ ...claims, ...(grant.nonce && { nonce: grant.nonce }) }, privateKey, {
+      algorithm: 'RS256',
+      keyid: keyId,
+      issuer,
+      audience: clientId,
+      subject: sub,
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return {
+    app,
+
+    // Who the next sign-in is for (ID token claims, including sub)
+    signInAs(claims) {
+      currentUser = claims;
+    },
+
+    // Resolves with { url, close } once listening; port 0 picks a free one
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+          issuer = `http://127.0.0.1:${server.address().port}`;
+          resolve({ url: issuer, close: () => new Promise(done => server.close(done)) });
+        });
+      });
+    }
+  };
+}
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex === -1 ? 4010 : Number(process.argv[portIndex + 1]);
+
+  createMockIdentityProvider().listen(port).then(({ url }) => {
+    console.log(`🪪 Mock OpenID Connect provider at ${url}`);
+    console.log(`   OIDC_ISSUER=${url}`);
+    console.log(`   OIDC_CLIENT_ID=${DEFAULT_CLIENT_ID}`);
+    console.log(`   Signs in as ${DEFAULT_USER.email} (or ?login_hint=<email>)`);
+  });
+}
+
+module.exports = { createMockIdentityProvider };
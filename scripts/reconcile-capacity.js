@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Recount every event's currentCapacity from its registrations that hold a
+// spot (CONFIRMED, or PENDING on a waitlist offer).
+//
+// Usage: npm run db:reconcile-capacity [-- --dry-run]
+//
+// Runs in one transaction and only touches events whose count was off, so it
+// is safe to re-run. Spots it frees are filled from the waitlist by the
+// server's next waitlist sweep.
+require('dotenv').config();
+
+async function main() {
+  const { store } = require('../config/database');
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const corrections = await store.events.reconcileCapacity({ dryRun });
+
+    if (corrections.length === 0) {
+      console.log('✅ Every event capacity matches its registrations');
+      return;
+    }
+
+    console.log(dryRun ? `🔍 Dry run: ${corrections.length} events would change:` : `✅ Corrected ${corrections.length} events:`);
+    corrections.forEach(({ id, title, from, to }) => console.log(`   ${id} (${title}): ${from} -> ${to}`));
+  } catch (error) {
+    console.error('❌ Capacity reconciliation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await store.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
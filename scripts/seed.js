@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Fill the configured data store with sample data for local development.
+//
+// Usage: npm run db:seed [-- --seed 42] [-- --reset] [-- --date 2025-09-01]
+//
+//   --seed   number for the random generator (default 1); same seed, same data
+//   --reset  delete everything in the store first
+//   --date   reference "today" for event dates (default: the current date)
+//
+// Without --reset the command refuses to touch a store that already has data.
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { generateFixtures, PASSWORDS } = require('./fixtures');
+
+// Parents before children so every reference already exists. The fixtures
+// leave some of them empty, but --reset and the empty-store check cover all.
+const COLLECTIONS = [
+  'users',
+  'accessCodes',
+  'eventSeries',
+  'events',
+  'eventRegistrations',
+  'blogPosts',
+  'galleryItems',
+  'teamMembers',
+  'testimonials',
+  'contactMessages'
+];
+
+async function seed(store, { seed: seedValue = 1, reset = false, now = new Date() } = {}) {
+  const fixtures = generateFixtures({ seed: seedValue, now });
+
+  // Hash each known password once rather than once per user
+  const hashes = {};
+  for (const password of new Set(fixtures.users.map(user => user.password))) {
+    hashes[password] = await bcrypt.hash(password, 12);
+  }
+
+  return store.transaction(async (tx) => {
+    if (reset) {
+      for (const name of [...COLLECTIONS].reverse()) {
+        await tx[name].deleteMany({});
+      }
+    } else {
+      for (const name of COLLECTIONS) {
+        if (await tx[name].count() > 0) {
+          throw new Error(`The store already contains ${name}; re-run with --reset to replace it`);
+        }
+      }
+    }
+
+    const counts = {};
+    for (const name of COLLECTIONS.filter(name => fixtures[name])) {
+      for (const record of fixtures[name]) {
+        const data = name === 'users' ? { ...record, password: hashes[record.password] } : record;
+        await tx[name].create(data);
+      }
+      counts[name] = fixtures[name].length;
+    }
+    return counts;
+  });
+}
+
+function parseArgs(argv) {
+  const value = flag => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  const options = { reset: argv.includes('--reset') };
+  if (value('--seed') !== undefined) {
+    options.seed = parseInt(value('--seed'));
+    if (Number.isNaN(options.seed)) throw new Error('--seed must be a number');
+  }
+  if (value('--date') !== undefined) {
+    options.now = new Date(value('--date'));
+    if (Number.isNaN(options.now.getTime())) throw new Error('--date must be a valid date');
+  }
+  return options;
+}
+
+async function main() {
+  const { store } = require('../config/database');
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const counts = await seed(store, options);
+
+    console.log(`🌱 Seeded the ${store.driver} store (seed ${options.seed || 1})`);
+    Object.entries(counts).forEach(([name, count]) => console.log(`   ${name}: ${count}`));
+    console.log('🔑 Logins:');
+    console.log(`   admin@ssc.local / ${PASSWORDS.ADMIN} (set up 2FA at /api/auth/2fa/setup before using admin routes)`);
+    console.log(`   moderator@ssc.local / ${PASSWORDS.MODERATOR}`);
+    console.log(`   member1@ssc.local ... member14@ssc.local / ${PASSWORDS.MEMBER} (member14 is deactivated)`);
+
+    // Access codes are random, so one is issued per run rather than kept in the fixtures
+    const { code } = await store.accessCodes.issue({ label: 'Seeded mentor code', now: options.now || new Date() });
+    console.log(`🎟️  Mentor access code: ${code}`);
+  } catch (error) {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await store.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { seed };
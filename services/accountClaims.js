@@ -0,0 +1,41 @@
+// Claim links for guest accounts (made by registering for an event without
+// signing up). The link lets the owner set a password at POST
+// /api/auth/claim. It goes out when the guest account is created and again
+// when someone signs up, or asks for a password reset, with the guest's email.
+const { accountClaimEmail } = require('../emails');
+
+const CLAIM_TOKEN_TTL_DAYS = 7;
+// Minimum gap between claim emails to one account
+const RESEND_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createAccountClaims({ store, mailer, clock, config }) {
+  return {
+    // Emails a fresh claim link, voiding earlier ones. Returns false without
+    // sending when a link went out less than a minute ago.
+    // `capacityLimited` says the guest must claim the account before
+    // registering for `eventTitle`.
+    async sendLink(user, { eventTitle, capacityLimited = false } = {}) {
+      const now = clock.now();
+      const latest = await store.userTokens.latestFor(user.id, 'ACCOUNT_CLAIM');
+      if (latest && now - new Date(latest.createdAt) < RESEND_INTERVAL_MS) {
+        return false;
+      }
+
+      const token = await store.userTokens.issue(user.id, 'ACCOUNT_CLAIM', {
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + CLAIM_TOKEN_TTL_DAYS * DAY_MS)
+      });
+      const claimUrl = `${config.frontendUrl}/claim-account?token=${encodeURIComponent(token)}`;
+
+      await mailer.sendMail({
+        from: config.email.from,
+        to: user.email,
+        ...accountClaimEmail({ firstName: user.firstName, claimUrl, expiresInDays: CLAIM_TOKEN_TTL_DAYS, eventTitle, capacityLimited })
+      });
+      return true;
+    }
+  };
+}
+
+module.exports = createAccountClaims;
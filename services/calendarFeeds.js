@@ -0,0 +1,37 @@
+// Personal calendar feed links. Calendar apps can't send an Authorization
+// header, so a member's feed of the events they registered for is reached
+// through a secret URL instead. The token carries the account's feed
+// version; resetting the link bumps the version and retires every older URL.
+const jwt = require('jsonwebtoken');
+
+const FEED_PURPOSE = 'calendar-feed';
+
+function createCalendarFeeds({ config }) {
+  // No timestamp, so the same account version always gives the same URL
+  const sign = user => jwt.sign(
+    { userId: user.id, version: user.calendarFeedVersion || 0, purpose: FEED_PURPOSE },
+    config.jwt.secret,
+    { noTimestamp: true }
+  );
+
+  return {
+    // { userId, version } for a genuine feed token, else null
+    verify(token) {
+      try {
+        const decoded = jwt.verify(token, config.jwt.secret);
+        return decoded.purpose === FEED_PURPOSE ? { userId: decoded.userId, version: decoded.version } : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // The feed's https URL and the webcal:// form calendar apps subscribe with
+    links(user, req) {
+      const base = config.publicUrl || `${req.protocol}://${req.get('host')}`;
+      const url = `${base}/api/events/calendar/${sign(user)}.ics`;
+      return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+    }
+  };
+}
+
+module.exports = createCalendarFeeds;
@@ -0,0 +1,86 @@
+// Brute-force protection for POST /api/auth/login. Failed attempts are
+// counted per account (by email, whether or not the account exists, so the
+// answers don't reveal which emails are registered) and per client IP:
+//   - the first few failures cost nothing
+//   - after that every attempt waits twice as long as the previous one
+//   - at the limit the key is locked for a while and a security event is
+//     recorded (see GET /api/members/security-events)
+// Failures are forgotten after RESET_AFTER_MS without another one.
+const POLICIES = {
+  account: { freeAttempts: 3, maxAttempts: 10, lockMinutes: 15, event: 'ACCOUNT_LOCKED' },
+  // One address may try many accounts, so it gets more room before a lock
+  ip: { freeAttempts: 10, maxAttempts: 50, lockMinutes: 15, event: 'IP_LOCKED' }
+};
+
+const RESET_AFTER_MS = 15 * 60 * 1000;
+const MAX_DELAY_SECONDS = 5 * 60;
+
+const accountKey = email => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = ip => `ip:${ip}`;
+
+// Seconds the key has to wait before its next attempt (0: none)
+function secondsToWait(record, policy, now) {
+  if (!record) return 0;
+  if (record.lockedUntil && new Date(record.lockedUntil) > now) {
+    return Math.ceil((new Date(record.lockedUntil) - now) / 1000);
+  }
+
+  const lastFailure = new Date(record.lastFailureAt);
+  const extra = record.failures - policy.freeAttempts;
+  if (extra <= 0 || now - lastFailure >= RESET_AFTER_MS) return 0;
+
+  const delay = Math.min(2 ** (extra - 1), MAX_DELAY_SECONDS) * 1000;
+  return Math.max(0, Math.ceil((lastFailure.getTime() + delay - now) / 1000));
+}
+
+function createLoginThrottle({ store, clock }) {
+  const keysFor = (email, ip) => [
+    { policy: POLICIES.account, key: accountKey(email) },
+    { policy: POLICIES.ip, key: ipKey(ip) }
+  ];
+
+  // Longest wait across the account and IP keys, in seconds
+  async function retryAfter(email, ip) {
+    const now = clock.now();
+    const waits = await Promise.all(keysFor(email, ip).map(async ({ policy, key }) =>
+      secondsToWait(await store.loginThrottles.findByKey(key), policy, now)));
+    return Math.max(...waits);
+  }
+
+  // Counts a failed attempt; locks keys that reach their limit. userId is
+  // set when the email belongs to an account.
+  async function recordFailure(email, ip, { userId = null, log } = {}) {
+    const now = clock.now();
+
+    for (const { policy, key } of keysFor(email, ip)) {
+      // Locked: the counter starts over once the lock runs out
+      const lockedUntil = new Date(now.getTime() + policy.lockMinutes * 60 * 1000);
+      const locked = await store.loginThrottles.recordFailure(key, {
+        now,
+        resetAfterMs: RESET_AFTER_MS,
+        maxAttempts: policy.maxAttempts,
+        lockedUntil
+      });
+      if (!locked) continue;
+
+      await store.securityEvents.record(policy.event, {
+        now,
+        ip,
+        ...(policy === POLICIES.account && { email, userId })
+      });
+      log?.warn('Login locked after repeated failures', { event: policy.event, userId, ip, lockedUntil });
+    }
+  }
+
+  // A correct password clears the account's failures; the IP's stay, so one
+  // valid account can't be used to keep guessing others
+  const recordSuccess = email => store.loginThrottles.clear(accountKey(email));
+
+  // Admin unlock of an account
+  const unlock = email => store.loginThrottles.clear(accountKey(email));
+
+  return { retryAfter, recordFailure, recordSuccess, unlock };
+}
+
+module.exports = createLoginThrottle;
+module.exports.POLICIES = POLICIES;
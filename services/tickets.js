@@ -0,0 +1,39 @@
+// Tickets for confirmed registrations. A ticket is a signed token naming the
+// registration, shown as a QR code and scanned at the door
+// (POST /api/events/:id/check-in). The registration decides whether it still
+// admits anyone, so the token itself does not expire.
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const TICKET_PURPOSE = 'ticket';
+const QR_OPTIONS = { margin: 2, errorCorrectionLevel: 'M' };
+const QR_PNG_WIDTH = 320;
+
+function createTickets({ config }) {
+  return {
+    sign: registration => jwt.sign(
+      { registrationId: registration.id, eventId: registration.eventId, purpose: TICKET_PURPOSE },
+      config.jwt.secret
+    ),
+
+    // { registrationId, eventId } for a genuine ticket, else null
+    verify(token) {
+      try {
+        const decoded = jwt.verify(token, config.jwt.secret);
+        return decoded.purpose === TICKET_PURPOSE ? { registrationId: decoded.registrationId, eventId: decoded.eventId } : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Frontend page showing the ticket, for emails
+    url: token => `${config.frontendUrl}/events/ticket?token=${encodeURIComponent(token)}`,
+
+    // The token as a QR code: a PNG buffer or an SVG string
+    render: (token, format) => (format === 'svg'
+      ? QRCode.toString(token, { ...QR_OPTIONS, type: 'svg' })
+      : QRCode.toBuffer(token, { ...QR_OPTIONS, type: 'png', width: QR_PNG_WIDTH }))
+  };
+}
+
+module.exports = createTickets;
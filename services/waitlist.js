@@ -0,0 +1,90 @@
+// Waitlists for full events. Registrants past capacity queue up in order, and
+// when a spot opens the first in line is promoted and emailed. Events with a
+// confirmation window (waitlistConfirmationHours) only offer the spot: it
+// passes to the next in line unless confirmed through the emailed link in time.
+const jwt = require('jsonwebtoken');
+const { waitlistPromotionEmail } = require('../emails');
+const createTickets = require('./tickets');
+
+const OFFER_PURPOSE = 'waitlist-offer';
+
+const formatDate = (date, options) => new Date(date).toLocaleString('en-CA', { ...options, timeZone: 'America/Toronto' });
+
+function createWaitlist({ store, mailer, clock, config }) {
+  const tickets = createTickets({ config });
+
+  // The registration decides whether the offer still stands, so the token
+  // itself does not expire
+  const signOffer = registration => jwt.sign({ registrationId: registration.id, purpose: OFFER_PURPOSE }, config.jwt.secret);
+
+  async function notify(registration, event, log) {
+    const user = await store.users.findById(registration.userId);
+    if (!user || user.erasedAt) return;
+
+    const offered = registration.status === 'PENDING';
+    try {
+      await mailer.sendMail({
+        from: config.email.from,
+        to: user.email,
+        ...waitlistPromotionEmail({
+          firstName: user.firstName,
+          eventTitle: event.title,
+          eventDate: formatDate(event.date, { dateStyle: 'long' }),
+          confirmUrl: offered
+            ? `${config.frontendUrl}/events/confirm-spot?token=${encodeURIComponent(signOffer(registration))}`
+            : null,
+          confirmBy: offered ? formatDate(registration.confirmBy, { dateStyle: 'long', timeStyle: 'short' }) : null,
+          ticketUrl: offered ? null : tickets.url(tickets.sign(registration))
+        })
+      });
+    } catch (error) {
+      // The promotion stands; admins can see it in the registrations list
+      log?.error('Failed to send waitlist promotion email', { err: error, registrationId: registration.id });
+    }
+  }
+
+  const waitlist = {
+    // Promote from the waitlist until the event is full or nobody is waiting.
+    // Returns the promoted registrations.
+    async fill(eventId, { log } = {}) {
+      const event = await store.events.findById(eventId);
+      const promoted = [];
+      let registration;
+      while ((registration = await store.eventRegistrations.promoteNext(eventId, clock.now()))) {
+        promoted.push(registration);
+        await notify(registration, event, log);
+      }
+      return promoted;
+    },
+
+    // Pass on lapsed offers and fill any spots freed since the last run, such
+    // as those of erased accounts
+    async sweep({ log } = {}) {
+      const expired = await store.eventRegistrations.expireOffers(clock.now());
+      const eventIds = new Set([
+        ...expired.map(registration => registration.eventId),
+        ...await store.eventRegistrations.waitlistedEventIds()
+      ]);
+
+      const promoted = [];
+      for (const eventId of eventIds) {
+        promoted.push(...await waitlist.fill(eventId, { log }));
+      }
+      return { expired, promoted };
+    },
+
+    // The registration an offer link is for, or null for a bad token
+    verifyOffer(token) {
+      try {
+        const decoded = jwt.verify(token, config.jwt.secret);
+        return decoded.purpose === OFFER_PURPOSE ? decoded.registrationId : null;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+
+  return waitlist;
+}
+
+module.exports = createWaitlist;
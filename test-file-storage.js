@@ -1,32 +1,26 @@
 // Test file storage system
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-
-const BLOG_DATA_FILE = path.join(__dirname, 'data/blog-posts.json');
-const DATA_DIR = path.join(__dirname, 'data');
+const createBlogPostFile = require('./repositories/blogPostFile');
+const { CorruptDataError, VersionConflictError } = require('./repositories/errors');
 
 async function testFileStorage() {
+  // Work on a scratch copy so the real data/blog-posts.json is never touched
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssc-blog-'));
+  const file = path.join(dir, 'blog-posts.json');
+  const blogPosts = createBlogPostFile(file);
+
   try {
     console.log('Testing file storage system...');
-    
-    // Ensure data directory exists
-    try {
-      await fs.access(DATA_DIR);
-      console.log('✅ Data directory exists');
-    } catch {
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      console.log('✅ Data directory created');
-    }
-    
-    // Test writing a sample blog post
-    const testPost = {
+
+    const makePost = title => ({
       id: uuidv4(),
-      title: 'Test Blog Post',
+      title,
       content: 'This is a test blog post to verify file storage works.',
       excerpt: 'Test excerpt for the blog post.',
       tags: ['test', 'file-storage'],
-      imageUrl: 'https://example.com/image.jpg',
       author: {
         firstName: 'Test',
         lastName: 'Author',
@@ -36,21 +30,41 @@ async function testFileStorage() {
       publishedAt: new Date().toISOString(),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-    
-    // Write test data
-    await fs.writeFile(BLOG_DATA_FILE, JSON.stringify([testPost], null, 2));
-    console.log('✅ Test blog post written to file');
-    
-    // Read test data
-    const data = await fs.readFile(BLOG_DATA_FILE, 'utf8');
-    const posts = JSON.parse(data);
-    console.log('✅ Test blog post read from file:', posts[0].title);
-    
+    });
+
+    // Concurrent writes must all be kept
+    await Promise.all([1, 2, 3, 4, 5].map(n => blogPosts.create(makePost(`Test Blog Post ${n}`))));
+    const posts = await blogPosts.findAll();
+    if (posts.length !== 5) throw new Error(`Expected 5 posts, found ${posts.length}`);
+    console.log('✅ Concurrent writes kept all 5 posts');
+
+    // Stale updates are rejected
+    const [first] = posts;
+    await blogPosts.update(first.id, { title: 'Edited once' }, { expectedVersion: 1 });
+    try {
+      await blogPosts.update(first.id, { title: 'Edited from a stale copy' }, { expectedVersion: 1 });
+      throw new Error('Stale update was accepted');
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) throw error;
+    }
+    console.log('✅ Stale update rejected with a version conflict');
+
+    // A truncated file is reported, not read as empty
+    await fs.writeFile(file, '[{"id": "trunc');
+    try {
+      await blogPosts.findAll();
+      throw new Error('Corrupt file was read without an error');
+    } catch (error) {
+      if (!(error instanceof CorruptDataError)) throw error;
+    }
+    console.log('✅ Corrupt file detected');
+
     console.log('🎉 File storage system is working correctly!');
-    
   } catch (error) {
     console.error('❌ File storage test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
   }
 }
 
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const post = {
+  title: 'Field notes from the wetlands',
+  content: 'We counted frogs along the boardwalk and compared it with last year.',
+  excerpt: 'Counting frogs along the boardwalk.',
+  author: 'Rachel Carson'
+};
+
+describe('/api/access-codes', () => {
+  let ctx, admin, moderator;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    moderator = await ctx.login('MODERATOR');
+  });
+
+  after(() => ctx.cleanup());
+
+  const issue = body => ctx.request.post('/api/access-codes').set(admin.headers).send(body);
+
+  describe('POST /', () => {
+    it('issues a code that is shown once and stored hashed', async () => {
+      const res = await issue({ label: 'Prof. Carson', maxUses: 3, expiresAt: '2025-12-31T00:00:00.000Z' });
+      assert.equal(res.status, 201);
+      assert.match(res.body.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      assert.equal(res.body.hint, res.body.code.slice(-4));
+      assert.equal(res.body.status, 'ACTIVE');
+      assert.equal(res.body.createdById, admin.user.id);
+
+      const stored = await ctx.store.accessCodes.findById(res.body.id);
+      assert.ok(!JSON.stringify(stored).includes(res.body.code));
+
+      const fetched = await ctx.request.get(`/api/access-codes/${res.body.id}`).set(admin.headers);
+      assert.equal(fetched.body.code, undefined);
+      assert.equal(fetched.body.codeHash, undefined);
+    });
+
+    it('validates the body', async () => {
+      const res = await issue({ label: 'x', maxUses: 0, expiresAt: '2020-01-01' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.path).sort(), ['expiresAt', 'label', 'maxUses']);
+    });
+
+    it('is admin only', async () => {
+      const res = await ctx.request.post('/api/access-codes').set(moderator.headers).send({ label: 'Sneaky' });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  it('tracks uses and lists the posts made with a code', async () => {
+    const { body: issued } = await issue({ label: 'Dr. Franklin', maxUses: 2 });
+    const { body: other } = await issue({ label: 'Someone else' });
+
+    for (const accessCode of [issued.code, issued.code, other.code]) {
+      assert.equal((await ctx.request.post('/api/blog/simple').send({ ...post, accessCode })).status, 201);
+    }
+    const usedUp = await ctx.request.post('/api/blog/simple').send({ ...post, accessCode: issued.code });
+    assert.equal(usedUp.status, 401);
+
+    const code = await ctx.request.get(`/api/access-codes/${issued.id}`).set(admin.headers);
+    assert.equal(code.body.useCount, 2);
+    assert.equal(code.body.status, 'USED_UP');
+    assert.equal(code.body.lastUsedAt, ctx.clock.now().toISOString());
+
+    const posts = await ctx.request.get(`/api/access-codes/${issued.id}/posts`).set(admin.headers);
+    assert.equal(posts.status, 200);
+    assert.equal(posts.body.length, 2);
+    assert.ok(posts.body.every(item => item.accessCodeId === issued.id && item.author.lastName === 'Carson'));
+  });
+
+  it('never goes past maxUses when posts arrive together', async () => {
+    const { body: issued } = await issue({ label: 'Dr. Hodgkin', maxUses: 2 });
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+      ctx.request.post('/api/blog/simple').send({ ...post, accessCode: issued.code })));
+    assert.deepEqual(responses.map(res => res.status).sort(), [201, 201, 401, 401, 401]);
+    assert.equal((await ctx.store.accessCodes.findById(issued.id)).useCount, 2);
+  });
+
+  it('revokes a code and keeps its posts', async () => {
+    const { body: issued } = await issue({ label: 'Leaving mentor' });
+    await ctx.request.post('/api/blog/simple').send({ ...post, accessCode: issued.code });
+
+    const res = await ctx.request.patch(`/api/access-codes/${issued.id}/revoke`).set(admin.headers);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accessCode.status, 'REVOKED');
+
+    const rejected = await ctx.request.post('/api/blog/simple').send({ ...post, accessCode: issued.code });
+    assert.equal(rejected.status, 401);
+    const posts = await ctx.request.get(`/api/access-codes/${issued.id}/posts`).set(admin.headers);
+    assert.equal(posts.body.length, 1);
+  });
+
+  it('lists codes and filters by status', async () => {
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 60 * 1000));
+    const { body: expiring } = await issue({ label: 'Short visit', expiresAt: new Date(ctx.clock.now().getTime() + 60 * 1000).toISOString() });
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 2 * 60 * 1000));
+
+    const all = await ctx.request.get('/api/access-codes').set(admin.headers);
+    assert.equal(all.status, 200);
+    assert.equal(all.body[0].id, expiring.id);
+
+    const expired = await ctx.request.get('/api/access-codes?status=EXPIRED').set(admin.headers);
+    assert.deepEqual(expired.body.map(code => code.id), [expiring.id]);
+  });
+
+  it('returns 404 for an unknown code', async () => {
+    for (const path of ['/api/access-codes/missing', '/api/access-codes/missing/posts']) {
+      assert.equal((await ctx.request.get(path).set(admin.headers)).status, 404);
+    }
+    assert.equal((await ctx.request.patch('/api/access-codes/missing/revoke').set(admin.headers)).status, 404);
+  });
+});
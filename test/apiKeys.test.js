@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const newPost = {
+  title: 'Build log: the club website',
+  content: 'Notes from the integration that publishes our build summaries to the blog each week, so members can follow along. '.repeat(2),
+  excerpt: 'Weekly notes from the website build.',
+  tags: ['website']
+};
+
+describe('/api/api-keys', () => {
+  let ctx, admin, moderator, event;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN', { isVerified: true });
+    moderator = await ctx.login('MODERATOR');
+    event = await ctx.store.events.create({
+      title: 'Robotics Night',
+      description: 'Build and race small robots.',
+      date: new Date('2025-10-01T18:00:00.000Z'),
+      startTime: '18:00',
+      endTime: '20:00',
+      location: 'Newnham Campus',
+      category: 'WORKSHOP'
+    });
+  });
+
+  after(() => ctx.cleanup());
+
+  const inDays = days => new Date(ctx.clock.now().getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+  const create = body => ctx.request.post('/api/api-keys').set(admin.headers).send(body);
+
+  // Creates a key and returns it with an Authorization header for it
+  async function keyWith(scopes, expiresAt = inDays(30)) {
+    const res = await create({ name: 'Club bot', scopes, expiresAt });
+    assert.equal(res.status, 201);
+    return { ...res.body, headers: { Authorization: `Bearer ${res.body.key}` } };
+  }
+
+  describe('POST /', () => {
+    it('creates a key that is shown once and stored hashed', async () => {
+      const res = await create({ name: 'Website build', scopes: ['blog:write'], expiresAt: inDays(90) });
+      assert.equal(res.status, 201);
+      assert.match(res.body.key, /^ssc_[\w-]{40}$/);
+      assert.equal(res.body.prefix, res.body.key.slice(0, 10));
+      assert.deepEqual(res.body.scopes, ['blog:write']);
+      assert.equal(res.body.status, 'ACTIVE');
+      assert.equal(res.body.createdById, admin.user.id);
+
+      const stored = await ctx.store.apiKeys.findById(res.body.id);
+      assert.ok(!JSON.stringify(stored).includes(res.body.key));
+
+      const fetched = await ctx.request.get(`/api/api-keys/${res.body.id}`).set(admin.headers);
+      assert.equal(fetched.body.key, undefined);
+      assert.equal(fetched.body.keyHash, undefined);
+    });
+
+    it('validates the body', async () => {
+      const res = await create({ name: 'x', scopes: ['events:launch'], expiresAt: inDays(400) });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.path).sort(), ['expiresAt', 'name', 'scopes[0]']);
+
+      const missing = await create({ name: 'No scopes', scopes: [] });
+      assert.deepEqual(missing.body.errors.map(error => error.path).sort(), ['expiresAt', 'scopes']);
+    });
+
+    it('is admin only', async () => {
+      const res = await ctx.request.post('/api/api-keys').set(moderator.headers)
+        .send({ name: 'Sneaky', scopes: ['blog:write'], expiresAt: inDays(30) });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('using a key', () => {
+    it('reads registrations with the registrations:read scope and records the use', async () => {
+      const key = await keyWith(['registrations:read']);
+
+      const res = await ctx.request.get(`/api/events/${event.id}/registrations`).set(key.headers);
+      assert.equal(res.status, 200);
+
+      const { body: used } = await ctx.request.get(`/api/api-keys/${key.id}`).set(admin.headers);
+      assert.equal(used.lastUsedAt, ctx.clock.now().toISOString());
+      assert.ok(used.lastUsedIp);
+    });
+
+    it('publishes blog posts as its creator with the blog:write scope', async () => {
+      const key = await keyWith(['blog:write']);
+
+      const res = await ctx.request.post('/api/blog').set(key.headers).send(newPost);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.authorId, admin.user.id);
+    });
+
+    it('is refused where it lacks the scope', async () => {
+      const key = await keyWith(['blog:write']);
+
+      const res = await ctx.request.get(`/api/events/${event.id}/registrations`).set(key.headers);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'API key is missing the registrations:read scope.');
+    });
+
+    it('is refused on endpoints no scope opens', async () => {
+      const key = await keyWith(Object.keys(require('../middleware/permissions').API_KEY_SCOPES));
+
+      for (const [method, path] of [['get', '/api/members/profile'], ['get', '/api/api-keys'], ['get', '/api/members/security-events']]) {
+        const res = await ctx.request[method](path).set(key.headers);
+        assert.equal(res.status, 403, path);
+        assert.equal(res.body.error, 'API keys cannot be used for this endpoint.');
+      }
+    });
+
+    it('stops working once revoked or expired', async () => {
+      const revoked = await keyWith(['registrations:read']);
+      const res = await ctx.request.patch(`/api/api-keys/${revoked.id}/revoke`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.apiKey.status, 'REVOKED');
+
+      const expiring = await keyWith(['registrations:read'], inDays(1));
+      const list = await ctx.request.get('/api/api-keys?status=REVOKED').set(admin.headers);
+      assert.deepEqual(list.body.map(apiKey => apiKey.id), [revoked.id]);
+
+      ctx.clock.set(new Date(inDays(2)));
+      for (const key of [revoked, expiring, { headers: { Authorization: 'Bearer ssc_not-a-real-key' } }]) {
+        const refused = await ctx.request.get(`/api/events/${event.id}/registrations`).set(key.headers);
+        assert.equal(refused.status, 401);
+        assert.equal(refused.body.error, 'Invalid, expired or revoked API key.');
+      }
+    });
+
+    it('loses access when its creator does', async () => {
+      const key = await keyWith(['registrations:read']);
+      await ctx.store.users.update(admin.user.id, { role: 'MEMBER' });
+      try {
+        const res = await ctx.request.get(`/api/events/${event.id}/registrations`).set(key.headers);
+        assert.equal(res.status, 403);
+      } finally {
+        await ctx.store.users.update(admin.user.id, { role: 'ADMIN' });
+      }
+    });
+  });
+
+  it('answers 404 for unknown keys', async () => {
+    assert.equal((await ctx.request.get('/api/api-keys/missing').set(admin.headers)).status, 404);
+    assert.equal((await ctx.request.patch('/api/api-keys/missing/revoke').set(admin.headers)).status, 404);
+  });
+});
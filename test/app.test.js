@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+describe('app', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+
+  after(() => ctx.cleanup());
+
+  it('reports health', async () => {
+    const res = await ctx.request.get('/api/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'OK');
+  });
+
+  it('lists the API endpoints at the root', async () => {
+    const res = await ctx.request.get('/');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.endpoints.events, '/api/events');
+  });
+
+  it('returns 404 for unknown routes', async () => {
+    const res = await ctx.request.get('/api/nothing-here');
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { error: 'Route not found' });
+  });
+
+  describe('CORS', () => {
+    let configured;
+
+    before(async () => {
+      configured = await createTestContext({ env: { CORS_ORIGINS: 'https://club.example.com' } });
+    });
+
+    after(() => configured.cleanup());
+
+    it('allows the configured origins', async () => {
+      const res = await configured.request.get('/api/health').set('Origin', 'https://club.example.com');
+      assert.equal(res.headers['access-control-allow-origin'], 'https://club.example.com');
+    });
+
+    it('does not allow other origins', async () => {
+      const res = await configured.request.get('/api/health').set('Origin', 'http://localhost:4200');
+      assert.equal(res.headers['access-control-allow-origin'], undefined);
+    });
+  });
+});
@@ -0,0 +1,472 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createTestContext, PASSWORD } = require('./helpers');
+
+const registration = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  senecaId: 'ADA123',
+  program: 'Computer Programming',
+  year: 1,
+  password: 'secret123'
+};
+
+describe('/api/auth', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+
+  after(() => ctx.cleanup());
+
+  // Raw token from the link in the last email sent
+  const emailedToken = () => decodeURIComponent(ctx.mailer.sent.at(-1).text.match(/token=([^\s&]+)/)[1]);
+
+  describe('POST /register', () => {
+    it('creates a member and returns a token', async () => {
+      const res = await ctx.request.post('/api/auth/register').send(registration);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.email, 'ada@example.com');
+      assert.equal(res.body.user.role, 'MEMBER');
+      assert.equal(res.body.user.password, undefined);
+      assert.ok(jwt.verify(res.body.token, ctx.config.jwt.secret).userId);
+    });
+
+    it('rejects a duplicate email or Seneca ID', async () => {
+      const res = await ctx.request.post('/api/auth/register')
+        .send({ ...registration, email: 'other@example.com' });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /already exists/);
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.post('/api/auth/register')
+        .send({ ...registration, email: 'not-an-email', year: 7 });
+      assert.equal(res.status, 400);
+      const fields = res.body.errors.map(error => error.path);
+      assert.deepEqual(fields.sort(), ['email', 'year']);
+    });
+  });
+
+  describe('POST /login', () => {
+    it('logs in with the right password', async () => {
+      const user = await ctx.createUser({ email: 'login@example.com' });
+      const res = await ctx.request.post('/api/auth/login')
+        .send({ email: 'login@example.com', password: PASSWORD });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.id, user.id);
+      assert.ok(res.body.token);
+    });
+
+    it('rejects a wrong password', async () => {
+      const res = await ctx.request.post('/api/auth/login')
+        .send({ email: 'login@example.com', password: 'wrong-password' });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Invalid credentials');
+    });
+
+    it('rejects an unknown email', async () => {
+      const res = await ctx.request.post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: PASSWORD });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects a deactivated account', async () => {
+      await ctx.createUser({ email: 'inactive@example.com', isActive: false });
+      const res = await ctx.request.post('/api/auth/login')
+        .send({ email: 'inactive@example.com', password: PASSWORD });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Account is deactivated');
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.post('/api/auth/login').send({ email: 'login@example.com' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'password');
+    });
+  });
+
+  describe('GET /me', () => {
+    it('returns the current user', async () => {
+      const { user, headers } = await ctx.login();
+      const res = await ctx.request.get('/api/auth/me').set(headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, user.id);
+      assert.equal(res.body.password, undefined);
+    });
+
+    it('requires a token', async () => {
+      const res = await ctx.request.get('/api/auth/me');
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects an invalid token', async () => {
+      const res = await ctx.request.get('/api/auth/me').set('Authorization', 'Bearer not-a-token');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Invalid token');
+    });
+  });
+
+  describe('sessions', () => {
+    const refresh = refreshToken => ctx.request.post('/api/auth/refresh').send({ refreshToken });
+    const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+    // Logs in over HTTP, as a browser would
+    async function signIn(email) {
+      const res = await ctx.request.post('/api/auth/login').set('User-Agent', 'test-browser').send({ email, password: PASSWORD });
+      assert.equal(res.status, 200);
+      return res.body;
+    }
+
+    it('issues an access token and a refresh token at login', async () => {
+      const user = await ctx.createUser({ email: 'tokens@example.com' });
+      const { token, refreshToken } = await signIn('tokens@example.com');
+
+      const payload = jwt.verify(token, ctx.config.jwt.secret);
+      assert.equal(payload.userId, user.id);
+      assert.equal(payload.exp - payload.iat, 15 * 60);
+      assert.ok(refreshToken);
+
+      const [session] = await ctx.store.sessions.findMany({ where: { userId: user.id } });
+      assert.equal(session.id, payload.sessionId);
+      assert.equal(session.userAgent, 'test-browser');
+      assert.ok(!JSON.stringify(session).includes(refreshToken.split('.')[1]));
+    });
+
+    it('rotates the refresh token on every use', async () => {
+      const user = await ctx.createUser();
+      const { refreshToken } = await ctx.startSession(user);
+
+      const res = await refresh(refreshToken);
+      assert.equal(res.status, 200);
+      assert.equal(jwt.verify(res.body.token, ctx.config.jwt.secret).userId, user.id);
+      assert.notEqual(res.body.refreshToken, refreshToken);
+
+      assert.equal((await refresh(res.body.refreshToken)).status, 200);
+    });
+
+    it('ends the session when an old refresh token is reused', async () => {
+      const user = await ctx.createUser();
+      const { token, refreshToken } = await ctx.startSession(user);
+      const rotated = (await refresh(refreshToken)).body;
+
+      const reused = await refresh(refreshToken);
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.error, 'Session has ended. Please log in again.');
+
+      // Both the thief's and the owner's tokens are now dead
+      assert.equal((await refresh(rotated.refreshToken)).status, 401);
+      assert.equal((await ctx.request.get('/api/auth/me').set(bearer(rotated.token))).status, 401);
+      assert.equal((await ctx.request.get('/api/auth/me').set(bearer(token))).status, 401);
+      const [session] = await ctx.store.sessions.findMany({ where: { userId: user.id } });
+      assert.equal(session.revokedReason, 'REUSE');
+      assert.ok(ctx.logs.some(entry => entry.msg === 'Refresh token reused; session revoked'));
+    });
+
+    it('rejects unknown, malformed and idle refresh tokens', async () => {
+      assert.equal((await refresh('garbage')).status, 401);
+      assert.equal((await refresh('missing.secret')).status, 401);
+      assert.equal((await ctx.request.post('/api/auth/refresh').send({})).status, 400);
+
+      const { refreshToken } = await ctx.startSession(await ctx.createUser());
+      ctx.clock.set(new Date(ctx.clock.now().getTime() + 31 * 24 * 60 * 60 * 1000));
+      assert.equal((await refresh(refreshToken)).status, 401);
+    });
+
+    it('does not refresh for an inactive user', async () => {
+      const user = await ctx.createUser({ isActive: false });
+      const { refreshToken } = await ctx.startSession(user);
+      const res = await refresh(refreshToken);
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'User not found or inactive');
+    });
+
+    it('logs out the current session', async () => {
+      const user = await ctx.createUser();
+      const { token, refreshToken } = await ctx.startSession(user);
+      const other = await ctx.startSession(user);
+
+      const res = await ctx.request.post('/api/auth/logout').set(bearer(token));
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.request.get('/api/auth/me').set(bearer(token))).status, 401);
+      assert.equal((await refresh(refreshToken)).status, 401);
+      assert.equal((await ctx.request.get('/api/auth/me').set(bearer(other.token))).status, 200);
+    });
+
+    it('logs out with just a refresh token', async () => {
+      const { refreshToken } = await ctx.startSession(await ctx.createUser());
+      const res = await ctx.request.post('/api/auth/logout').send({ refreshToken });
+      assert.equal(res.status, 200);
+      assert.equal((await refresh(refreshToken)).status, 401);
+    });
+
+    it('lists and revokes the caller\'s sessions', async () => {
+      const user = await ctx.createUser({ email: 'devices@example.com' });
+      const laptop = await signIn('devices@example.com');
+      const phone = await signIn('devices@example.com');
+
+      const list = await ctx.request.get('/api/auth/sessions').set(bearer(laptop.token));
+      assert.equal(list.status, 200);
+      assert.equal(list.body.sessions.length, 2);
+      assert.equal(list.body.sessions.filter(session => session.current).length, 1);
+      assert.ok(list.body.sessions.every(session => session.refreshTokenHash === undefined));
+
+      const phoneSession = jwt.decode(phone.token).sessionId;
+      const revoked = await ctx.request.delete(`/api/auth/sessions/${phoneSession}`).set(bearer(laptop.token));
+      assert.equal(revoked.status, 200);
+      assert.equal((await ctx.request.get('/api/auth/me').set(bearer(phone.token))).status, 401);
+      assert.equal((await ctx.request.get('/api/auth/sessions').set(bearer(laptop.token))).body.sessions.length, 1);
+
+      const again = await ctx.request.delete(`/api/auth/sessions/${phoneSession}`).set(bearer(laptop.token));
+      assert.equal(again.status, 404);
+
+      const all = await ctx.request.delete('/api/auth/sessions').set(bearer(laptop.token));
+      assert.equal(all.body.count, 1);
+      assert.equal((await ctx.request.get('/api/auth/me').set(bearer(laptop.token))).status, 401);
+      assert.equal(await ctx.store.sessions.count({ userId: user.id, revokedAt: null }), 0);
+    });
+
+    it('does not let members revoke other members\' sessions', async () => {
+      const { headers } = await ctx.login();
+      const { session } = await ctx.startSession(await ctx.createUser());
+      const res = await ctx.request.delete(`/api/auth/sessions/${session.id}`).set(headers);
+      assert.equal(res.status, 404);
+      assert.equal((await ctx.store.sessions.findById(session.id)).revokedAt, null);
+    });
+  });
+
+  describe('password reset', () => {
+    it('answers the same way whether or not the account exists', async () => {
+      await ctx.createUser({ email: 'forgetful@example.com' });
+      const known = await ctx.request.post('/api/auth/forgot-password').send({ email: 'forgetful@example.com' });
+      const unknown = await ctx.request.post('/api/auth/forgot-password').send({ email: 'ghost@example.com' });
+      assert.equal(known.status, 200);
+      assert.deepEqual(known.body, unknown.body);
+    });
+
+    const requestReset = email => ctx.request.post('/api/auth/forgot-password').send({ email });
+    const reset = (token, newPassword = 'brand-new-password') =>
+      ctx.request.post('/api/auth/reset-password').send({ token, newPassword });
+
+    it('emails a reset link and stores only a hash of the token', async () => {
+      const user = await ctx.createUser({ email: 'linked@example.com', firstName: 'Marie' });
+      await requestReset('linked@example.com');
+
+      const email = ctx.mailer.sent.at(-1);
+      assert.equal(email.to, 'linked@example.com');
+      assert.match(email.subject, /Reset your/);
+      assert.match(email.text, /^Hi Marie,/);
+      assert.ok(email.text.includes(`${ctx.config.frontendUrl}/reset-password?token=`));
+      assert.ok(email.html.includes('Reset password'));
+
+      const token = emailedToken();
+      const [stored] = await ctx.store.userTokens.findMany({ where: { userId: user.id, purpose: 'PASSWORD_RESET' } });
+      assert.notEqual(stored.tokenHash, token);
+      assert.ok(!JSON.stringify(stored).includes(token));
+    });
+
+    it('resets the password with the emailed token', async () => {
+      await ctx.createUser({ email: 'reset@example.com' });
+      await requestReset('reset@example.com');
+
+      const res = await reset(emailedToken());
+      assert.equal(res.status, 200);
+
+      const oldLogin = await ctx.request.post('/api/auth/login').send({ email: 'reset@example.com', password: PASSWORD });
+      assert.equal(oldLogin.status, 401);
+      const login = await ctx.request.post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'brand-new-password' });
+      assert.equal(login.status, 200);
+    });
+
+    it('accepts a token only once', async () => {
+      await ctx.createUser({ email: 'once@example.com' });
+      await requestReset('once@example.com');
+      const token = emailedToken();
+
+      assert.equal((await reset(token)).status, 200);
+      const again = await reset(token, 'another-password');
+      assert.equal(again.status, 400);
+      assert.equal(again.body.error, 'Invalid or expired reset token');
+    });
+
+    it('rejects an expired token', async () => {
+      await ctx.createUser({ email: 'late@example.com' });
+      await requestReset('late@example.com');
+
+      ctx.clock.set(new Date(ctx.clock.now().getTime() + 61 * 60 * 1000));
+      const res = await reset(emailedToken());
+      assert.equal(res.status, 400);
+    });
+
+    it('only honours the latest link', async () => {
+      await ctx.createUser({ email: 'twice@example.com' });
+      await requestReset('twice@example.com');
+      const first = emailedToken();
+      await requestReset('twice@example.com');
+
+      assert.equal((await reset(first)).status, 400);
+      assert.equal((await reset(emailedToken())).status, 200);
+    });
+
+    it('voids outstanding links when the password changes', async () => {
+      const { user, headers } = await ctx.login('MEMBER', { email: 'changer@example.com' });
+      await requestReset('changer@example.com');
+      const token = emailedToken();
+
+      const change = await ctx.request.patch('/api/members/change-password').set(headers)
+        .send({ currentPassword: PASSWORD, newPassword: 'changed-password' });
+      assert.equal(change.status, 200);
+
+      assert.equal((await reset(token)).status, 400);
+      assert.equal(await ctx.store.userTokens.count({ userId: user.id, purpose: 'PASSWORD_RESET' }), 0);
+    });
+
+    it('ends existing sessions', async () => {
+      const { user, headers } = await ctx.login('MEMBER', { email: 'signed-in@example.com' });
+      const { refreshToken } = await ctx.startSession(user);
+      await requestReset('signed-in@example.com');
+      await reset(emailedToken());
+
+      const profile = await ctx.request.get('/api/members/profile').set(headers);
+      assert.equal(profile.status, 401);
+      assert.equal(profile.body.error, 'Session has ended. Please log in again.');
+      assert.equal((await ctx.request.get('/api/auth/me').set(headers)).status, 401);
+      assert.equal((await ctx.request.post('/api/auth/refresh').send({ refreshToken })).status, 401);
+
+      const login = await ctx.request.post('/api/auth/login')
+        .send({ email: 'signed-in@example.com', password: 'brand-new-password' });
+      const me = await ctx.request.get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+      assert.equal(me.status, 200);
+    });
+
+    it('still answers normally when the email fails', async () => {
+      await ctx.createUser({ email: 'offline@example.com' });
+      ctx.mailer.failing = true;
+      try {
+        const res = await requestReset('offline@example.com');
+        assert.equal(res.status, 200);
+        assert.ok(ctx.logs.some(log => log.msg === 'Failed to send password reset email'));
+      } finally {
+        ctx.mailer.failing = false;
+      }
+    });
+
+    it('rejects signed JWTs and malformed tokens', async () => {
+      const { user } = await ctx.login();
+      const forged = jwt.sign({ userId: user.id, type: 'password-reset' }, ctx.config.jwt.secret, { expiresIn: '1h' });
+      assert.equal((await reset(forged)).status, 400);
+      assert.equal((await reset(await ctx.tokenFor(user))).status, 400);
+      assert.equal((await reset('garbage')).status, 400);
+    });
+  });
+
+  describe('email verification', () => {
+    const verify = token => ctx.request.post('/api/auth/verify-email').send({ token });
+    const later = minutes => ctx.clock.set(new Date(ctx.clock.now().getTime() + minutes * 60 * 1000));
+
+    it('registers new accounts unverified and emails a confirmation link', async () => {
+      const res = await ctx.request.post('/api/auth/register')
+        .send({ ...registration, email: 'grace@example.com', senecaId: 'GRACE1', firstName: 'Grace' });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.isVerified, false);
+
+      const email = ctx.mailer.sent.at(-1);
+      assert.equal(email.to, 'grace@example.com');
+      assert.match(email.subject, /Confirm your email/);
+      assert.match(email.text, /^Hi Grace,/);
+      assert.ok(email.text.includes(`${ctx.config.frontendUrl}/verify-email?token=`));
+    });
+
+    it('verifies the account once with the emailed token', async () => {
+      await ctx.request.post('/api/auth/register')
+        .send({ ...registration, email: 'once-verified@example.com', senecaId: 'ONCE01' });
+      const token = emailedToken();
+
+      const res = await verify(token);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.isVerified, true);
+      const user = await ctx.store.users.findOne({ email: 'once-verified@example.com' });
+      assert.equal(new Date(user.emailVerifiedAt).toISOString(), ctx.clock.now().toISOString());
+
+      const again = await verify(token);
+      assert.equal(again.status, 400);
+      assert.equal(again.body.error, 'Invalid or expired verification link');
+    });
+
+    it('rejects an expired link', async () => {
+      await ctx.request.post('/api/auth/register')
+        .send({ ...registration, email: 'slow@example.com', senecaId: 'SLOW01' });
+      later(25 * 60);
+      assert.equal((await verify(emailedToken())).status, 400);
+      assert.equal((await verify('garbage')).status, 400);
+    });
+
+    it('resends the link at most once a minute', async () => {
+      const { headers } = await ctx.login('MEMBER', { isVerified: false });
+
+      const first = await ctx.request.post('/api/auth/resend-verification').set(headers);
+      assert.equal(first.status, 200);
+      const token = emailedToken();
+
+      const soon = await ctx.request.post('/api/auth/resend-verification').set(headers);
+      assert.equal(soon.status, 429);
+
+      later(2);
+      const second = await ctx.request.post('/api/auth/resend-verification').set(headers);
+      assert.equal(second.status, 200);
+      assert.notEqual(emailedToken(), token);
+      assert.equal((await verify(token)).status, 400);
+      assert.equal((await verify(emailedToken())).status, 200);
+    });
+
+    it('does not resend to verified accounts', async () => {
+      const { headers } = await ctx.login();
+      const res = await ctx.request.post('/api/auth/resend-verification').set(headers);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Email is already verified');
+    });
+
+    it('still registers when the email fails', async () => {
+      ctx.mailer.failing = true;
+      try {
+        const res = await ctx.request.post('/api/auth/register')
+          .send({ ...registration, email: 'unsent@example.com', senecaId: 'OFFLN1' });
+        assert.equal(res.status, 201);
+      } finally {
+        ctx.mailer.failing = false;
+      }
+    });
+  });
+
+  describe('POST /verify-code', () => {
+    it('checks a mentor access code without using it up', async () => {
+      const { accessCode, code } = await ctx.store.accessCodes.issue({ label: 'Dr. Patel', maxUses: 1, now: ctx.clock.now() });
+      const valid = await ctx.request.post('/api/auth/verify-code').send({ accessCode: code.toLowerCase() });
+      const invalid = await ctx.request.post('/api/auth/verify-code').send({ accessCode: 'nope' });
+      assert.deepEqual(valid.body, { valid: true });
+      assert.deepEqual(invalid.body, { valid: false });
+      assert.equal((await ctx.store.accessCodes.findById(accessCode.id)).useCount, 0);
+    });
+
+    it('rejects revoked codes', async () => {
+      const { accessCode, code } = await ctx.store.accessCodes.issue({ label: 'Former mentor', now: ctx.clock.now() });
+      await ctx.store.accessCodes.revoke(accessCode.id, ctx.clock.now());
+      const res = await ctx.request.post('/api/auth/verify-code').send({ accessCode: code });
+      assert.deepEqual(res.body, { valid: false });
+    });
+
+    it('requires a code', async () => {
+      const res = await ctx.request.post('/api/auth/verify-code').send({});
+      assert.equal(res.status, 400);
+    });
+  });
+
+  it('POST /logout always succeeds', async () => {
+    const res = await ctx.request.post('/api/auth/logout');
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { createTestContext } = require('./helpers');
+const schema = require('../repositories/schema');
+const { createBackup, restoreBackup, checkArchive, writeArchive, readArchive, FORMAT_VERSION } = require('../scripts/backup');
+
+const legacyPost = {
+  id: 'legacy-post-1',
+  title: 'Our first field trip',
+  content: 'We visited the conservation area and sampled the creek.',
+  excerpt: 'Sampling the creek.',
+  tags: ['environment'],
+  author: { firstName: 'Wangari', lastName: 'Maathai', program: 'Environmental Technology' },
+  isPublished: true,
+  publishedAt: '2024-03-01T00:00:00.000Z',
+  createdAt: '2024-03-01T00:00:00.000Z',
+  updatedAt: '2024-03-02T00:00:00.000Z'
+};
+
+const newSeries = {
+  title: 'Chemistry Lab Hours',
+  description: 'Drop in to finish lab reports with a teaching assistant.',
+  startTime: '15:00',
+  endTime: '17:00',
+  location: 'Newnham Campus, Room E3012',
+  category: 'WORKSHOP',
+  frequency: 'WEEKLY',
+  startDate: '2025-09-04',
+  count: 4,
+  exceptionDates: ['2025-09-18']
+};
+
+// The archive as it comes back from a file
+const throughFile = archive => JSON.parse(JSON.stringify(archive));
+
+describe('backups', () => {
+  let source, dir, member, event;
+  const targets = [];
+
+  before(async () => {
+    source = await createTestContext();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssc-backup-'));
+
+    member = await source.login('MEMBER', { firstName: 'Ada', lastName: 'Lovelace' });
+    event = await source.store.events.create({
+      title: 'Bridge Building Contest',
+      description: 'Build the strongest bridge out of popsicle sticks.',
+      date: new Date('2025-10-10T00:00:00.000Z'),
+      startTime: '13:00',
+      endTime: '16:00',
+      location: 'Newnham Campus, Gym',
+      category: 'COMPETITION'
+    });
+    await source.store.eventRegistrations.register({ userId: member.user.id, eventId: event.id });
+  });
+
+  after(async () => {
+    await source.cleanup();
+    for (const target of targets) await target.cleanup();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // A fresh, empty store to restore into
+  async function emptyStore() {
+    const target = await createTestContext();
+    targets.push(target);
+    return target.store;
+  }
+
+  const backup = options => createBackup(source.store, { legacyBlogFile: null, ...options }).then(throughFile);
+
+  it('restores every record with its id and timestamps', async () => {
+    const archive = await backup();
+    assert.equal(archive.version, FORMAT_VERSION);
+
+    const target = await emptyStore();
+    const summary = await restoreBackup(target, archive);
+    assert.equal(summary.created.users, await source.store.users.count());
+    assert.equal(summary.created.eventRegistrations, 1);
+
+    const restored = await target.events.findById(event.id);
+    assert.equal(restored.title, event.title);
+    assert.equal(new Date(restored.createdAt).getTime(), new Date(event.createdAt).getTime());
+    const [registration] = await target.eventRegistrations.findMany({ where: { eventId: event.id } });
+    assert.equal(registration.userId, member.user.id);
+  });
+
+  it('leaves password hashes out unless asked, and two-factor state always', async () => {
+    const withoutPasswords = await backup();
+    assert.equal(withoutPasswords.includesPasswords, false);
+    assert.ok(withoutPasswords.collections.users.every(user => user.password === undefined && user.twoFactorEnabled === undefined));
+
+    const target = await emptyStore();
+    const summary = await restoreBackup(target, withoutPasswords);
+    assert.equal(summary.usersWithoutPassword, withoutPasswords.collections.users.length);
+    const locked = await target.users.findById(member.user.id);
+    assert.equal(await bcrypt.compare('Password123!', locked.password), false);
+
+    const withPasswords = await backup({ includePasswords: true });
+    const other = await emptyStore();
+    await restoreBackup(other, withPasswords);
+    const kept = await other.users.findById(member.user.id);
+    assert.equal(await bcrypt.compare('Password123!', kept.password), true);
+  });
+
+  it('only restores into an empty store', async () => {
+    await assert.rejects(restoreBackup(source.store, await backup()), /needs an empty store, but it already contains users/);
+  });
+
+  it('checks the archive before writing anything', async () => {
+    const archive = await backup();
+    archive.collections.eventRegistrations.push({ id: 'orphan', userId: 'missing-user', eventId: event.id });
+    archive.collections.events.push({ ...archive.collections.events[0] });
+
+    const target = await emptyStore();
+    await assert.rejects(restoreBackup(target, archive), error => {
+      assert.ok(error.problems.includes('eventRegistrations orphan: userId points at missing users missing-user'));
+      assert.ok(error.problems.includes(`Duplicate events id ${archive.collections.events[0].id}`));
+      return true;
+    });
+    assert.equal(await target.users.count(), 0);
+
+    assert.deepEqual(checkArchive({ format: 'something-else' }), ['Not a Seneca Science Club backup archive']);
+    assert.match(checkArchive({ ...archive, version: FORMAT_VERSION + 1 })[0], /is newer than this tool supports/);
+  });
+
+  it('validates a dry run without writing', async () => {
+    const target = await emptyStore();
+    const summary = await restoreBackup(target, await backup(), { dryRun: true });
+    assert.ok(summary.created.users > 0);
+    assert.equal(await target.users.count(), 0);
+  });
+
+  it('reads back gzipped and plain archives', async () => {
+    const archive = await backup();
+    for (const name of ['backup.json.gz', 'backup.json']) {
+      const file = path.join(dir, name);
+      await writeArchive(file, archive);
+      const contents = await fs.readFile(file);
+      assert.equal(contents[0] === 0x1f && contents[1] === 0x8b, name.endsWith('.gz'));
+      assert.deepEqual(await readArchive(file), archive);
+    }
+  });
+
+  it('carries file-based blog posts that were never migrated', async () => {
+    const legacyFile = path.join(dir, 'blog-posts.json');
+    await fs.writeFile(legacyFile, JSON.stringify([legacyPost]));
+
+    const archive = await backup({ legacyBlogFile: legacyFile });
+    assert.deepEqual(archive.legacyBlogPosts.map(post => post.id), [legacyPost.id]);
+
+    const target = await emptyStore();
+    const summary = await restoreBackup(target, archive);
+    assert.equal(summary.legacyBlogPosts.imported, 1);
+    assert.equal((await target.blogPosts.findById(legacyPost.id)).title, legacyPost.title);
+  });
+
+  it('restores event series with their occurrences', async () => {
+    const admin = await source.login('ADMIN');
+    const { body: series } = await source.request.post('/api/event-series').set(admin.headers).send(newSeries);
+
+    const archive = await backup();
+    assert.deepEqual(checkArchive(archive), []);
+
+    const target = await emptyStore();
+    const summary = await restoreBackup(target, archive);
+    assert.equal(summary.created.eventSeries, 1);
+    assert.equal(archive.collections.events.filter(occurrence => occurrence.seriesId === series.id).length, 3);
+
+    const restored = await target.eventSeries.findById(series.id);
+    assert.deepEqual(restored.exceptionDates, ['2025-09-18']);
+    const [withEvents] = await target.eventSeries.withEvents([restored]);
+    assert.deepEqual(withEvents.events.map(event => event.id), series.events.map(event => event.id));
+  });
+
+  it('reports occurrences whose series is missing from the archive', async () => {
+    const archive = await backup();
+    delete archive.collections.eventSeries;
+    archive.version = 2;
+
+    const problems = checkArchive(archive);
+    assert.equal(problems.length, 3);
+    assert.match(problems[0], /seriesId points at missing eventSeries/);
+  });
+
+  it('keeps API keys and the security audit log', async () => {
+    const admin = await source.login('ADMIN');
+    const { apiKey, key } = await source.store.apiKeys.issue({
+      name: 'Discord bot',
+      scopes: ['events:write', 'members:read'],
+      expiresAt: new Date('2026-06-01T00:00:00.000Z'),
+      createdById: admin.user.id,
+      now: source.clock.now()
+    });
+    const locked = await source.store.securityEvents.record('ACCOUNT_LOCKED', { email: 'someone@example.com', now: source.clock.now() });
+
+    const target = await emptyStore();
+    await restoreBackup(target, await backup());
+
+    const restoredKey = await target.apiKeys.findById(apiKey.id);
+    assert.deepEqual(restoredKey.scopes, ['events:write', 'members:read']);
+    assert.equal(restoredKey.keyHash, apiKey.keyHash);
+    assert.ok(key.startsWith(restoredKey.prefix));
+    assert.equal((await target.securityEvents.findById(locked.id)).type, 'ACCOUNT_LOCKED');
+  });
+
+  it('refuses to run when the schema has a collection it does not know', async () => {
+    schema.telescopes = { model: 'telescope' };
+    try {
+      await assert.rejects(backup(), /doesn't know how to handle these collections: telescopes/);
+    } finally {
+      delete schema.telescopes;
+    }
+  });
+});
@@ -0,0 +1,229 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const newPost = {
+  title: 'What we learned at the science fair',
+  content: 'A long write-up of the projects, the judging and the lessons we took away from this year. '.repeat(2),
+  excerpt: 'Highlights from this year\'s science fair.',
+  tags: ['events', 'research']
+};
+
+describe('/api/blog', () => {
+  let ctx, member, moderator;
+
+  // Stored directly so tests control publication state
+  const createPost = (overrides = {}) => ctx.store.blogPosts.create({
+    ...newPost,
+    authorId: member.user.id,
+    isPublished: true,
+    publishedAt: new Date('2025-08-01'),
+    ...overrides
+  });
+
+  before(async () => {
+    ctx = await createTestContext();
+    member = await ctx.login('MEMBER', { firstName: 'Rosalind', lastName: 'Franklin' });
+    moderator = await ctx.login('MODERATOR');
+  });
+
+  after(() => ctx.cleanup());
+
+  describe('POST /', () => {
+    it('requires a token', async () => {
+      const res = await ctx.request.post('/api/blog').send(newPost);
+      assert.equal(res.status, 401);
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.post('/api/blog').set(member.headers).send({ ...newPost, content: 'short', tags: [] });
+      assert.equal(res.status, 400);
+      const fields = res.body.errors.map(error => error.path);
+      assert.deepEqual(fields.sort(), ['content', 'tags']);
+    });
+
+    it('publishes a post by the caller at the current time', async () => {
+      const res = await ctx.request.post('/api/blog').set(member.headers).send(newPost);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.author.firstName, 'Rosalind');
+      assert.deepEqual(res.body.tags, newPost.tags);
+      assert.equal(res.body.isPublished, true);
+      assert.equal(res.body.publishedAt, ctx.clock.now().toISOString());
+    });
+
+    it('requires a verified email', async () => {
+      const unverified = await ctx.login('MEMBER', { isVerified: false });
+      const res = await ctx.request.post('/api/blog').set(unverified.headers).send(newPost);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'Please verify your email address first.');
+    });
+  });
+
+  describe('POST /simple', () => {
+    let simplePost, accessCodeId;
+
+    const issue = options => ctx.store.accessCodes.issue({ label: 'Mentor', now: ctx.clock.now(), ...options });
+
+    before(async () => {
+      const { accessCode, code } = await issue({ label: 'Dr. Goodall' });
+      accessCodeId = accessCode.id;
+      simplePost = { ...newPost, author: 'Jane Goodall', accessCode: code };
+    });
+
+    it('rejects a wrong access code', async () => {
+      const res = await ctx.request.post('/api/blog/simple').send({ ...simplePost, accessCode: 'wrong' });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects expired, used up and revoked codes without creating an author', async () => {
+      const expired = await issue({ expiresAt: new Date(ctx.clock.now().getTime() - 1000) });
+      const usedUp = await issue({ maxUses: 1 });
+      const revoked = await issue();
+      await ctx.store.accessCodes.revoke(revoked.accessCode.id, ctx.clock.now());
+
+      assert.equal((await ctx.request.post('/api/blog/simple').send({ ...simplePost, accessCode: usedUp.code })).status, 201);
+      const users = await ctx.store.users.count();
+      for (const { code } of [expired, usedUp, revoked]) {
+        const res = await ctx.request.post('/api/blog/simple').send({ ...simplePost, author: 'Nobody Known', accessCode: code });
+        assert.equal(res.status, 401);
+      }
+      assert.equal(await ctx.store.users.count(), users);
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.post('/api/blog/simple').send({ ...simplePost, author: '' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'author');
+    });
+
+    it('creates a post under an author account', async () => {
+      const res = await ctx.request.post('/api/blog/simple').send(simplePost);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.author.firstName, 'Jane');
+      assert.equal(res.body.author.lastName, 'Goodall');
+      assert.equal(res.body.accessCodeId, accessCodeId);
+      assert.equal((await ctx.store.accessCodes.findById(accessCodeId)).useCount, 1);
+    });
+
+    it('never posts as a member, only as a placeholder author kept per code', async () => {
+      const first = await ctx.request.post('/api/blog/simple').send({ ...simplePost, author: 'Rosalind Franklin' });
+      assert.equal(first.status, 201);
+      assert.notEqual(first.body.authorId, member.user.id);
+      const placeholder = await ctx.store.users.findById(first.body.authorId);
+      assert.match(placeholder.email, /@blog-authors\.invalid$/);
+
+      const again = await ctx.request.post('/api/blog/simple').send({ ...simplePost, author: 'Rosalind Franklin' });
+      assert.equal(again.body.authorId, first.body.authorId);
+
+      const { code } = await issue({ label: 'Someone else' });
+      const other = await ctx.request.post('/api/blog/simple').send({ ...simplePost, author: 'Rosalind Franklin', accessCode: code });
+      assert.notEqual(other.body.authorId, first.body.authorId);
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists only published posts', async () => {
+      const draft = await createPost({ title: 'An unfinished draft post', isPublished: false, publishedAt: null });
+      const res = await ctx.request.get('/api/blog?limit=50');
+      assert.equal(res.status, 200);
+      assert.ok(res.body.posts.length > 0);
+      assert.ok(res.body.posts.every(post => post.isPublished));
+      assert.ok(!res.body.posts.some(post => post.id === draft.id));
+    });
+
+    it('filters by tag', async () => {
+      await createPost({ title: 'Stargazing from the campus roof', tags: ['astronomy'] });
+      const res = await ctx.request.get('/api/blog?tag=astronomy');
+      assert.deepEqual(res.body.posts.map(post => post.title), ['Stargazing from the campus roof']);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns a published post with its version as ETag', async () => {
+      const post = await createPost();
+      const res = await ctx.request.get(`/api/blog/${post.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.etag, '"1"');
+      assert.equal(res.body.author.lastName, 'Franklin');
+    });
+
+    it('hides drafts', async () => {
+      const draft = await createPost({ isPublished: false, publishedAt: null });
+      const res = await ctx.request.get(`/api/blog/${draft.id}`);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('updates editable fields and bumps the version', async () => {
+      const post = await createPost();
+      const res = await ctx.request.put(`/api/blog/${post.id}`).set(moderator.headers)
+        .send({ title: 'A better title for this post', authorId: 'someone-else', version: 1 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.title, 'A better title for this post');
+      assert.equal(res.body.authorId, member.user.id);
+      assert.equal(res.headers.etag, '"2"');
+    });
+
+    it('rejects a stale version', async () => {
+      const post = await createPost();
+      await ctx.request.put(`/api/blog/${post.id}`).set(moderator.headers).send({ title: 'First edit of the post', version: 1 });
+      const res = await ctx.request.put(`/api/blog/${post.id}`).set(moderator.headers).set('If-Match', '"1"').send({ title: 'Second edit of the post' });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.currentVersion, 2);
+    });
+
+    it('validates the body', async () => {
+      const post = await createPost();
+      const res = await ctx.request.put(`/api/blog/${post.id}`).set(moderator.headers).send({ title: 'abc' });
+      assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown post', async () => {
+      const res = await ctx.request.put('/api/blog/missing').set(moderator.headers).send({ title: 'A better title for this post' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /:id/publish', () => {
+    it('unpublishes and republishes a post', async () => {
+      const post = await createPost();
+
+      const hidden = await ctx.request.patch(`/api/blog/${post.id}/publish`).set(moderator.headers).send({ isPublished: false });
+      assert.equal(hidden.status, 200);
+      assert.equal(hidden.body.publishedAt, null);
+
+      ctx.clock.set('2025-09-15T09:30:00.000Z');
+      const shown = await ctx.request.patch(`/api/blog/${post.id}/publish`).set(moderator.headers).send({ isPublished: true });
+      assert.equal(shown.body.publishedAt, '2025-09-15T09:30:00.000Z');
+    });
+
+    it('returns 404 for an unknown post', async () => {
+      const res = await ctx.request.patch('/api/blog/missing/publish').set(moderator.headers).send({ isPublished: true });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('deletes a post', async () => {
+      const post = await createPost();
+      const res = await ctx.request.delete(`/api/blog/${post.id}`).set(moderator.headers);
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.store.blogPosts.findById(post.id), null);
+    });
+
+    it('returns 404 for an unknown post', async () => {
+      const res = await ctx.request.delete('/api/blog/missing').set(moderator.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  it('GET /tags/all lists tags of published posts', async () => {
+    await createPost({ tags: ['chemistry'] });
+    await createPost({ tags: ['secret-draft-tag'], isPublished: false, publishedAt: null });
+    const res = await ctx.request.get('/api/blog/tags/all');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.includes('chemistry'));
+    assert.ok(!res.body.includes('secret-draft-tag'));
+  });
+});
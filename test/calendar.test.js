@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+const { buildCalendar, parseTime } = require('../calendar');
+
+const newEvent = {
+  title: 'Planetarium Night',
+  description: 'A tour of the autumn sky, with telescopes on the roof if it is clear.',
+  date: new Date('2025-10-15T00:00:00.000Z'),
+  startTime: '19:00',
+  endTime: '21:30',
+  location: 'Newnham Campus, Room A2010',
+  category: 'WORKSHOP'
+};
+
+const person = (email, senecaId) => ({
+  name: 'Carl Sagan',
+  email,
+  senecaId,
+  program: 'Astronomy',
+  year: 2
+});
+
+// Unfolded content lines of an iCalendar document
+const linesOf = text => text.replace(/\r\n /g, '').split('\r\n');
+
+// The VEVENT blocks, each as { property: value } keyed by the name before ":" or ";"
+function eventsOf(text) {
+  const events = [];
+  let current = null;
+  for (const line of linesOf(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      current[line.split(/[:;]/)[0]] = line;
+    }
+  }
+  return events;
+}
+
+const calendarRequest = (request, path) => request.get(path).buffer(true).parse((res, done) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => done(null, text));
+});
+
+describe('calendar feeds', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+
+  after(() => ctx.cleanup());
+
+  const get = path => calendarRequest(ctx.request, path);
+
+  describe('GET /calendar.ics', () => {
+    it('lists events in Toronto time, with cancelled ones marked', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const cancelled = await ctx.store.events.create({ ...newEvent, title: 'Rained Out Stargazing', status: 'CANCELLED' });
+
+      const res = await get('/api/events/calendar.ics');
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^text\/calendar; charset=utf-8/);
+      assert.match(res.body, /^BEGIN:VCALENDAR\r\n/);
+      assert.match(res.body, /TZID:America\/Toronto/);
+
+      const events = eventsOf(res.body);
+      const planetarium = events.find(vevent => vevent.UID.includes(event.id));
+      assert.equal(planetarium.DTSTART, 'DTSTART;TZID=America/Toronto:20251015T190000');
+      assert.equal(planetarium.DTEND, 'DTEND;TZID=America/Toronto:20251015T213000');
+      assert.equal(planetarium.STATUS, 'STATUS:CONFIRMED');
+      assert.equal(planetarium.LOCATION, 'LOCATION:Newnham Campus\\, Room A2010');
+
+      const rainedOut = events.find(vevent => vevent.UID.includes(cancelled.id));
+      assert.equal(rainedOut.STATUS, 'STATUS:CANCELLED');
+      assert.equal(rainedOut.SUMMARY, 'SUMMARY:Cancelled: Rained Out Stargazing');
+    });
+
+    it('filters by category and status', async () => {
+      const workshop = await ctx.store.events.create(newEvent);
+      const social = await ctx.store.events.create({ ...newEvent, category: 'SOCIAL' });
+
+      const res = await get('/api/events/calendar.ics?category=SOCIAL&status=UPCOMING');
+      const uids = eventsOf(res.body).map(vevent => vevent.UID);
+      assert.ok(uids.some(uid => uid.includes(social.id)));
+      assert.ok(!uids.some(uid => uid.includes(workshop.id)));
+
+      const invalid = await ctx.request.get('/api/events/calendar.ics?category=PARTY');
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe('GET /:id/calendar.ics', () => {
+    it('downloads a single event', async () => {
+      const event = await ctx.store.events.create(newEvent);
+
+      const res = await get(`/api/events/${event.id}/calendar.ics`);
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-disposition'], /attachment; filename="planetarium-night.ics"/);
+      assert.equal(eventsOf(res.body).length, 1);
+
+      const missing = await ctx.request.get('/api/events/missing/calendar.ics');
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe('personal feeds', () => {
+    it('list the events a member registered for until the link is reset', async () => {
+      const confirmed = await ctx.store.events.create({ ...newEvent, maxCapacity: 5 });
+      const full = await ctx.store.events.create({ ...newEvent, maxCapacity: 1, currentCapacity: 1 });
+      const dropped = await ctx.store.events.create(newEvent);
+      const other = await ctx.store.events.create(newEvent);
+      const member = await ctx.login('MEMBER');
+      for (const event of [confirmed, full, dropped]) {
+        await ctx.request.post(`/api/events/${event.id}/register`).send(person(member.user.email, member.user.senecaId));
+      }
+      await ctx.request.delete(`/api/events/${dropped.id}/register`).set(member.headers);
+
+      const links = await ctx.request.get('/api/members/profile/calendar').set(member.headers);
+      assert.equal(links.status, 200);
+      assert.match(links.body.webcalUrl, /^webcal:\/\//);
+      const path = new URL(links.body.url).pathname;
+
+      const res = await get(path);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['cache-control'], 'private, no-store');
+      const statuses = Object.fromEntries(eventsOf(res.body).map(vevent => [vevent.UID.match(/^UID:event-(.+)@/)[1], vevent.STATUS]));
+      assert.deepEqual(statuses, {
+        [confirmed.id]: 'STATUS:CONFIRMED',
+        [full.id]: 'STATUS:TENTATIVE'
+      });
+      assert.equal(statuses[other.id], undefined);
+
+      const reset = await ctx.request.post('/api/members/profile/calendar/reset').set(member.headers);
+      assert.equal(reset.status, 200);
+      assert.notEqual(reset.body.url, links.body.url);
+      assert.equal((await ctx.request.get(path)).status, 404);
+      assert.equal((await get(new URL(reset.body.url).pathname)).status, 200);
+    });
+
+    it('refuse forged tokens', async () => {
+      const res = await ctx.request.get('/api/events/calendar/forged.ics');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const build = event => buildCalendar({ name: 'Test', entries: [event], now: new Date('2025-09-01T12:00:00.000Z'), host: 'example.com' });
+
+    it('keeps the Toronto day of a date sent with its start time', () => {
+      // 8 PM on Oct 1 in Toronto is midnight UTC on Oct 2
+      const [vevent] = eventsOf(build({ ...newEvent, id: 'a', date: new Date('2025-10-02T00:00:00.000Z'), startTime: '8:00 PM', endTime: '10pm' }));
+      assert.equal(vevent.DTSTART, 'DTSTART;TZID=America/Toronto:20251001T200000');
+      assert.equal(vevent.DTEND, 'DTEND;TZID=America/Toronto:20251001T220000');
+    });
+
+    it('runs late events past midnight and makes unreadable times all-day', () => {
+      const [late] = eventsOf(build({ ...newEvent, id: 'b', startTime: '22:00', endTime: '01:00' }));
+      assert.equal(late.DTEND, 'DTEND;TZID=America/Toronto:20251016T010000');
+
+      const [allDay] = eventsOf(build({ ...newEvent, id: 'c', startTime: 'evening', endTime: '' }));
+      assert.equal(allDay.DTSTART, 'DTSTART;VALUE=DATE:20251015');
+      assert.equal(allDay.DTEND, 'DTEND;VALUE=DATE:20251016');
+    });
+
+    it('escapes text and folds long lines at 75 octets', () => {
+      const text = build({ ...newEvent, id: 'd', description: `Bring: pens; paper\n${'é'.repeat(80)}` });
+      assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+      const [vevent] = eventsOf(text);
+      assert.equal(vevent.DESCRIPTION, `DESCRIPTION:Bring: pens\\; paper\\n${'é'.repeat(80)}`);
+    });
+
+    it('reads 24-hour and 12-hour times', () => {
+      assert.deepEqual(['18:00', '6:00 PM', '6pm', '12 am', '7:30 a.m.', '25:00', '6'].map(parseTime), [1080, 1080, 1080, 0, 450, null, null]);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const newEvent = {
+  title: 'Chemistry Magic Show',
+  description: 'Colour changes, foam and small explosions.',
+  date: new Date('2025-10-01T18:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '20:00',
+  location: 'Newnham Campus',
+  category: 'SOCIAL',
+  maxCapacity: 1
+};
+
+const person = (email, senecaId) => ({
+  name: 'Marie Curie',
+  email,
+  senecaId,
+  program: 'Chemistry',
+  year: 3
+});
+
+describe('registration cancellation', () => {
+  let ctx, admin, moderator;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    moderator = await ctx.login('MODERATOR');
+  });
+
+  after(() => ctx.cleanup());
+
+  // Capped events take verified accounts, so each person gets one first
+  async function register(event, details) {
+    await ctx.verifiedAttendee(details);
+    return ctx.request.post(`/api/events/${event.id}/register`).send(details);
+  }
+  const capacityOf = async event => (await ctx.store.events.findById(event.id)).currentCapacity;
+
+  // Token from the latest cancellation link emailed to the address
+  function cancelTokenFor(email) {
+    const message = ctx.mailer.sent.filter(sent => sent.to === email && /cancel-registration/.test(sent.text)).at(-1);
+    assert.ok(message, `no cancellation link emailed to ${email}`);
+    return decodeURIComponent(message.text.match(/cancel-registration\?token=([^\s]+)/)[1]);
+  }
+
+  describe('DELETE /:id/register', () => {
+    it('lets a member give up their spot, which goes to the waitlist', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const member = await ctx.login('MEMBER');
+      await register(event, person(member.user.email, member.user.senecaId));
+      const { body: waiting } = await register(event, person('pierre@example.com', 'PC0001'));
+
+      const res = await ctx.request.delete(`/api/events/${event.id}/register`).set(member.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.registration.status, 'CANCELLED');
+      assert.ok(res.body.registration.cancelledAt);
+
+      assert.equal((await ctx.store.eventRegistrations.findById(waiting.registration.id)).status, 'CONFIRMED');
+      assert.equal(await capacityOf(event), 1);
+
+      const again = await ctx.request.delete(`/api/events/${event.id}/register`).set(member.headers);
+      assert.equal(again.status, 404);
+
+      // They can still register again, at the back of the line
+      const rejoin = await register(event, person(member.user.email, member.user.senecaId));
+      assert.equal(rejoin.body.registration.status, 'WAITLISTED');
+    });
+
+    it('takes a place off the waitlist without freeing a spot', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      await register(event, person('irene@example.com', 'IJ0001'));
+      const member = await ctx.login('MEMBER');
+      await register(event, person(member.user.email, member.user.senecaId));
+
+      const res = await ctx.request.delete(`/api/events/${event.id}/register`).set(member.headers);
+      assert.equal(res.status, 200);
+      assert.equal(await capacityOf(event), 1);
+      assert.deepEqual(await ctx.store.eventRegistrations.waitlist(event.id), []);
+    });
+
+    it('is refused once the event has started', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, date: new Date('2025-09-01T11:00:00.000Z') });
+      const member = await ctx.login('MEMBER');
+      await ctx.store.eventRegistrations.register({ userId: member.user.id, eventId: event.id });
+
+      const res = await ctx.request.delete(`/api/events/${event.id}/register`).set(member.headers);
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /registrations/cancel', () => {
+    it('cancels a guest registration with the emailed link, once', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: null });
+      const res = await ctx.request.post(`/api/events/${event.id}/register`).send(person('guest.curie@example.com', 'GC0001'));
+      assert.equal(res.status, 201);
+
+      const token = cancelTokenFor('guest.curie@example.com');
+      const cancelled = await ctx.request.post('/api/events/registrations/cancel').send({ token });
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.registration.id, res.body.registration.id);
+      assert.equal(await capacityOf(event), 0);
+
+      const reused = await ctx.request.post('/api/events/registrations/cancel').send({ token });
+      assert.equal(reused.status, 400);
+      const forged = await ctx.request.post('/api/events/registrations/cancel').send({ token: 'forged' });
+      assert.equal(forged.status, 400);
+    });
+  });
+
+  describe('PATCH /:id/registrations/:registrationId/cancel', () => {
+    it('lets admins cancel any registration', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const { body } = await register(event, person('ernest@example.com', 'ER0001'));
+      const path = `/api/events/${event.id}/registrations/${body.registration.id}/cancel`;
+
+      assert.equal((await ctx.request.patch(path).set(moderator.headers)).status, 403);
+      const other = await ctx.store.events.create(newEvent);
+      const wrongEvent = await ctx.request.patch(`/api/events/${other.id}/registrations/${body.registration.id}/cancel`).set(admin.headers);
+      assert.equal(wrongEvent.status, 404);
+
+      const res = await ctx.request.patch(path).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.registration.status, 'CANCELLED');
+      assert.equal((await ctx.request.patch(path).set(admin.headers)).status, 400);
+    });
+  });
+
+  describe('capacity', () => {
+    it('is not overbooked by concurrent sign-ups', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: 2 });
+
+      const results = await Promise.all([1, 2, 3, 4, 5].map(n => register(event, person(`rush${n}@example.com`, `RU000${n}`))));
+      assert.ok(results.every(res => res.status === 201));
+
+      const statuses = results.map(res => res.body.registration.status).sort();
+      assert.deepEqual(statuses, ['CONFIRMED', 'CONFIRMED', 'WAITLISTED', 'WAITLISTED', 'WAITLISTED']);
+      assert.equal(await capacityOf(event), 2);
+    });
+
+    it('is recounted from the registrations by reconcileCapacity', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: 5 });
+      await register(event, person('drift@example.com', 'DR0001'));
+      await ctx.store.events.update(event.id, { currentCapacity: 4 });
+
+      const preview = await ctx.store.events.reconcileCapacity({ dryRun: true });
+      assert.deepEqual(preview.filter(correction => correction.id === event.id), [{ id: event.id, title: event.title, from: 4, to: 1 }]);
+      assert.equal(await capacityOf(event), 4);
+
+      await ctx.store.events.reconcileCapacity();
+      assert.equal(await capacityOf(event), 1);
+      assert.deepEqual(await ctx.store.events.reconcileCapacity(), []);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../config');
+
+// The smallest environment production accepts
+const production = {
+  NODE_ENV: 'production',
+  JWT_SECRET: 'a-long-random-production-secret',
+  FRONTEND_URL: 'https://club.example.com'
+};
+
+// Problems reported for an environment that fails to load
+function problemsFor(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+describe('loadConfig', () => {
+  it('uses development defaults for an empty environment', () => {
+    const config = loadConfig({});
+    assert.equal(config.env, 'development');
+    assert.equal(config.port, 3001);
+    assert.equal(config.jwt.expiresIn, '15m');
+    assert.equal(config.sessions.ttlDays, 30);
+    assert.equal(config.dataStore.driver, 'json');
+    assert.deepEqual(config.cors.origins, ['http://localhost:4200', 'http://localhost:3000']);
+  });
+
+  it('parses typed values', () => {
+    const config = loadConfig({ PORT: '8080', JWT_EXPIRES_IN: '3600', SESSION_TTL_DAYS: '14', EMAIL_PORT: '465' });
+    assert.equal(config.port, 8080);
+    assert.equal(config.sessions.ttlDays, 14);
+    assert.equal(config.jwt.expiresIn, 3600);
+    assert.equal(config.email.port, 465);
+  });
+
+  it('is frozen', () => {
+    const config = loadConfig({});
+    assert.throws(() => { 'use strict'; config.jwt.secret = 'changed'; }, TypeError);
+  });
+
+  it('accepts a complete production environment', () => {
+    const config = loadConfig(production);
+    assert.equal(config.isProduction, true);
+    assert.deepEqual(config.cors.origins, ['https://club.example.com']);
+  });
+
+  it('requires secrets and the frontend URL in production', () => {
+    assert.deepEqual(problemsFor({ NODE_ENV: 'production' }), [
+      'JWT_SECRET is required when NODE_ENV=production',
+      'FRONTEND_URL is required when NODE_ENV=production'
+    ]);
+  });
+
+  it('rejects example secrets in production', () => {
+    const problems = problemsFor({ ...production, JWT_SECRET: 'your-super-secret-jwt-key-here' });
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /JWT_SECRET/);
+  });
+
+  it('warns about the retired shared mentor access code', () => {
+    const config = loadConfig({ MENTOR_ACCESS_CODE: 'SSC2024MENTOR' });
+    assert.match(config.warnings[0], /MENTOR_ACCESS_CODE is no longer used/);
+  });
+
+  it('reports every invalid value at once', () => {
+    const problems = problemsFor({ NODE_ENV: 'development', PORT: 'eighty', JWT_EXPIRES_IN: 'a week', SESSION_TTL_DAYS: '0', FRONTEND_URL: 'localhost' });
+    assert.equal(problems.length, 4);
+  });
+
+  it('rejects contradictory settings', () => {
+    assert.deepEqual(problemsFor({ DATA_STORE: 'prisma' }), ['DATABASE_URL is required when DATA_STORE=prisma']);
+    assert.deepEqual(problemsFor({ EMAIL_HOST: 'smtp.example.com', EMAIL_USER: 'club@example.com' }), ['EMAIL_USER and EMAIL_PASS must be set together']);
+    assert.deepEqual(problemsFor({ CLOUDINARY_CLOUD_NAME: 'club' }), ['Incomplete Cloudinary settings: CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET missing']);
+    assert.deepEqual(problemsFor({ OIDC_ISSUER: 'https://login.example.com' }), ['Incomplete OIDC settings: OIDC_CLIENT_ID, OIDC_REDIRECT_URI missing']);
+  });
+
+  describe('email settings', () => {
+    const email = { EMAIL_HOST: 'smtp.example.com', EMAIL_USER: 'club@example.com', EMAIL_PASS: 'secret' };
+
+    it('read EMAIL_* and send contact mail to the account by default', () => {
+      const config = loadConfig(email);
+      assert.equal(config.email.host, 'smtp.example.com');
+      assert.equal(config.email.contactAddress, 'club@example.com');
+      assert.equal(loadConfig({ ...email, CONTACT_EMAIL: 'exec@example.com' }).email.contactAddress, 'exec@example.com');
+    });
+
+    it('still accept SMTP_* with a warning', () => {
+      const config = loadConfig({ ...email, EMAIL_HOST: undefined, SMTP_HOST: 'smtp.legacy.com' });
+      assert.equal(config.email.host, 'smtp.legacy.com');
+      assert.deepEqual(config.warnings, ['SMTP_HOST is deprecated; rename it to EMAIL_HOST']);
+    });
+
+    it('allow a local SMTP server without a login', () => {
+      const config = loadConfig({ EMAIL_HOST: 'localhost', EMAIL_PORT: '1025', EMAIL_FROM: 'club@example.test' });
+      assert.equal(config.email.user, undefined);
+      assert.equal(config.email.from, 'club@example.test');
+    });
+
+    it('reject EMAIL_* and SMTP_* that disagree', () => {
+      assert.deepEqual(problemsFor({ ...email, SMTP_USER: 'other@example.com' }), [
+        'EMAIL_USER and SMTP_USER are both set and disagree; keep only EMAIL_USER'
+      ]);
+    });
+  });
+
+  it('reads CORS origins as a list', () => {
+    const config = loadConfig({ CORS_ORIGINS: 'https://a.example.com, https://b.example.com/' });
+    assert.deepEqual(config.cors.origins, ['https://a.example.com', 'https://b.example.com']);
+    assert.equal(problemsFor({ CORS_ORIGINS: 'https://a.example.com,not-a-url' }).length, 1);
+  });
+
+  it('reads single sign-on settings', () => {
+    assert.equal(loadConfig({}).oidc.enabled, false);
+
+    const config = loadConfig({
+      OIDC_ISSUER: 'https://login.example.com/',
+      OIDC_CLIENT_ID: 'ssc',
+      OIDC_REDIRECT_URI: 'https://api.example.com/api/auth/oidc/callback',
+      OIDC_ALLOWED_DOMAINS: 'myseneca.ca, @Senecapolytechnic.ca'
+    });
+    assert.equal(config.oidc.enabled, true);
+    assert.equal(config.oidc.issuer, 'https://login.example.com');
+    assert.deepEqual(config.oidc.allowedDomains, ['myseneca.ca', 'senecapolytechnic.ca']);
+    assert.equal(problemsFor({ OIDC_ALLOWED_DOMAINS: 'myseneca.ca,not a domain' }).length, 1);
+  });
+});
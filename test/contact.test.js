@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const submission = {
+  name: 'Carl Sagan',
+  email: 'carl@example.com',
+  subject: 'Joining the club',
+  message: 'How can I get involved with the astronomy nights?'
+};
+
+describe('/api/contact', () => {
+  let ctx, moderator;
+
+  const createMessage = () => ctx.store.contactMessages.create(submission);
+
+  before(async () => {
+    ctx = await createTestContext();
+    moderator = await ctx.login('MODERATOR');
+  });
+
+  after(() => ctx.cleanup());
+
+  describe('POST /', () => {
+    it('stores the message and emails a notification', async () => {
+      const res = await ctx.request.post('/api/contact').send(submission);
+      assert.equal(res.status, 201);
+      assert.ok(await ctx.store.contactMessages.findById(res.body.id));
+
+      const email = ctx.mailer.sent.at(-1);
+      assert.equal(email.subject, 'New Contact Form: Joining the club');
+      assert.match(email.html, /carl@example\.com/);
+    });
+
+    it('still accepts the message when email fails', async () => {
+      ctx.mailer.failing = true;
+      try {
+        const res = await ctx.request.post('/api/contact').send(submission);
+        assert.equal(res.status, 201);
+        assert.ok(await ctx.store.contactMessages.findById(res.body.id));
+      } finally {
+        ctx.mailer.failing = false;
+      }
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.post('/api/contact').send({ ...submission, subject: 'Hi', email: 'carl' });
+      assert.equal(res.status, 400);
+      const fields = res.body.errors.map(error => error.path);
+      assert.deepEqual(fields.sort(), ['email', 'subject']);
+    });
+  });
+
+  it('GET / lists messages', async () => {
+    const message = await createMessage();
+    const res = await ctx.request.get('/api/contact').set(moderator.headers);
+    assert.equal(res.status, 200);
+    assert.ok(res.body.some(item => item.id === message.id));
+  });
+
+  describe('PATCH /:id/read', () => {
+    it('marks a message as read', async () => {
+      const message = await createMessage();
+      const res = await ctx.request.patch(`/api/contact/${message.id}/read`).set(moderator.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.isRead, true);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      const res = await ctx.request.patch('/api/contact/missing/read').set(moderator.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('deletes a message', async () => {
+      const message = await createMessage();
+      const res = await ctx.request.delete(`/api/contact/${message.id}`).set(moderator.headers);
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.store.contactMessages.findById(message.id), null);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      const res = await ctx.request.delete('/api/contact/missing').set(moderator.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  it('GET /faq returns the FAQ', async () => {
+    const res = await ctx.request.get('/api/contact/faq');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.every(entry => entry.question && entry.answer));
+  });
+});
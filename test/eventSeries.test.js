@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+const { occurrenceDates } = require('../repositories/eventSeries');
+
+const newSeries = {
+  title: 'Physics Study Session',
+  description: 'Bring your problem sets; upper-year students help out.',
+  startTime: '17:00',
+  endTime: '19:00',
+  location: 'Newnham Campus, Library',
+  category: 'WORKSHOP',
+  maxCapacity: 10,
+  frequency: 'WEEKLY',
+  startDate: '2025-09-03',
+  count: 6
+};
+
+const dayOf = date => new Date(date).toISOString().slice(0, 10);
+
+describe('event series', () => {
+  let ctx, admin;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+  });
+
+  after(() => ctx.cleanup());
+
+  const createSeries = (data = {}) => ctx.request.post('/api/event-series').set(admin.headers).send({ ...newSeries, ...data });
+
+  describe('POST /', () => {
+    it('creates an event for each occurrence, skipping exception dates', async () => {
+      const res = await createSeries({ exceptionDates: ['2025-09-17'] });
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.exceptionDates, ['2025-09-17']);
+      assert.deepEqual(
+        res.body.events.map(event => dayOf(event.date)),
+        ['2025-09-03', '2025-09-10', '2025-09-24', '2025-10-01', '2025-10-08']
+      );
+      assert.ok(res.body.events.every(event => event.seriesId === res.body.id && event.title === newSeries.title && event.maxCapacity === 10));
+
+      const fetched = await ctx.request.get(`/api/event-series/${res.body.id}`);
+      assert.equal(fetched.status, 200);
+      assert.equal(fetched.body.events.length, 5);
+    });
+
+    it('keeps registrations per occurrence', async () => {
+      const { body: series } = await createSeries({ maxCapacity: 1 });
+      const [first, second] = series.events;
+      const person = (email, senecaId) => ({ name: 'Lise Meitner', email, senecaId, program: 'Physics', year: 2 });
+
+      const lise = person('lise@example.com', 'LM0001');
+      const otto = person('otto@example.com', 'OH0001');
+      await ctx.verifiedAttendee(lise);
+      await ctx.verifiedAttendee(otto);
+
+      await ctx.request.post(`/api/events/${first.id}/register`).send(lise);
+      const res = await ctx.request.post(`/api/events/${second.id}/register`).send(otto);
+      assert.equal(res.body.registration.status, 'CONFIRMED');
+      assert.equal((await ctx.store.events.findById(first.id)).currentCapacity, 1);
+      assert.equal((await ctx.store.events.findById(second.id)).currentCapacity, 1);
+    });
+
+    it('needs exactly one of until and count, and a bounded number of occurrences', async () => {
+      assert.equal((await createSeries({ count: undefined })).status, 400);
+      assert.equal((await createSeries({ until: '2025-12-31' })).status, 400);
+
+      const tooLong = await createSeries({ count: undefined, until: '2030-01-01' });
+      assert.equal(tooLong.status, 400);
+      assert.match(tooLong.body.error, /at most 100/);
+
+      const member = await ctx.login('MEMBER');
+      const forbidden = await ctx.request.post('/api/event-series').set(member.headers).send(newSeries);
+      assert.equal(forbidden.status, 403);
+    });
+  });
+
+  describe('PUT /api/events/:id', () => {
+    it('changes one occurrence by default', async () => {
+      const { body: series } = await createSeries();
+      const [, second, third] = series.events;
+
+      const res = await ctx.request.put(`/api/events/${second.id}`).set(admin.headers).send({ location: 'Room B1005' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.location, 'Room B1005');
+      assert.equal((await ctx.store.events.findById(third.id)).location, newSeries.location);
+    });
+
+    it('changes this and following occurrences with scope=following', async () => {
+      const { body: series } = await createSeries();
+      const [first, second, third] = series.events;
+
+      const res = await ctx.request.put(`/api/events/${second.id}?scope=following`).set(admin.headers).send({
+        startTime: '18:00',
+        date: '2025-09-11T00:00:00.000Z'
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.startTime, '18:00');
+
+      const { body: updated } = await ctx.request.get(`/api/event-series/${series.id}`);
+      assert.equal(updated.startTime, '18:00');
+      assert.deepEqual(
+        updated.events.map(event => [dayOf(event.date), event.startTime]),
+        [['2025-09-03', '17:00'], ['2025-09-11', '18:00'], ['2025-09-18', '18:00'], ['2025-09-25', '18:00'], ['2025-10-02', '18:00'], ['2025-10-09', '18:00']]
+      );
+      assert.equal((await ctx.store.events.findById(first.id)).startTime, '17:00');
+      assert.equal((await ctx.store.events.findById(third.id)).seriesId, series.id);
+    });
+
+    it('ignores fields that are not editable', async () => {
+      const { body: series } = await createSeries();
+      const [, second, third] = series.events;
+
+      const res = await ctx.request.put(`/api/events/${second.id}?scope=following`).set(admin.headers).send({
+        location: 'Room B1005',
+        seriesId: null,
+        currentCapacity: 99
+      });
+      assert.equal(res.status, 200);
+
+      const following = await ctx.store.events.findById(third.id);
+      assert.equal(following.location, 'Room B1005');
+      assert.equal(following.seriesId, series.id);
+      assert.equal(following.currentCapacity, 0);
+    });
+
+    it('refuses scope=following for an event outside a series', async () => {
+      const event = await ctx.store.events.create({ ...newSeries, date: new Date('2025-09-03T00:00:00.000Z') });
+
+      const res = await ctx.request.put(`/api/events/${event.id}?scope=following`).set(admin.headers).send({ startTime: '18:00' });
+      assert.equal(res.status, 400);
+      assert.equal((await ctx.request.put(`/api/events/${event.id}?scope=all`).set(admin.headers).send({})).status, 400);
+    });
+  });
+
+  describe('PATCH /:id/cancel', () => {
+    it('cancels the occurrences that have not started', async () => {
+      const { body: series } = await createSeries({ startDate: '2025-08-20' });
+
+      const res = await ctx.request.patch(`/api/event-series/${series.id}/cancel`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.ok(res.body.series.cancelledAt);
+      assert.equal(res.body.cancelledOccurrences, 4);
+
+      const { body: cancelled } = await ctx.request.get(`/api/event-series/${series.id}`);
+      assert.deepEqual(
+        cancelled.events.map(event => event.status),
+        ['UPCOMING', 'UPCOMING', 'CANCELLED', 'CANCELLED', 'CANCELLED', 'CANCELLED']
+      );
+
+      assert.equal((await ctx.request.patch(`/api/event-series/${series.id}/cancel`).set(admin.headers)).status, 400);
+      assert.equal((await ctx.request.patch('/api/event-series/missing/cancel').set(admin.headers)).status, 404);
+    });
+
+    it('cancels the registrations of cancelled occurrences and emails each registrant once', async () => {
+      const { body: series } = await createSeries({ title: 'Geology Walks', maxCapacity: 1 });
+      const [first, second] = series.events;
+      const marie = { name: 'Marie Tharp', email: 'marie@example.com', senecaId: 'MT0001', program: 'Geology', year: 3 };
+      const bruce = { name: 'Bruce Heezen', email: 'bruce@example.com', senecaId: 'BH0001', program: 'Geology', year: 3 };
+      await ctx.verifiedAttendee(marie);
+      await ctx.verifiedAttendee(bruce);
+      await ctx.request.post(`/api/events/${first.id}/register`).send(marie);
+      await ctx.request.post(`/api/events/${second.id}/register`).send(marie);
+      const waiting = await ctx.request.post(`/api/events/${first.id}/register`).send(bruce);
+      assert.equal(waiting.body.registration.status, 'WAITLISTED');
+
+      const sentBefore = ctx.mailer.sent.length;
+      const res = await ctx.request.patch(`/api/event-series/${series.id}/cancel`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.cancelledRegistrations, 3);
+
+      const registrations = await ctx.store.eventRegistrations.findMany({ where: { eventId: { in: [first.id, second.id] } } });
+      assert.ok(registrations.every(registration => registration.status === 'CANCELLED' && registration.waitlistPosition === null));
+      assert.equal((await ctx.store.events.findById(first.id)).currentCapacity, 0);
+
+      const sent = ctx.mailer.sent.slice(sentBefore);
+      assert.deepEqual(sent.map(message => message.to).sort(), ['bruce@example.com', 'marie@example.com']);
+      const toMarie = sent.find(message => message.to === 'marie@example.com');
+      assert.match(toMarie.subject, /Geology Walks has been cancelled/);
+
+      const again = await ctx.request.post(`/api/events/${first.id}/register`).send(marie);
+      assert.equal(again.status, 400);
+      assert.equal(again.body.error, 'This event has been cancelled');
+      assert.equal(toMarie.text.match(/^- September \d+, 2025$/gm).length, 2);
+    });
+  });
+
+  describe('occurrenceDates', () => {
+    it('steps monthly by interval, skipping months without the start day', () => {
+      const dates = occurrenceDates({ startDate: '2025-01-31', frequency: 'MONTHLY', interval: 1, until: '2025-07-31' });
+      assert.deepEqual(dates.map(dayOf), ['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31']);
+
+      const everyOther = occurrenceDates({ startDate: '2025-09-15', frequency: 'MONTHLY', interval: 2, count: 3 });
+      assert.deepEqual(everyOther.map(dayOf), ['2025-09-15', '2025-11-15', '2026-01-15']);
+    });
+
+    it('counts exception dates towards count and returns null past the limit', () => {
+      const dates = occurrenceDates({ startDate: '2025-09-01', frequency: 'WEEKLY', interval: 2, count: 3, exceptionDates: ['2025-09-15'] });
+      assert.deepEqual(dates.map(dayOf), ['2025-09-01', '2025-09-29']);
+
+      assert.equal(occurrenceDates({ startDate: '2025-09-01', frequency: 'WEEKLY', count: 5 }, { limit: 4 }), null);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const newEvent = {
+  title: 'DNA Extraction Workshop',
+  description: 'Extract DNA from strawberries with household items.',
+  date: '2025-10-01T18:00:00.000Z',
+  startTime: '18:00',
+  endTime: '20:00',
+  location: 'Newnham Campus',
+  category: 'WORKSHOP'
+};
+
+const attendee = {
+  name: 'Grace Hopper',
+  email: 'grace@example.com',
+  senecaId: 'GH0001',
+  program: 'Computer Programming',
+  year: 2
+};
+
+describe('/api/events', () => {
+  let ctx, admin, member;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    member = await ctx.login('MEMBER');
+  });
+
+  after(() => ctx.cleanup());
+
+  describe('POST /', () => {
+    it('requires a token', async () => {
+      const res = await ctx.request.post('/api/events').send(newEvent);
+      assert.equal(res.status, 401);
+    });
+
+    it('is admin only', async () => {
+      const res = await ctx.request.post('/api/events').set(member.headers).send(newEvent);
+      assert.equal(res.status, 403);
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.post('/api/events').set(admin.headers)
+        .send({ ...newEvent, category: 'PARTY', date: 'tomorrow' });
+      assert.equal(res.status, 400);
+      const fields = res.body.errors.map(error => error.path);
+      assert.deepEqual(fields.sort(), ['category', 'date']);
+    });
+
+    it('creates an event', async () => {
+      const res = await ctx.request.post('/api/events').set(admin.headers).send(newEvent);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.title, newEvent.title);
+      assert.equal(res.body.status, 'UPCOMING');
+      assert.equal(res.body.currentCapacity, 0);
+    });
+
+    it('ignores capacity counts and series links in the body', async () => {
+      const res = await ctx.request.post('/api/events').set(admin.headers)
+        .send({ ...newEvent, currentCapacity: 7, seriesId: 'some-series', id: 'chosen-id' });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.currentCapacity, 0);
+      assert.equal(res.body.seriesId, null);
+      assert.notEqual(res.body.id, 'chosen-id');
+      await ctx.store.events.delete(res.body.id);
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists events with pagination and filters', async () => {
+      await ctx.store.events.create({ ...newEvent, title: 'Trivia Night', category: 'SOCIAL', date: new Date('2025-09-20') });
+
+      const all = await ctx.request.get('/api/events?limit=1');
+      assert.equal(all.status, 200);
+      assert.equal(all.body.events.length, 1);
+      assert.equal(all.body.events[0].title, 'Trivia Night');
+      assert.deepEqual(all.body.pagination, { current: 1, total: 2, hasNext: true, hasPrev: false });
+
+      const social = await ctx.request.get('/api/events?category=SOCIAL');
+      assert.deepEqual(social.body.events.map(event => event.title), ['Trivia Night']);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns the event with registrations and gallery items', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.get(`/api/events/${event.id}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.registrations, []);
+      assert.deepEqual(res.body.galleryItems, []);
+    });
+
+    it('returns 404 for an unknown event', async () => {
+      const res = await ctx.request.get('/api/events/missing');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('updates an event as admin', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.put(`/api/events/${event.id}`).set(admin.headers).send({ title: 'Renamed Workshop' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.title, 'Renamed Workshop');
+    });
+
+    it('is admin only', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.put(`/api/events/${event.id}`).set(member.headers).send({ title: 'Renamed Workshop' });
+      assert.equal(res.status, 403);
+    });
+
+    it('validates the body', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.put(`/api/events/${event.id}`).set(admin.headers).send({ title: 'ab' });
+      assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown event', async () => {
+      const res = await ctx.request.put('/api/events/missing').set(admin.headers).send({ title: 'Renamed Workshop' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('deletes an event as admin', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.delete(`/api/events/${event.id}`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.store.events.findById(event.id), null);
+    });
+
+    it('is admin only', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.delete(`/api/events/${event.id}`).set(member.headers);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown event', async () => {
+      const res = await ctx.request.delete('/api/events/missing').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /:id/register', () => {
+    it('registers a new attendee and counts the seat', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.post(`/api/events/${event.id}/register`).send(attendee);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.registration.eventId, event.id);
+
+      const user = await ctx.store.users.findByEmail('grace@example.com');
+      assert.equal(user.firstName, 'Grace');
+      assert.equal(user.lastName, 'Hopper');
+      assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 1);
+    });
+
+    it('rejects a second registration by the same person', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      await ctx.request.post(`/api/events/${event.id}/register`).send(attendee);
+      const res = await ctx.request.post(`/api/events/${event.id}/register`).send(attendee);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Already registered for this event');
+    });
+
+    it('waitlists registrations once the event is full', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: 1, currentCapacity: 1 });
+      const late = { ...attendee, email: 'late@example.com', senecaId: 'LATE01' };
+      await ctx.verifiedAttendee(late);
+      const res = await ctx.request.post(`/api/events/${event.id}/register`).send(late);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.registration.status, 'WAITLISTED');
+      assert.equal(res.body.waitlistPosition, 1);
+      assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 1);
+    });
+
+    it('keeps guests out of capped events until they claim their account', async () => {
+      const capped = await ctx.store.events.create({ ...newEvent, maxCapacity: 10 });
+      const details = { ...attendee, email: 'new.guest@example.com', senecaId: 'NG0001' };
+
+      const refused = await ctx.request.post(`/api/events/${capped.id}/register`).send(details);
+      assert.equal(refused.status, 403);
+      assert.equal((await ctx.store.events.findById(capped.id)).currentCapacity, 0);
+      assert.equal(await ctx.store.eventRegistrations.count({ eventId: capped.id }), 0);
+
+      const message = ctx.mailer.sent.at(-1);
+      assert.equal(message.to, 'new.guest@example.com');
+      assert.match(message.text, /limited places/);
+      assert.match(message.text, /claim-account\?token=/);
+    });
+
+    it('keeps unverified accounts out of capped events only', async () => {
+      const { user } = await ctx.login('MEMBER', { isVerified: false });
+      const details = { ...attendee, email: user.email, senecaId: user.senecaId };
+
+      const capped = await ctx.store.events.create({ ...newEvent, maxCapacity: 10 });
+      const refused = await ctx.request.post(`/api/events/${capped.id}/register`).send(details);
+      assert.equal(refused.status, 403);
+      assert.equal((await ctx.store.events.findById(capped.id)).currentCapacity, 0);
+
+      const open = await ctx.store.events.create(newEvent);
+      const accepted = await ctx.request.post(`/api/events/${open.id}/register`).send(details);
+      assert.equal(accepted.status, 201);
+    });
+
+    it('refuses cancelled events and events that have started', async () => {
+      const cancelled = await ctx.store.events.create({ ...newEvent, status: 'CANCELLED' });
+      const past = await ctx.store.events.create({ ...newEvent, date: '2025-08-15T18:00:00.000Z' });
+      const ongoing = await ctx.store.events.create({ ...newEvent, status: 'ONGOING' });
+      const details = { ...attendee, email: 'too.late@example.com', senecaId: 'TL0001' };
+
+      const refused = await ctx.request.post(`/api/events/${cancelled.id}/register`).send(details);
+      assert.equal(refused.status, 400);
+      assert.equal(refused.body.error, 'This event has been cancelled');
+      for (const event of [past, ongoing]) {
+        const res = await ctx.request.post(`/api/events/${event.id}/register`).send(details);
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /already started/);
+      }
+      assert.equal(await ctx.store.eventRegistrations.count({ eventId: { in: [cancelled.id, past.id, ongoing.id] } }), 0);
+      assert.equal(await ctx.store.users.findByEmail('too.late@example.com'), null);
+    });
+
+    it('validates the body', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.post(`/api/events/${event.id}/register`).send({ ...attendee, email: 'nope' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'email');
+    });
+
+    it('returns 404 for an unknown event', async () => {
+      const res = await ctx.request.post('/api/events/missing/register').send(attendee);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /:id/registrations', () => {
+    it('lists registrations with attendee details for admins', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      await ctx.store.eventRegistrations.create({ userId: member.user.id, eventId: event.id });
+
+      const res = await ctx.request.get(`/api/events/${event.id}/registrations`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].user.email, member.user.email);
+    });
+
+    it('is admin only', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const res = await ctx.request.get(`/api/events/${event.id}/registrations`).set(member.headers);
+      assert.equal(res.status, 403);
+    });
+  });
+});
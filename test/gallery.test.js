@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const image = { filename: 'photo.jpg', contentType: 'image/jpeg' };
+
+describe('/api/gallery', () => {
+  let ctx, admin, member;
+
+  const createItem = (overrides = {}) => ctx.store.galleryItems.create({
+    title: 'Lab day highlights',
+    imageUrl: 'https://media.test/seneca-science-club/gallery/existing.jpg',
+    category: 'WORKSHOPS',
+    tags: ['lab'],
+    ...overrides
+  });
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    member = await ctx.login('MEMBER');
+  });
+
+  after(() => ctx.cleanup());
+
+  describe('POST /', () => {
+    it('requires a token', async () => {
+      const res = await ctx.request.post('/api/gallery')
+        .field('title', 'Fair photos')
+        .field('category', 'EVENTS')
+        .attach('media', Buffer.from('jpeg'), image);
+      assert.equal(res.status, 401);
+    });
+
+    it('uploads an image to media storage', async () => {
+      const res = await ctx.request.post('/api/gallery').set(member.headers)
+        .field('title', 'Fair photos')
+        .field('category', 'EVENTS')
+        .attach('media', Buffer.from('jpeg'), image);
+      assert.equal(res.status, 201);
+      assert.match(res.body.imageUrl, /^https:\/\/media\.test\/seneca-science-club\/gallery\//);
+      assert.equal(res.body.videoUrl, null);
+      assert.equal(ctx.mediaStorage.uploads.at(-1).resourceType, 'image');
+    });
+
+    it('uploads a video as a video resource', async () => {
+      const res = await ctx.request.post('/api/gallery').set(member.headers)
+        .field('title', 'Fair video')
+        .field('category', 'EVENTS')
+        .attach('media', Buffer.from('mp4'), { filename: 'clip.mp4', contentType: 'video/mp4' });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.imageUrl, null);
+      assert.match(res.body.videoUrl, /\.mp4$/);
+      assert.equal(ctx.mediaStorage.uploads.at(-1).resourceType, 'video');
+    });
+
+    it('requires a media file', async () => {
+      const res = await ctx.request.post('/api/gallery').set(member.headers)
+        .send({ title: 'Fair photos', category: 'EVENTS' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Media file is required');
+    });
+
+    it('validates the fields', async () => {
+      const res = await ctx.request.post('/api/gallery').set(member.headers)
+        .field('title', 'Fair photos')
+        .field('category', 'SELFIES')
+        .attach('media', Buffer.from('jpeg'), image);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'category');
+    });
+
+    it('reports a failed upload without creating an item', async () => {
+      const itemsBefore = await ctx.store.galleryItems.count();
+      ctx.mediaStorage.failing = true;
+      try {
+        const res = await ctx.request.post('/api/gallery').set(member.headers)
+          .field('title', 'Fair photos')
+          .field('category', 'EVENTS')
+          .attach('media', Buffer.from('jpeg'), image);
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, 'Failed to upload media');
+      } finally {
+        ctx.mediaStorage.failing = false;
+      }
+      assert.equal(await ctx.store.galleryItems.count(), itemsBefore);
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists items with pagination and filters', async () => {
+      await createItem({ category: 'COMPETITIONS', title: 'Robotics finals' });
+      const res = await ctx.request.get('/api/gallery?category=COMPETITIONS');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.items.map(item => item.title), ['Robotics finals']);
+      assert.equal(res.body.pagination.current, 1);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns an item with its event', async () => {
+      const event = await ctx.store.events.create({
+        title: 'Science Fair',
+        description: 'The annual science fair.',
+        date: new Date('2025-05-01'),
+        startTime: '10:00',
+        endTime: '16:00',
+        location: 'Newnham Campus',
+        category: 'COMPETITION'
+      });
+      const item = await createItem({ eventId: event.id });
+
+      const res = await ctx.request.get(`/api/gallery/${item.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.event.title, 'Science Fair');
+    });
+
+    it('returns 404 for an unknown item', async () => {
+      const res = await ctx.request.get('/api/gallery/missing');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('updates an item as admin', async () => {
+      const item = await createItem();
+      const res = await ctx.request.put(`/api/gallery/${item.id}`).set(admin.headers).send({ title: 'Updated title' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.title, 'Updated title');
+    });
+
+    it('is admin only', async () => {
+      const item = await createItem();
+      const res = await ctx.request.put(`/api/gallery/${item.id}`).set(member.headers).send({ title: 'Updated title' });
+      assert.equal(res.status, 403);
+    });
+
+    it('validates the body', async () => {
+      const item = await createItem();
+      const res = await ctx.request.put(`/api/gallery/${item.id}`).set(admin.headers).send({ category: 'SELFIES' });
+      assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown item', async () => {
+      const res = await ctx.request.put('/api/gallery/missing').set(admin.headers).send({ title: 'Updated title' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('removes the item and its media', async () => {
+      const item = await createItem();
+      const res = await ctx.request.delete(`/api/gallery/${item.id}`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.store.galleryItems.findById(item.id), null);
+      assert.deepEqual(ctx.mediaStorage.destroyed.at(-1), { url: item.imageUrl, resourceType: 'image' });
+    });
+
+    it('is admin only', async () => {
+      const item = await createItem();
+      const res = await ctx.request.delete(`/api/gallery/${item.id}`).set(member.headers);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown item', async () => {
+      const res = await ctx.request.delete('/api/gallery/missing').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  it('GET /categories/all lists the categories', async () => {
+    const res = await ctx.request.get('/api/gallery/categories/all');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.includes('WORKSHOPS'));
+  });
+
+  it('GET /stats/overview counts items by category', async () => {
+    const res = await ctx.request.get('/api/gallery/stats/overview');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalItems, await ctx.store.galleryItems.count());
+    assert.ok(res.body.itemsByCategory.COMPETITIONS >= 1);
+  });
+});
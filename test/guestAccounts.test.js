@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newEvent = {
+  title: 'Telescope Night',
+  description: 'Look at Saturn from the roof.',
+  date: new Date('2025-10-01T23:00:00.000Z'),
+  startTime: '19:00',
+  endTime: '22:00',
+  location: 'Newnham Campus',
+  category: 'SOCIAL'
+};
+
+const guestDetails = (email, senecaId) => ({
+  name: 'Carl Sagan',
+  email,
+  senecaId,
+  program: 'Astronomy',
+  year: 1
+});
+
+const signUp = (email, senecaId) => ({
+  firstName: 'Carl',
+  lastName: 'Sagan',
+  email,
+  senecaId,
+  program: 'Astronomy',
+  year: 1,
+  password: 'PaleBlueDot1'
+});
+
+describe('guest accounts', () => {
+  let ctx, event;
+
+  before(async () => {
+    ctx = await createTestContext();
+    event = await ctx.store.events.create(newEvent);
+  });
+
+  after(() => ctx.cleanup());
+
+  const registerAsGuest = (email, senecaId) => ctx.request.post(`/api/events/${event.id}/register`).send(guestDetails(email, senecaId));
+
+  // Token from the latest claim link emailed to the address
+  function claimTokenFor(email) {
+    const message = ctx.mailer.sent.filter(sent => sent.to === email).at(-1);
+    assert.ok(message, `no email to ${email}`);
+    const match = message.text.match(/claim-account\?token=([^\s]+)/);
+    assert.ok(match, 'no claim link in the email');
+    return decodeURIComponent(match[1]);
+  }
+
+  it('are created by event registration and emailed a claim link', async () => {
+    const res = await registerAsGuest('carl@example.com', 'CS0001');
+    assert.equal(res.status, 201);
+
+    const guest = await ctx.store.users.findByEmail('carl@example.com');
+    assert.equal(guest.isGuest, true);
+    assert.equal(guest.isVerified, false);
+    assert.ok(!guest.password.startsWith('temp-password-'));
+
+    const message = ctx.mailer.sent.at(-1);
+    assert.equal(message.to, 'carl@example.com');
+    assert.match(message.text, /Telescope Night/);
+    assert.ok(claimTokenFor('carl@example.com'));
+  });
+
+  it('are claimed with the link, keeping their registrations', async () => {
+    await registerAsGuest('ann@example.com', 'AD0001');
+    const token = claimTokenFor('ann@example.com');
+
+    const short = await ctx.request.post('/api/auth/claim').send({ token, password: '123' });
+    assert.equal(short.status, 400);
+
+    const res = await ctx.request.post('/api/auth/claim').send({ token, password: 'Comets4ever' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.isVerified, true);
+    assert.ok(res.body.token && res.body.refreshToken);
+
+    const profile = await ctx.request.get('/api/members/profile').set('Authorization', `Bearer ${res.body.token}`);
+    assert.equal(profile.body.isGuest, false);
+    assert.deepEqual(profile.body.eventRegistrations.map(registration => registration.eventId), [event.id]);
+
+    const login = await ctx.request.post('/api/auth/login').send({ email: 'ann@example.com', password: 'Comets4ever' });
+    assert.equal(login.status, 200);
+
+    const reused = await ctx.request.post('/api/auth/claim').send({ token, password: 'Another1' });
+    assert.equal(reused.status, 400);
+  });
+
+  it('start the claim flow when someone signs up with the email', async () => {
+    await registerAsGuest('vera@example.com', 'VR0001');
+    const guest = await ctx.store.users.findByEmail('vera@example.com');
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 2 * 60 * 1000));
+
+    const res = await ctx.request.post('/api/auth/register').send(signUp('vera@example.com', 'VR0001'));
+    assert.equal(res.status, 202);
+    assert.equal(res.body.claimRequired, true);
+    assert.equal(res.body.token, undefined);
+
+    // The sign-up does not set the password; the link does
+    assert.equal((await ctx.store.users.findById(guest.id)).password, guest.password);
+    assert.equal(await ctx.store.users.count({ email: 'vera@example.com' }), 1);
+    const token = claimTokenFor('vera@example.com');
+    assert.equal((await ctx.request.post('/api/auth/claim').send({ token, password: 'Galaxies1' })).status, 200);
+
+    // A claimed account is an ordinary one again
+    const again = await ctx.request.post('/api/auth/register').send(signUp('vera@example.com', 'VR0001'));
+    assert.equal(again.status, 400);
+  });
+
+  it('send a claim link instead of a reset link on forgotten passwords', async () => {
+    await registerAsGuest('edwin@example.com', 'EH0001');
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 2 * 60 * 1000));
+
+    const res = await ctx.request.post('/api/auth/forgot-password').send({ email: 'edwin@example.com' });
+    assert.equal(res.status, 200);
+    const message = ctx.mailer.sent.at(-1);
+    assert.equal(message.to, 'edwin@example.com');
+    assert.match(message.subject, /Claim your/);
+  });
+
+  it('do not get another email within a minute', async () => {
+    await registerAsGuest('mae@example.com', 'MJ0001');
+    const sent = ctx.mailer.sent.length;
+
+    const res = await ctx.request.post('/api/auth/register').send(signUp('mae@example.com', 'MJ0001'));
+    assert.equal(res.status, 202);
+    assert.equal(ctx.mailer.sent.length, sent);
+  });
+
+  it('must claim their account before registering for capped events', async () => {
+    await registerAsGuest('henrietta@example.com', 'HL0001');
+    const capped = await ctx.store.events.create({ ...newEvent, title: 'Star Party', maxCapacity: 30 });
+    const details = guestDetails('henrietta@example.com', 'HL0001');
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 2 * 60 * 1000));
+
+    const refused = await ctx.request.post(`/api/events/${capped.id}/register`).send(details);
+    assert.equal(refused.status, 403);
+    assert.match(ctx.mailer.sent.at(-1).text, /Star Party has limited places/);
+
+    const token = claimTokenFor('henrietta@example.com');
+    assert.equal((await ctx.request.post('/api/auth/claim').send({ token, password: 'Cepheids1' })).status, 200);
+    const res = await ctx.request.post(`/api/events/${capped.id}/register`).send(details);
+    assert.equal(res.status, 201);
+  });
+
+  it('refuse expired claim links', async () => {
+    await registerAsGuest('jocelyn@example.com', 'JB0001');
+    const token = claimTokenFor('jocelyn@example.com');
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 8 * DAY_MS));
+
+    const res = await ctx.request.post('/api/auth/claim').send({ token, password: 'Pulsars1' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid or expired claim link');
+  });
+
+  it('include accounts made with a temporary password before guests existed', async () => {
+    const legacy = await ctx.createUser({ email: 'old.guest@example.com' });
+    await ctx.store.users.update(legacy.id, { password: 'temp-password-abc123' });
+
+    const res = await ctx.request.post('/api/auth/register').send(signUp('old.guest@example.com', 'OG0001'));
+    assert.equal(res.status, 202);
+    assert.ok(claimTokenFor('old.guest@example.com'));
+  });
+});
@@ -0,0 +1,155 @@
+// Shared setup for the integration tests: every test context gets its own
+// JSON store in a temp directory, a fake mailer, fake media storage, a
+// logger that keeps entries in ctx.logs and a fixed clock, wired into the
+// real app through createApp(). Settings are the test defaults from
+// config/, never the developer's environment.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const supertest = require('supertest');
+
+const { createStore } = require('../repositories');
+const { createApp } = require('../app');
+const { signToken } = require('../middleware/auth');
+const { loadConfig } = require('../config');
+const { createLogger } = require('../config/logger');
+const { createOidcClient } = require('../config/oidc');
+
+const PASSWORD = 'Password123!';
+
+// Records messages instead of sending them; set `failing` to simulate SMTP errors
+function createFakeMailer() {
+  return {
+    sent: [],
+    failing: false,
+    async sendMail(message) {
+      if (this.failing) throw new Error('SMTP unavailable');
+      this.sent.push(message);
+      return { messageId: `test-${this.sent.length}` };
+    }
+  };
+}
+
+// Hands out predictable URLs and remembers what was uploaded and destroyed
+function createFakeMediaStorage() {
+  return {
+    uploads: [],
+    destroyed: [],
+    failing: false,
+    async upload(buffer, { folder, resourceType = 'image' } = {}) {
+      if (this.failing) throw new Error('Upload failed');
+      this.uploads.push({ buffer, folder, resourceType });
+      const extension = resourceType === 'video' ? 'mp4' : 'jpg';
+      return { url: `https://media.test/${folder}/upload-${this.uploads.length}.${extension}` };
+    },
+    async destroy(url, { resourceType = 'image' } = {}) {
+      this.destroyed.push({ url, resourceType });
+    }
+  };
+}
+
+function createFixedClock(start = '2025-09-01T12:00:00.000Z') {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    set(value) {
+      current = new Date(value);
+    }
+  };
+}
+
+// Keeps log entries (parsed) instead of printing them
+function createMemoryLogger() {
+  const entries = [];
+  const logger = createLogger({ level: 'debug', stream: { write: line => entries.push(JSON.parse(line)) } });
+  return { logger, entries };
+}
+
+// `env` adds variables on top of NODE_ENV=test. With OIDC_* set, single
+// sign-on uses the real client (point it at scripts/mock-idp.js).
+async function createTestContext({ env = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssc-test-'));
+  const store = createStore({ driver: 'json', file: path.join(dir, 'store.json') });
+  const mailer = createFakeMailer();
+  const mediaStorage = createFakeMediaStorage();
+  const clock = createFixedClock();
+  const { logger, entries: logs } = createMemoryLogger();
+  const config = loadConfig({ NODE_ENV: 'test', ...env });
+  const identityProvider = config.oidc.enabled ? createOidcClient(config.oidc) : null;
+  const app = createApp({ config, store, mailer, mediaStorage, identityProvider, clock, logger, rateLimit: false });
+
+  let userCount = 0;
+
+  // Cheap hashes keep the suite fast; bcrypt.compare works with any cost
+  async function createUser(overrides = {}) {
+    userCount += 1;
+    const { password = PASSWORD, ...fields } = overrides;
+    return store.users.create({
+      email: `user${userCount}@example.com`,
+      senecaId: `S${String(userCount).padStart(6, '0')}`,
+      firstName: 'Test',
+      lastName: `User${userCount}`,
+      program: 'Biotechnology',
+      year: 2,
+      role: 'MEMBER',
+      password: await bcrypt.hash(password, 4),
+      ...fields
+    });
+  }
+
+  // A verified account for event registration details, so registering with
+  // them can take a spot in a capped event (guests must claim theirs first)
+  async function verifiedAttendee({ name, email, senecaId, program, year }) {
+    const existing = await store.users.findByEmailOrSenecaId(email, senecaId);
+    if (existing) return existing;
+    const [firstName, ...lastName] = name.split(' ');
+    return createUser({ email, senecaId, firstName, lastName: lastName.join(' '), program, year });
+  }
+
+  // Opens a session for the user, as logging in does; returns both tokens
+  async function startSession(user) {
+    const now = clock.now();
+    const expiresAt = new Date(now.getTime() + config.sessions.ttlDays * 24 * 60 * 60 * 1000);
+    const { session, refreshToken } = await store.sessions.start(user.id, { now, expiresAt });
+    return { session, token: signToken(user, session, config), refreshToken };
+  }
+
+  const tokenFor = async user => (await startSession(user)).token;
+
+  // A user of the given role plus an Authorization header for them. Admins
+  // count as enrolled in 2FA unless overrides say otherwise.
+  async function login(role = 'MEMBER', overrides = {}) {
+    const user = await createUser({ role, twoFactorEnabled: role === 'ADMIN', ...overrides });
+    return { user, headers: { Authorization: `Bearer ${await tokenFor(user)}` } };
+  }
+
+  return {
+    app,
+    config,
+    store,
+    mailer,
+    mediaStorage,
+    clock,
+    logs,
+    request: supertest(app),
+    createUser,
+    verifiedAttendee,
+    startSession,
+    tokenFor,
+    login,
+    async cleanup() {
+      await store.disconnect();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  PASSWORD,
+  createTestContext,
+  createFakeMailer,
+  createFakeMediaStorage,
+  createMemoryLogger,
+  createFixedClock
+};
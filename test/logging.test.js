@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, redactUrl } = require('../config/logger');
+const { createTestContext, createMemoryLogger } = require('./helpers');
+
+describe('logging', () => {
+  describe('redact', () => {
+    it('masks sensitive fields at any depth', () => {
+      const entry = redact({
+        email: 'ada@example.com',
+        password: 'Password123!',
+        body: { currentPassword: 'old', newPassword: 'new', accessCode: 'SSC', tags: ['a'] },
+        headers: { authorization: 'Bearer abc' },
+        resetToken: 'jwt'
+      });
+      assert.deepEqual(entry, {
+        email: 'ada@example.com',
+        password: '[REDACTED]',
+        body: { currentPassword: '[REDACTED]', newPassword: '[REDACTED]', accessCode: '[REDACTED]', tags: ['a'] },
+        headers: { authorization: '[REDACTED]' },
+        resetToken: '[REDACTED]'
+      });
+    });
+
+    it('serializes errors with their stack', () => {
+      const { err } = redact({ err: new TypeError('boom') });
+      assert.equal(err.name, 'TypeError');
+      assert.equal(err.message, 'boom');
+      assert.match(err.stack, /boom/);
+    });
+
+    it('masks sensitive query parameters', () => {
+      assert.equal(redactUrl('/api/auth/verify?token=abc&next=home'), '/api/auth/verify?token=[REDACTED]&next=home');
+      assert.equal(redactUrl('/api/events?page=2'), '/api/events?page=2');
+    });
+
+    it('masks calendar feed tokens in the path', () => {
+      assert.equal(redactUrl('/api/events/calendar/abc.def.ghi.ics'), '/api/events/calendar/[REDACTED].ics');
+      assert.equal(redactUrl('/api/events/calendar.ics?category=SOCIAL'), '/api/events/calendar.ics?category=SOCIAL');
+    });
+  });
+
+  describe('logger', () => {
+    it('writes one JSON entry per call with child bindings', () => {
+      const { logger, entries } = createMemoryLogger();
+      logger.child({ requestId: 'abc' }).warn('Careful', { token: 't' });
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].level, 'warn');
+      assert.equal(entries[0].msg, 'Careful');
+      assert.equal(entries[0].requestId, 'abc');
+      assert.equal(entries[0].token, '[REDACTED]');
+      assert.ok(entries[0].time);
+    });
+  });
+
+  describe('requests', () => {
+    let ctx;
+
+    before(async () => {
+      ctx = await createTestContext();
+    });
+
+    after(() => ctx.cleanup());
+
+    it('get a request ID header and a log entry', async () => {
+      const res = await ctx.request.get('/api/health');
+      const id = res.headers['x-request-id'];
+      assert.match(id, /^[0-9a-f-]{36}$/);
+
+      const entry = ctx.logs.find(log => log.requestId === id && log.msg === 'Request completed');
+      assert.equal(entry.status, 200);
+      assert.equal(entry.url, '/api/health');
+    });
+
+    it('keep a well-formed incoming request ID', async () => {
+      const res = await ctx.request.get('/api/health').set('X-Request-Id', 'edge-1234');
+      assert.equal(res.headers['x-request-id'], 'edge-1234');
+
+      const bad = await ctx.request.get('/api/health').set('X-Request-Id', 'has spaces; and "quotes"');
+      assert.notEqual(bad.headers['x-request-id'], 'has spaces; and "quotes"');
+    });
+
+    it('do not log credentials', async () => {
+      await ctx.request.post('/api/auth/login').send({ email: 'nobody@example.com', password: 'SuperSecret!' });
+      assert.ok(!JSON.stringify(ctx.logs).includes('SuperSecret!'));
+    });
+
+    it('do not log personal calendar feed tokens', async () => {
+      const member = await ctx.login('MEMBER');
+      const { body: links } = await ctx.request.get('/api/members/profile/calendar').set(member.headers);
+      const path = new URL(links.url).pathname;
+      const token = path.match(/\/calendar\/(.+)\.ics$/)[1];
+
+      const res = await ctx.request.get(path);
+      assert.equal(res.status, 200);
+      assert.ok(!JSON.stringify(ctx.logs).includes(token));
+      assert.ok(ctx.logs.some(log => log.url === '/api/events/calendar/[REDACTED].ics'));
+    });
+
+    it('correlate route failures with the logged error', async () => {
+      const original = ctx.store.events.findMany;
+      ctx.store.events.findMany = async () => { throw new Error('disk on fire'); };
+      try {
+        const res = await ctx.request.get('/api/events');
+        assert.equal(res.status, 500);
+        assert.equal(res.body.requestId, res.headers['x-request-id']);
+
+        const entry = ctx.logs.find(log => log.requestId === res.body.requestId && log.level === 'error');
+        assert.equal(entry.msg, 'Error fetching events');
+        assert.equal(entry.err.message, 'disk on fire');
+      } finally {
+        ctx.store.events.findMany = original;
+      }
+    });
+
+    it('include the request ID in errors from the error handler', async () => {
+      const res = await ctx.request.post('/api/contact').set('Content-Type', 'application/json').send('{"name":');
+      assert.equal(res.status, 500);
+      assert.equal(res.body.requestId, res.headers['x-request-id']);
+      assert.ok(ctx.logs.some(log => log.requestId === res.body.requestId && log.msg === 'Unhandled error'));
+    });
+  });
+});
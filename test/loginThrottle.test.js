@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, PASSWORD } = require('./helpers');
+
+describe('login throttling', () => {
+  let ctx;
+
+  // Failures are counted per IP too, so every test starts from a clean store
+  beforeEach(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  const login = (email, password = 'wrong-password') => ctx.request.post('/api/auth/login').send({ email, password });
+  const later = seconds => ctx.clock.set(new Date(ctx.clock.now().getTime() + seconds * 1000));
+
+  // Fails `count` times, waiting out any delay in between
+  async function fail(email, count) {
+    for (let i = 0; i < count; i += 1) {
+      const res = await login(email);
+      assert.equal(res.status, 401, `attempt ${i + 1}`);
+      later(60);
+    }
+  }
+
+  it('delays attempts after a few failures', async () => {
+    await ctx.createUser({ email: 'guessed@example.com' });
+    for (let i = 0; i < 4; i += 1) {
+      assert.equal((await login('guessed@example.com')).status, 401);
+    }
+
+    const throttled = await login('guessed@example.com', PASSWORD);
+    assert.equal(throttled.status, 429);
+    assert.equal(throttled.headers['retry-after'], '1');
+    assert.equal(throttled.body.retryAfter, 1);
+
+    later(1);
+    assert.equal((await login('guessed@example.com', PASSWORD)).status, 200);
+    // Success clears the account's failures
+    assert.equal((await login('guessed@example.com')).status, 401);
+  });
+
+  it('counts parallel failures and locks once', async () => {
+    await ctx.createUser({ email: 'rushed@example.com' });
+
+    const results = await Promise.all(Array.from({ length: 30 }, () => login('rushed@example.com')));
+    assert.ok(results.every(res => res.status === 401 || res.status === 429), results.map(res => res.status).join(','));
+
+    const events = await ctx.store.securityEvents.findMany({ where: { type: 'ACCOUNT_LOCKED' } });
+    assert.equal(events.length, Math.floor(results.filter(res => res.status === 401).length / 10));
+    assert.ok(events.length >= 1);
+    assert.equal((await login('rushed@example.com', PASSWORD)).status, 429);
+  });
+
+  it('locks the account after repeated failures and records it', async () => {
+    const user = await ctx.createUser({ email: 'locked@example.com' });
+    await fail('locked@example.com', 10);
+
+    const locked = await login('locked@example.com', PASSWORD);
+    assert.equal(locked.status, 429);
+    assert.ok(locked.body.retryAfter > 13 * 60);
+
+    const [event] = await ctx.store.securityEvents.findMany({ where: { type: 'ACCOUNT_LOCKED' } });
+    assert.equal(event.userId, user.id);
+    assert.equal(event.email, 'locked@example.com');
+    assert.ok(ctx.logs.some(entry => entry.msg === 'Login locked after repeated failures'));
+
+    later(15 * 60);
+    assert.equal((await login('locked@example.com', PASSWORD)).status, 200);
+  });
+
+  it('treats unknown emails like real ones', async () => {
+    await ctx.createUser({ email: 'real@example.com' });
+    for (const email of ['real@example.com', 'ghost@example.com']) {
+      for (let i = 0; i < 4; i += 1) await login(email);
+    }
+    const real = await login('real@example.com');
+    const ghost = await login('ghost@example.com');
+    assert.equal(real.status, 429);
+    assert.deepEqual(ghost.body, real.body);
+  });
+
+  it('locks an address that tries many accounts', async () => {
+    await ctx.createUser({ email: 'bystander@example.com' });
+    for (let i = 0; i < 50; i += 1) {
+      await login(`target${i}@example.com`);
+      later(5 * 60);
+    }
+
+    const res = await login('bystander@example.com', PASSWORD);
+    assert.equal(res.status, 429);
+    assert.equal(await ctx.store.securityEvents.count({ type: 'IP_LOCKED' }), 1);
+  });
+
+  describe('admin', () => {
+    it('unlocks an account and records who did it', async () => {
+      const admin = await ctx.login('ADMIN');
+      const user = await ctx.createUser({ email: 'unlock-me@example.com' });
+      await fail('unlock-me@example.com', 10);
+      assert.equal((await login('unlock-me@example.com', PASSWORD)).status, 429);
+
+      const res = await ctx.request.patch(`/api/members/${user.id}/unlock`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal((await login('unlock-me@example.com', PASSWORD)).status, 200);
+
+      const events = await ctx.request.get('/api/members/security-events?type=ACCOUNT_UNLOCKED').set(admin.headers);
+      assert.equal(events.status, 200);
+      assert.equal(events.body.events.length, 1);
+      assert.equal(events.body.events[0].userId, user.id);
+      assert.equal(events.body.events[0].actorId, admin.user.id);
+    });
+
+    it('lists security events newest first', async () => {
+      const admin = await ctx.login('ADMIN');
+      const user = await ctx.createUser({ email: 'twice-locked@example.com' });
+      await fail('twice-locked@example.com', 10);
+      await ctx.request.patch(`/api/members/${user.id}/unlock`).set(admin.headers);
+
+      const res = await ctx.request.get(`/api/members/security-events?userId=${user.id}`).set(admin.headers);
+      assert.deepEqual(res.body.events.map(event => event.type), ['ACCOUNT_UNLOCKED', 'ACCOUNT_LOCKED']);
+      assert.equal(res.body.pagination.current, 1);
+    });
+
+    it('returns 404 when unlocking an unknown member', async () => {
+      const admin = await ctx.login('ADMIN');
+      const res = await ctx.request.patch('/api/members/missing/unlock').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, PASSWORD } = require('./helpers');
+
+describe('/api/members', () => {
+  let ctx, admin, member;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    member = await ctx.login('MEMBER', { firstName: 'Marie', lastName: 'Curie' });
+  });
+
+  after(() => ctx.cleanup());
+
+  describe('GET /', () => {
+    it('lists members with activity counts for admins', async () => {
+      const res = await ctx.request.get('/api/members').set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.ok(res.body.members.length >= 2);
+      assert.ok(res.body.members.every(user => user.password === undefined));
+      assert.deepEqual(
+        Object.keys(res.body.members[0]._count).sort(),
+        ['blogPosts', 'eventRegistrations', 'testimonials']
+      );
+    });
+
+    it('filters by search text', async () => {
+      const res = await ctx.request.get('/api/members?search=curie').set(admin.headers);
+      assert.deepEqual(res.body.members.map(user => user.id), [member.user.id]);
+    });
+
+    it('filters by verification status', async () => {
+      const pending = await ctx.createUser({ isVerified: false });
+      const res = await ctx.request.get('/api/members?isVerified=false').set(admin.headers);
+      assert.deepEqual(res.body.members.map(user => user.id), [pending.id]);
+      const verified = await ctx.request.get('/api/members?isVerified=true').set(admin.headers);
+      assert.ok(!verified.body.members.some(user => user.id === pending.id));
+      await ctx.store.users.delete(pending.id);
+    });
+
+    it('requires a token', async () => {
+      const res = await ctx.request.get('/api/members');
+      assert.equal(res.status, 401);
+    });
+
+    it('is admin only', async () => {
+      const res = await ctx.request.get('/api/members').set(member.headers);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('/profile', () => {
+    it('returns the caller with their activity', async () => {
+      const res = await ctx.request.get('/api/members/profile').set(member.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, member.user.id);
+      assert.deepEqual(res.body.eventRegistrations, []);
+      assert.deepEqual(res.body.blogPosts, []);
+    });
+
+    it('updates the caller', async () => {
+      const res = await ctx.request.put('/api/members/profile').set(member.headers).send({ program: 'Chemistry', year: 3 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.program, 'Chemistry');
+      assert.equal(res.body.year, 3);
+    });
+
+    it('ignores fields members cannot change themselves', async () => {
+      const caller = await ctx.login('MEMBER', { isVerified: false });
+      const res = await ctx.request.put('/api/members/profile').set(caller.headers).send({
+        firstName: 'Rosalind',
+        role: 'ADMIN',
+        isVerified: true,
+        twoFactorEnabled: true,
+        password: 'plaintext-password'
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.firstName, 'Rosalind');
+
+      const stored = await ctx.store.users.findById(caller.user.id);
+      assert.equal(stored.role, 'MEMBER');
+      assert.equal(ctx.store.users.isVerified(stored), false);
+      assert.equal(stored.twoFactorEnabled, false);
+      assert.notEqual(stored.password, 'plaintext-password');
+      assert.equal((await ctx.request.get('/api/members').set(caller.headers)).status, 403);
+    });
+
+    it('validates updates', async () => {
+      const res = await ctx.request.put('/api/members/profile').set(member.headers).send({ year: 9 });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'year');
+    });
+  });
+
+  describe('/:id', () => {
+    it('returns a member for admins', async () => {
+      const res = await ctx.request.get(`/api/members/${member.user.id}`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.email, member.user.email);
+    });
+
+    it('returns 404 for an unknown member', async () => {
+      const res = await ctx.request.get('/api/members/missing').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+
+    it('lets admins change roles', async () => {
+      const target = await ctx.createUser();
+      const res = await ctx.request.put(`/api/members/${target.id}`).set(admin.headers).send({ role: 'MODERATOR' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.role, 'MODERATOR');
+    });
+
+    it('lets admins mark an address verified', async () => {
+      const target = await ctx.createUser({ isVerified: false });
+      const res = await ctx.request.put(`/api/members/${target.id}`).set(admin.headers).send({ isVerified: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.isVerified, true);
+      assert.equal(res.body.emailVerifiedAt, ctx.clock.now().toISOString());
+    });
+
+    it('rejects unknown roles', async () => {
+      const res = await ctx.request.put(`/api/members/${member.user.id}`).set(admin.headers).send({ role: 'OWNER' });
+      assert.equal(res.status, 400);
+    });
+
+    it('does not let members edit others', async () => {
+      const res = await ctx.request.put(`/api/members/${admin.user.id}`).set(member.headers).send({ role: 'MEMBER' });
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 when updating an unknown member', async () => {
+      const res = await ctx.request.put('/api/members/missing').set(admin.headers).send({ year: 2 });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /change-password', () => {
+    it('rejects a wrong current password', async () => {
+      const res = await ctx.request.patch('/api/members/change-password').set(member.headers)
+        .send({ currentPassword: 'wrong', newPassword: 'another-password' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Current password is incorrect');
+    });
+
+    it('changes the password', async () => {
+      const { user, headers } = await ctx.login();
+      const res = await ctx.request.patch('/api/members/change-password').set(headers)
+        .send({ currentPassword: PASSWORD, newPassword: 'another-password' });
+      assert.equal(res.status, 200);
+
+      const login = await ctx.request.post('/api/auth/login').send({ email: user.email, password: 'another-password' });
+      assert.equal(login.status, 200);
+    });
+
+    it('validates the new password', async () => {
+      const res = await ctx.request.patch('/api/members/change-password').set(member.headers)
+        .send({ currentPassword: PASSWORD, newPassword: '123' });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('deactivation', () => {
+    it('lets members deactivate themselves and admins reactivate them', async () => {
+      const { user, headers } = await ctx.login();
+
+      const deactivated = await ctx.request.patch('/api/members/deactivate').set(headers);
+      assert.equal(deactivated.status, 200);
+      assert.equal((await ctx.request.get('/api/members/profile').set(headers)).status, 401);
+
+      const reactivated = await ctx.request.patch(`/api/members/${user.id}/reactivate`).set(admin.headers);
+      assert.equal(reactivated.status, 200);
+      assert.equal(reactivated.body.member.isActive, true);
+      assert.equal(reactivated.body.member.password, undefined);
+    });
+
+    it('only admins can reactivate', async () => {
+      const res = await ctx.request.patch(`/api/members/${member.user.id}/reactivate`).set(member.headers);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 when reactivating an unknown member', async () => {
+      const res = await ctx.request.patch('/api/members/missing/reactivate').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /:id/sessions', () => {
+    it('signs a member out everywhere', async () => {
+      const target = await ctx.login();
+      const { refreshToken } = await ctx.startSession(target.user);
+
+      const res = await ctx.request.delete(`/api/members/${target.user.id}/sessions`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 2);
+      assert.equal((await ctx.request.get('/api/members/profile').set(target.headers)).status, 401);
+      assert.equal((await ctx.request.post('/api/auth/refresh').send({ refreshToken })).status, 401);
+    });
+
+    it('ends sessions when an admin deactivates a member', async () => {
+      const target = await ctx.login();
+      await ctx.request.put(`/api/members/${target.user.id}`).set(admin.headers).send({ isActive: false });
+      const [session] = await ctx.store.sessions.findMany({ where: { userId: target.user.id } });
+      assert.equal(session.revokedReason, 'DEACTIVATED');
+    });
+
+    it('returns 404 for an unknown member', async () => {
+      const res = await ctx.request.delete('/api/members/missing/sessions').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /stats/overview', () => {
+    it('counts members by role for admins', async () => {
+      const res = await ctx.request.get('/api/members/stats/overview').set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalMembers, await ctx.store.users.count());
+      assert.equal(res.body.membersByRole.ADMIN, 1);
+    });
+
+    it('is admin only', async () => {
+      const res = await ctx.request.get('/api/members/stats/overview').set(member.headers);
+      assert.equal(res.status, 403);
+    });
+  });
+});
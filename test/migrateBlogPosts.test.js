@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+const { migrateBlogPosts } = require('../scripts/migrate-blog-posts');
+
+const legacyPost = (id, author, overrides = {}) => ({
+  id,
+  title: `Lab notebook entry ${id}`,
+  content: 'What we measured this week, and what surprised us about it.',
+  excerpt: 'What we measured this week.',
+  tags: ['research'],
+  author,
+  isPublished: true,
+  publishedAt: '2024-02-01T09:00:00.000Z',
+  createdAt: '2024-02-01T09:00:00.000Z',
+  updatedAt: '2024-02-03T15:30:00.000Z',
+  version: 3,
+  ...overrides
+});
+
+describe('migrateBlogPosts', () => {
+  let ctx, byName, byEmail, posts;
+
+  before(async () => {
+    ctx = await createTestContext();
+    byName = await ctx.createUser({ firstName: 'Barbara', lastName: 'McClintock' });
+    byEmail = await ctx.createUser({ firstName: 'Dorothy', lastName: 'Hodgkin', email: 'dorothy@example.com' });
+    posts = [
+      legacyPost('legacy-1', { firstName: 'Barbara', lastName: 'McClintock', program: 'Biotechnology' }),
+      legacyPost('legacy-2', { firstName: 'D.', lastName: 'Hodgkin', email: 'dorothy@example.com' }),
+      legacyPost('legacy-3', 'Gertrude Elion', { isPublished: false, publishedAt: null, version: undefined })
+    ];
+  });
+
+  after(() => ctx.cleanup());
+
+  it('imports posts with their ids, timestamps and versions', async () => {
+    const summary = await migrateBlogPosts(ctx.store, posts);
+    assert.deepEqual(summary, { imported: 3, skipped: 0, failed: [], authorsCreated: 1 });
+
+    const first = await ctx.store.blogPosts.findById('legacy-1');
+    assert.equal(new Date(first.createdAt).toISOString(), '2024-02-01T09:00:00.000Z');
+    assert.equal(new Date(first.updatedAt).toISOString(), '2024-02-03T15:30:00.000Z');
+    assert.equal(new Date(first.publishedAt).toISOString(), '2024-02-01T09:00:00.000Z');
+    assert.equal(first.version, 3);
+
+    const draft = await ctx.store.blogPosts.findById('legacy-3');
+    assert.equal(draft.isPublished, false);
+    assert.equal(draft.version, 1);
+  });
+
+  it('matches authors to existing users by email, then by name', async () => {
+    assert.equal((await ctx.store.blogPosts.findById('legacy-1')).authorId, byName.id);
+    assert.equal((await ctx.store.blogPosts.findById('legacy-2')).authorId, byEmail.id);
+
+    const placeholder = await ctx.store.users.findById((await ctx.store.blogPosts.findById('legacy-3')).authorId);
+    assert.equal(placeholder.firstName, 'Gertrude');
+    assert.match(placeholder.email, /@blog-authors\.invalid$/);
+  });
+
+  it('skips posts already imported when run again', async () => {
+    const users = await ctx.store.users.count();
+
+    const summary = await migrateBlogPosts(ctx.store, posts);
+    assert.deepEqual(summary, { imported: 0, skipped: 3, failed: [], authorsCreated: 0 });
+    assert.equal(await ctx.store.blogPosts.count(), 3);
+    assert.equal(await ctx.store.users.count(), users);
+  });
+});
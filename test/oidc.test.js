@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+const { createMockIdentityProvider } = require('../scripts/mock-idp');
+
+const REDIRECT_URI = 'http://localhost:3001/api/auth/oidc/callback';
+
+const identity = (sub, email, extra = {}) => ({
+  sub,
+  email,
+  email_verified: true,
+  given_name: 'Grace',
+  family_name: 'Hopper',
+  ...extra
+});
+
+describe('single sign-on', () => {
+  let idp, server, ctx;
+
+  before(async () => {
+    idp = createMockIdentityProvider();
+    server = await idp.listen();
+    ctx = await createContext();
+  });
+
+  after(async () => {
+    await ctx.cleanup();
+    await server.close();
+  });
+
+  function createContext(env = {}) {
+    return createTestContext({
+      env: { OIDC_ISSUER: server.url, OIDC_CLIENT_ID: 'ssc-backend', OIDC_REDIRECT_URI: REDIRECT_URI, ...env }
+    });
+  }
+
+  // Starts a login, lets the provider answer and returns the callback request
+  async function startLogin(context, claims) {
+    idp.signInAs(claims);
+    const start = await context.request.get('/api/auth/oidc/login');
+    assert.equal(start.status, 302);
+    const cookie = start.headers['set-cookie'][0].split(';')[0];
+
+    const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+    assert.equal(`${callback.origin}${callback.pathname}`, REDIRECT_URI);
+    return { path: `/api/auth/oidc/callback${callback.search}`, cookie };
+  }
+
+  // Where the callback sends the browser, and the fragment's parameters
+  async function finish(context, { path, cookie }) {
+    const res = await context.request.get(path).set('Cookie', cookie);
+    assert.equal(res.status, 302);
+    const target = new URL(res.headers.location);
+    return { target, result: Object.fromEntries(new URLSearchParams(target.hash.slice(1))) };
+  }
+
+  const signIn = async (claims, context = ctx) => finish(context, await startLogin(context, claims));
+
+  it('sends the browser to the provider with PKCE', async () => {
+    const res = await ctx.request.get('/api/auth/oidc/login?loginHint=grace@example.com');
+    const url = new URL(res.headers.location);
+
+    assert.equal(url.origin, server.url);
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(url.searchParams.get('scope'), 'openid email profile');
+    assert.equal(url.searchParams.get('login_hint'), 'grace@example.com');
+    assert.match(res.headers['set-cookie'][0], /HttpOnly/);
+
+    const login = await ctx.store.oidcLogins.findOne({ state: url.searchParams.get('state') });
+    assert.ok(login);
+    assert.notEqual(url.searchParams.get('code_challenge'), login.codeVerifier);
+  });
+
+  it('creates a verified account for a new identity and signs it in', async () => {
+    const { target, result } = await signIn(identity('new-sub', 'grace@example.com'));
+
+    assert.equal(`${target.origin}${target.pathname}`, `${ctx.config.frontendUrl}/auth/callback`);
+    assert.ok(result.token && result.refreshToken);
+
+    const me = await ctx.request.get('/api/auth/me').set('Authorization', `Bearer ${result.token}`);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, 'grace@example.com');
+    assert.equal(me.body.firstName, 'Grace');
+    assert.equal(me.body.isVerified, true);
+
+    const user = await ctx.store.users.findByEmail('grace@example.com');
+    assert.equal(user.oidcSubject, 'new-sub');
+    assert.ok(ctx.logs.some(entry => entry.msg === 'Account created through single sign-on'));
+  });
+
+  it('links an existing account by email and finds it by subject afterwards', async () => {
+    const existing = await ctx.createUser({ email: 'ada@example.com', isVerified: false });
+
+    const { result } = await signIn(identity('ada-sub', 'ada@example.com'));
+    assert.ok(result.token);
+    const linked = await ctx.store.users.findById(existing.id);
+    assert.equal(linked.oidcSubject, 'ada-sub');
+    assert.equal(linked.isVerified, true);
+
+    // The provider's email can change; the subject still matches
+    const again = await signIn(identity('ada-sub', 'ada.lovelace@example.com'));
+    assert.ok(again.result.token);
+    assert.equal(await ctx.store.users.count({ oidcSubject: 'ada-sub' }), 1);
+  });
+
+  it('refuses unverified emails and emails linked to another identity', async () => {
+    const unverified = await signIn(identity('unverified-sub', 'nobody@example.com', { email_verified: false }));
+    assert.equal(unverified.result.error, 'email_not_verified');
+    assert.equal(await ctx.store.users.findByEmail('nobody@example.com'), null);
+
+    await ctx.createUser({ email: 'taken@example.com', oidcSubject: 'first-sub' });
+    const conflict = await signIn(identity('second-sub', 'taken@example.com'));
+    assert.equal(conflict.result.error, 'account_conflict');
+  });
+
+  it('asks accounts with 2FA for a code', async () => {
+    await ctx.createUser({ email: 'careful@example.com', oidcSubject: 'careful-sub', twoFactorEnabled: true });
+    const { result } = await signIn(identity('careful-sub', 'careful@example.com'));
+    assert.equal(result.token, undefined);
+    assert.ok(result.challengeToken);
+  });
+
+  it('refuses deactivated accounts', async () => {
+    await ctx.createUser({ email: 'gone@example.com', isActive: false });
+    const { result } = await signIn(identity('gone-sub', 'gone@example.com'));
+    assert.equal(result.error, 'account_deactivated');
+  });
+
+  describe('callback checks', () => {
+    it('needs the state cookie of the browser that started the login', async () => {
+      const { path } = await startLogin(ctx, identity('csrf-sub', 'csrf@example.com'));
+      const { result } = await finish(ctx, { path, cookie: 'ssc_oidc_state=someone-else' });
+      assert.equal(result.error, 'invalid_state');
+    });
+
+    it('uses each login once', async () => {
+      const login = await startLogin(ctx, identity('replay-sub', 'replay@example.com'));
+      assert.ok((await finish(ctx, login)).result.token);
+      assert.equal((await finish(ctx, login)).result.error, 'invalid_state');
+    });
+
+    it('fails when the code verifier does not match the challenge', async () => {
+      const login = await startLogin(ctx, identity('pkce-sub', 'pkce@example.com'));
+      const state = new URL(login.path, 'http://localhost').searchParams.get('state');
+      const record = await ctx.store.oidcLogins.findOne({ state });
+      await ctx.store.oidcLogins.update(record.id, { codeVerifier: 'intercepted' });
+
+      const { result } = await finish(ctx, login);
+      assert.equal(result.error, 'sso_failed');
+      assert.equal(await ctx.store.users.findByEmail('pkce@example.com'), null);
+    });
+
+    it('expires logins that take too long', async () => {
+      const login = await startLogin(ctx, identity('slow-sub', 'slow@example.com'));
+      ctx.clock.set(new Date(ctx.clock.now().getTime() + 11 * 60 * 1000));
+      assert.equal((await finish(ctx, login)).result.error, 'invalid_state');
+    });
+
+    it('passes on a refusal from the provider', async () => {
+      const { result } = await finish(ctx, { path: '/api/auth/oidc/callback?error=access_denied&state=x', cookie: '' });
+      assert.equal(result.error, 'access_denied');
+    });
+  });
+
+  it('only lets configured email domains in', async () => {
+    const restricted = await createContext({ OIDC_ALLOWED_DOMAINS: 'myseneca.ca' });
+    try {
+      const refused = await signIn(identity('outside-sub', 'outsider@gmail.com'), restricted);
+      assert.equal(refused.result.error, 'domain_not_allowed');
+
+      const allowed = await signIn(identity('student-sub', 'student@MySeneca.ca'), restricted);
+      assert.ok(allowed.result.token);
+    } finally {
+      await restricted.cleanup();
+    }
+  });
+
+  it('answers 404 when single sign-on is not configured', async () => {
+    const plain = await createTestContext();
+    try {
+      assert.equal((await plain.request.get('/api/auth/oidc/login')).status, 404);
+      assert.equal((await plain.request.get('/api/auth/oidc/callback')).status, 404);
+    } finally {
+      await plain.cleanup();
+    }
+  });
+});
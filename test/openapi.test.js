@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const operations = require('../openapi/operations');
+const committed = require('../openapi/openapi.json');
+const { createTestContext } = require('./helpers');
+
+const REGENERATE = 'Run `npm run docs:openapi` and commit openapi/openapi.json';
+
+// Every "METHOD /path" the document describes
+function operationKeys(document) {
+  return Object.entries(document.paths).flatMap(([path, item]) =>
+    Object.keys(item).map(method => `${method.toUpperCase()} ${path}`));
+}
+
+// Every $ref in the document, e.g. "#/components/schemas/Event"
+function refs(value) {
+  if (Array.isArray(value)) return value.flatMap(refs);
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, child]) => (key === '$ref' ? [child] : refs(child)));
+}
+
+describe('OpenAPI document', () => {
+  let ctx, document;
+
+  before(async () => {
+    ctx = await createTestContext();
+    document = (await ctx.request.get('/api/openapi.json')).body;
+  });
+
+  after(() => ctx.cleanup());
+
+  it('is served at /api/openapi.json', () => {
+    assert.equal(document.openapi, '3.0.3');
+    assert.ok(Object.keys(document.paths).length > 0);
+  });
+
+  it('documents every route, and only routes that exist', () => {
+    const routes = operationKeys(document);
+    const undocumented = routes.filter(key => !operations[key]);
+    const stale = Object.keys(operations).filter(key => !routes.includes(key));
+
+    assert.deepEqual(undocumented, [], 'Routes missing from openapi/operations.js');
+    assert.deepEqual(stale, [], 'openapi/operations.js entries without a route');
+  });
+
+  it('matches the committed openapi/openapi.json', () => {
+    for (const key of operationKeys(document)) {
+      const [method, path] = key.split(' ');
+      assert.deepEqual(
+        document.paths[path][method.toLowerCase()],
+        committed.paths[path]?.[method.toLowerCase()],
+        `${key} changed. ${REGENERATE}`
+      );
+    }
+    assert.deepEqual(document, committed, REGENERATE);
+  });
+
+  it('resolves every $ref', () => {
+    for (const ref of new Set(refs(document))) {
+      const target = ref.replace('#/', '').split('/').reduce((node, key) => node?.[key], document);
+      assert.ok(target, `Unresolved ${ref}`);
+    }
+  });
+
+  it('describes request bodies from the validators', () => {
+    const schema = document.paths['/api/events'].post.requestBody.content['application/json'].schema;
+    assert.deepEqual(schema.required, ['title', 'description', 'date', 'startTime', 'endTime', 'location', 'category']);
+    assert.deepEqual(schema.properties.title, {
+      type: 'string',
+      minLength: 3,
+      maxLength: 100,
+      description: 'Title must be 3-100 characters'
+    });
+    assert.equal(schema.properties.date.format, 'date-time');
+    assert.ok(schema.properties.category.enum.includes('WORKSHOP'));
+    assert.equal(schema.properties.maxCapacity.type, 'integer');
+  });
+
+  it('describes nested array fields', () => {
+    const schema = document.paths['/api/team/reorder'].patch.requestBody.content['application/json'].schema;
+    const items = schema.properties.memberOrders.items;
+    assert.equal(schema.properties.memberOrders.type, 'array');
+    assert.deepEqual(items.required, ['id', 'order']);
+    assert.equal(items.properties.order.minimum, 0);
+  });
+
+  it('describes uploads as multipart forms', () => {
+    const content = document.paths['/api/gallery'].post.requestBody.content;
+    const schema = content['multipart/form-data'].schema;
+    assert.equal(schema.properties.media.format, 'binary');
+    assert.ok(schema.required.includes('media'));
+  });
+
+  it('marks authenticated and role-restricted operations', () => {
+    const create = document.paths['/api/events'].post;
+    assert.deepEqual(create.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(create['x-roles'], ['ADMIN']);
+    assert.equal(create['x-permission'], 'events:manage');
+    assert.equal(create.responses[401].$ref, '#/components/responses/Unauthorized');
+    assert.equal(create.responses[403].$ref, '#/components/responses/Forbidden');
+
+    const list = document.paths['/api/events'].get;
+    assert.equal(list.security, undefined);
+    assert.equal(list.responses[401], undefined);
+  });
+
+  it('describes pagination envelopes and error shapes', () => {
+    const list = document.paths['/api/members'].get;
+    const envelope = list.responses[200].content['application/json'].schema;
+    assert.deepEqual(envelope.required, ['members', 'pagination']);
+    assert.equal(envelope.properties.pagination.$ref, '#/components/schemas/Pagination');
+    assert.deepEqual(list.parameters.map(parameter => parameter.name), ['search', 'role', 'isActive', 'isVerified', 'page', 'limit']);
+
+    const conflict = document.paths['/api/blog/{id}'].put.responses[409];
+    assert.equal(conflict.content['application/json'].schema.$ref, '#/components/schemas/VersionConflict');
+    assert.equal(document.paths['/api/blog/{id}'].get.responses[404].$ref, '#/components/responses/NotFound');
+  });
+
+  it('matches real validation errors', async () => {
+    const res = await ctx.request.post('/api/contact').send({});
+    const documented = Object.keys(document.components.schemas.ValidationError.properties.errors.items.properties);
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.errors[0]).sort(), documented.sort());
+  });
+
+  it('serves the docs page', async () => {
+    const res = await ctx.request.get('/api/docs/');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /swagger-ui/);
+  });
+});
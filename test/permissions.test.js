@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSIONS, hasPermission, requirePermission } = require('../middleware/permissions');
+const { createTestContext } = require('./helpers');
+
+// Every operation guarded by requirePermission, as the OpenAPI document lists them
+function guardedOperations(document) {
+  return Object.entries(document.paths).flatMap(([path, item]) =>
+    Object.entries(item)
+      .filter(([, operation]) => operation['x-permission'])
+      .map(([method, operation]) => ({
+        method,
+        path: path.replace(/\{\w+\}/g, 'missing'),
+        permission: operation['x-permission'],
+        roles: operation['x-roles']
+      })));
+}
+
+describe('permissions', () => {
+  describe('hasPermission', () => {
+    it('grants by role', () => {
+      assert.equal(hasPermission({ role: 'MODERATOR' }, 'blog:publish'), true);
+      assert.equal(hasPermission({ role: 'MODERATOR' }, 'members:manage'), false);
+      assert.equal(hasPermission({ role: 'MEMBER' }, 'gallery:manage'), false);
+      assert.equal(hasPermission(null, 'blog:publish'), false);
+    });
+
+    it('gives admins every permission', () => {
+      for (const permission of Object.keys(PERMISSIONS)) {
+        assert.equal(hasPermission({ role: 'ADMIN' }, permission), true, permission);
+      }
+    });
+
+    it('rejects unknown permissions', () => {
+      assert.throws(() => hasPermission({ role: 'ADMIN' }, 'blog:launch'), /Unknown permission: blog:launch/);
+      assert.throws(() => requirePermission('blog:launch'), /Unknown permission/);
+    });
+  });
+
+  describe('guarded endpoints', () => {
+    let ctx, member, operations;
+
+    before(async () => {
+      ctx = await createTestContext();
+      member = await ctx.login('MEMBER');
+      operations = guardedOperations((await ctx.request.get('/api/openapi.json')).body);
+    });
+
+    after(() => ctx.cleanup());
+
+    it('covers every router with a restricted endpoint', () => {
+      const mounts = new Set(operations.map(({ path }) => path.split('/')[2]));
+      assert.deepEqual([...mounts].sort(), ['access-codes', 'api-keys', 'blog', 'contact', 'event-series', 'events', 'gallery', 'members', 'team']);
+      for (const { method, path, permission, roles } of operations) {
+        assert.deepEqual(roles, PERMISSIONS[permission], `${method} ${path}`);
+      }
+    });
+
+    it('reject anonymous callers', async () => {
+      for (const { method, path } of operations) {
+        const res = await ctx.request[method](path);
+        assert.equal(res.status, 401, `${method.toUpperCase()} ${path}`);
+      }
+    });
+
+    it('reject MEMBER callers', async () => {
+      for (const { method, path } of operations) {
+        const res = await ctx.request[method](path).set(member.headers);
+        assert.equal(res.status, 403, `${method.toUpperCase()} ${path}`);
+        assert.equal(res.body.error, 'Access denied. Insufficient permissions.');
+      }
+    });
+  });
+
+  describe('MODERATOR', () => {
+    let ctx, moderator;
+
+    before(async () => {
+      ctx = await createTestContext();
+      moderator = await ctx.login('MODERATOR');
+    });
+
+    after(() => ctx.cleanup());
+
+    it('can publish blog posts', async () => {
+      const author = await ctx.createUser();
+      const post = await ctx.store.blogPosts.create({
+        title: 'Notes from the observatory trip',
+        content: 'What we saw through the big telescope and how to join next time.',
+        excerpt: 'What we saw through the big telescope.',
+        tags: ['astronomy'],
+        authorId: author.id,
+        isPublished: false
+      });
+
+      const res = await ctx.request.patch(`/api/blog/${post.id}/publish`).set(moderator.headers).send({ isPublished: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.isPublished, true);
+    });
+
+    it('can manage gallery items', async () => {
+      const item = await ctx.store.galleryItems.create({
+        title: 'Lab open house',
+        imageUrl: 'https://media.test/seneca-science-club/gallery/upload-1.jpg',
+        category: 'EVENTS',
+        tags: []
+      });
+
+      const updated = await ctx.request.put(`/api/gallery/${item.id}`).set(moderator.headers).send({ title: 'Lab open house 2025' });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.title, 'Lab open house 2025');
+
+      const deleted = await ctx.request.delete(`/api/gallery/${item.id}`).set(moderator.headers);
+      assert.equal(deleted.status, 200);
+    });
+
+    it('can read members and contact messages', async () => {
+      assert.equal((await ctx.request.get('/api/members').set(moderator.headers)).status, 200);
+      assert.equal((await ctx.request.get('/api/contact').set(moderator.headers)).status, 200);
+    });
+
+    it('cannot change member roles', async () => {
+      const target = await ctx.createUser();
+      const res = await ctx.request.put(`/api/members/${target.id}`).set(moderator.headers).send({ role: 'ADMIN' });
+      assert.equal(res.status, 403);
+      assert.equal((await ctx.store.users.findById(target.id)).role, 'MEMBER');
+    });
+
+    it('cannot manage events or the team', async () => {
+      const event = await ctx.request.post('/api/events').set(moderator.headers).send({});
+      assert.equal(event.status, 403);
+      const team = await ctx.request.patch('/api/team/reorder').set(moderator.headers).send({ memberOrders: [] });
+      assert.equal(team.status, 403);
+    });
+  });
+});
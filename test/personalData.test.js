@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, PASSWORD } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const eventOn = (date, title) => ({
+  title,
+  description: 'A night of experiments.',
+  date: new Date(date),
+  startTime: '18:00',
+  endTime: '20:00',
+  location: 'Newnham Campus',
+  category: 'WORKSHOP',
+  maxCapacity: 20
+});
+
+describe('personal data', () => {
+  let ctx, admin;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+  });
+
+  after(() => ctx.cleanup());
+
+  // A member with a registration for a past and an upcoming event, a draft
+  // post, a testimonial, a contact message and a session
+  async function memberWithData(email) {
+    const member = await ctx.login('MEMBER', { email });
+    const past = await ctx.store.events.create({ ...eventOn('2025-08-01T18:00:00.000Z', 'Summer Lab'), currentCapacity: 1 });
+    const upcoming = await ctx.store.events.create({ ...eventOn('2025-10-01T18:00:00.000Z', 'Fall Lab'), currentCapacity: 1 });
+    for (const event of [past, upcoming]) {
+      await ctx.store.eventRegistrations.create({ userId: member.user.id, eventId: event.id });
+    }
+    await ctx.store.blogPosts.create({
+      title: 'My first draft',
+      content: 'Notes about the lab.',
+      excerpt: 'Lab notes.',
+      authorId: member.user.id,
+      tags: ['lab']
+    });
+    await ctx.store.testimonials.create({ content: 'Great club!', authorId: member.user.id });
+    await ctx.store.contactMessages.create({ name: 'Test User', email, subject: 'Hello', message: 'A question about events.' });
+    return { ...member, past, upcoming };
+  }
+
+  describe('GET /api/members/profile/export', () => {
+    it('downloads everything held about the member, without secrets', async () => {
+      const member = await memberWithData('exporter@example.com');
+      await ctx.login('MEMBER', { email: 'someone.else@example.com' });
+
+      const res = await ctx.request.get('/api/members/profile/export').set(member.headers);
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-disposition'], /attachment; filename="ssc-personal-data-2025-09-01\.json"/);
+
+      const data = res.body;
+      assert.equal(data.profile.email, 'exporter@example.com');
+      assert.deepEqual(data.eventRegistrations.map(registration => registration.event.title), ['Summer Lab', 'Fall Lab']);
+      assert.deepEqual(data.blogPosts.map(post => post.title), ['My first draft']);
+      assert.equal(data.testimonials.length, 1);
+      assert.deepEqual(data.contactMessages.map(message => message.email), ['exporter@example.com']);
+      assert.equal(data.sessions.length, 1);
+
+      const text = JSON.stringify(data);
+      assert.ok(!text.includes('"password"'));
+      assert.ok(!text.includes('refreshTokenHash'));
+    });
+  });
+
+  describe('erasure', () => {
+    it('is scheduled after the grace period and can be cancelled', async () => {
+      const member = await ctx.login('MEMBER', { email: 'undecided@example.com' });
+
+      const wrong = await ctx.request.post('/api/members/profile/erasure').set(member.headers).send({ password: 'nope' });
+      assert.equal(wrong.status, 400);
+
+      const res = await ctx.request.post('/api/members/profile/erasure').set(member.headers).send({ password: PASSWORD });
+      assert.equal(res.status, 202);
+      assert.equal(res.body.erasureScheduledFor, new Date(ctx.clock.now().getTime() + 7 * DAY_MS).toISOString());
+      const email = ctx.mailer.sent.at(-1);
+      assert.equal(email.to, 'undecided@example.com');
+      assert.match(email.text, /September 8, 2025/);
+
+      const again = await ctx.request.post('/api/members/profile/erasure').set(member.headers).send({ password: PASSWORD });
+      assert.equal(again.status, 409);
+
+      const pending = await ctx.request.get('/api/members/erasures').set(admin.headers);
+      assert.equal(pending.status, 200);
+      assert.ok(pending.body.some(user => user.id === member.user.id && user.erasureScheduledFor === res.body.erasureScheduledFor));
+
+      const cancelled = await ctx.request.delete('/api/members/profile/erasure').set(member.headers);
+      assert.equal(cancelled.status, 200);
+      assert.equal((await ctx.store.users.findById(member.user.id)).erasureScheduledFor, null);
+      assert.equal((await ctx.request.delete('/api/members/profile/erasure').set(member.headers)).status, 400);
+
+      const types = (await ctx.store.securityEvents.findMany({ where: { userId: member.user.id } })).map(event => event.type);
+      assert.deepEqual(types.sort(), ['ERASURE_CANCELLED', 'ERASURE_REQUESTED']);
+    });
+
+    it('is not open to admins', async () => {
+      const res = await ctx.request.post('/api/members/profile/erasure').set(admin.headers).send({ password: PASSWORD });
+      assert.equal(res.status, 403);
+    });
+
+    it('anonymizes the account and removes its data once due, keeping past event counts', async () => {
+      const member = await memberWithData('leaving@example.com');
+      const id = member.user.id;
+      await ctx.request.post('/api/members/profile/erasure').set(member.headers).send({ password: PASSWORD });
+
+      // Nothing happens during the grace period
+      ctx.clock.set(new Date(ctx.clock.now().getTime() + 6 * DAY_MS));
+      assert.deepEqual(await ctx.store.users.eraseDue(ctx.clock.now()), []);
+
+      ctx.clock.set(new Date(ctx.clock.now().getTime() + DAY_MS));
+      assert.deepEqual(await ctx.store.users.eraseDue(ctx.clock.now()), [id]);
+
+      const erased = await ctx.store.users.findById(id);
+      assert.equal(erased.email, `erased-${id}@erased.invalid`);
+      assert.equal(erased.firstName, 'Erased');
+      assert.equal(erased.isActive, false);
+      assert.ok(erased.erasedAt);
+
+      // The past registration still counts; the upcoming spot is freed
+      assert.equal(await ctx.store.eventRegistrations.count({ eventId: member.past.id }), 1);
+      assert.equal((await ctx.store.events.findById(member.past.id)).currentCapacity, 1);
+      assert.equal(await ctx.store.eventRegistrations.count({ eventId: member.upcoming.id }), 0);
+      assert.equal((await ctx.store.events.findById(member.upcoming.id)).currentCapacity, 0);
+
+      assert.equal(await ctx.store.blogPosts.count({ authorId: id }), 0);
+      assert.equal(await ctx.store.testimonials.count({ authorId: id }), 0);
+      assert.equal(await ctx.store.contactMessages.count({ email: 'leaving@example.com' }), 0);
+      assert.equal(await ctx.store.sessions.count({ userId: id }), 0);
+      const events = await ctx.store.securityEvents.findMany({ where: { userId: id } });
+      assert.ok(events.some(event => event.type === 'ACCOUNT_ERASED'));
+      assert.ok(events.every(event => event.email === null && event.ip === null));
+
+      assert.equal((await ctx.request.get('/api/members/profile').set(member.headers)).status, 401);
+      const login = await ctx.request.post('/api/auth/login').send({ email: 'leaving@example.com', password: PASSWORD });
+      assert.equal(login.status, 401);
+
+      const pending = await ctx.request.get('/api/members/erasures').set(admin.headers);
+      assert.ok(!pending.body.some(user => user.id === id));
+    });
+  });
+});
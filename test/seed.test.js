@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+const { seed } = require('../scripts/seed');
+const { generateFixtures } = require('../scripts/fixtures');
+
+const now = new Date('2025-09-01T12:00:00.000Z');
+
+describe('seed', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+    await seed(ctx.store, { seed: 7, now });
+  });
+
+  after(() => ctx.cleanup());
+
+  it('leaves every event capacity matching its registrations', async () => {
+    assert.deepEqual(await ctx.store.events.reconcileCapacity({ dryRun: true }), []);
+  });
+
+  it('numbers waitlists from 1 and gives offers a deadline', async () => {
+    const waitlisted = await ctx.store.eventRegistrations.findMany({ where: { status: 'WAITLISTED' } });
+    assert.ok(waitlisted.length > 0);
+    for (const eventId of new Set(waitlisted.map(registration => registration.eventId))) {
+      const line = await ctx.store.eventRegistrations.waitlist(eventId);
+      assert.deepEqual(line.map(registration => registration.waitlistPosition), line.map((registration, index) => index + 1));
+    }
+
+    const offers = await ctx.store.eventRegistrations.findMany({ where: { status: 'PENDING' } });
+    assert.ok(offers.length > 0);
+    assert.ok(offers.every(offer => new Date(offer.confirmBy) > now));
+  });
+});
+
+describe('seed command', () => {
+  const contexts = [];
+
+  after(async () => {
+    for (const ctx of contexts) await ctx.cleanup();
+  });
+
+  async function emptyStore() {
+    const ctx = await createTestContext();
+    contexts.push(ctx);
+    return ctx.store;
+  }
+
+  const snapshot = async (store, name) => (await store[name].findMany({ orderBy: { createdAt: 'asc' } }))
+    .map(({ password, updatedAt, ...record }) => record);
+
+  it('produces the same data for the same seed and date', async () => {
+    assert.deepEqual(generateFixtures({ seed: 42, now }), generateFixtures({ seed: 42, now }));
+    assert.notDeepEqual(generateFixtures({ seed: 42, now }).events, generateFixtures({ seed: 43, now }).events);
+
+    const [first, second] = [await emptyStore(), await emptyStore()];
+    const counts = await seed(first, { seed: 42, now });
+    await seed(second, { seed: 42, now });
+    for (const name of ['users', 'events', 'eventRegistrations', 'blogPosts']) {
+      assert.equal((await snapshot(first, name)).length, counts[name]);
+      assert.deepEqual(await snapshot(second, name), await snapshot(first, name));
+    }
+  });
+
+  it('refuses a store that already has data unless reset', async () => {
+    const store = await emptyStore();
+    await seed(store, { seed: 1, now });
+    await store.accessCodes.issue({ label: 'Kept until reset', now });
+    const users = await store.users.count();
+
+    await assert.rejects(seed(store, { seed: 2, now }), /already contains users; re-run with --reset/);
+    assert.equal(await store.users.count(), users);
+
+    await seed(store, { seed: 2, now, reset: true });
+    const ids = records => records.map(record => record.id).sort();
+    const fixtures = generateFixtures({ seed: 2, now });
+    assert.deepEqual(ids(await store.users.findMany()), ids(fixtures.users));
+    assert.deepEqual(ids(await store.events.findMany()), ids(fixtures.events));
+    assert.equal(await store.accessCodes.count(), 0);
+  });
+});
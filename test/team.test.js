@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const photo = { filename: 'headshot.png', contentType: 'image/png' };
+const BIO = 'Loves organizing hands-on chemistry workshops for new members.';
+
+describe('/api/team', () => {
+  let ctx, admin, member;
+
+  const createTeamMember = (overrides = {}) => ctx.store.teamMembers.create({
+    firstName: 'Alan',
+    lastName: 'Turing',
+    role: 'Treasurer',
+    bio: BIO,
+    imageUrl: 'https://media.test/seneca-science-club/team/alan.jpg',
+    order: 5,
+    ...overrides
+  });
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    member = await ctx.login('MEMBER');
+  });
+
+  after(() => ctx.cleanup());
+
+  describe('POST /', () => {
+    const submit = headers => ctx.request.post('/api/team').set(headers)
+      .field('firstName', 'Katherine')
+      .field('lastName', 'Johnson')
+      .field('role', 'President')
+      .field('bio', BIO)
+      .field('order', '1')
+      .attach('image', Buffer.from('png'), photo);
+
+    it('creates a team member with an uploaded photo', async () => {
+      const res = await submit(admin.headers);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.order, 1);
+      assert.match(res.body.imageUrl, /^https:\/\/media\.test\/seneca-science-club\/team\//);
+      assert.ok(ctx.mediaStorage.uploads.at(-1).folder.endsWith('/team'));
+    });
+
+    it('requires a token', async () => {
+      const res = await submit({});
+      assert.equal(res.status, 401);
+    });
+
+    it('is admin only', async () => {
+      const res = await submit(member.headers);
+      assert.equal(res.status, 403);
+    });
+
+    it('requires a photo', async () => {
+      const res = await ctx.request.post('/api/team').set(admin.headers)
+        .send({ firstName: 'Katherine', lastName: 'Johnson', role: 'President', bio: BIO });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Profile image is required');
+    });
+
+    it('validates the fields', async () => {
+      const res = await ctx.request.post('/api/team').set(admin.headers)
+        .field('firstName', 'Katherine')
+        .field('lastName', 'Johnson')
+        .field('role', 'President')
+        .field('bio', 'Too short')
+        .attach('image', Buffer.from('png'), photo);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'bio');
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists only active members in order', async () => {
+      const hidden = await createTeamMember({ isActive: false, order: 0 });
+      const res = await ctx.request.get('/api/team');
+      assert.equal(res.status, 200);
+      assert.ok(!res.body.some(teamMember => teamMember.id === hidden.id));
+      const orders = res.body.map(teamMember => teamMember.order);
+      assert.deepEqual(orders, [...orders].sort((a, b) => a - b));
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns an active member', async () => {
+      const teamMember = await createTeamMember();
+      const res = await ctx.request.get(`/api/team/${teamMember.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.lastName, 'Turing');
+    });
+
+    it('hides inactive members', async () => {
+      const teamMember = await createTeamMember({ isActive: false });
+      const res = await ctx.request.get(`/api/team/${teamMember.id}`);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('updates fields and replaces the photo', async () => {
+      const teamMember = await createTeamMember();
+      const res = await ctx.request.put(`/api/team/${teamMember.id}`).set(admin.headers)
+        .field('role', 'Vice President')
+        .field('order', '2')
+        .attach('image', Buffer.from('png'), photo);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.role, 'Vice President');
+      assert.equal(res.body.order, 2);
+      assert.notEqual(res.body.imageUrl, teamMember.imageUrl);
+    });
+
+    it('is admin only', async () => {
+      const teamMember = await createTeamMember();
+      const res = await ctx.request.put(`/api/team/${teamMember.id}`).set(member.headers).send({ role: 'Vice President' });
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown member', async () => {
+      const res = await ctx.request.put('/api/team/missing').set(admin.headers).send({ role: 'Vice President' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /:id/toggle-status', () => {
+    it('flips the active flag', async () => {
+      const teamMember = await createTeamMember();
+      const res = await ctx.request.patch(`/api/team/${teamMember.id}/toggle-status`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.isActive, false);
+    });
+
+    it('returns 404 for an unknown member', async () => {
+      const res = await ctx.request.patch('/api/team/missing/toggle-status').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /reorder', () => {
+    it('updates every order in one go', async () => {
+      const first = await createTeamMember();
+      const second = await createTeamMember();
+      const res = await ctx.request.patch('/api/team/reorder').set(admin.headers)
+        .send({ memberOrders: [{ id: first.id, order: 11 }, { id: second.id, order: 10 }] });
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.store.teamMembers.findById(first.id)).order, 11);
+      assert.equal((await ctx.store.teamMembers.findById(second.id)).order, 10);
+    });
+
+    it('leaves everything unchanged when one member is unknown', async () => {
+      const teamMember = await createTeamMember({ order: 3 });
+      const res = await ctx.request.patch('/api/team/reorder').set(admin.headers)
+        .send({ memberOrders: [{ id: teamMember.id, order: 9 }, { id: 'missing', order: 1 }] });
+      assert.equal(res.status, 404);
+      assert.equal((await ctx.store.teamMembers.findById(teamMember.id)).order, 3);
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request.patch('/api/team/reorder').set(admin.headers).send({ memberOrders: 'first' });
+      assert.equal(res.status, 400);
+    });
+
+    it('is admin only', async () => {
+      const res = await ctx.request.patch('/api/team/reorder').set(member.headers).send({ memberOrders: [] });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('removes the member and their photo', async () => {
+      const teamMember = await createTeamMember();
+      const res = await ctx.request.delete(`/api/team/${teamMember.id}`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.store.teamMembers.findById(teamMember.id), null);
+      assert.equal(ctx.mediaStorage.destroyed.at(-1).url, teamMember.imageUrl);
+    });
+
+    it('is admin only', async () => {
+      const teamMember = await createTeamMember();
+      const res = await ctx.request.delete(`/api/team/${teamMember.id}`).set(member.headers);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown member', async () => {
+      const res = await ctx.request.delete('/api/team/missing').set(admin.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  it('GET /stats/overview counts active and inactive members', async () => {
+    const res = await ctx.request.get('/api/team/stats/overview');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalMembers, await ctx.store.teamMembers.count());
+    assert.equal(res.body.activeMembers + res.body.inactiveMembers, res.body.totalMembers);
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+
+const newEvent = {
+  title: 'Bridge Building Contest',
+  description: 'Build a bridge out of popsicle sticks and test it to breaking.',
+  date: new Date('2025-09-10T18:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '21:00',
+  location: 'Newnham Campus',
+  category: 'COMPETITION',
+  maxCapacity: 3
+};
+
+const person = (email, senecaId) => ({
+  name: 'Emily Roebling',
+  email,
+  senecaId,
+  program: 'Civil Engineering',
+  year: 4
+});
+
+describe('tickets and check-in', () => {
+  let ctx, admin, moderator;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    moderator = await ctx.login('MODERATOR');
+  });
+
+  after(() => ctx.cleanup());
+
+  // Capped events take verified accounts, so each person gets one first
+  async function register(event, details) {
+    await ctx.verifiedAttendee(details);
+    return ctx.request.post(`/api/events/${event.id}/register`).send(details);
+  }
+  const checkIn = (event, token, headers = moderator.headers) => ctx.request.post(`/api/events/${event.id}/check-in`).set(headers).send({ token });
+
+  describe('tickets', () => {
+    it('are issued for confirmed registrations and drawn as QR codes', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const member = await ctx.login('MEMBER');
+      const registered = await register(event, person(member.user.email, member.user.senecaId));
+      assert.ok(registered.body.ticket);
+
+      const res = await ctx.request.get(`/api/events/${event.id}/ticket`).set(member.headers);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.registrationId, registered.body.registration.id);
+      assert.equal(res.body.checkedInAt, null);
+
+      const png = await ctx.request.get('/api/events/tickets/qr').query({ token: res.body.token });
+      assert.equal(png.status, 200);
+      assert.equal(png.headers['content-type'], 'image/png');
+      assert.deepEqual([...png.body.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+
+      const svg = await ctx.request.get('/api/events/tickets/qr').query({ token: res.body.token, format: 'svg' }).buffer(true);
+      assert.match(svg.headers['content-type'], /^image\/svg\+xml/);
+      assert.match(svg.body.toString(), /<svg/);
+
+      const forged = await ctx.request.get('/api/events/tickets/qr').query({ token: 'forged' });
+      assert.equal(forged.status, 400);
+    });
+
+    it('are not issued to waitlisted registrants', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: 1, currentCapacity: 1 });
+      const member = await ctx.login('MEMBER');
+      const registered = await register(event, person(member.user.email, member.user.senecaId));
+      assert.equal(registered.body.ticket, undefined);
+
+      const res = await ctx.request.get(`/api/events/${event.id}/ticket`).set(member.headers);
+      assert.equal(res.status, 404);
+    });
+
+    it('are linked from the guest registration email', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: null });
+      await ctx.request.post(`/api/events/${event.id}/register`).send(person('guest.roebling@example.com', 'GR0001'));
+
+      const message = ctx.mailer.sent.find(sent => sent.to === 'guest.roebling@example.com' && /ticket/.test(sent.text));
+      assert.match(message.text, /events\/ticket\?token=/);
+    });
+  });
+
+  describe('POST /:id/check-in', () => {
+    it('checks a ticket in once', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const { body } = await register(event, person('washington@example.com', 'WR0001'));
+
+      const res = await checkIn(event, body.ticket);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.registration.checkedInAt, ctx.clock.now().toISOString());
+      assert.equal(res.body.registration.checkedInById, moderator.user.id);
+      assert.equal(res.body.registration.user.firstName, 'Emily');
+
+      const again = await checkIn(event, body.ticket);
+      assert.equal(again.status, 409);
+      assert.equal(again.body.checkedInAt, res.body.registration.checkedInAt);
+    });
+
+    it('refuses forged tickets, tickets for other events and cancelled registrations', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const other = await ctx.store.events.create(newEvent);
+      const { body } = await register(other, person('john@example.com', 'JR0001'));
+
+      assert.equal((await checkIn(event, 'forged')).status, 400);
+      const wrongEvent = await checkIn(event, body.ticket);
+      assert.equal(wrongEvent.status, 400);
+      assert.equal(wrongEvent.body.error, 'This ticket is for another event');
+
+      await ctx.request.patch(`/api/events/${other.id}/registrations/${body.registration.id}/cancel`).set(admin.headers);
+      const cancelled = await checkIn(other, body.ticket);
+      assert.equal(cancelled.status, 400);
+      assert.equal(cancelled.body.status, 'CANCELLED');
+    });
+
+    it('is for admins, moderators and check-in API keys', async () => {
+      const event = await ctx.store.events.create(newEvent);
+      const member = await ctx.login('MEMBER');
+      const { body } = await register(event, person('scanner.test@example.com', 'ST0001'));
+
+      assert.equal((await checkIn(event, body.ticket, member.headers)).status, 403);
+
+      const key = await ctx.request.post('/api/api-keys').set(admin.headers).send({
+        name: 'Door scanner',
+        scopes: ['checkins:write'],
+        expiresAt: new Date(ctx.clock.now().getTime() + 24 * 60 * 60 * 1000).toISOString()
+      });
+      const res = await checkIn(event, body.ticket, { Authorization: `Bearer ${key.body.key}` });
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('attendance', () => {
+    it('compares registered and attended, with no-shows once the event starts', async () => {
+      const event = await ctx.store.events.create({ ...newEvent, maxCapacity: 3 });
+      const tickets = [];
+      for (const n of [1, 2, 3, 4]) {
+        const { body } = await register(event, person(`attendee${n}@example.com`, `AT000${n}`));
+        tickets.push(body.ticket);
+      }
+      await checkIn(event, tickets[0]);
+      await checkIn(event, tickets[1]);
+
+      const before = await ctx.request.get(`/api/events/${event.id}/attendance`).set(moderator.headers);
+      assert.equal(before.status, 200);
+      assert.deepEqual(
+        [before.body.registered, before.body.attended, before.body.noShows, before.body.noShowRate],
+        [3, 2, null, null]
+      );
+
+      ctx.clock.set(new Date('2025-09-11T12:00:00.000Z'));
+      const res = await ctx.request.get(`/api/events/${event.id}/attendance`).set(moderator.headers);
+      assert.equal(res.body.noShows, 1);
+      assert.equal(res.body.noShowRate, 0.333);
+
+      const list = await ctx.request.get('/api/events/attendance').set(moderator.headers);
+      assert.equal(list.status, 200);
+      assert.ok(list.body.events.some(row => row.eventId === event.id && row.attended === 2));
+      assert.ok(list.body.events.every(row => new Date(row.date) <= ctx.clock.now()));
+    });
+
+    it('returns 404 for an unknown event', async () => {
+      const res = await ctx.request.get('/api/events/missing/attendance').set(moderator.headers);
+      assert.equal(res.status, 404);
+    });
+  });
+});
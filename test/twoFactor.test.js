@@ -0,0 +1,245 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, PASSWORD } = require('./helpers');
+const { totpCode } = require('../repositories/twoFactor');
+
+describe('two-factor authentication', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await createTestContext();
+  });
+
+  after(() => ctx.cleanup());
+
+  // Each code works once, so move on to the next 30-second step between uses
+  const nextStep = () => ctx.clock.set(new Date(ctx.clock.now().getTime() + 30 * 1000));
+  const codeFor = secret => totpCode(secret, ctx.clock.now());
+
+  // Sets up and enables 2FA for a signed-in user; returns the secret and recovery codes
+  async function enroll(headers) {
+    const setup = await ctx.request.post('/api/auth/2fa/setup').set(headers);
+    const enabled = await ctx.request.post('/api/auth/2fa/enable').set(headers).send({ code: codeFor(setup.body.secret) });
+    assert.equal(enabled.status, 200);
+    nextStep();
+    return { secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+  }
+
+  const login = email => ctx.request.post('/api/auth/login').send({ email, password: PASSWORD });
+
+  describe('enrollment', () => {
+    it('provides a secret, an otpauth URL and a QR code', async () => {
+      const member = await ctx.login('MEMBER', { email: 'qr@example.com' });
+      const res = await ctx.request.post('/api/auth/2fa/setup').set(member.headers);
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.secret, /^[A-Z2-7]{32}$/);
+      const url = new URL(res.body.otpauthUrl);
+      assert.equal(url.protocol, 'otpauth:');
+      assert.equal(url.host, 'totp');
+      assert.equal(decodeURIComponent(url.pathname), '/Seneca Science Club:qr@example.com');
+      assert.equal(url.searchParams.get('secret'), res.body.secret);
+      assert.match(res.body.qrCode, /^data:image\/png;base64,/);
+
+      // Nothing is on until a code confirms it
+      const status = await ctx.request.get('/api/auth/2fa').set(member.headers);
+      assert.deepEqual(status.body, { enabled: false, required: false, recoveryCodesRemaining: 0 });
+    });
+
+    it('turns on with a valid code and returns recovery codes once', async () => {
+      const member = await ctx.login('MEMBER');
+      const setup = await ctx.request.post('/api/auth/2fa/setup').set(member.headers);
+
+      const wrong = await ctx.request.post('/api/auth/2fa/enable').set(member.headers).send({ code: '000000' });
+      assert.equal(wrong.status, 400);
+
+      const res = await ctx.request.post('/api/auth/2fa/enable').set(member.headers).send({ code: codeFor(setup.body.secret) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recoveryCodes.length, 10);
+      assert.equal(new Set(res.body.recoveryCodes).size, 10);
+
+      const stored = await ctx.store.twoFactor.findByUser(member.user.id);
+      assert.ok(res.body.recoveryCodes.every(code => !stored.recoveryCodes.includes(code)));
+
+      const status = await ctx.request.get('/api/auth/2fa').set(member.headers);
+      assert.deepEqual(status.body, { enabled: true, required: false, recoveryCodesRemaining: 10 });
+      assert.equal(await ctx.store.securityEvents.count({ type: 'TWO_FACTOR_ENABLED', userId: member.user.id }), 1);
+
+      const again = await ctx.request.post('/api/auth/2fa/setup').set(member.headers);
+      assert.equal(again.status, 400);
+    });
+
+    it('requires setup before enabling', async () => {
+      const member = await ctx.login('MEMBER');
+      const res = await ctx.request.post('/api/auth/2fa/enable').set(member.headers).send({ code: '123456' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Start two-factor setup first');
+    });
+
+    it('replaces recovery codes', async () => {
+      const member = await ctx.login('MEMBER');
+      const { secret, recoveryCodes } = await enroll(member.headers);
+
+      const res = await ctx.request.post('/api/auth/2fa/recovery-codes').set(member.headers).send({ code: codeFor(secret) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recoveryCodes.length, 10);
+
+      const credential = await ctx.store.twoFactor.findByUser(member.user.id);
+      assert.equal(await ctx.store.twoFactor.useRecoveryCode(credential, recoveryCodes[0]), false);
+      assert.equal(await ctx.store.twoFactor.useRecoveryCode(credential, res.body.recoveryCodes[0]), true);
+    });
+  });
+
+  describe('login', () => {
+    it('asks for a code after the password and signs in with it', async () => {
+      const member = await ctx.login('MEMBER', { email: 'two-step@example.com' });
+      const { secret } = await enroll(member.headers);
+
+      const first = await login('two-step@example.com');
+      assert.equal(first.status, 200);
+      assert.equal(first.body.twoFactorRequired, true);
+      assert.equal(first.body.token, undefined);
+
+      // The challenge is not an access token
+      const me = await ctx.request.get('/api/auth/2fa').set('Authorization', `Bearer ${first.body.challengeToken}`);
+      assert.equal(me.status, 401);
+
+      const code = codeFor(secret);
+      const res = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken: first.body.challengeToken, code });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token && res.body.refreshToken);
+      assert.equal(res.body.user.twoFactorEnabled, true);
+
+      const replayed = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken: first.body.challengeToken, code });
+      assert.equal(replayed.status, 401);
+    });
+
+    it('accepts each recovery code once', async () => {
+      const member = await ctx.login('MEMBER', { email: 'lost-phone@example.com' });
+      const { recoveryCodes } = await enroll(member.headers);
+
+      const { body: { challengeToken } } = await login('lost-phone@example.com');
+      const res = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+      assert.equal(res.status, 200);
+      assert.ok(ctx.logs.some(entry => entry.msg === 'Recovery code used to log in'));
+
+      const reused = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken, recoveryCode: recoveryCodes[0] });
+      assert.equal(reused.status, 401);
+
+      const status = await ctx.request.get('/api/auth/2fa').set({ Authorization: `Bearer ${res.body.token}` });
+      assert.equal(status.body.recoveryCodesRemaining, 9);
+    });
+
+    it('needs a code or a recovery code and a valid challenge', async () => {
+      const missing = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken: 'x' });
+      assert.equal(missing.status, 400);
+
+      const invalid = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken: 'not-a-token', code: '123456' });
+      assert.equal(invalid.status, 401);
+    });
+
+    it('counts wrong codes as failed logins', async () => {
+      const member = await ctx.login('MEMBER', { email: 'guess-code@example.com' });
+      await enroll(member.headers);
+      const { body: { challengeToken } } = await login('guess-code@example.com');
+
+      for (let i = 0; i < 4; i += 1) {
+        const res = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken, code: '000000' });
+        assert.equal(res.status, 401);
+      }
+      const throttled = await ctx.request.post('/api/auth/login/2fa').send({ challengeToken, code: '000000' });
+      assert.equal(throttled.status, 429);
+      ctx.clock.set(new Date(ctx.clock.now().getTime() + 60 * 60 * 1000));
+    });
+  });
+
+  describe('disabling', () => {
+    it('lets a member turn it off with their password and a code', async () => {
+      const member = await ctx.login('MEMBER', { email: 'opt-out@example.com' });
+      const { secret } = await enroll(member.headers);
+
+      const wrongPassword = await ctx.request.post('/api/auth/2fa/disable').set(member.headers)
+        .send({ password: 'nope', code: codeFor(secret) });
+      assert.equal(wrongPassword.status, 400);
+
+      const res = await ctx.request.post('/api/auth/2fa/disable').set(member.headers)
+        .send({ password: PASSWORD, code: codeFor(secret) });
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.store.twoFactor.findByUser(member.user.id), null);
+
+      const signIn = await login('opt-out@example.com');
+      assert.ok(signIn.body.token);
+    });
+
+    it('does not let admins turn it off', async () => {
+      const admin = await ctx.login('ADMIN');
+      const res = await ctx.request.post('/api/auth/2fa/disable').set(admin.headers).send({ password: PASSWORD, code: '123456' });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('admins', () => {
+    it('get no admin permissions until they enroll', async () => {
+      const admin = await ctx.login('ADMIN', { email: 'new-admin@example.com', twoFactorEnabled: false });
+
+      const signIn = await login('new-admin@example.com');
+      assert.equal(signIn.body.twoFactorSetupRequired, true);
+
+      const refused = await ctx.request.get('/api/members').set(admin.headers);
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.error, 'Admin accounts must set up two-factor authentication first.');
+
+      const status = await ctx.request.get('/api/auth/2fa').set(admin.headers);
+      assert.equal(status.body.required, true);
+
+      await enroll(admin.headers);
+      assert.equal((await ctx.request.get('/api/members').set(admin.headers)).status, 200);
+    });
+
+    it('cannot mark themselves enrolled without a credential', async () => {
+      const admin = await ctx.login('ADMIN', { email: 'shortcut-admin@example.com', twoFactorEnabled: false });
+      const other = await ctx.login('ADMIN');
+
+      await ctx.request.put('/api/members/profile').set(admin.headers).send({ twoFactorEnabled: true });
+      await ctx.request.put(`/api/members/${admin.user.id}`).set(other.headers).send({ twoFactorEnabled: true });
+
+      assert.equal((await ctx.store.users.findById(admin.user.id)).twoFactorEnabled, false);
+      const refused = await ctx.request.get('/api/members').set(admin.headers);
+      assert.equal(refused.status, 403);
+    });
+
+    it('reset another member\'s 2FA with an audit record', async () => {
+      const admin = await ctx.login('ADMIN');
+      const member = await ctx.login('MEMBER', { email: 'reset-me@example.com' });
+      await enroll(member.headers);
+
+      const res = await ctx.request.delete(`/api/members/${member.user.id}/two-factor`).set(admin.headers);
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.store.users.findById(member.user.id)).twoFactorEnabled, false);
+      assert.ok((await login('reset-me@example.com')).body.token);
+
+      const events = await ctx.request.get(`/api/members/security-events?type=TWO_FACTOR_RESET&userId=${member.user.id}`).set(admin.headers);
+      assert.equal(events.body.events.length, 1);
+      assert.equal(events.body.events[0].actorId, admin.user.id);
+
+      const again = await ctx.request.delete(`/api/members/${member.user.id}/two-factor`).set(admin.headers);
+      assert.equal(again.status, 400);
+    });
+
+    it('cannot reset their own 2FA or an unknown member\'s', async () => {
+      const admin = await ctx.login('ADMIN');
+      const own = await ctx.request.delete(`/api/members/${admin.user.id}/two-factor`).set(admin.headers);
+      assert.equal(own.status, 400);
+
+      const missing = await ctx.request.delete('/api/members/missing/two-factor').set(admin.headers);
+      assert.equal(missing.status, 404);
+    });
+
+    it('is admin only', async () => {
+      const moderator = await ctx.login('MODERATOR');
+      const member = await ctx.createUser();
+      const res = await ctx.request.delete(`/api/members/${member.id}/two-factor`).set(moderator.headers);
+      assert.equal(res.status, 403);
+    });
+  });
+});
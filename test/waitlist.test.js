@@ -0,0 +1,229 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers');
+const createWaitlist = require('../services/waitlist');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const newEvent = {
+  title: 'Rocket Launch',
+  description: 'Launch water rockets on the field.',
+  date: new Date('2025-10-01T18:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '20:00',
+  location: 'Newnham Campus',
+  category: 'SOCIAL',
+  maxCapacity: 1
+};
+
+const person = (email, senecaId) => ({
+  name: 'Katherine Johnson',
+  email,
+  senecaId,
+  program: 'Aerospace',
+  year: 2
+});
+
+describe('event waitlists', () => {
+  let ctx, admin, moderator, waitlist;
+
+  before(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('ADMIN');
+    moderator = await ctx.login('MODERATOR');
+    waitlist = createWaitlist({ store: ctx.store, mailer: ctx.mailer, clock: ctx.clock, config: ctx.config });
+  });
+
+  after(() => ctx.cleanup());
+
+  // Capped events take verified accounts, so each person gets one first
+  async function register(event, details) {
+    await ctx.verifiedAttendee(details);
+    return ctx.request.post(`/api/events/${event.id}/register`).send(details);
+  }
+
+  // A full event, and the registrations of the given people on its waitlist
+  async function fullEventWith(people, overrides = {}) {
+    const event = await ctx.store.events.create({ ...newEvent, ...overrides });
+    await register(event, person(`first-${event.id}@example.com`, `F${event.id}`));
+
+    const registrations = [];
+    for (const [email, senecaId] of people) {
+      const res = await register(event, person(email, senecaId));
+      assert.equal(res.status, 201);
+      registrations.push(res.body.registration);
+    }
+    return { event, registrations };
+  }
+
+  const raiseCapacity = (event, maxCapacity) => ctx.request.put(`/api/events/${event.id}`).set(admin.headers).send({ maxCapacity });
+
+  // Token from the latest offer emailed to the address
+  function offerTokenFor(email) {
+    const message = ctx.mailer.sent.filter(sent => sent.to === email).at(-1);
+    const match = message && message.text.match(/confirm-spot\?token=([^\s]+)/);
+    assert.ok(match, `no offer link emailed to ${email}`);
+    return decodeURIComponent(match[1]);
+  }
+
+  it('places registrants for a full event in line and tells them where', async () => {
+    const event = await ctx.store.events.create(newEvent);
+    await register(event, person('ada@example.com', 'AL0001'));
+
+    const second = await register(event, person('alan@example.com', 'AT0001'));
+    const third = await register(event, person('edith@example.com', 'EC0001'));
+    assert.equal(second.status, 201);
+    assert.equal(second.body.waitlistPosition, 1);
+    assert.equal(third.body.waitlistPosition, 2);
+    assert.match(third.body.message, /number 2 on the waitlist/);
+    assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 1);
+
+    const again = await register(event, person('alan@example.com', 'AT0001'));
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, 'Already on the waitlist for this event');
+  });
+
+  it('promotes the first in line when a spot opens, and emails them', async () => {
+    const { event, registrations } = await fullEventWith([['mae@example.com', 'MJ0001'], ['sally@example.com', 'SR0001']]);
+
+    const res = await raiseCapacity(event, 2);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.currentCapacity, 2);
+
+    const promoted = await ctx.store.eventRegistrations.findById(registrations[0].id);
+    assert.equal(promoted.status, 'CONFIRMED');
+    assert.equal(promoted.waitlistPosition, null);
+    const message = ctx.mailer.sent.at(-1);
+    assert.equal(message.to, 'mae@example.com');
+    assert.match(message.subject, /A spot opened up for Rocket Launch/);
+
+    const { body: line } = await ctx.request.get(`/api/events/${event.id}/waitlist`).set(moderator.headers);
+    assert.deepEqual(line.map(entry => [entry.id, entry.position]), [[registrations[1].id, 1]]);
+  });
+
+  it('offers the spot for a limited time when the event has a confirmation window', async () => {
+    const { event, registrations } = await fullEventWith(
+      [['valentina@example.com', 'VT0001'], ['mary@example.com', 'MJ0002']],
+      { waitlistConfirmationHours: 24 }
+    );
+
+    await raiseCapacity(event, 2);
+    const offered = await ctx.store.eventRegistrations.findById(registrations[0].id);
+    assert.equal(offered.status, 'PENDING');
+    assert.equal(new Date(offered.confirmBy).getTime(), ctx.clock.now().getTime() + 24 * HOUR_MS);
+
+    const res = await ctx.request.post('/api/events/waitlist/confirm').send({ token: offerTokenFor('valentina@example.com') });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.registration.status, 'CONFIRMED');
+
+    const bad = await ctx.request.post('/api/events/waitlist/confirm').send({ token: 'not-a-token' });
+    assert.equal(bad.status, 400);
+  });
+
+  it('passes a lapsed offer to the next in line', async () => {
+    const { event, registrations } = await fullEventWith(
+      [['hedy@example.com', 'HL0002'], ['chien@example.com', 'CW0001']],
+      { waitlistConfirmationHours: 12 }
+    );
+    await raiseCapacity(event, 2);
+    const token = offerTokenFor('hedy@example.com');
+
+    ctx.clock.set(new Date(ctx.clock.now().getTime() + 13 * HOUR_MS));
+    const { expired, promoted } = await waitlist.sweep();
+    assert.deepEqual(expired.map(registration => registration.id), [registrations[0].id]);
+    assert.deepEqual(promoted.map(registration => registration.id), [registrations[1].id]);
+    assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 2);
+    assert.ok(offerTokenFor('chien@example.com'));
+
+    const late = await ctx.request.post('/api/events/waitlist/confirm').send({ token });
+    assert.equal(late.status, 400);
+    assert.equal(late.body.error, 'This offer is invalid or has expired');
+
+    // Registering again joins the back of the line
+    const rejoin = await register(event, person('hedy@example.com', 'HL0002'));
+    assert.equal(rejoin.status, 201);
+    assert.equal(rejoin.body.waitlistPosition, 1);
+  });
+
+  it('fills spots freed by erased accounts', async () => {
+    const { event, registrations } = await fullEventWith([['lise@example.com', 'LM0001']]);
+    const first = await ctx.store.users.findByEmail(`first-${event.id}@example.com`);
+
+    await ctx.store.users.erase(first.id, ctx.clock.now());
+    assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 0);
+
+    await waitlist.sweep();
+    assert.equal((await ctx.store.eventRegistrations.findById(registrations[0].id)).status, 'CONFIRMED');
+    assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 1);
+  });
+
+  it('keeps entries without a position in line by arrival', async () => {
+    const event = await ctx.store.events.create({ ...newEvent, currentCapacity: 1 });
+    const unnumbered = [];
+    for (const [index, email] of ['rosalind@example.com', 'barbara@example.com'].entries()) {
+      const user = await ctx.verifiedAttendee(person(email, `UN000${index}`));
+      unnumbered.push(await ctx.store.eventRegistrations.create({
+        userId: user.id,
+        eventId: event.id,
+        status: 'WAITLISTED',
+        createdAt: new Date(Date.UTC(2025, 7, 1 + index))
+      }));
+    }
+
+    const res = await register(event, person('gerty@example.com', 'GC0001'));
+    assert.equal(res.body.waitlistPosition, 3);
+    const line = await ctx.store.eventRegistrations.waitlist(event.id);
+    assert.deepEqual(line.map(entry => entry.waitlistPosition), [1, 2, 3]);
+    assert.deepEqual(line.slice(0, 2).map(entry => entry.id), unnumbered.map(entry => entry.id));
+
+    await raiseCapacity(event, 2);
+    assert.equal((await ctx.store.eventRegistrations.findById(unnumbered[0].id)).status, 'CONFIRMED');
+  });
+
+  it('promotes nobody once the event is cancelled or under way', async () => {
+    for (const status of ['CANCELLED', 'ONGOING']) {
+      const { event, registrations } = await fullEventWith([[`${status}@example.com`, `W${status}`]]);
+      await ctx.store.events.update(event.id, { status, maxCapacity: 2 });
+
+      const { promoted } = await waitlist.sweep();
+      assert.ok(!promoted.some(registration => registration.eventId === event.id));
+      assert.equal((await ctx.store.eventRegistrations.findById(registrations[0].id)).status, 'WAITLISTED');
+      assert.equal((await ctx.store.events.findById(event.id)).currentCapacity, 1);
+    }
+  });
+
+  describe('PUT /:id/waitlist', () => {
+    it('reorders the line', async () => {
+      const { event, registrations } = await fullEventWith([
+        ['rosalind@example.com', 'RF0001'], ['barbara@example.com', 'BM0001'], ['dorothy@example.com', 'DH0001']
+      ]);
+      const ids = registrations.map(registration => registration.id);
+
+      const res = await ctx.request.put(`/api/events/${event.id}/waitlist`).set(admin.headers)
+        .send({ registrationIds: [ids[2], ids[0], ids[1]] });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map(entry => [entry.id, entry.position]), [[ids[2], 1], [ids[0], 2], [ids[1], 3]]);
+      assert.equal(res.body[0].user.email, 'dorothy@example.com');
+
+      await raiseCapacity(event, 2);
+      assert.equal((await ctx.store.eventRegistrations.findById(ids[2])).status, 'CONFIRMED');
+    });
+
+    it('needs everyone on the waitlist exactly once', async () => {
+      const { event, registrations } = await fullEventWith([['emmy@example.com', 'EN0001'], ['lynn@example.com', 'LC0001']]);
+      const [a, b] = registrations.map(registration => registration.id);
+
+      for (const registrationIds of [[a], [a, a], [a, b, 'other']]) {
+        const res = await ctx.request.put(`/api/events/${event.id}/waitlist`).set(admin.headers).send({ registrationIds });
+        assert.equal(res.status, 400);
+      }
+    });
+
+    it('is admin only', async () => {
+      const { event, registrations } = await fullEventWith([['vera@example.com', 'VR0002']]);
+      const res = await ctx.request.put(`/api/events/${event.id}/waitlist`).set(moderator.headers)
+        .send({ registrationIds: [registrations[0].id] });
+      assert.equal(res.status, 403);
+    });
+  });
+});